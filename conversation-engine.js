@@ -0,0 +1,468 @@
+import { createTurnDeadline, supabase } from './lib/clients.js';
+import {
+  DEFAULT_LANGUAGE, detectCallerLanguage, getSupportedLanguages, parseYesNo, translateForCaller
+} from './lib/languages.js';
+import { FINISHED_SESSION_TTL_MS, SESSION_TTL_MS } from './lib/session-store.js';
+import { classifyUrgency, logMessage, logNewTurns } from './lib/leads.js';
+import { getIntakeAnswers, getIntakeSchema } from './lib/intake.js';
+import { getKnowledgeForTurn } from './lib/knowledge.js';
+import {
+  LEAD_SUMMARY_PATTERN, buildSystemPrompt, extractMemoryFromConversation, fillFromLeadSummary,
+  getMissingFields
+} from './lib/extraction.js';
+import { DEFAULT_TIMEZONE, prepareSlotOffer } from './lib/slots.js';
+import {
+  CALL_ROUTING, buildCallGreeting, getCallRoutingMode, recordCallRouting, saveLeadFromCallState,
+  shouldOfferEmergencyForward
+} from './lib/routing.js';
+import {
+  STAFF_TRANSFER_ANNOUNCEMENT, detectHumanTransferIntent, getStaffTransferTarget
+} from './lib/staff-transfer.js';
+import {
+  MAX_CONFIRMATION_ROUNDS, buildConfirmationClosing, buildReadBack, getConfirmationReply,
+  handleConfirmationAnswer, saveConfirmedLead
+} from './lib/confirmation.js';
+import { applyKnownCaller, findKnownCaller } from './lib/caller-id.js';
+import { CALLER_INTENTS, applyIntentDefaults, getIntentIntakeSchema, runIntentStep } from './lib/intents.js';
+import {
+  CALLER_GOODBYE, CONVERSATION_OVER, CONVERSATION_PHASES, FINAL_PHASES, detectGoodbyeIntent,
+  getAnsweringPhase, getConversationPhase, setConversationPhase
+} from './lib/dialogue.js';
+
+// ===== CONVERSATION ENGINE =====
+// One receptionist for every channel. The engine owns the turn: session state, caller memory,
+// the system prompt, the dialogue phase, the caller's intent, emergency/transfer decisions, the read-back and saving the lead.
+// Channels only translate the result: the Twilio step route renders TwiML, /api/simulate and
+// /api/simulator/* return JSON, and the edge functions in supabase/functions forward to these routes.
+// Extraction, prompts, intents, read-back and routing come from lib/; only the services a
+// conversation runs against are handed in, so tests and other channels can bring their own.
+
+/**
+ * Create the engine
+ * stores: { twilio, simulator } session stores (get/set, see lib/session-store.js)
+ * getClinic(): loads the clinic's settings; openai: client for the replies (null when not configured)
+ * Returns { startConversation, handleConversationTurn }
+ */
+export function createConversationEngine({ stores, getClinic, openai }) {
+  // Spoken when the AI reply does not arrive in time (German: no translation request on a slow line)
+  const AI_REPLY_FALLBACK = 'Entschuldigung, das hat gerade nicht geklappt. Könnten Sie das bitte noch einmal sagen?';
+  // Note on a lead saved when the caller said goodbye before the intake was complete
+  const PARTIAL_LEAD_NOTE = '⚠️ Anrufer hat sich vor Ende der Aufnahme verabschiedet; Angaben unvollständig.';
+  // Failed AI replies after which the caller leaves a voicemail instead of repeating again
+  const MAX_FAILED_AI_REPLIES = 1;
+  // Said before the voicemail prompt when the AI cannot answer (no OpenAI, or it keeps failing)
+  const AI_UNAVAILABLE_INTRO = 'Entschuldigung, ich kann Ihr Anliegen gerade leider nicht aufnehmen.';
+  // Used for a turn when the clinic cannot be loaded, so the caller still gets an answer
+  const DEFAULT_CLINIC = { name: 'Zahnarztpraxis', instructions: '' };
+
+  const CONVERSATION_CHANNELS = {
+    twilio: { store: stores.twilio, label: 'Twilio' },
+    simulator: { store: stores.simulator, label: 'Simulator' }
+  };
+
+  /**
+   * Fresh state for a call or simulator session
+   */
+  function createConversationState(channel, { fromNumber = null, routingMode = null, knownCaller = null } = {}) {
+    return {
+      channel,
+      phase: CONVERSATION_PHASES.GREETING,
+      messages: [],
+      turnIndex: 0,
+      leadSaved: false,
+      fromNumber,
+      afterHours: !!routingMode?.afterHours,
+      closedReason: routingMode?.closedReason || null,
+      knownCaller,
+      memory: {
+        name: knownCaller?.name || null,
+        phone: knownCaller?.phone || null,
+        reason: null,
+        urgency: null,
+        preferred_time: null,
+        patient_type: null,
+        insurance_status: null
+      }
+    };
+  }
+
+  /**
+   * Start a conversation: routing mode, returning caller, state and greeting
+   * Returns { state, clinic, greeting }
+   */
+  async function startConversation(channel, sessionId, { fromNumber = null } = {}) {
+    const { store, label } = CONVERSATION_CHANNELS[channel];
+
+    // Decide once per conversation whether we're in after-hours mode
+    let clinic = null;
+    try {
+      clinic = supabase ? await getClinic() : null;
+    } catch (clinicError) {
+      console.warn('⚠️ Could not load clinic for routing, assuming opening hours:', clinicError.message);
+    }
+    const routingMode = getCallRoutingMode(clinic);
+    if (routingMode.afterHours) {
+      console.log(`🌙 [${label}] After-hours conversation:`, sessionId, routingMode.closedReason || '');
+    }
+
+    // Recognise returning callers by their number
+    let knownCaller = null;
+    if (fromNumber) {
+      try {
+        knownCaller = await findKnownCaller(fromNumber);
+        if (knownCaller) {
+          console.log(`👋 [${label}] Known caller:`, knownCaller.name, '| previous lead:', knownCaller.leadId);
+        }
+      } catch (lookupError) {
+        console.warn('⚠️ Caller lookup failed:', lookupError.message);
+      }
+    }
+
+    const state = createConversationState(channel, { fromNumber, routingMode, knownCaller });
+    const greeting = buildCallGreeting(routingMode, !!clinic?.emergency_number, knownCaller);
+    // The greeting is transcript turn 0; it is not part of the AI's message history
+    logMessage(sessionId, 'assistant', greeting, 0);
+    state.turnIndex = 1;
+    await store.set(sessionId, state);
+
+    return { state, clinic, greeting };
+  }
+
+  /**
+   * Log the new turns and persist the state; finished conversations are kept only briefly
+   */
+  async function saveConversationState(channel, sessionId, state, finished = false) {
+    logNewTurns(sessionId, state);
+    await CONVERSATION_CHANNELS[channel].store.set(sessionId, state, finished ? FINISHED_SESSION_TTL_MS : SESSION_TTL_MS);
+  }
+
+  /**
+   * Run one caller turn through the receptionist
+   * Returns { action, reply, phase, state, clinic, language } plus action-specific fields:
+   * - 'reply': wait for the caller's next answer
+   * - 'emergency_forward': connect the caller to `number` (the dental emergency service)
+   * - 'staff_transfer': hand the caller over to `target` (see getStaffTransferTarget)
+   * - 'voicemail': the AI cannot answer; take a voicemail (the lead is already saved for a callback)
+   * - 'end': say goodbye and hang up (phase closing or ended)
+   */
+  async function handleConversationTurn(channel, sessionId, text, { fromNumber = null } = {}) {
+    const { store, label } = CONVERSATION_CHANNELS[channel];
+
+    let state = await store.get(sessionId);
+    if (!state) {
+      state = createConversationState(channel, { fromNumber });
+    }
+    state.channel = channel;
+
+    // Nothing more to say once the call is over or handed over (late webhooks, simulator messages)
+    const phase = getConversationPhase(state);
+    if (FINAL_PHASES.includes(phase) || phase === CONVERSATION_PHASES.TRANSFER) {
+      setConversationPhase(state, CONVERSATION_PHASES.ENDED);
+      await store.set(sessionId, state, FINISHED_SESSION_TTL_MS);
+      const language = state.language || DEFAULT_LANGUAGE;
+      return { action: 'end', reply: await translateForCaller(CONVERSATION_OVER, language), phase: state.phase, state, clinic: null, language };
+    }
+
+    // Every AI request of this turn shares one deadline, so the webhook answers in time
+    const deadline = createTurnDeadline();
+
+    // Add user message to conversation history
+    state.messages.push({
+      role: 'user',
+      content: text
+    });
+    state.silentTurns = 0;
+
+    // Use getClinic() to load clinic data; its intake schema drives extraction and the prompt.
+    // If that fails the turn goes on with the default settings rather than failing the webhook.
+    let clinic = DEFAULT_CLINIC;
+    try {
+      clinic = (supabase && await getClinic()) || DEFAULT_CLINIC;
+    } catch (clinicError) {
+      console.warn(`⚠️ [${label}] Could not load clinic, using default settings:`, clinicError.message);
+    }
+    state.intakeSchema = getIntakeSchema(clinic);
+    state.timeZone = clinic?.timezone || DEFAULT_TIMEZONE;
+
+    // The first utterance decides the language for the rest of the conversation; detecting it
+    // and extracting the caller's details are independent requests, so they run side by side
+    const [detectedLanguage, extracted] = await Promise.all([
+      state.language ? null : detectCallerLanguage(text, getSupportedLanguages(clinic), deadline),
+      extractMemoryFromConversation(state.messages, null, state.intakeSchema, { deadline })
+    ]);
+    if (!state.language) {
+      state.language = detectedLanguage;
+      console.log(`🌍 [${label}] Caller language:`, state.language);
+    }
+    const language = state.language;
+    if (getConversationPhase(state) === CONVERSATION_PHASES.GREETING) {
+      setConversationPhase(state, CONVERSATION_PHASES.INTENT);
+    }
+    // The phase decides whether the call goes on: closing and ended hang up
+    const result = (action, reply, extra = {}) => ({
+      action: FINAL_PHASES.includes(state.phase) ? 'end' : action,
+      reply,
+      phase: state.phase,
+      state,
+      clinic,
+      language,
+      ...extra
+    });
+
+    // Memory from the conversation (known callers keep their stored name/phone, the intent fills its defaults)
+    state.memory = applyIntentDefaults(applyKnownCaller(extracted, state.knownCaller), state);
+    if (state.confirmation) {
+      // Details being read back (incl. corrections) win over re-extraction
+      state.memory.name = state.confirmation.name;
+      state.memory.phone = state.confirmation.phone;
+    }
+
+    const missingFields = getMissingFields(state.memory, getIntentIntakeSchema(state.intakeSchema, state.intent));
+    console.log(`🧠 [${label}] Memory update:`, state.memory, '| Missing:', missingFields);
+
+    // After hours: answer to a pending emergency-service offer
+    if (state.emergencyOffer === 'pending') {
+      const answer = parseYesNo(text, language);
+      if (answer === true) {
+        state.emergencyOffer = 'accepted';
+        setConversationPhase(state, CONVERSATION_PHASES.TRANSFER);
+        const connecting = await translateForCaller('Ich verbinde Sie jetzt mit dem zahnärztlichen Notdienst. Einen Moment bitte.', language, deadline);
+        state.messages.push({ role: 'assistant', content: connecting });
+        await recordCallRouting(state, sessionId, CALL_ROUTING.EMERGENCY_FORWARDED);
+        await saveConversationState(channel, sessionId, state, true);
+        console.log(`🚑 [${label}] Forwarding to emergency service:`, sessionId);
+        return result('emergency_forward', connecting, { number: clinic.emergency_number });
+      }
+
+      if (answer === false) {
+        state.emergencyOffer = 'declined';
+        state.routing = CALL_ROUTING.EMERGENCY_DECLINED;
+        if (state.leadId) {
+          await recordCallRouting(state, sessionId, CALL_ROUTING.EMERGENCY_DECLINED);
+        }
+      }
+      // Unclear answers fall through to the normal conversation; the offer stays open
+    }
+
+    // Log to verify fresh instructions are being used
+    console.log(`📞 [${label}] AI using clinic instructions:`, clinic.instructions?.slice(0, 120));
+
+    // After hours + acute pain: offer the emergency service before continuing the intake
+    const callerText = state.messages
+      .filter(msg => msg.role === 'user')
+      .map(msg => msg.content)
+      .join(' ');
+    if (shouldOfferEmergencyForward(state, clinic, classifyUrgency(state.memory.reason, callerText))) {
+      state.emergencyOffer = 'pending';
+      const offer = await translateForCaller('Das klingt nach akuten Beschwerden. Unsere Praxis ist gerade geschlossen, aber ich kann Sie direkt mit dem zahnärztlichen Notdienst verbinden. Möchten Sie das?', language, deadline);
+      state.messages.push({ role: 'assistant', content: offer });
+      await saveConversationState(channel, sessionId, state);
+      console.log(`🚨 [${label}] Offering emergency forward:`, sessionId);
+      return result('reply', offer);
+    }
+
+    // During opening hours: hand over to staff when the caller asks for a human or it's acute
+    const transferTarget = state.afterHours || state.transferAttempted ? null : getStaffTransferTarget(clinic);
+    if (transferTarget) {
+      const wantsHuman = detectHumanTransferIntent(text);
+      const isAcute = classifyUrgency(state.memory.reason, callerText) === 'akut';
+      if (wantsHuman || isAcute) {
+        state.transferAttempted = true;
+        state.transferReason = isAcute ? 'akut' : 'caller_request';
+        setConversationPhase(state, CONVERSATION_PHASES.TRANSFER);
+        state.messages.push({ role: 'assistant', content: STAFF_TRANSFER_ANNOUNCEMENT });
+        await recordCallRouting(state, sessionId, CALL_ROUTING.STAFF_TRANSFER);
+        await saveConversationState(channel, sessionId, state);
+        console.log(`👩‍⚕️ [${label}] Transferring to staff:`, sessionId, state.transferReason, transferTarget.type);
+        return result('staff_transfer', STAFF_TRANSFER_ANNOUNCEMENT, { target: transferTarget });
+      }
+    }
+
+    // Answer to the read-back of name and phone number; it comes before the goodbye, so
+    // "Ja, richtig, auf Wiederhören" confirms the details
+    const goodbyeSaid = detectGoodbyeIntent(text);
+    if (state.confirmation) {
+      const answer = handleConfirmationAnswer(state.confirmation, text);
+      state.memory.name = state.confirmation.name;
+      state.memory.phone = state.confirmation.phone;
+      console.log(`🔁 [${label}] Read-back answer:`, answer, '| round', state.confirmation.rounds);
+
+      if (answer === 'confirmed' || state.confirmation.rounds >= MAX_CONFIRMATION_ROUNDS) {
+        const confirmed = answer === 'confirmed';
+        let appointment = null;
+        if (supabase) {
+          try {
+            ({ appointment } = await saveConfirmedLead(state, sessionId, clinic, { confirmed }));
+          } catch (leadError) {
+            console.error('⚠️ Error saving confirmed lead:', leadError);
+          }
+        }
+        setConversationPhase(state, CONVERSATION_PHASES.CLOSING);
+        const closing = await translateForCaller(buildConfirmationClosing(appointment, state.intent), language, deadline);
+        state.messages.push({ role: 'assistant', content: closing });
+        await saveConversationState(channel, sessionId, state, true);
+        return result('end', closing);
+      }
+
+      if (!goodbyeSaid) {
+        const reply = await translateForCaller(getConfirmationReply(answer, state.confirmation), language, deadline);
+        state.messages.push({ role: 'assistant', content: reply });
+        await saveConversationState(channel, sessionId, state);
+        return result('reply', reply);
+      }
+    }
+
+    // Caller says goodbye: close the call. Details being read back are kept as unconfirmed,
+    // an intake cut short is saved with what was collected so the team can call back.
+    if (goodbyeSaid) {
+      if (supabase) {
+        try {
+          if (state.confirmation) {
+            await saveConfirmedLead(state, sessionId, clinic, { confirmed: false });
+          } else if (!state.leadSaved && getConversationPhase(state) === CONVERSATION_PHASES.COLLECTING) {
+            const savedLead = await saveLeadFromCallState(state, sessionId, { notes: `${callerText}\n\n${PARTIAL_LEAD_NOTE}` });
+            console.log(`📝 [${label}] Partial lead saved after goodbye:`, savedLead?.id);
+          }
+        } catch (leadError) {
+          console.error('⚠️ Error saving lead after goodbye:', leadError);
+        }
+      }
+      setConversationPhase(state, CONVERSATION_PHASES.CLOSING);
+      const goodbye = await translateForCaller(CALLER_GOODBYE, language, deadline);
+      state.messages.push({ role: 'assistant', content: goodbye });
+      await saveConversationState(channel, sessionId, state, true);
+      console.log(`👋 [${label}] Caller said goodbye:`, sessionId);
+      return result('end', goodbye);
+    }
+
+    // What the caller wants: cancellations, reschedules and delays are handled on their appointment
+    const intentStep = await runIntentStep(state, text, clinic);
+    if (intentStep) {
+      setConversationPhase(state, intentStep.done ? CONVERSATION_PHASES.CLOSING : CONVERSATION_PHASES.COLLECTING);
+      const reply = await translateForCaller(intentStep.reply, language, deadline);
+      state.messages.push({ role: 'assistant', content: reply });
+      await saveConversationState(channel, sessionId, state, intentStep.done);
+      console.log(`🎯 [${label}] Intent sub-flow:`, state.intent, intentStep.done ? '(done)' : '');
+      return result('reply', reply);
+    }
+    state.memory = applyIntentDefaults(state.memory, state);
+    const intakeSchema = getIntentIntakeSchema(state.intakeSchema, state.intent);
+
+    // Without OpenAI, or when the last reply already failed, asking to repeat would loop forever:
+    // what the caller said is saved for a callback and the call goes to voicemail
+    if (!openai || (state.failedAiReplies || 0) >= MAX_FAILED_AI_REPLIES) {
+      setConversationPhase(state, CONVERSATION_PHASES.TRANSFER);
+      state.messages.push({ role: 'assistant', content: AI_UNAVAILABLE_INTRO });
+      await recordCallRouting(state, sessionId, CALL_ROUTING.VOICEMAIL);
+      await saveConversationState(channel, sessionId, state);
+      console.warn(`📼 [${label}] AI unavailable, taking a voicemail:`, sessionId);
+      return result('voicemail', AI_UNAVAILABLE_INTRO);
+    }
+
+    // The AI answers: practice question, finding the reason, or collecting the fields
+    setConversationPhase(state, getAnsweringPhase(state, clinic, text));
+
+    // Look up real free slots once the reason is known (callbacks book nothing)
+    const availableSlots = CALLER_INTENTS[state.intent]?.callback ? [] : await prepareSlotOffer(state, clinic);
+
+    // Build unified system prompt with memory context
+    const systemPrompt = buildSystemPrompt(clinic.name, clinic.instructions, state.memory, getMissingFields(state.memory, intakeSchema), {
+      clinic,
+      intakeSchema,
+      intent: state.intent ? { key: state.intent, appointment: state.rescheduleAppointment || null, notFound: !!state.appointmentNotFound } : null,
+      availableSlots,
+      afterHours: state.afterHours,
+      knownCaller: state.knownCaller,
+      language,
+      knowledge: getKnowledgeForTurn(clinic, state.messages),
+      phase: state.phase
+    });
+
+    // Call OpenAI with full conversation history
+    let completion;
+    try {
+      completion = await openai.chat.completions.create({
+        model: "gpt-4o-mini",
+        messages: [
+          { role: "system", content: systemPrompt },
+          ...state.messages
+        ],
+        temperature: 0.7,
+        max_tokens: 200
+      }, deadline.requestOptions());
+    } catch (aiError) {
+      // Slow or failed reply: ask the caller to repeat instead of leaving the line silent
+      console.error(`⏱️ [${label}] AI reply failed, asking the caller to repeat:`, aiError.message);
+      state.failedAiReplies = (state.failedAiReplies || 0) + 1;
+      state.messages.push({ role: 'assistant', content: AI_REPLY_FALLBACK });
+      await saveConversationState(channel, sessionId, state);
+      return result('reply', AI_REPLY_FALLBACK);
+    }
+
+    state.failedAiReplies = 0;
+
+    // Extract AI reply
+    const aiReply = completion.choices[0].message.content;
+    let reply = aiReply;
+
+    // Add AI response to conversation history
+    state.messages.push({
+      role: 'assistant',
+      content: aiReply
+    });
+
+    // Lead summary: the lead is saved once the caller confirmed the read-back
+    if (!state.leadSaved && !state.confirmation && supabase && LEAD_SUMMARY_PATTERN.test(aiReply)) {
+      try {
+        // Extract once more over the whole transcript, now including the summary; without time
+        // left for it the summary itself (fillFromLeadSummary) fills the gaps
+        if (deadline.allows()) {
+          console.log('🔎 Lead summary given, extracting caller details...');
+          state.memory = applyIntentDefaults(applyKnownCaller(
+            await extractMemoryFromConversation(state.messages, null, state.intakeSchema, { deadline }),
+            state.knownCaller
+          ), state);
+        } else {
+          console.warn('⏱️ No time left to extract again, reading the lead summary only');
+        }
+        fillFromLeadSummary(state.memory, aiReply, intakeSchema);
+        const { name, phone, reason, preferred_time: requestedTime } = state.memory;
+        console.log('Extracted lead:', state.memory);
+
+        // Classify urgency based on pain indicators in user messages
+        const urgency = classifyUrgency(reason, callerText);
+        console.log('📊 Classified urgency:', urgency);
+
+        // All fields present: read name and number back before saving
+        if (name && phone && reason && requestedTime && setConversationPhase(state, CONVERSATION_PHASES.CONFIRMATION)) {
+          state.confirmation = {
+            name,
+            phone,
+            reason,
+            preferredTime: requestedTime,
+            urgency,
+            // Answers from the summary; later turns re-extract without it
+            intakeAnswers: getIntakeAnswers(state.memory, state.intakeSchema),
+            summary: aiReply,
+            language,
+            rounds: 0,
+            pendingField: null
+          };
+          reply = await translateForCaller(buildReadBack(state.confirmation), language, deadline);
+          // The summary's goodbye is not spoken; the read-back replaces it
+          state.messages[state.messages.length - 1] = { role: 'assistant', content: reply };
+          console.log(`🔁 [${label}] Reading back caller details:`, name, phone);
+        }
+      } catch (leadError) {
+        // Log error but don't break the conversation
+        console.error('⚠️ Error extracting/saving lead (conversation continues):', leadError);
+      }
+    }
+
+    // Persist state; once the lead is saved the conversation is wrapping up
+    await saveConversationState(channel, sessionId, state, state.leadSaved);
+    return result('reply', reply);
+  }
+
+  return { startConversation, handleConversationTurn };
+}
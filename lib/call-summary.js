@@ -0,0 +1,178 @@
+import { openai, supabase } from './clients.js';
+import { sendLeadNotification } from './leads.js';
+import { KNOWLEDGE_FORWARD_PHRASE } from './knowledge.js';
+
+// ===== CALL SUMMARY =====
+// After a lead is saved, the call is summarised for the practice team: a short German
+// summary, the suggested next step, the caller's mood and the questions left open.
+// Stored on the lead (call_summary, next_action, sentiment, open_questions) and sent
+// with the lead email.
+export const CALL_NEXT_ACTIONS = {
+  callback: 'Rückruf',
+  book_appointment: 'Termin vereinbaren',
+  book_cleaning: 'Zahnreinigung einplanen',
+  emergency_slot: 'Notfalltermin einplanen',
+  answer_question: 'Frage beantworten',
+  none: 'Nichts zu tun'
+};
+export const CALL_SENTIMENTS = {
+  positive: 'Freundlich',
+  neutral: 'Neutral',
+  negative: 'Verärgert',
+  anxious: 'Ängstlich'
+};
+const MAX_OPEN_QUESTIONS = 5;
+
+const CALL_SUMMARY_TOOL = {
+  type: 'function',
+  function: {
+    name: 'record_call_summary',
+    description: 'Fasst das Telefonat für das Praxisteam zusammen.',
+    parameters: {
+      type: 'object',
+      properties: {
+        summary: {
+          type: 'string',
+          description: 'Zwei bis drei sachliche Sätze auf Deutsch: wer anruft, worum es geht, was vereinbart wurde.'
+        },
+        next_action: {
+          type: 'string',
+          enum: Object.keys(CALL_NEXT_ACTIONS),
+          description: 'Was das Team als Nächstes tun sollte. emergency_slot bei akuten Beschwerden, book_cleaning für Zahnreinigung/Prophylaxe, none wenn bereits ein Termin gebucht wurde und nichts offen ist.'
+        },
+        sentiment: {
+          type: 'string',
+          enum: Object.keys(CALL_SENTIMENTS),
+          description: 'Stimmung des Anrufers'
+        },
+        open_questions: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Fragen des Anrufers, die die Rezeption nicht beantwortet oder an das Team weitergegeben hat, auf Deutsch. Leer, wenn es keine gibt.'
+        }
+      },
+      required: ['summary', 'next_action', 'sentiment', 'open_questions']
+    }
+  }
+};
+
+/**
+ * Suggested next step from the lead alone, used when OpenAI is not available
+ */
+function getRuleBasedNextAction(lead) {
+  if (lead.urgency === 'akut') return 'emergency_slot';
+  if (/reinigung|prophylaxe|pzr/i.test(lead.concern || '')) return 'book_cleaning';
+  return 'callback';
+}
+
+/**
+ * Summary built from the lead fields; open questions are the caller messages the
+ * receptionist answered with the knowledge base's forward phrase
+ */
+function summarizeCallWithRules(lead, turns) {
+  const patientType = { neu: 'Neupatient', bestand: 'Bestandspatient' }[lead.patient_type];
+  const details = [patientType, lead.insurance].filter(Boolean).join(', ');
+  const summary = `${lead.name}${details ? ` (${details})` : ''} ruft wegen "${lead.concern || 'Nicht angegeben'}" an. ` +
+    `Wunschtermin: ${lead.preferred_slots?.raw || 'nicht angegeben'}.`;
+
+  const openQuestions = [];
+  turns.forEach((turn, i) => {
+    const previous = turns[i - 1];
+    if (turn.role === 'assistant' && turn.content.includes(KNOWLEDGE_FORWARD_PHRASE) && previous?.role === 'user') {
+      openQuestions.push(previous.content);
+    }
+  });
+
+  return {
+    call_summary: summary,
+    next_action: getRuleBasedNextAction(lead),
+    sentiment: null,
+    open_questions: openQuestions.slice(0, MAX_OPEN_QUESTIONS)
+  };
+}
+
+/**
+ * Summarise a call for the team. turns: the conversation as { role, content };
+ * without turns (voicemail) the lead's notes are summarised instead.
+ * Returns the lead columns to store, or null when there is nothing to summarise.
+ */
+async function summarizeCall(lead, turns = []) {
+  const transcript = turns.length > 0
+    ? turns.map(msg => `${msg.role === 'assistant' ? 'Rezeption' : 'Anrufer'}: ${msg.content}`).join('\n')
+    : lead.notes;
+  if (!transcript) return null;
+  if (!openai) return summarizeCallWithRules(lead, turns);
+
+  try {
+    const leadFacts = [
+      `Name: ${lead.name}`,
+      `Anliegen: ${lead.concern || 'Nicht angegeben'}`,
+      `Dringlichkeit: ${lead.urgency || 'normal'}`,
+      `Wunschtermin: ${lead.preferred_slots?.raw || 'Nicht angegeben'}`
+    ].join('\n');
+
+    const completion = await openai.chat.completions.create({
+      model: 'gpt-4o-mini',
+      messages: [
+        {
+          role: 'system',
+          content: 'Sie fassen Telefonate einer Zahnarztpraxis für das Praxisteam zusammen. Schreiben Sie immer auf Deutsch, auch wenn das Gespräch in einer anderen Sprache geführt wurde. Erfinden Sie nichts, was nicht im Gespräch vorkommt.'
+        },
+        { role: 'user', content: `${leadFacts}\n\nGespräch:\n${transcript}` }
+      ],
+      tools: [CALL_SUMMARY_TOOL],
+      tool_choice: { type: 'function', function: { name: CALL_SUMMARY_TOOL.function.name } },
+      temperature: 0
+    });
+
+    const toolCall = completion.choices[0].message.tool_calls?.[0];
+    if (!toolCall) throw new Error('No tool call in summary response');
+    const result = JSON.parse(toolCall.function.arguments);
+    if (typeof result.summary !== 'string' || !result.summary.trim()) throw new Error('Empty summary');
+
+    return {
+      call_summary: result.summary.trim(),
+      next_action: Object.hasOwn(CALL_NEXT_ACTIONS, result.next_action) ? result.next_action : getRuleBasedNextAction(lead),
+      sentiment: Object.hasOwn(CALL_SENTIMENTS, result.sentiment) ? result.sentiment : null,
+      open_questions: (Array.isArray(result.open_questions) ? result.open_questions : [])
+        .filter(question => typeof question === 'string' && question.trim())
+        .map(question => question.trim())
+        .slice(0, MAX_OPEN_QUESTIONS)
+    };
+  } catch (error) {
+    console.error('❌ Call summary failed, using lead fields:', error.message);
+    return summarizeCallWithRules(lead, turns);
+  }
+}
+
+/**
+ * Summarise the call and store the result on the lead
+ * Returns the updated lead (the given one if the summary could not be stored)
+ */
+async function storeCallSummary(lead, turns) {
+  try {
+    const summary = await summarizeCall(lead, turns);
+    if (!summary || !supabase) return lead;
+
+    const { data, error } = await supabase
+      .from('leads')
+      .update(summary)
+      .eq('id', lead.id)
+      .select();
+    if (error) throw error;
+
+    console.log('📝 Call summary stored for lead:', lead.id, '| next action:', summary.next_action);
+    return data?.[0] || { ...lead, ...summary };
+  } catch (error) {
+    console.error('⚠️ Could not store call summary:', error.message);
+    return lead;
+  }
+}
+
+/**
+ * Post-call step after saveLead: summary first, so the clinic email can include it
+ */
+export async function summarizeAndNotify(lead, turns) {
+  const summarizedLead = await storeCallSummary(lead, turns);
+  await sendLeadNotification(summarizedLead);
+}
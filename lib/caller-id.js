@@ -0,0 +1,87 @@
+import { supabase } from './clients.js';
+import { normalizePhoneNumber } from './phone.js';
+
+// ===== CALLER ID RECOGNITION =====
+// The caller's number (Twilio From) is matched against earlier leads and appointments,
+// so returning patients are greeted by name and not asked for name/phone again.
+export const KNOWN_CALLER_LOOKUP_LIMIT = 50;
+// Twilio sends these for withheld numbers
+const ANONYMOUS_CALLER_IDS = ['anonymous', 'unknown', 'restricted', '+266696687', '+7378742833', '+8656696'];
+
+/**
+ * Find an earlier lead or appointment with the caller's number
+ * Returns { name, phone, leadId, lastConcern, lastContactAt } or null
+ */
+export async function findKnownCaller(fromNumber) {
+  if (!supabase || !fromNumber || ANONYMOUS_CALLER_IDS.includes(String(fromNumber).toLowerCase())) {
+    return null;
+  }
+  const key = normalizePhoneNumber(fromNumber);
+  if (!key) return null;
+
+  // Narrow down in the database by the last digits, compare normalised numbers here
+  const tail = key.slice(-4);
+  const [leadsResult, appointmentsResult] = await Promise.all([
+    supabase
+      .from('leads')
+      .select('id, name, phone, concern, created_at')
+      .ilike('phone', `%${tail}%`)
+      .order('created_at', { ascending: false })
+      .limit(KNOWN_CALLER_LOOKUP_LIMIT),
+    supabase
+      .from('appointments')
+      .select('id, lead_id, patient_name, phone, reason, appointment_date, created_at')
+      .ilike('phone', `%${tail}%`)
+      .order('created_at', { ascending: false })
+      .limit(KNOWN_CALLER_LOOKUP_LIMIT)
+  ]);
+  if (leadsResult.error) throw leadsResult.error;
+  if (appointmentsResult.error) throw appointmentsResult.error;
+
+  const isUsableName = (name) => name && name !== 'Unbekannt';
+  const lead = (leadsResult.data || []).find(l => normalizePhoneNumber(l.phone) === key && isUsableName(l.name));
+  const appointment = (appointmentsResult.data || []).find(a => normalizePhoneNumber(a.phone) === key && isUsableName(a.patient_name));
+  if (!lead && !appointment) return null;
+
+  // Prefer whichever record is newer
+  const useAppointment = appointment && (!lead || appointment.created_at > lead.created_at);
+  return {
+    name: useAppointment ? appointment.patient_name : lead.name,
+    phone: useAppointment ? appointment.phone : lead.phone,
+    leadId: lead?.id || appointment?.lead_id || null,
+    lastConcern: useAppointment ? appointment.reason : lead.concern,
+    lastContactAt: useAppointment ? appointment.created_at : lead.created_at
+  };
+}
+
+/**
+ * Fill name/phone from the known caller where the conversation hasn't provided them
+ */
+export function applyKnownCaller(memory, knownCaller) {
+  if (!knownCaller) return memory;
+  return {
+    ...memory,
+    name: memory.name || knownCaller.name,
+    phone: memory.phone || knownCaller.phone
+  };
+}
+
+/**
+ * Lead columns linking a new lead to the known caller's earlier lead
+ */
+export function getKnownCallerLink(state) {
+  return state?.knownCaller?.leadId ? { previous_lead_id: state.knownCaller.leadId } : {};
+}
+
+/**
+ * System prompt hint for returning callers
+ */
+export function formatKnownCallerInstructions(knownCaller) {
+  if (!knownCaller) return '';
+  return `
+RETURNING CALLER (recognised by phone number):
+- This is ${knownCaller.name}, who has contacted the practice before${knownCaller.lastConcern ? ` (last concern: ${knownCaller.lastConcern})` : ''}.
+- Do NOT ask for name or phone number again - they are already known.
+- If the caller says they are someone else (e.g. a family member), ask for their name instead.
+`;
+}
@@ -0,0 +1,116 @@
+import { supabase } from './clients.js';
+import { CALL_ROUTING } from './routing.js';
+
+// ===== CALL LIFECYCLE RECORDS =====
+// One row per call in the calls table, fed by the Twilio status callback, so calls
+// that never produced a lead (busy, no-answer, hung up early) are visible too.
+const FAILED_CALL_STATUSES = ['busy', 'no-answer', 'failed', 'canceled'];
+export const FINAL_CALL_STATUSES = ['completed', ...FAILED_CALL_STATUSES];
+// Completed calls shorter than this without a lead count as "too short" instead of "abandoned"
+const SHORT_CALL_SECONDS = 10;
+
+export const CALL_OUTCOME_LABELS = {
+  in_progress: 'Läuft',
+  lead: 'Anfrage aufgenommen',
+  transferred: 'An Mitarbeiter übergeben',
+  emergency_forwarded: 'An Notdienst weitergeleitet',
+  voicemail: 'Sprachnachricht',
+  abandoned: 'Aufgelegt',
+  too_short: 'Zu kurz',
+  missed: 'Verpasst'
+};
+
+/**
+ * Outcome of a call from its Twilio status, duration and the lead it produced (if any)
+ */
+export function getCallOutcome({ status, durationSeconds, lead }) {
+  if (FAILED_CALL_STATUSES.includes(status)) return 'missed';
+  if (status !== 'completed') return 'in_progress';
+  if (lead) {
+    if (lead.routing === CALL_ROUTING.VOICEMAIL || lead.recording_url) return 'voicemail';
+    if (lead.routing === CALL_ROUTING.EMERGENCY_FORWARDED) return 'emergency_forwarded';
+    if (lead.routing === CALL_ROUTING.STAFF_TRANSFER) return 'transferred';
+    return 'lead';
+  }
+  return (durationSeconds || 0) < SHORT_CALL_SECONDS ? 'too_short' : 'abandoned';
+}
+
+/**
+ * Create or update the calls row for a CallSid
+ */
+export async function upsertCallRecord(callSid, fields) {
+  if (!supabase || !callSid) return null;
+  const { data, error } = await supabase
+    .from('calls')
+    .upsert({ call_sid: callSid, ...fields }, { onConflict: 'call_sid' })
+    .select()
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Caller's number for a Twilio webhook: the request's From, else the number on the call record
+ * (recording callbacks carry no From)
+ */
+export async function getCallerNumber(req) {
+  if (req.body.From) return req.body.From;
+  if (!supabase || !req.body.CallSid) return null;
+  try {
+    const { data, error } = await supabase
+      .from('calls')
+      .select('from_number')
+      .eq('call_sid', req.body.CallSid)
+      .maybeSingle();
+    if (error) throw error;
+    return data?.from_number || null;
+  } catch (err) {
+    console.error('❌ Error loading caller number:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Link a freshly saved lead to its call record
+ * Leads from voicemails arrive after the call ended, so the outcome is refreshed here too.
+ */
+export async function linkCallToLead(callSid, lead) {
+  if (!supabase || !callSid || !lead) return;
+  try {
+    const { data: call, error } = await supabase
+      .from('calls')
+      .select('status, duration_seconds')
+      .eq('call_sid', callSid)
+      .maybeSingle();
+    if (error) throw error;
+    if (!call) return;
+
+    const updates = { lead_id: lead.id, patient_id: lead.patient_id || null };
+    if (FINAL_CALL_STATUSES.includes(call.status)) {
+      updates.outcome = getCallOutcome({ status: call.status, durationSeconds: call.duration_seconds, lead });
+    }
+    await supabase.from('calls').update(updates).eq('call_sid', callSid);
+  } catch (err) {
+    console.error('❌ Error linking call to lead:', err.message);
+  }
+}
+
+/**
+ * Call statistics for the dashboard over the given calls
+ */
+export function computeCallStats(calls) {
+  const answered = calls.filter(c => !FAILED_CALL_STATUSES.includes(c.status));
+  const finished = answered.filter(c => c.status === 'completed' && c.duration_seconds != null);
+  const converted = calls.filter(c => c.lead_id);
+  const missed = calls.filter(c => ['missed', 'abandoned', 'too_short'].includes(c.outcome));
+
+  return {
+    total: calls.length,
+    missedCount: missed.length,
+    conversionRate: answered.length > 0 ? Math.round((converted.length / answered.length) * 100) : null,
+    avgDurationSeconds: finished.length > 0
+      ? Math.round(finished.reduce((sum, c) => sum + c.duration_seconds, 0) / finished.length)
+      : null,
+    recentMissed: missed.slice(0, 5)
+  };
+}
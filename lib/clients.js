@@ -0,0 +1,88 @@
+import { createClient } from '@supabase/supabase-js';
+import OpenAI from 'openai';
+import nodemailer from 'nodemailer';
+
+// ===== SERVICE CLIENTS =====
+// Supabase, OpenAI and SMTP, configured from the environment; each is null when its variables are missing.
+
+// Supabase setup (also check for typo'd variable name)
+const supabaseUrl = process.env.SUPABASE_URL || process.env.SUPARBASE_URL;
+const supabaseServiceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+export const supabase =
+  supabaseUrl && supabaseServiceRoleKey
+    ? createClient(supabaseUrl, supabaseServiceRoleKey)
+    : null;
+
+if (!supabase) {
+  console.warn('⚠️  Supabase client not configured - SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY missing');
+} else {
+  console.log('✅ Supabase client configured successfully');
+}
+
+// OpenAI setup
+export const openai = process.env.OPENAI_API_KEY 
+  ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY })
+  : null;
+
+// Requests made while the caller waits on the line. Twilio gives up on a webhook after 15 s,
+// so they are bounded and not retried; each caller has a fallback (patterns, German, a retry prompt).
+export const LIVE_AI_REQUEST_OPTIONS = { timeout: 4000, maxRetries: 0 };
+// One turn can chain several of them (extraction, reply, re-extraction, translation), so a
+// turn's requests share one deadline that leaves room for the database work before the 15 s
+const TURN_AI_BUDGET_MS = 10000;
+// Optional requests (re-extraction after the summary, translations) only start when a whole
+// request still fits; a cut-off one would be wasted time
+const OPTIONAL_AI_MIN_MS = LIVE_AI_REQUEST_OPTIONS.timeout;
+
+/**
+ * Deadline shared by the AI requests of one caller turn
+ * requestOptions(): options for the next request, bounded by the time left and aborted when it runs out
+ * allows(ms): whether an optional request still fits
+ */
+export function createTurnDeadline(budgetMs = TURN_AI_BUDGET_MS) {
+  const expiresAt = Date.now() + budgetMs;
+  const signal = AbortSignal.timeout(budgetMs);
+  const remaining = () => Math.max(0, expiresAt - Date.now());
+  return {
+    remaining,
+    allows: (ms = OPTIONAL_AI_MIN_MS) => remaining() >= ms,
+    requestOptions: () => ({
+      ...LIVE_AI_REQUEST_OPTIONS,
+      timeout: Math.max(1, Math.min(LIVE_AI_REQUEST_OPTIONS.timeout, remaining())),
+      signal
+    })
+  };
+}
+
+/**
+ * Options for a live request: bounded by the turn's deadline when there is one
+ */
+export function getLiveRequestOptions(deadline) {
+  return deadline ? deadline.requestOptions() : LIVE_AI_REQUEST_OPTIONS;
+}
+
+if (!openai) {
+  console.warn('⚠️  OpenAI client not configured - OPENAI_API_KEY missing');
+} else {
+  console.log('✅ OpenAI client configured successfully');
+}
+
+// Nodemailer setup
+export const emailTransporter = (process.env.SMTP_HOST && process.env.SMTP_PORT && process.env.SMTP_USER && process.env.SMTP_PASS)
+  ? nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT),
+      secure: parseInt(process.env.SMTP_PORT) === 465, // true for 465, false for other ports
+      auth: {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      }
+    })
+  : null;
+
+if (!emailTransporter) {
+  console.warn('⚠️  Email transporter not configured - SMTP_HOST, SMTP_PORT, SMTP_USER, or SMTP_PASS missing');
+} else {
+  console.log('✅ Email transporter configured successfully');
+}
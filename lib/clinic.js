@@ -0,0 +1,21 @@
+import { supabase } from './clients.js';
+
+// ===== CLINIC SETTINGS =====
+/**
+ * Fetch clinic data from Supabase (always fresh, no caching)
+ * Returns the full clinic object { id, name, phone_number, instructions, created_at }
+ */
+export async function getClinic() {
+  const { data, error } = await supabase
+    .from('clinics')
+    .select('*')
+    .eq('id', process.env.CLINIC_ID)
+    .single();
+
+  if (error) {
+    console.error('Error fetching clinic:', error);
+    throw error;
+  }
+
+  return data;
+}
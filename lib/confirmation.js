@@ -0,0 +1,169 @@
+import { findPhoneNumberInText, parseGermanPhone } from './phone.js';
+import { getCallerLanguageFields, parseYesNo } from './languages.js';
+import { getConversationSource, saveLead } from './leads.js';
+import { CANCELLED_APPOINTMENT_STATUSES, bookConfirmedSlot } from './slots.js';
+import { CALL_ROUTING } from './routing.js';
+import { getKnownCallerLink } from './caller-id.js';
+import {
+  CALLER_INTENTS, formatAppointmentLabel, getIntentFields, updateAppointmentIntent
+} from './intents.js';
+
+// ===== READ-BACK CONFIRMATION =====
+// Once the AI has all fields (LEAD SUMMARY), the receptionist reads name and phone back
+// digit by digit and waits for "ja" or a correction ("nein, die Nummer ist …"). The lead is
+// saved only after that. state.confirmation holds the details while confirming.
+// After this many answers without a "ja", the details are saved as they are (marked unconfirmed)
+export const MAX_CONFIRMATION_ROUNDS = 5;
+
+/**
+ * Phone number as spoken digit groups: "+491701234567" -> "0 1 7, 0 1 2, 3 4 5 6 7"
+ */
+function formatPhoneForSpeech(phone) {
+  const parsed = parseGermanPhone(phone);
+  const digits = (parsed?.national || parsed?.e164 || String(phone || '')).replace(/\D/g, '');
+  const groups = digits.match(/\d{1,3}/g) || [];
+  // Avoid a lone trailing digit
+  if (groups.length > 1 && groups[groups.length - 1].length === 1) {
+    groups[groups.length - 2] += groups.pop();
+  }
+  const spoken = groups.map(group => group.split('').join(' ')).join(', ');
+  return parsed && !parsed.national ? `plus ${spoken}` : spoken;
+}
+
+/**
+ * Read-back question for the details being confirmed
+ */
+export function buildReadBack(confirmation) {
+  return `Ich wiederhole kurz: Ihr Name ist ${confirmation.name}, Ihre Telefonnummer ist ${formatPhoneForSpeech(confirmation.phone)}. Ist das richtig?`;
+}
+
+/**
+ * Corrected name from phrases like "nein, ich heiße Maier" or "der Name ist Anna Maier"
+ * While the name was explicitly asked for, a bare name ("Maier") is accepted as well.
+ */
+function extractNameCorrection(text, nameRequested) {
+  const match = text.match(/(?:name ist|name lautet|heiße|name is)\s+(\p{Lu}[\p{L}\-]*(?:\s+\p{Lu}[\p{L}\-]*){0,3})/u);
+  if (match) return match[1].trim();
+  if (!nameRequested) return null;
+
+  const bare = text.replace(/[.,!?]/g, ' ').replace(/^\s*(?:nein|also|der name ist|mein name ist)\s+/i, '').trim();
+  if (!/^\p{L}[\p{L}\-]*(?:\s+\p{L}[\p{L}\-]*){0,3}$/u.test(bare)) return null;
+  return bare.split(/\s+/).map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+/**
+ * Interpret the caller's answer to the read-back and apply corrections to the confirmation
+ * Returns 'confirmed', 'corrected', 'ask_field', 'ask_name', 'ask_phone' or 'unclear'
+ */
+export function handleConfirmationAnswer(confirmation, speech) {
+  const text = speech || '';
+  const lower = text.toLowerCase();
+  confirmation.rounds += 1;
+
+  const phone = findPhoneNumberInText(text);
+  const name = extractNameCorrection(text, confirmation.pendingField === 'name');
+  if (phone || name) {
+    if (phone) confirmation.phone = phone;
+    if (name) confirmation.name = name;
+    confirmation.corrected = true;
+    confirmation.pendingField = null;
+    return 'corrected';
+  }
+  if (confirmation.pendingField) {
+    return confirmation.pendingField === 'phone' ? 'ask_phone' : 'ask_name';
+  }
+
+  const answer = parseYesNo(text, confirmation.language);
+  if (answer === true) return 'confirmed';
+
+  const mentionsPhone = /nummer|telefon|handy|number|phone/.test(lower);
+  const mentionsName = /name/.test(lower);
+  if (mentionsPhone && !mentionsName) {
+    confirmation.pendingField = 'phone';
+    return 'ask_phone';
+  }
+  if (mentionsName && !mentionsPhone) {
+    confirmation.pendingField = 'name';
+    return 'ask_name';
+  }
+  return answer === false ? 'ask_field' : 'unclear';
+}
+
+/**
+ * What the receptionist says after an answer that did not confirm the details
+ */
+export function getConfirmationReply(result, confirmation) {
+  switch (result) {
+    case 'corrected': return `Danke für die Korrektur. ${buildReadBack(confirmation)}`;
+    case 'ask_field': return 'Was ist nicht richtig, der Name oder die Telefonnummer?';
+    case 'ask_phone': return 'Wie lautet die richtige Telefonnummer? Bitte nennen Sie sie mit Vorwahl.';
+    case 'ask_name': return 'Wie lautet Ihr Name richtig? Sie können ihn auch buchstabieren.';
+    default: return `Entschuldigung, das habe ich nicht verstanden. ${buildReadBack(confirmation)}`;
+  }
+}
+
+/**
+ * Save the lead from the confirmation and book the accepted slot
+ * Unconfirmed details (caller hung up or too many rounds) are saved with a note for the team.
+ * Returns { lead, appointment }
+ */
+export async function saveConfirmedLead(state, callSid, clinic, { confirmed }) {
+  const confirmation = state.confirmation;
+  state.confirmation = null;
+
+  const moving = state.rescheduleAppointment;
+  const note = (confirmed ? '' : '\n\n⚠️ Name und Telefonnummer wurden vom Anrufer nicht bestätigt.') +
+    (moving ? `\n\nTermin verschieben: bisher ${formatAppointmentLabel(moving)}` : '');
+  const savedLead = await saveLead({
+    name: confirmation.name,
+    phone: confirmation.phone,
+    reason: confirmation.reason,
+    preferredTime: confirmation.preferredTime,
+    urgency: confirmation.urgency,
+    requestedTime: confirmation.preferredTime,
+    insurance: state.memory?.insurance_status,
+    insuranceProvider: state.memory?.insurance_provider,
+    patientType: state.memory?.patient_type,
+    intakeAnswers: confirmation.intakeAnswers,
+    timeZone: clinic?.timezone,
+    source: getConversationSource(state),
+    rawText: confirmation.summary + note,
+    callSid,
+    routing: state.routing || (state.afterHours ? CALL_ROUTING.AFTER_HOURS : CALL_ROUTING.IN_HOURS),
+    transcript: state.messages,
+    extra: { ...getKnownCallerLink(state), ...getCallerLanguageFields(state), ...getIntentFields(state) }
+  });
+  if (!savedLead) return { lead: null, appointment: null };
+
+  state.leadSaved = true;
+  state.leadId = savedLead.id;
+  console.log('✅ Lead saved from conversation! ID:', savedLead.id, confirmed ? '(confirmed)' : '(unconfirmed)');
+
+  const appointment = clinic ? await bookConfirmedSlot(state, clinic, confirmation.summary, savedLead) : null;
+  // Rescheduled: the old appointment is cancelled once the new one is booked
+  if (appointment && moving) {
+    try {
+      await updateAppointmentIntent(moving, {
+        intent: 'reschedule',
+        status: CANCELLED_APPOINTMENT_STATUSES[0],
+        note: `Verschoben auf ${formatAppointmentLabel(appointment)}`
+      });
+    } catch (rescheduleError) {
+      console.error('❌ Error cancelling the rescheduled appointment:', rescheduleError);
+    }
+  }
+  return { lead: savedLead, appointment };
+}
+
+/**
+ * Goodbye once the lead is saved
+ * intent: callbacks are promised a call, moved appointments that the old one is cancelled
+ */
+export function buildConfirmationClosing(appointment, intent = null) {
+  let next = appointment
+    ? 'Ihr Termin ist eingetragen.'
+    : 'Das Praxisteam meldet sich zur Bestätigung bei Ihnen.';
+  if (appointment && intent === 'reschedule') next = 'Ihr neuer Termin ist eingetragen und der bisherige Termin abgesagt.';
+  if (!appointment && CALLER_INTENTS[intent]?.callback) next = 'Das Praxisteam ruft Sie zurück.';
+  return `Vielen Dank! Ich habe alle Daten notiert. ${next} Einen schönen Tag!`;
+}
@@ -0,0 +1,115 @@
+import { findRelevantKnowledge, getKnowledgeBase } from './knowledge.js';
+
+// ===== DIALOGUE STATE MACHINE =====
+// The conversation moves through explicit phases, stored in the session state (state.phase).
+// The engine changes the phase from the extracted memory and what the caller just said;
+// the phase decides what the AI is asked to do and when the call is hung up.
+export const CONVERSATION_PHASES = {
+  GREETING: 'greeting',
+  INTENT: 'intent_detection',
+  COLLECTING: 'data_collection',
+  FAQ: 'faq',
+  CONFIRMATION: 'confirmation',
+  TRANSFER: 'transfer',
+  CLOSING: 'closing',
+  ENDED: 'ended'
+};
+
+// Allowed next phases; ended is reachable from everywhere because callers can hang up any time
+const PHASE_TRANSITIONS = {
+  greeting: ['intent_detection', 'ended'],
+  intent_detection: ['data_collection', 'faq', 'confirmation', 'transfer', 'closing', 'ended'],
+  faq: ['intent_detection', 'data_collection', 'confirmation', 'transfer', 'closing', 'ended'],
+  data_collection: ['faq', 'confirmation', 'transfer', 'closing', 'ended'],
+  confirmation: ['closing', 'transfer', 'ended'],
+  transfer: ['ended'],
+  closing: ['ended'],
+  ended: []
+};
+
+// Phases in which the call is over: the reply is the last thing the caller hears
+export const FINAL_PHASES = [CONVERSATION_PHASES.CLOSING, CONVERSATION_PHASES.ENDED];
+
+// Goodbyes end the utterance ("Das war's, danke, tschüss"); "das war alles sehr schmerzhaft" is no goodbye
+const GOODBYE_END = '(?:[\\s,.!]+(?:danke|vielen dank|dankeschön|danke schön|thanks|thank you))*[\\s,.!]*$';
+const GOODBYE_PATTERNS = [
+  new RegExp(`(?:^|[^\\p{L}])(tschüss|tschüs|auf wiederhören|auf wiedersehen|wiederhören|bye|goodbye)${GOODBYE_END}`, 'u'),
+  new RegExp(`\\bdas war(?:['’]?s| es| alles)(?: von mir| erst ?mal| schon)?${GOODBYE_END}`),
+  new RegExp(`\\bthat['’]?s (?:all|it)${GOODBYE_END}`)
+];
+
+const QUESTION_PATTERN = /\?|^(wie|wo|was|wann|welche[mnrs]?|wer|warum|gibt es|kann man|kann ich|darf ich|muss ich|soll ich|haben sie|nehmen sie|bieten sie|machen sie|ist die|ist das|sind sie|how|where|what|when|which|do you|can i|is there)\b/;
+
+export const CALLER_GOODBYE = 'Vielen Dank für Ihren Anruf. Auf Wiederhören!';
+export const CONVERSATION_OVER = 'Das Gespräch ist bereits beendet. Auf Wiederhören!';
+
+/**
+ * Current phase; sessions stored before phases existed are placed from their state
+ */
+export function getConversationPhase(state) {
+  if (state.phase) return state.phase;
+  if (state.confirmation) return CONVERSATION_PHASES.CONFIRMATION;
+  if (state.leadSaved) return CONVERSATION_PHASES.CLOSING;
+  return state.messages?.length ? CONVERSATION_PHASES.INTENT : CONVERSATION_PHASES.GREETING;
+}
+
+/**
+ * Move to another phase; transitions PHASE_TRANSITIONS does not allow are logged and ignored
+ * Returns whether the conversation is now in that phase
+ */
+export function setConversationPhase(state, phase) {
+  const current = getConversationPhase(state);
+  if (current === phase) return true;
+  if (!PHASE_TRANSITIONS[current]?.includes(phase)) {
+    console.warn(`⚠️ Phase change ${current} → ${phase} not allowed`);
+    return false;
+  }
+  console.log(`🧭 Phase: ${current} → ${phase}`);
+  state.phase = phase;
+  return true;
+}
+
+/**
+ * Whether the caller is saying goodbye
+ */
+export function detectGoodbyeIntent(text) {
+  const lower = (text || '').toLowerCase();
+  return GOODBYE_PATTERNS.some(pattern => pattern.test(lower));
+}
+
+/**
+ * Whether the caller asks something the practice knowledge base covers
+ */
+export function detectPracticeQuestion(clinic, text) {
+  const lower = (text || '').trim().toLowerCase();
+  return QUESTION_PATTERN.test(lower) && findRelevantKnowledge(getKnowledgeBase(clinic), lower, 1).length > 0;
+}
+
+/**
+ * Phase for the AI's answer: FAQ for practice questions, otherwise intent detection
+ * until the reason is known and data collection after that
+ */
+export function getAnsweringPhase(state, clinic, text) {
+  if (detectPracticeQuestion(clinic, text)) return CONVERSATION_PHASES.FAQ;
+  return state.memory.reason ? CONVERSATION_PHASES.COLLECTING : CONVERSATION_PHASES.INTENT;
+}
+
+/**
+ * Build the prompt section for the phases in which the AI answers
+ */
+export function formatPhaseInstructions(phase) {
+  const instructions = {
+    [CONVERSATION_PHASES.INTENT]: 'The reason for the call is not known yet. Find out what the caller needs before anything else.',
+    [CONVERSATION_PHASES.FAQ]: 'The caller asked about the practice. Answer from PRACTICE KNOWLEDGE, then continue with the next missing field.',
+    [CONVERSATION_PHASES.COLLECTING]: 'Collect the next missing field. Once all fields are known, output the LEAD SUMMARY.'
+  }[phase];
+  if (!instructions) return '';
+
+  return `
+====================================================
+CONVERSATION PHASE: ${phase.toUpperCase()}
+====================================================
+
+${instructions}
+`;
+}
@@ -0,0 +1,79 @@
+import { supabase } from './clients.js';
+import { normalizePhoneNumber } from './phone.js';
+import { KNOWN_CALLER_LOOKUP_LIMIT } from './caller-id.js';
+import { SAME_PERSON_NAME_SIMILARITY, getNameSimilarity } from './patients.js';
+
+// ===== DUPLICATE LEAD DETECTION & MERGING =====
+// A new lead is flagged (possible_duplicate_of) when an unmerged lead with the same normalised
+// phone number and a similar name was created shortly before. Nothing is blocked at insert
+// time; staff confirm and merge in the dashboard.
+const DUPLICATE_LEAD_WINDOW_DAYS = 14;
+// SQLSTATE codes raised by the merge_leads function (status 'merged', merged_into)
+const MERGE_ERROR_CODES = { notFound: 'LM404', alreadyMerged: 'LM409' };
+
+/**
+ * Find an earlier lead the new one probably duplicates
+ * Placeholder names ('Unbekannt') match on the phone number alone.
+ * Returns the earlier lead or null; never throws so lead saving is not blocked.
+ */
+async function findDuplicateLead({ name, phone }) {
+  const key = normalizePhoneNumber(phone);
+  if (!supabase || !key) return null;
+
+  try {
+    const since = new Date(Date.now() - DUPLICATE_LEAD_WINDOW_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    const { data, error } = await supabase
+      .from('leads')
+      .select('id, name, phone, created_at')
+      .ilike('phone', `%${key.slice(-4)}%`)
+      .is('merged_into', null)
+      .gte('created_at', since)
+      .order('created_at', { ascending: false })
+      .limit(KNOWN_CALLER_LOOKUP_LIMIT);
+    if (error) throw error;
+
+    const isPlaceholder = (value) => !value || value === 'Unbekannt';
+    const duplicate = (data || []).find(lead =>
+      normalizePhoneNumber(lead.phone) === key &&
+      (isPlaceholder(name) || isPlaceholder(lead.name) || getNameSimilarity(name, lead.name) >= SAME_PERSON_NAME_SIMILARITY)
+    );
+    if (duplicate) {
+      console.log('👯 Possible duplicate of lead', duplicate.id);
+    }
+    return duplicate || null;
+  } catch (err) {
+    console.error('❌ Error checking for duplicate leads:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Lead columns flagging a new lead as possible duplicate
+ */
+export async function getDuplicateFlag({ name, phone }) {
+  const duplicate = await findDuplicateLead({ name, phone });
+  return duplicate ? { possible_duplicate_of: duplicate.id } : {};
+}
+
+/**
+ * Merge a duplicate lead into the surviving lead (atomically, via the merge_leads RPC)
+ * The survivor gets the duplicate's notes appended and keeps its own values, filling only
+ * empty fields. Appointments, calls and lead references are re-pointed to the survivor.
+ * The duplicate stays in the table (status 'merged', merged_into) so its history is kept.
+ * Returns { lead } or { error, status } for a request that cannot be merged.
+ */
+export async function mergeLeads(survivorId, duplicateId) {
+  // merge_leads runs the whole merge in one transaction (see the migration for the field rules)
+  const { data: merged, error } = await supabase.rpc('merge_leads', {
+    p_survivor_id: survivorId,
+    p_duplicate_id: duplicateId
+  });
+  if (error) {
+    if (error.code === MERGE_ERROR_CODES.notFound) return { error: 'Lead not found', status: 404 };
+    if (error.code === MERGE_ERROR_CODES.alreadyMerged) return { error: 'Lead was already merged', status: 409 };
+    throw error;
+  }
+
+  console.log(`🔗 Merged lead ${duplicateId} into ${survivorId}`);
+  return { lead: merged };
+}
@@ -0,0 +1,599 @@
+import { getLiveRequestOptions, openai } from './clients.js';
+import { findPhoneNumberInText } from './phone.js';
+import {
+  CALLER_LANGUAGES, DEFAULT_LANGUAGE, formatLanguageInstructions, speaksCallerLanguage
+} from './languages.js';
+import {
+  DEFAULT_INTAKE_SCHEMA, INTAKE_DECLINED, SUMMARY_PLACEHOLDERS, addInsuranceAndPatientType,
+  getIntakeSchema, validateIntakeValue
+} from './intake.js';
+import { formatKnowledgeInstructions } from './knowledge.js';
+import { formatOpeningHoursForPrompt } from './opening-hours.js';
+import { formatKnownCallerInstructions } from './caller-id.js';
+import { CALLER_INTENTS, formatIntentInstructions } from './intents.js';
+import { formatPhaseInstructions } from './dialogue.js';
+
+// ===== CALLER DETAILS EXTRACTION =====
+// Built-in caller details the pattern extractor understands (custom fields need OpenAI)
+const MEMORY_FIELDS = ['name', 'phone', 'reason', 'urgency', 'preferred_time', 'insurance_status', 'patient_type'];
+
+// Extracted values below this confidence count as not collected, so the AI asks again
+const MIN_FIELD_CONFIDENCE = 0.6;
+
+// Confidence reported for values found by the offline pattern extractor
+export const PATTERN_FIELD_CONFIDENCE = 0.5;
+
+// The receptionist's closing block once all fields are known (see buildSystemPrompt)
+export const LEAD_SUMMARY_PATTERN = /LEAD SUMMARY|alle Daten notiert/i;
+
+function extractedField(description, values) {
+  return {
+    type: 'object',
+    properties: {
+      value: values
+        ? { type: ['string', 'null'], enum: [...values, null], description }
+        : { type: ['string', 'null'], description },
+      confidence: { type: 'number', description: 'Wie sicher der Wert ist, 0 bis 1' }
+    },
+    required: ['value', 'confidence'],
+    additionalProperties: false
+  };
+}
+
+// Extractor hints for the built-in fields; custom fields use their label and question
+const BUILT_IN_FIELD_HINTS = {
+  name: 'Vollständiger Name des Patienten',
+  phone: 'Rückrufnummer, wie genannt (mit Vorwahl)',
+  reason: 'Anliegen in wenigen Worten, z.B. "Zahnschmerzen unten links"',
+  preferred_time: 'Wunschtermin wie genannt, z.B. "morgen 15:00" oder "nächste Woche Nachmittag"',
+  insurance_status: 'Art der Krankenversicherung; unbekannt, wenn der Anrufer es nicht weiß oder nicht sagen möchte',
+  patient_type: 'neu = erster Besuch, bestand = schon Patient der Praxis'
+};
+
+// Hints for custom field types, appended to the field's question
+const CUSTOM_FIELD_HINTS = {
+  phone: 'mit Vorwahl',
+  email: 'E-Mail-Adresse',
+  date: 'als TT.MM.JJJJ',
+  number: 'nur die Zahl',
+  yes_no: 'ja oder nein'
+};
+
+/**
+ * Extractor tool for a clinic's intake schema (urgency is always extracted)
+ */
+function buildMemoryExtractionTool(schema) {
+  const properties = {
+    urgency: extractedField('akut bei starken Schmerzen, Schwellung oder Notfall', ['akut', 'normal']),
+    // Read by runIntentStep, so the intent needs no model call of its own
+    intent: extractedField(
+      `Was der Anrufer zuletzt möchte: ${Object.entries(CALLER_INTENTS).map(([key, intent]) => `${key} = ${intent.label}`).join(', ')}`,
+      Object.keys(CALLER_INTENTS)
+    )
+  };
+
+  for (const field of schema) {
+    const hint = BUILT_IN_FIELD_HINTS[field.key]
+      || [`${field.label}: ${field.question || field.label}`, CUSTOM_FIELD_HINTS[field.type]].filter(Boolean).join(' – ');
+    const values = field.type === 'insurance' ? ['gesetzlich', 'privat', 'unbekannt']
+      : field.type === 'patient_type' ? ['neu', 'bestand']
+      : field.type === 'yes_no' ? ['ja', 'nein']
+      : field.type === 'choice' ? field.options
+      : null;
+    // Optional fields the caller skips are recorded as declined instead of asked again
+    properties[field.key] = field.required
+      ? extractedField(hint, values)
+      : extractedField(`${hint}; "${INTAKE_DECLINED}", wenn der Anrufer es nicht sagen möchte`, values && [...values, INTAKE_DECLINED]);
+  }
+
+  return {
+    type: 'function',
+    function: {
+      name: 'record_caller_details',
+      description: 'Speichert die Angaben, die der Anrufer bisher im Gespräch gemacht hat.',
+      parameters: {
+        type: 'object',
+        properties,
+        required: Object.keys(properties),
+        additionalProperties: false
+      }
+    }
+  };
+}
+
+/**
+ * Extract memory object from conversation history
+ * Runs the structured extractor over the whole transcript; without OpenAI (or when the
+ * call fails) the pattern extractor is used instead.
+ * schema: from getIntakeSchema(clinic); answers are validated per field type
+ * deadline: the turn's deadline (createTurnDeadline), if any
+ * Returns: { urgency, intent, insurance_provider, confidence, ...one key per schema field }
+ */
+export async function extractMemoryFromConversation(messages, lastUserMessage, schema = DEFAULT_INTAKE_SCHEMA, { deadline = null } = {}) {
+  const turns = [...messages];
+  if (lastUserMessage && turns[turns.length - 1]?.content !== lastUserMessage) {
+    turns.push({ role: 'user', content: lastUserMessage });
+  }
+
+  const memory = (openai && turns.length > 0 ? await extractMemoryWithTools(turns, schema, deadline) : null)
+    || extractMemoryWithPatterns(messages, lastUserMessage);
+  addInsuranceAndPatientType(memory, turns);
+
+  for (const field of schema) {
+    // Unparseable values (e.g. a time the model mistook for a phone number) count as missing
+    memory[field.key] = validateIntakeValue(field, memory[field.key]);
+    if (!memory[field.key]) memory.confidence[field.key] = null;
+  }
+  return memory;
+}
+
+/**
+ * Structured extraction via OpenAI function calling; returns null if the request fails
+ */
+async function extractMemoryWithTools(turns, schema, deadline) {
+  try {
+    const extractionTool = buildMemoryExtractionTool(schema);
+    const transcript = turns
+      .map(msg => `${msg.role === 'assistant' ? 'Rezeption' : 'Anrufer'}: ${msg.content}`)
+      .join('\n');
+
+    const completion = await openai.chat.completions.create({
+      model: 'gpt-4o-mini',
+      messages: [
+        {
+          role: 'system',
+          content: 'Sie werten Telefonate einer Zahnarztpraxis aus. Tragen Sie nur ein, was der Anrufer selbst gesagt oder der Rezeption bestätigt hat. Unbekannte Angaben sind null. Auch wenn das Gespräch in einer anderen Sprache geführt wurde, tragen Sie die Angaben auf Deutsch ein (Anliegen und Wunschtermin übersetzt, Namen und Nummern unverändert).'
+        },
+        { role: 'user', content: transcript }
+      ],
+      tools: [extractionTool],
+      tool_choice: { type: 'function', function: { name: extractionTool.function.name } },
+      temperature: 0
+    }, getLiveRequestOptions(deadline));
+
+    const toolCall = completion.choices[0].message.tool_calls?.[0];
+    if (!toolCall) throw new Error('No tool call in extractor response');
+    const extracted = JSON.parse(toolCall.function.arguments);
+
+    const memory = { confidence: {} };
+    for (const field of Object.keys(extractionTool.function.parameters.properties)) {
+      const { value = null, confidence = 0 } = extracted[field] || {};
+      const text = typeof value === 'string' ? value.trim() : null;
+      memory[field] = text && confidence >= MIN_FIELD_CONFIDENCE ? text : null;
+      memory.confidence[field] = text ? confidence : null;
+    }
+    memory.urgency = memory.urgency || 'normal';
+    return memory;
+  } catch (error) {
+    console.error('❌ Structured extraction failed, using patterns:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Pattern-based memory extraction (offline fallback for extractMemoryFromConversation)
+ */
+function extractMemoryWithPatterns(messages, lastUserMessage) {
+  const allText = messages.map(m => m.content).join(' ') + ' ' + (lastUserMessage || '');
+  const lowerText = allText.toLowerCase();
+  
+  const memory = {
+    name: null,
+    phone: null,
+    reason: null,
+    urgency: null,
+    preferred_time: null,
+    patient_type: null,
+    insurance_status: null,
+    confidence: {}
+  };
+  
+  // Extract name (look for patterns like "Ich bin X" or "Ich heiße X" or "Name: X")
+  const namePatterns = [
+    /ich (?:bin|heiße|bin der|bin die)\s+([A-ZÄÖÜa-zäöü\s\-]+?)(?:\.|,|\n|das ist|mein|meine|telefon|die nummer)/i,
+    /name[:\s]+([A-ZÄÖÜa-zäöü\s\-]+?)(?:\.|,|\n)/i
+  ];
+  for (const pattern of namePatterns) {
+    const match = allText.match(pattern);
+    if (match) {
+      memory.name = match[1].trim();
+      break;
+    }
+  }
+  
+  // Extract phone (German formats, stored as E.164; times and dates are ignored)
+  memory.phone = findPhoneNumberInText(allText);
+  
+  // Extract reason (pain keywords, procedures, etc.)
+  const painKeywords = ['schmerzen', 'zahnschmerzen', 'weh', 'tut weh', 'schwellung', 'entzündung', 'notfall', 'akut'];
+  const procedureKeywords = ['kontrolle', 'untersuchung', 'zahnreinigung', 'putzen', 'prophylaxe', 'bleaching'];
+  
+  for (const keyword of painKeywords) {
+    if (lowerText.includes(keyword)) {
+      const match = allText.match(new RegExp(`(?:ich habe|wegen|grund|weil|das problem ist)[^.]*${keyword}[^.]*`, 'i'));
+      if (match) {
+        memory.reason = match[0].trim();
+        memory.urgency = 'akut';
+        break;
+      }
+    }
+  }
+  
+  if (!memory.reason) {
+    for (const keyword of procedureKeywords) {
+      if (lowerText.includes(keyword)) {
+        const match = allText.match(new RegExp(`(?:ich möchte|ich brauche|grund|wegen|weil)[^.]*${keyword}[^.]*`, 'i'));
+        if (match) {
+          memory.reason = match[0].trim();
+          break;
+        }
+      }
+    }
+  }
+  
+  // Extract urgency
+  const urgentKeywords = ['schmerzen', 'pochend', 'schwellung', 'entzündung', 'notfall', 'akut', 'schnell', 'dringend'];
+  if (urgentKeywords.some(kw => lowerText.includes(kw))) {
+    memory.urgency = 'akut';
+  } else {
+    memory.urgency = 'normal';
+  }
+  
+  // Extract preferred time (morgen, nächste woche, heute, etc.)
+  const timePatterns = [
+    /(?:wunsch|möchte|lieber|gerne).*?(?:termin|zeit|kommen|besuch).*?(heute|morgen|übermorgen|nächste woche|nächsten montag|nächsten dienstag|nächsten mittwoch|nächsten donnerstag|nächsten freitag|nächsten samstag|nächsten sonntag|in \d+\s*tagen|am \d{1,2}\.\d{1,2}\.|\d{1,2}\.\d{1,2}\.)/i,
+    /(heute|morgen|übermorgen|nächste woche|in \d+\s*tagen)/i
+  ];
+  for (const pattern of timePatterns) {
+    const match = allText.match(pattern);
+    if (match) {
+      memory.preferred_time = match[match.length - 1].trim();
+      break;
+    }
+  }
+  
+  // Patient type and insurance: see addInsuranceAndPatientType
+  
+  for (const field of MEMORY_FIELDS) {
+    memory.confidence[field] = memory[field] ? PATTERN_FIELD_CONFIDENCE : null;
+  }
+  return memory;
+}
+
+/**
+ * Determine which fields are still missing from memory
+ * schema: from getIntakeSchema(clinic); optional fields the caller declined count as answered
+ * Returns the missing field keys in the order they should be asked
+ */
+export function getMissingFields(memory, schema = DEFAULT_INTAKE_SCHEMA) {
+  return schema
+    .filter(field => !memory[field.key] || (field.required && memory[field.key] === INTAKE_DECLINED))
+    .map(field => field.key);
+}
+
+/**
+ * Build memory context for system prompt
+ */
+function formatMemoryInstructions(memory, missingFields, schema = DEFAULT_INTAKE_SCHEMA) {
+  const collected = [];
+  for (const field of schema) {
+    if (!memory[field.key] || missingFields.includes(field.key)) continue;
+    const provider = field.key === 'insurance_status' && memory.insurance_provider ? ` (${memory.insurance_provider})` : '';
+    collected.push(`- ${field.label}: ${memory[field.key]}${provider}`);
+  }
+  if (memory.urgency) collected.push(`- Dringlichkeit: ${memory.urgency}`);
+  
+  let memoryText = '';
+  if (collected.length > 0) {
+    memoryText = `\nALREADY COLLECTED:\n${collected.join('\n')}`;
+  }
+  
+  let nextField = '';
+  if (missingFields.length > 0) {
+    const field = schema.find(f => f.key === missingFields[0]);
+    const optional = field.required ? '' : `\nThis field is optional: if the caller does not want to answer, accept it and note "${INTAKE_DECLINED}".`;
+    nextField = `\nASK FOR: ${field.label} ONLY.${field.question ? `\nSuggested question: "${field.question}"` : ''}${optional}\nDO NOT ask for anything else.`;
+  } else {
+    nextField = '\nALL FIELDS COMPLETE - Output LEAD SUMMARY.';
+  }
+  
+  return memoryText + nextField;
+}
+
+/**
+ * Compute follow-up status for a lead
+ * Lead is overdue if created > 60 minutes ago AND status not "Termin vereinbart" or "Nicht erreicht"
+ */
+export function computeFollowupStatus(lead, now = new Date()) {
+  const created = new Date(lead.created_at);
+  const minutesWaiting = Math.floor((now - created) / 60000);
+  
+  // Overdue if waiting > 60 minutes AND status not scheduled/lost
+  const isOverdue = minutesWaiting > 60 && 
+    lead.status !== 'scheduled' && 
+    lead.status !== 'lost';
+  
+  return {
+    is_overdue: isOverdue,
+    minutes_waiting: minutesWaiting
+  };
+}
+
+/**
+ * Build notifications from leads data
+ * Computes overdue follow-ups and new leads
+ */
+export function buildNotifications(leads, now = new Date()) {
+  const notifications = [];
+  
+  // 1. Overdue follow-ups (> 60 min, not scheduled/lost)
+  leads.forEach(lead => {
+    const followup = computeFollowupStatus(lead, now);
+    if (followup.is_overdue) {
+      notifications.push({
+        type: 'followup_overdue',
+        text: `Rückruf überfällig: ${lead.name} – ${lead.reason || 'Grund nicht angegeben'}`,
+        link: `/leads?lead=${lead.id}`,
+        created_at: lead.created_at,
+        minutes_waiting: followup.minutes_waiting,
+        lead_id: lead.id
+      });
+    }
+  });
+  
+  // 2. New leads (last 15 minutes)
+  const fifteenMinutesAgo = new Date(now - 15 * 60000);
+  leads.forEach(lead => {
+    const leadTime = new Date(lead.created_at);
+    if (leadTime > fifteenMinutesAgo) {
+      notifications.push({
+        type: 'new_lead',
+        text: `Neue Anfrage: ${lead.name} – ${lead.reason || 'Grund nicht angegeben'}`,
+        link: `/leads?lead=${lead.id}`,
+        created_at: lead.created_at,
+        lead_id: lead.id
+      });
+    }
+  });
+  
+  // Sort by created_at desc (newest first)
+  return notifications.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+}
+
+/**
+ * Build the prompt section listing real free slots from the slot engine
+ */
+function formatSlotInstructions(availableSlots) {
+  if (!availableSlots || availableSlots.length === 0) {
+    return '';
+  }
+
+  const slotLines = availableSlots.map(slot => `- ${slot.label} [${slot.date} ${slot.time}]`);
+
+  return `
+====================================================
+FREE APPOINTMENT SLOTS (REAL CALENDAR DATA)
+====================================================
+
+These slots are free in the practice calendar right now:
+${slotLines.join('\n')}
+
+- When you ask for the preferred appointment time, offer two or three of these slots.
+- ONLY offer slots from this list. NEVER invent other times.
+- If the caller accepts a slot, use its label as Wunschtermin and add this line
+  to the LEAD SUMMARY: "Gebuchter Termin: <YYYY-MM-DD HH:MM>" (value from the brackets).
+  Then end with: "Ihr Termin ist eingetragen. Einen schönen Tag!"
+- If none fits, note the caller's own wish as Wunschtermin (the team will call back).
+`;
+}
+
+/**
+ * Unified system prompt for AI receptionist (used in both Twilio and simulator)
+ * Enhanced with intelligent memory tracking and missing field detection
+ * @param {Object} context - Optional { clinic, availableSlots, afterHours, knownCaller, language, knowledge }
+ *   clinic: full clinic row, used to inject structured opening hours/holidays
+ *   availableSlots: free slots from findAvailableSlots() the AI may offer
+ *   afterHours: call came in while the practice is closed
+ *   knownCaller: returning caller from findKnownCaller()
+ *   language: caller language from detectCallerLanguage() (default German)
+ *   knowledge: knowledge base entries for this turn from getKnowledgeForTurn()
+ */
+export function buildSystemPrompt(clinicName, clinicInstructions, memory, missingFields, context = {}) {
+  // The intent may narrow the fields (see getIntentIntakeSchema)
+  const schema = context.intakeSchema || getIntakeSchema(context.clinic);
+  const fieldList = schema.map((field, i) =>
+    `${i + 1}) ${field.label}${field.question ? ` - "${field.question}"` : ''}${field.required ? '' : ' (optional)'}`
+  ).join('\n');
+  const summaryLines = schema.map(field => {
+    const placeholder = field.type === 'choice'
+      ? field.options.join('/')
+      : SUMMARY_PLACEHOLDERS[field.key] || SUMMARY_PLACEHOLDERS[field.type];
+    return `${field.label}: <${placeholder}>`;
+  }).join('\n');
+  const insuranceRule = schema.some(field => field.key === 'insurance_status')
+    ? '\n- If the caller does not know or does not want to say how they are insured, accept it and move on'
+    : '';
+  const optionalRule = schema.some(field => !field.required)
+    ? `\n- Optional fields may be skipped: if the caller does not want to answer, note "${INTAKE_DECLINED}" and move on`
+    : '';
+  const memoryContext = formatMemoryInstructions(memory, missingFields, schema);
+  const slotContext = formatSlotInstructions(context.availableSlots);
+  const knowledgeContext = formatKnowledgeInstructions(context.knowledge);
+  const intentContext = formatIntentInstructions(context.intent);
+  const phaseContext = formatPhaseInstructions(context.phase);
+  const openingHoursContext = context.clinic ? formatOpeningHoursForPrompt(context.clinic) : '';
+  const afterHoursContext = context.afterHours ? `
+AFTER-HOURS CALL:
+- The practice is closed right now. Nobody can call back before the next working day - say so honestly.
+- Still collect all fields so the team can call back.
+- Do NOT promise that someone will call back today.
+` : '';
+  
+  const knownCallerContext = formatKnownCallerInstructions(context.knownCaller);
+  const language = context.language || DEFAULT_LANGUAGE;
+  const languageContext = formatLanguageInstructions(language);
+  const replyLanguage = speaksCallerLanguage(language) ? CALLER_LANGUAGES[language].promptName : 'German';
+  const summaryClosing = speaksCallerLanguage(language)
+    ? `<In ${replyLanguage}: thank the caller, say all details are noted and the practice team will get back to confirm.>`
+    : 'Vielen Dank! Ich habe alle Daten notiert. Das Praxisteam meldet sich zur Bestätigung bei Ihnen. Einen schönen Tag!';
+  
+  return `You are a professional German dental receptionist for ${clinicName}.
+${clinicInstructions}
+${openingHoursContext}${afterHoursContext}${knownCallerContext}
+====================================================
+INTELLIGENT RECEPTIONIST - MEMORY-BASED FLOW
+====================================================
+
+Your job is to collect these ${schema.length} fields (in this order, with the suggested question):
+${fieldList}
+
+${memoryContext}
+
+MEMORY RULES (MANDATORY):
+- NEVER ask for a field the user already provided
+- NEVER ask for multiple fields in one question
+- ONLY ask for the NEXT missing field
+- If user provides multiple fields at once, acknowledge ALL
+- Be human-like and conversational${insuranceRule}${optionalRule}
+${slotContext}${knowledgeContext}${intentContext}${phaseContext}
+====================================================
+LANGUAGE HANDLING (CRITICAL)
+====================================================
+
+${languageContext}
+
+====================================================
+NO TECHNICAL EXPLANATIONS
+====================================================
+
+FORBIDDEN phrases:
+- "Ich bin programmiert..."
+- "Ich bin ein künstliches Modell..."
+- "Ich kann nur..."
+
+REPLACE with human receptionist tone:${language === DEFAULT_LANGUAGE ? '\n- "Ich kann nur auf Deutsch weiterhelfen."' : ''}
+- "Ich unterstütze Sie gern."
+
+You ARE a receptionist, not a program. Act accordingly.
+
+====================================================
+PHONE NUMBER REFUSAL HANDLING
+====================================================
+
+If caller refuses to give phone number:
+
+FIRST ATTEMPT (kind but firm):
+"Kein Problem. Damit das Praxisteam Sie zurückrufen kann, benötige ich bitte eine Telefonnummer."
+
+SECOND ATTEMPT (last chance):
+"Ohne Telefonnummer kann das Team Sie leider nicht zurückrufen. Möchten Sie trotzdem eine Frage stellen, die ich weiterleiten kann?"
+
+AFTER SECOND ATTEMPT: STOP asking for phone.
+- Continue with general help
+- Do not force the issue
+- Remain professional and helpful
+
+====================================================
+HANDLING ODD / UNUSUAL QUESTIONS
+====================================================
+
+If user tests you, asks technical questions, or asks something unrelated:
+- Use fallback: "Ich unterstütze Sie gern. Damit ich Ihnen helfen kann, benötige ich einige Basis-Informationen."
+- Redirect politely to dental appointment context
+
+====================================================
+REPETITION AVOIDANCE
+====================================================
+
+CRITICAL: Never ask the same question identically twice.
+
+If user ignores a question once:
+- Rephrase it with DIFFERENT wording
+- Vary your approach:
+  * "Darf ich Ihren Namen erfahren?" vs "Wie ist Ihr Name?" vs "Ihr Name bitte?"
+  * "Welche Nummer erreicht Sie am besten?" vs "Ihre Telefonnummer bitte?"
+- Ask only ONCE again with new phrasing
+- Then move forward (don't loop)
+
+====================================================
+INTERACTION STYLE
+====================================================
+
+- Keep responses SHORT (max 2 sentences)
+- Always acknowledge what patient said
+- Vary your phrasing to sound natural:
+  * "Darf ich Ihren Namen erfahren?"
+  * "Wie war nochmal Ihr Name?"
+  * "Ihr Name bitte?"
+- For unclear patient input, clarify politely once, then move on
+
+URGENCY DETECTION:
+If patient mentions: "Schmerzen", "starke Schmerzen", "pochend", "Schwellung", "Entzündung", "Notfall"
+→ Say: "Das klingt nach einem akuten Fall. Damit wir schnell helfen können, nehme ich kurz Ihre Daten auf."
+→ Mark urgency as AKUT
+
+====================================================
+WHEN ALL FIELDS ARE KNOWN
+====================================================
+
+Output this EXACT block and NOTHING ELSE:
+
+LEAD SUMMARY
+${summaryLines}
+
+${summaryClosing}
+
+====================================================
+NEVER
+====================================================
+
+- Ask for a field twice with identical wording
+- Give medical advice, or prices that are not in PRACTICE KNOWLEDGE
+- Answer questions about the practice that PRACTICE KNOWLEDGE does not cover
+- Make up appointment slots (only offer slots from FREE APPOINTMENT SLOTS)
+- Continue after LEAD SUMMARY
+- Ask multiple questions at once
+- Explain that you are an AI or a program
+- Respond in any language except ${replyLanguage}
+- Make up excuses ("Ich bin programmiert...")`;
+}
+
+/**
+ * Fill answers the extractor missed from the LEAD SUMMARY block (extracted values win)
+ */
+export function fillFromLeadSummary(memory, aiResponse, schema) {
+  const { leadData } = detectLeadSummary(aiResponse, schema);
+  for (const [key, value] of Object.entries(leadData || {})) {
+    if (!memory[key]) memory[key] = value;
+  }
+  return memory;
+}
+
+/**
+ * Parse the LEAD SUMMARY block: one "<label>: <value>" line per schema field
+ * Returns { hasSummary, leadData } - leadData holds the valid answers by field key
+ * (also when some are missing), hasSummary is true once every required field is there.
+ */
+function detectLeadSummary(aiResponse, schema = DEFAULT_INTAKE_SCHEMA) {
+  const start = aiResponse.indexOf('LEAD SUMMARY');
+  if (start === -1) {
+    return { hasSummary: false, leadData: null };
+  }
+
+  const leadData = {};
+  for (const line of aiResponse.substring(start).split('\n')) {
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+    // Tolerate "- **Name:**" style formatting
+    const label = line.substring(0, separator).replace(/\*/g, '').replace(/^\s*-\s*/, '').trim().toLowerCase();
+    const field = schema.find(f => f.label.toLowerCase() === label);
+    const value = field && validateIntakeValue(field, line.substring(separator + 1).replace(/\*/g, ''));
+    if (value && !leadData[field.key]) leadData[field.key] = value;
+  }
+
+  const missing = getMissingFields(leadData, schema);
+  if (missing.length > 0) {
+    console.warn('⚠️ LEAD SUMMARY found but missing fields:', missing.join(', '));
+  }
+  return { hasSummary: missing.length === 0, leadData };
+}
@@ -0,0 +1,290 @@
+import { sanitizeString } from './validation.js';
+import { normalizePhoneNumber } from './phone.js';
+import { parseYesNo } from './languages.js';
+import { PATTERN_FIELD_CONFIDENCE } from './extraction.js';
+import { PATIENT_INSURANCE_TYPES, PATIENT_TYPES } from './patients.js';
+
+// ===== INTAKE SCHEMA, INSURANCE & PATIENT TYPE =====
+// Each clinic can define the fields its receptionist collects (clinics.intake_schema):
+// [{ key, label, question, type, required, options }] in the order they are asked.
+// label doubles as the line prefix in the LEAD SUMMARY block ("Grund: ...").
+
+// Fields every lead needs (saveLead, read-back, slot booking); always in the schema and required
+const CORE_LEAD_FIELDS = ['name', 'phone', 'reason', 'preferred_time'];
+
+// Fields with their own lead column; their type is fixed
+const BUILT_IN_FIELD_TYPES = {
+  name: 'text',
+  phone: 'phone',
+  reason: 'text',
+  insurance_status: 'insurance',
+  patient_type: 'patient_type',
+  preferred_time: 'text'
+};
+
+// Types clinics can choose for their own fields
+const CUSTOM_FIELD_TYPES = ['text', 'phone', 'email', 'date', 'number', 'yes_no', 'choice'];
+
+// Memory keys that are not intake fields
+const RESERVED_MEMORY_KEYS = ['urgency', 'confidence', 'insurance_provider'];
+
+const MAX_INTAKE_FIELDS = 20;
+
+// Answer recorded when the caller cannot or does not want to answer an optional field
+export const INTAKE_DECLINED = 'keine Angabe';
+
+export const DEFAULT_INTAKE_SCHEMA = [
+  { key: 'name', label: 'Name', question: 'Darf ich Ihren vollständigen Namen erfahren?', type: 'text', required: true },
+  { key: 'phone', label: 'Telefon', question: 'Unter welcher Nummer erreichen wir Sie am besten?', type: 'phone', required: true },
+  { key: 'reason', label: 'Grund', question: 'Worum geht es bei Ihrem Anliegen?', type: 'text', required: true },
+  { key: 'insurance_status', label: 'Versicherung', question: 'Sind Sie gesetzlich oder privat versichert, und bei welcher Krankenkasse?', type: 'insurance', required: true },
+  { key: 'patient_type', label: 'Patient', question: 'Waren Sie schon einmal bei uns in der Praxis?', type: 'patient_type', required: true },
+  { key: 'preferred_time', label: 'Wunschtermin', question: 'Wann würde es Ihnen am besten passen?', type: 'text', required: true }
+];
+
+// Placeholder shown in the LEAD SUMMARY template, by field key or type
+export const SUMMARY_PLACEHOLDERS = {
+  name: 'full name',
+  reason: 'reason',
+  preferred_time: 'time',
+  text: 'answer',
+  phone: 'phone',
+  email: 'e-mail',
+  date: 'TT.MM.JJJJ',
+  number: 'number',
+  yes_no: 'ja/nein',
+  insurance: 'gesetzlich/privat, Krankenkasse',
+  patient_type: 'neu/bestand'
+};
+
+// Krankenkassen and private insurers callers name instead of the insurance type
+const INSURANCE_PROVIDERS = [
+  { pattern: /\btk\b|techniker/, name: 'Techniker Krankenkasse', type: 'gesetzlich' },
+  { pattern: /\baok[\s-]*plus\b/, name: 'AOK PLUS', type: 'gesetzlich' },
+  { pattern: /\baok\b/, name: 'AOK', type: 'gesetzlich' },
+  { pattern: /\bbarmer\b/, name: 'BARMER', type: 'gesetzlich' },
+  { pattern: /\bdak\b/, name: 'DAK-Gesundheit', type: 'gesetzlich' },
+  { pattern: /\bikk\b/, name: 'IKK', type: 'gesetzlich' },
+  { pattern: /\bkkh\b/, name: 'KKH', type: 'gesetzlich' },
+  { pattern: /\bhkk\b/, name: 'hkk', type: 'gesetzlich' },
+  { pattern: /\bhek\b/, name: 'HEK', type: 'gesetzlich' },
+  { pattern: /knappschaft/, name: 'Knappschaft', type: 'gesetzlich' },
+  { pattern: /\bsbk\b/, name: 'SBK', type: 'gesetzlich' },
+  { pattern: /\bbkk\b|betriebskrankenkasse/, name: 'BKK', type: 'gesetzlich' },
+  { pattern: /\bdebeka\b/, name: 'Debeka', type: 'privat' },
+  { pattern: /\ballianz\b/, name: 'Allianz', type: 'privat' },
+  { pattern: /\baxa\b/, name: 'AXA', type: 'privat' },
+  { pattern: /\bdkv\b/, name: 'DKV', type: 'privat' },
+  { pattern: /signal[\s-]*iduna/, name: 'Signal Iduna', type: 'privat' },
+  { pattern: /\bhuk\b/, name: 'HUK-COBURG', type: 'privat' },
+  { pattern: /\bbarmenia\b/, name: 'Barmenia', type: 'privat' },
+  { pattern: /\bgothaer\b/, name: 'Gothaer', type: 'privat' },
+  { pattern: /\bcontinentale\b/, name: 'Continentale', type: 'privat' },
+  { pattern: /\bhallesche\b/, name: 'Hallesche', type: 'privat' },
+  { pattern: /hanse[\s-]*merkur/, name: 'HanseMerkur', type: 'privat' },
+  { pattern: /\bcentral\b/, name: 'Central', type: 'privat' },
+  { pattern: /\bnürnberger\b/, name: 'Nürnberger', type: 'privat' },
+  { pattern: /\br\s*\+\s*v\b|\br und v\b/, name: 'R+V', type: 'privat' },
+  { pattern: /\bukv\b/, name: 'UKV', type: 'privat' },
+  { pattern: /\binter\s+versicherung|\binter\s+krankenversicherung/, name: 'INTER', type: 'privat' },
+  { pattern: /postbeamtenkrankenkasse|\bpbeakk\b/, name: 'Postbeamtenkrankenkasse', type: 'privat' }
+];
+
+/**
+ * Check a clinic's intake schema (settings / API input)
+ */
+export function isValidIntakeSchema(schema) {
+  if (!Array.isArray(schema) || schema.length === 0 || schema.length > MAX_INTAKE_FIELDS) return false;
+
+  const keys = new Set();
+  const labels = new Set();
+  for (const field of schema) {
+    if (!field || typeof field !== 'object') return false;
+    if (typeof field.key !== 'string' || !/^[a-z][a-z0-9_]{1,39}$/.test(field.key)) return false;
+    if (keys.has(field.key) || RESERVED_MEMORY_KEYS.includes(field.key)) return false;
+    keys.add(field.key);
+
+    // The label prefixes a LEAD SUMMARY line, so it must fit on one line before the colon
+    if (typeof field.label !== 'string' || !/^[^:\n]{1,60}$/.test(field.label.trim())) return false;
+    if (labels.has(field.label.trim().toLowerCase())) return false;
+    labels.add(field.label.trim().toLowerCase());
+    if (field.question !== undefined && (typeof field.question !== 'string' || field.question.length > 300)) return false;
+    if (field.required !== undefined && typeof field.required !== 'boolean') return false;
+
+    const builtInType = BUILT_IN_FIELD_TYPES[field.key];
+    if (builtInType ? (field.type && field.type !== builtInType) : !CUSTOM_FIELD_TYPES.includes(field.type)) return false;
+    if (field.type === 'choice') {
+      const options = field.options;
+      if (!Array.isArray(options) || options.length < 2 || options.length > 20) return false;
+      if (!options.every(option => typeof option === 'string' && option.trim() && option.length <= 60)) return false;
+    }
+  }
+  return CORE_LEAD_FIELDS.every(key => keys.has(key));
+}
+
+/**
+ * The clinic's intake schema, or the default one
+ * Built-in fields get their fixed type; core fields are always required.
+ */
+export function getIntakeSchema(clinic) {
+  const schema = isValidIntakeSchema(clinic?.intake_schema) ? clinic.intake_schema : DEFAULT_INTAKE_SCHEMA;
+  return schema.map(field => ({
+    key: field.key,
+    label: field.label.trim(),
+    question: sanitizeString(field.question),
+    type: BUILT_IN_FIELD_TYPES[field.key] || field.type,
+    required: CORE_LEAD_FIELDS.includes(field.key) || field.required !== false,
+    ...(field.type === 'choice' ? { options: field.options.map(option => option.trim()) } : {})
+  }));
+}
+
+/**
+ * Date answer as ISO date: "14.03.1985" or "1985-03-14" -> "1985-03-14"
+ */
+export function parseDateAnswer(value) {
+  const german = value.match(/^(\d{1,2})\.\s*(\d{1,2})\.\s*(\d{4})$/);
+  const iso = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const [year, month, day] = german
+    ? [german[3], german[2], german[1]].map(Number)
+    : iso ? [iso[1], iso[2], iso[3]].map(Number) : [];
+  if (!year) return null;
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Validate and normalise an extracted answer for its field type
+ * Returns the value to keep in memory, INTAKE_DECLINED or null (not collected)
+ */
+export function validateIntakeValue(field, value) {
+  const text = typeof value === 'string' ? value.trim() : '';
+  if (!text) return null;
+  if (text.toLowerCase() === INTAKE_DECLINED.toLowerCase()) return INTAKE_DECLINED;
+
+  switch (field.type) {
+    case 'phone':
+      return normalizePhoneNumber(text);
+    case 'email':
+      return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text) ? text.toLowerCase() : null;
+    case 'date':
+      return parseDateAnswer(text);
+    case 'number':
+      return /^-?\d+(?:[.,]\d+)?$/.test(text) ? text.replace(',', '.') : null;
+    case 'yes_no': {
+      const answer = parseYesNo(text);
+      return answer === null ? null : (answer ? 'ja' : 'nein');
+    }
+    case 'choice':
+      return field.options.find(option => option.toLowerCase() === text.toLowerCase()) || null;
+    case 'insurance':
+      // Summary lines read "gesetzlich, AOK"
+      return PATIENT_INSURANCE_TYPES.includes(text) ? text : parseInsurance(text)?.type || null;
+    case 'patient_type':
+      return PATIENT_TYPES.includes(text) ? text : null;
+    default:
+      return text.substring(0, 500);
+  }
+}
+
+/**
+ * Answers to the clinic's own fields (built-in fields have lead columns)
+ * Stored on the lead as { key: { label, value } } so labels survive schema changes.
+ */
+export function getIntakeAnswers(memory, schema) {
+  const answers = {};
+  for (const field of schema || []) {
+    if (BUILT_IN_FIELD_TYPES[field.key] || !memory?.[field.key]) continue;
+    answers[field.key] = { label: field.label, value: memory[field.key] };
+  }
+  return answers;
+}
+
+// "nicht privat", "keine Beihilfe": up to one word between the negation and the mention
+const INSURANCE_NEGATION_PATTERN = /\b(nicht|kein|keine|keiner)\s+(\p{L}+\s+)?$/u;
+
+/**
+ * Where the pattern occurs in the text: 'affirmed', 'negated' (only behind "nicht"/"kein") or null
+ */
+function findInsuranceMention(lower, pattern) {
+  const matches = [...lower.matchAll(new RegExp(pattern.source, 'g'))];
+  if (matches.length === 0) return null;
+  const negated = matches.every(match => INSURANCE_NEGATION_PATTERN.test(lower.substring(0, match.index)));
+  return negated ? 'negated' : 'affirmed';
+}
+
+/**
+ * Insurance from the caller's words: "AOK" -> { type: 'gesetzlich', provider: 'AOK' }
+ * Beihilfe counts as private insurance. A negated type ("nicht privat, sondern gesetzlich",
+ * "nicht gesetzlich versichert") counts as the other one. Returns { type, provider } or null.
+ */
+function parseInsurance(text) {
+  const lower = (text || '').toLowerCase();
+  const beihilfe = findInsuranceMention(lower, /beihilfe/) === 'affirmed';
+  const provider = INSURANCE_PROVIDERS.find(entry => findInsuranceMention(lower, entry.pattern) === 'affirmed');
+
+  if (provider) {
+    const type = beihilfe ? 'privat' : provider.type;
+    return { type, provider: beihilfe ? `${provider.name} + Beihilfe` : provider.name };
+  }
+  if (beihilfe) return { type: 'privat', provider: 'Beihilfe' };
+
+  const privat = findInsuranceMention(lower, /privat\s*versichert|privatpatient|private[nr]?\s+krankenversicherung|\bpkv\b/);
+  const gesetzlich = findInsuranceMention(lower, /gesetzlich|kassenpatient|\bgkv\b/);
+  if (privat === 'affirmed' && gesetzlich !== 'affirmed') return { type: 'privat', provider: null };
+  if (gesetzlich === 'affirmed' && privat !== 'affirmed') return { type: 'gesetzlich', provider: null };
+  if (privat === 'negated' && !gesetzlich) return { type: 'gesetzlich', provider: null };
+  if (gesetzlich === 'negated' && !privat) return { type: 'privat', provider: null };
+  return null;
+}
+
+/**
+ * Patient type from the conversation: 'neu', 'bestand' or null
+ * Also understands a plain "ja"/"nein" to the question whether the caller was here before.
+ */
+function parsePatientType(messages) {
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const msg = messages[i];
+    if (msg.role !== 'user') continue;
+    const lower = msg.content.toLowerCase();
+
+    if (/zum ersten mal|bin neu|neue[rn]? patient|noch nie (?:bei ihnen|da|hier)/.test(lower)) return 'neu';
+    if (/(?:bin|war) (?:schon|bereits)(?: \p{L}+)? (?:patient|bei ihnen|da|hier)|schon mal (?:bei ihnen|da|hier)/u.test(lower)) return 'bestand';
+
+    const question = messages[i - 1];
+    if (question?.role === 'assistant' && /schon einmal|schon mal|bereits patient|neu bei uns/i.test(question.content)) {
+      const answer = parseYesNo(msg.content);
+      if (answer !== null) {
+        // "Sind Sie neu bei uns?" flips the meaning of "ja"
+        const asksIfNew = /neu bei uns/i.test(question.content);
+        return answer !== asksIfNew ? 'bestand' : 'neu';
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Fill insurance provider/type and patient type from the caller's own words
+ * Provider names are unambiguous, so they win over the extractor's insurance type.
+ */
+export function addInsuranceAndPatientType(memory, turns) {
+  const callerText = turns
+    .filter(msg => msg.role === 'user')
+    .map(msg => msg.content)
+    .join(' ');
+
+  const insurance = parseInsurance(callerText);
+  if (insurance && (insurance.provider || !memory.insurance_status || memory.insurance_status === 'unbekannt')) {
+    memory.insurance_status = insurance.type;
+    memory.confidence.insurance_status = Math.max(memory.confidence.insurance_status || 0, PATTERN_FIELD_CONFIDENCE);
+  }
+  memory.insurance_provider = insurance?.provider || null;
+
+  if (!memory.patient_type) {
+    memory.patient_type = parsePatientType(turns);
+    if (memory.patient_type) memory.confidence.patient_type = PATTERN_FIELD_CONFIDENCE;
+  }
+  return memory;
+}
@@ -0,0 +1,412 @@
+import { LIVE_AI_REQUEST_OPTIONS, openai, supabase } from './clients.js';
+import { isNonEmptyString } from './validation.js';
+import { normalizePhoneNumber } from './phone.js';
+import { normalizeSpokenInput } from './spoken-input.js';
+import { parseYesNo } from './languages.js';
+import {
+  CANCELLED_APPOINTMENT_STATUSES, DEFAULT_TIMEZONE, formatSlotLabel, getZonedDateTime
+} from './slots.js';
+import { KNOWN_CALLER_LOOKUP_LIMIT } from './caller-id.js';
+import { SAME_PERSON_NAME_SIMILARITY, getNameSimilarity } from './patients.js';
+import { detectPracticeQuestion } from './dialogue.js';
+
+// ===== CALLER INTENTS =====
+// What the caller wants decides the sub-flow: new appointments go through the full intake,
+// cancel/reschedule/running late work on the caller's existing appointment, and the other
+// intents only take name, phone and the question so the team can call back.
+// The intent is stored on the lead (leads.intent) and on appointments it touches (appointments.intent).
+// Patterns are tried in this order, so the more specific intents come first; a question
+// comes before appointment because "eine Frage zu meinem Termin" is not a booking.
+export const CALLER_INTENTS = {
+  reschedule: {
+    label: 'Terminverschiebung',
+    patterns: [
+      /\b(verschieben|verlegen|umbuchen|umlegen)\b/,
+      /\btermin\b.*(ändern|tauschen)/,
+      /\b(reschedule|move my appointment)\b/
+    ],
+    lookup: true,
+    intakeFields: ['name', 'phone', 'reason', 'preferred_time']
+  },
+  running_late: {
+    label: 'Verspätung',
+    patterns: [
+      /\bverspät/,
+      /\b(komme|bin)\b.*\b(etwas|paar minuten|bisschen|\d+ minuten)\s+(später|zu spät)/,
+      /\b(im stau|stecke fest|verpasse den bus)\b/,
+      /\b(running late|be late)\b/
+    ],
+    lookup: true,
+    callback: true,
+    defaultReason: 'Verspätung'
+  },
+  cancel: {
+    label: 'Terminabsage',
+    patterns: [
+      /\b(absagen|stornieren|canceln|abmelden)\b/,
+      /\btermin\b.*\b(streichen|nicht wahrnehmen)\b/,
+      /\bcancel\b/
+    ],
+    lookup: true,
+    callback: true,
+    defaultReason: 'Terminabsage'
+  },
+  billing: {
+    label: 'Abrechnung',
+    patterns: [
+      /\b(rechnung|abrechnung|mahnung|zahlungserinnerung|kostenvoranschlag|heil- und kostenplan|eigenanteil)/,
+      /\b(bezahlt|bezahlen|zahlung)\b/,
+      /\b(invoice|bill|billing|payment)\b/
+    ],
+    callback: true
+  },
+  prescription: {
+    label: 'Rezept',
+    patterns: [/\b(folge)?rezept(e|es)?\b/, /\bprescription\b/],
+    callback: true
+  },
+  referral: {
+    label: 'Überweisung',
+    patterns: [/überweisung/, /\breferral\b/],
+    callback: true
+  },
+  question: {
+    label: 'Allgemeine Frage',
+    patterns: [/\b(eine|kurze|nur eine|allgemeine) frage\b/, /\b(a|one|quick) question\b/],
+    callback: true
+  },
+  appointment: {
+    label: 'Terminwunsch',
+    patterns: [/\b(termin|appointment)\b/]
+  }
+};
+
+// Callbacks have no preferred time to collect
+const CALLBACK_PREFERRED_TIME = 'Rückruf erbeten';
+// Times we ask for the number an appointment is booked under before taking a callback instead
+const INTENT_PHONE_ATTEMPTS = 2;
+// Reported by /api/test/nlu, by how the intent was found
+export const INTENT_CONFIDENCE = { pattern: 0.9, knowledge: 0.85, ai: 0.75, default: 0.5 };
+
+// Per-intent prompt rules for the AI (new appointments need none)
+const INTENT_INSTRUCTIONS = {
+  reschedule: 'The caller wants to move an existing appointment. Ask when would suit them instead and offer FREE APPOINTMENT SLOTS.',
+  running_late: 'The caller is running late. Take name and phone number and note how late they will be as the reason, so the team knows.',
+  cancel: 'The caller wants to cancel an appointment. Take name and phone number and note which appointment (day/time if known) as the reason, so the team can cancel it.',
+  billing: 'The caller has a question about an invoice or costs. Do NOT discuss amounts or make promises. Note the question (invoice date or number if known) as the reason; the team calls back.',
+  prescription: 'The caller needs a prescription. Do NOT promise one - the dentist decides. Note what it is for (medication, if known) as the reason; the team calls back.',
+  referral: 'The caller needs a referral. Note to whom and what for as the reason; the team calls back.',
+  question: 'The caller has a question. If PRACTICE KNOWLEDGE answers it, answer and ask whether there is anything else - do not ask for personal details. Only if it does not, note the question as the reason and take name and phone number for a callback.'
+};
+
+/**
+ * Intent from the rule patterns; null if none matches
+ */
+function detectIntentByPatterns(lower) {
+  return Object.keys(CALLER_INTENTS).find(key => CALLER_INTENTS[key].patterns.some(pattern => pattern.test(lower))) || null;
+}
+
+/**
+ * Ask the model for the intent key; null if unclear or the request fails
+ */
+async function detectIntentWithAI(text) {
+  try {
+    const completion = await openai.chat.completions.create({
+      model: 'gpt-4o-mini',
+      messages: [
+        {
+          role: 'system',
+          content: `What does this caller to a dental practice want? Reply with exactly one of: ${Object.keys(CALLER_INTENTS).join(', ')}. Reply "unknown" if the message does not say yet.`
+        },
+        { role: 'user', content: text }
+      ],
+      temperature: 0,
+      max_tokens: 8
+    }, LIVE_AI_REQUEST_OPTIONS);
+    const key = completion.choices[0].message.content.trim().toLowerCase().replace(/[^a-z_]/g, '');
+    return CALLER_INTENTS[key] ? key : null;
+  } catch (err) {
+    console.error('⚠️ Intent detection failed:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Classify what the caller wants: rule patterns, practice questions, then the model
+ * aiIntent: the intent the memory extractor already read from the call; saves the model call
+ * Returns { intent, source: 'pattern' | 'knowledge' | 'ai' } or null if it is not clear yet
+ */
+export async function classifyCallerIntent(clinic, text, { useAI = true, aiIntent = null } = {}) {
+  if (!isNonEmptyString(text)) return null;
+  const lower = text.trim().toLowerCase();
+
+  const byPattern = detectIntentByPatterns(lower);
+  if (byPattern) return { intent: byPattern, source: 'pattern' };
+  if (clinic && detectPracticeQuestion(clinic, lower)) return { intent: 'question', source: 'knowledge' };
+  if (CALLER_INTENTS[aiIntent]) return { intent: aiIntent, source: 'ai' };
+  if (useAI && openai) {
+    const byAI = await detectIntentWithAI(text);
+    if (byAI) return { intent: byAI, source: 'ai' };
+  }
+  return null;
+}
+
+/**
+ * German label for an intent key
+ */
+export function getIntentLabel(intent) {
+  return CALLER_INTENTS[intent]?.label || intent;
+}
+
+/**
+ * Intake fields for the intent: callbacks only need name, phone and reason,
+ * moving an appointment also the new time; new appointments use the clinic's full schema
+ */
+export function getIntentIntakeSchema(schema, intent) {
+  const keys = CALLER_INTENTS[intent]?.intakeFields || (CALLER_INTENTS[intent]?.callback ? ['name', 'phone', 'reason'] : null);
+  return keys ? schema.filter(field => keys.includes(field.key)) : schema;
+}
+
+/**
+ * Fill what the intent already tells us: the appointment being moved, or the callback defaults
+ */
+export function applyIntentDefaults(memory, state) {
+  const intent = CALLER_INTENTS[state.intent];
+  if (!intent) return memory;
+  const appointment = state.rescheduleAppointment;
+  return {
+    ...memory,
+    name: memory.name || appointment?.patient_name || null,
+    phone: memory.phone || appointment?.phone || null,
+    reason: memory.reason || appointment?.reason || (state.appointmentNotFound ? intent.defaultReason : null) || null,
+    preferred_time: memory.preferred_time || (intent.callback ? CALLBACK_PREFERRED_TIME : null)
+  };
+}
+
+/**
+ * Lead columns for the call's intent
+ */
+export function getIntentFields(state) {
+  return state?.intent ? { intent: state.intent } : {};
+}
+
+/**
+ * "Dienstag, 16.12. um 10:30 Uhr" for an appointments row
+ */
+export function formatAppointmentLabel(appointment) {
+  return formatSlotLabel(appointment.appointment_date, String(appointment.appointment_time).slice(0, 5));
+}
+
+/**
+ * The caller's next appointment that is not cancelled, by any of the given numbers
+ * onlyToday: just today's appointment (running late)
+ */
+async function findCallerAppointment(phones, { timeZone = DEFAULT_TIMEZONE, onlyToday = false } = {}) {
+  if (!supabase) return null;
+  const today = getZonedDateTime(new Date(), timeZone).date;
+  const keys = [...new Set(phones.map(phone => phone && normalizePhoneNumber(phone)).filter(Boolean))];
+
+  for (const key of keys) {
+    let query = supabase
+      .from('appointments')
+      .select('id, lead_id, patient_name, phone, reason, appointment_date, appointment_time, notes, status')
+      .ilike('phone', `%${key.slice(-4)}%`)
+      .gte('appointment_date', today);
+    if (onlyToday) query = query.lte('appointment_date', today);
+
+    const { data, error } = await query
+      .order('appointment_date', { ascending: true })
+      .order('appointment_time', { ascending: true })
+      .limit(KNOWN_CALLER_LOOKUP_LIMIT);
+    if (error) throw error;
+
+    const appointment = (data || []).find(apt =>
+      normalizePhoneNumber(apt.phone) === key && !CANCELLED_APPOINTMENT_STATUSES.includes(apt.status)
+    );
+    if (appointment) return appointment;
+  }
+  return null;
+}
+
+/**
+ * Record the intent on an appointment, optionally with a new status and a note for the team
+ */
+export async function updateAppointmentIntent(appointment, { intent, status, note }) {
+  const notes = [appointment.notes, note].filter(Boolean).join('\n');
+  const { error } = await supabase
+    .from('appointments')
+    .update({ intent, notes, ...(status ? { status } : {}) })
+    .eq('id', appointment.id);
+  if (error) throw error;
+  console.log('📅 Appointment updated for intent:', appointment.id, intent, status || '');
+}
+
+/**
+ * Minutes the caller says they will be late, or null
+ */
+function parseDelayMinutes(text) {
+  const lower = (normalizeSpokenInput(text) || '').toLowerCase();
+  if (/halbe(n)? stunde|half an hour/.test(lower)) return 30;
+  if (/viertelstunde|quarter of an hour/.test(lower)) return 15;
+  const match = lower.match(/(\d{1,3})\s*(min|minuten|minutes)\b/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Cancel, reschedule or note the delay once the caller's appointment is found
+ * The caller ID is trusted; an appointment found by a number the caller only says is used
+ * only if it is booked under the caller's name, so nobody can move someone else's appointment.
+ * Returns { reply, done } for the caller, or null to let the AI take over
+ */
+async function runAppointmentIntent(state, text) {
+  const flow = state.intentFlow;
+  const callerId = state.fromNumber && normalizePhoneNumber(state.fromNumber);
+  const spokenPhone = state.memory.phone && normalizePhoneNumber(state.memory.phone);
+  if (!callerId && !spokenPhone) {
+    if (flow.attempts < INTENT_PHONE_ATTEMPTS) {
+      flow.attempts += 1;
+      return { reply: 'Gern. Unter welcher Telefonnummer ist Ihr Termin eingetragen?', done: false };
+    }
+    // Without a number we cannot find the appointment: the team calls back
+    state.intentFlow = null;
+    state.appointmentNotFound = true;
+    return null;
+  }
+
+  let appointment = null;
+  let bySpokenNumber = false;
+  try {
+    const lookupOptions = { timeZone: state.timeZone, onlyToday: state.intent === 'running_late' };
+    if (callerId) appointment = await findCallerAppointment([callerId], lookupOptions);
+    if (!appointment && spokenPhone && spokenPhone !== callerId) {
+      appointment = await findCallerAppointment([spokenPhone], lookupOptions);
+      bySpokenNumber = !!appointment;
+    }
+  } catch (lookupError) {
+    console.warn('⚠️ Appointment lookup failed:', lookupError.message);
+  }
+  if (appointment && bySpokenNumber && !state.memory.name && !flow.nameAsked) {
+    flow.nameAsked = true;
+    return { reply: 'Auf welchen Namen ist der Termin eingetragen?', done: false };
+  }
+  state.intentFlow = null;
+  if (appointment && bySpokenNumber
+    && getNameSimilarity(state.memory.name, appointment.patient_name) < SAME_PERSON_NAME_SIMILARITY) {
+    // Same answer as no appointment, so the lookup reveals nothing about other patients
+    console.log('🔍 Appointment under the given number is booked under another name:', appointment.id);
+    appointment = null;
+  }
+  if (!appointment) {
+    console.log('🔍 No appointment found for intent:', state.intent);
+    state.appointmentNotFound = true;
+    return null;
+  }
+
+  const label = formatAppointmentLabel(appointment);
+  console.log('📅 Appointment found for intent:', state.intent, appointment.id, label);
+  if (state.intent === 'cancel') {
+    state.intentFlow = { step: 'confirm_cancel', appointment };
+    return { reply: `Ich habe Ihren Termin am ${label} gefunden. Soll ich diesen Termin absagen?`, done: false };
+  }
+  if (state.intent === 'reschedule') {
+    state.rescheduleAppointment = appointment;
+    state.memory = applyIntentDefaults(state.memory, state);
+    return { reply: `Ich habe Ihren Termin am ${label} gefunden. Wann würde es Ihnen stattdessen passen?`, done: false };
+  }
+
+  // Running late: note it on today's appointment
+  const delay = parseDelayMinutes(state.messages.filter(msg => msg.role === 'user').map(msg => msg.content).join(' '));
+  const calledAt = getZonedDateTime(new Date(), state.timeZone).time;
+  await updateAppointmentIntent(appointment, {
+    intent: 'running_late',
+    note: `Verspätung gemeldet${delay ? ` (ca. ${delay} Minuten)` : ''} – Anruf um ${calledAt} Uhr`
+  });
+  const time = String(appointment.appointment_time).slice(0, 5);
+  return {
+    reply: `Danke für Ihren Anruf. Ich habe bei Ihrem Termin heute um ${time} Uhr vermerkt, dass Sie ${delay ? `etwa ${delay} Minuten ` : ''}später kommen. Bis gleich!`,
+    done: true
+  };
+}
+
+/**
+ * Answer to "Soll ich diesen Termin absagen?"
+ */
+async function confirmCancellation(state, text) {
+  const { appointment } = state.intentFlow;
+  const label = formatAppointmentLabel(appointment);
+  const answer = parseYesNo(text, state.language);
+
+  if (answer === true) {
+    state.intentFlow = null;
+    await updateAppointmentIntent(appointment, {
+      intent: 'cancel',
+      status: CANCELLED_APPOINTMENT_STATUSES[0],
+      note: `Vom Patienten telefonisch abgesagt (${getZonedDateTime(new Date(), state.timeZone).date})`
+    });
+    return { reply: `Ihr Termin am ${label} ist abgesagt. Vielen Dank für Ihren Anruf und einen schönen Tag!`, done: true };
+  }
+  if (answer === false) {
+    // Keep the appointment; whatever the caller says next is classified afresh
+    // (the extractor may still read "cancel" from the call, so that answer is ignored)
+    state.intentFlow = null;
+    state.intent = null;
+    state.declinedIntent = 'cancel';
+    return { reply: 'In Ordnung, der Termin bleibt bestehen. Kann ich sonst etwas für Sie tun?', done: false };
+  }
+  return { reply: `Soll ich den Termin am ${label} absagen? Bitte antworten Sie mit Ja oder Nein.`, done: false };
+}
+
+/**
+ * Intent step of a conversation turn: classify the caller's intent and run the appointment sub-flows
+ * Returns { reply, done } when the sub-flow answers the caller itself, null when the AI answers
+ */
+export async function runIntentStep(state, text, clinic) {
+  if (state.confirmation || state.leadSaved) return null;
+
+  try {
+    if (state.intentFlow?.step === 'confirm_cancel') return await confirmCancellation(state, text);
+    if (state.intentFlow) return await runAppointmentIntent(state, text);
+
+    // The intent is settled once; a general question can still turn into something specific
+    if (state.intent && state.intent !== 'question') return null;
+    const aiIntent = state.memory.intent !== state.declinedIntent ? state.memory.intent : null;
+    const detected = await classifyCallerIntent(clinic, text, { useAI: false, aiIntent });
+    const intent = detected?.intent || (!state.intent && state.memory.reason ? 'appointment' : null);
+    if (!intent || intent === state.intent) return null;
+
+    state.intent = intent;
+    console.log('🎯 Caller intent:', intent, detected ? `(${detected.source})` : '(default)');
+    if (!CALLER_INTENTS[intent].lookup) return null;
+    state.intentFlow = { step: 'lookup', attempts: 0 };
+    return await runAppointmentIntent(state, text);
+  } catch (err) {
+    // The AI carries on with the callback intake
+    console.error('❌ Error in intent sub-flow:', err);
+    state.intentFlow = null;
+    state.appointmentNotFound = true;
+    return null;
+  }
+}
+
+/**
+ * Build the prompt section for the caller's intent
+ * intent: { key, appointment (being moved), notFound (no appointment under the caller's number) }
+ */
+export function formatIntentInstructions(intent) {
+  const instructions = intent && INTENT_INSTRUCTIONS[intent.key];
+  if (!instructions) return '';
+
+  const appointment = intent.appointment
+    ? `\nThe appointment being moved: ${formatAppointmentLabel(intent.appointment)}${intent.appointment.reason ? ` (${intent.appointment.reason})` : ''}. Only ask for the new time.`
+    : '';
+  const notFound = intent.notFound
+    ? '\nNo appointment was found under the caller\'s number. Say so briefly; the practice team will take care of it.'
+    : '';
+  return `
+====================================================
+CALLER INTENT: ${getIntentLabel(intent.key).toUpperCase()}
+====================================================
+
+${instructions}${appointment}${notFound}
+`;
+}
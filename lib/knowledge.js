@@ -0,0 +1,160 @@
+// ===== CLINIC KNOWLEDGE BASE =====
+// Facts the practice wants callers to hear (services, parking, accessibility, payment,
+// accepted insurances, what to bring, price ranges). Each clinic keeps its own entries in
+// clinics.knowledge_base: [{ category, title, content }]. Every turn the entries that fit
+// the caller's last words are put into the prompt; anything else is forwarded to the team.
+// A clinic without entries has no facts: every practice question is forwarded.
+const MAX_KNOWLEDGE_ENTRIES = 50;
+// Entries put into the prompt per turn
+const KNOWLEDGE_ENTRIES_PER_TURN = 3;
+const KNOWLEDGE_MIN_SCORE = 2;
+export const KNOWLEDGE_FORWARD_PHRASE = 'Das gebe ich gern an das Praxisteam weiter, es meldet sich dazu bei Ihnen.';
+
+// words: stems that point to the category, also in English for callers in other languages
+const KNOWLEDGE_CATEGORIES = {
+  leistungen: {
+    label: 'Leistungen',
+    words: ['leistung', 'behandl', 'angebot', 'anbiet', 'bieten', 'implantat', 'bleach', 'aufhell', 'prophylax', 'zahnreinig',
+      'kieferorthopäd', 'zahnspang', 'wurzel', 'füllung', 'kron', 'brück', 'prothes', 'aligner', 'narkos', 'lachgas', 'treatment', 'offer']
+  },
+  parken: {
+    label: 'Parken & Anfahrt',
+    words: ['park', 'parkplatz', 'auto', 'stellplatz', 'tiefgarag', 'anfahrt', 'anreis', 'haltestell', 'straßenbahn', 'bus', 'bahn', 'parking', 'car']
+  },
+  barrierefreiheit: {
+    label: 'Barrierefreiheit',
+    words: ['barrierefrei', 'rollstuhl', 'rollator', 'aufzug', 'fahrstuhl', 'lift', 'trepp', 'stuf', 'gehbehindert', 'kinderwag', 'wheelchair', 'elevator', 'stair']
+  },
+  zahlung: {
+    label: 'Zahlung',
+    words: ['zahl', 'bezahl', 'karte', 'kartenzahl', 'ec', 'bar', 'bargeld', 'kreditkart', 'rechnung', 'rat', 'ratenzahl', 'finanzier', 'überweis', 'pay', 'card', 'cash']
+  },
+  versicherungen: {
+    label: 'Versicherungen',
+    words: ['versicher', 'versichert', 'kass', 'krankenkass', 'gesetzlich', 'privat', 'aok', 'tk', 'barmer', 'dak', 'beihilf', 'insurance', 'insured']
+  },
+  mitbringen: {
+    label: 'Mitbringen',
+    words: ['mitbring', 'mitnehm', 'dabei', 'versichertenkart', 'gesundheitskart', 'unterlag', 'röntg', 'bonusheft', 'ausweis', 'überweisung', 'bring']
+  },
+  preise: {
+    label: 'Preise',
+    words: ['preis', 'kost', 'kostet', 'teuer', 'günstig', 'euro', 'zuzahl', 'eigenanteil', 'gebühr', 'price', 'cost', 'expensive']
+  },
+  sonstiges: { label: 'Sonstiges', words: [] }
+};
+
+// Words that say nothing about the topic of a question
+const KNOWLEDGE_STOP_WORDS = new Set([
+  'der', 'die', 'das', 'den', 'dem', 'des', 'und', 'oder', 'aber', 'ich', 'sie', 'wir', 'ihr', 'ihnen', 'mein', 'meine',
+  'ein', 'eine', 'einen', 'einem', 'ist', 'sind', 'bin', 'habe', 'haben', 'hat', 'bei', 'mit', 'für', 'von', 'zum', 'zur',
+  'auf', 'aus', 'wie', 'was', 'wo', 'wann', 'gibt', 'es', 'kann', 'können', 'möchte', 'möchten', 'würde', 'gern', 'gerne',
+  'bitte', 'danke', 'ja', 'nein', 'auch', 'noch', 'nur', 'mal', 'schon', 'denn', 'doch', 'sich', 'man', 'muss', 'soll',
+  'da', 'dort', 'hier', 'viel', 'wieviel', 'welche', 'welcher', 'termin', 'praxis', 'guten', 'tag', 'hallo', 'frage',
+  'the', 'and', 'you', 'your', 'can', 'what', 'how', 'where', 'when', 'does', 'have', 'there', 'please', 'much'
+]);
+const KNOWLEDGE_SUFFIXES = ['ungen', 'ung', 'en', 'er', 'es', 'e', 'n', 's'];
+
+/**
+ * Lower-cased word stems of a text, without stop words: "Parkplätze vor der Praxis?" -> ['parkplätz']
+ */
+function getKnowledgeTokens(text) {
+  const words = String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return words
+    .filter(word => word.length >= 2 && !KNOWLEDGE_STOP_WORDS.has(word))
+    .map(word => {
+      const suffix = KNOWLEDGE_SUFFIXES.find(s => word.endsWith(s) && word.length - s.length >= 4);
+      return suffix ? word.substring(0, word.length - suffix.length) : word;
+    });
+}
+
+/**
+ * A token matches a stem exactly, or starts with it for stems of four letters or more
+ */
+function matchesKnowledgeStem(token, stem) {
+  return token === stem || (stem.length >= 4 && token.startsWith(stem));
+}
+
+/**
+ * Validate a knowledge base array: [{ category, title, content }]
+ */
+export function isValidKnowledgeBase(entries) {
+  return Array.isArray(entries) && entries.length <= MAX_KNOWLEDGE_ENTRIES && entries.every(entry =>
+    entry && typeof entry === 'object' &&
+    Object.hasOwn(KNOWLEDGE_CATEGORIES, entry.category) &&
+    typeof entry.title === 'string' && /^[^\n]{1,80}$/.test(entry.title.trim()) &&
+    typeof entry.content === 'string' && entry.content.trim().length > 0 && entry.content.length <= 1000
+  );
+}
+
+/**
+ * The clinic's knowledge base; empty when the clinic has no (valid) entries
+ */
+export function getKnowledgeBase(clinic) {
+  const entries = clinic?.knowledge_base;
+  return isValidKnowledgeBase(entries) ? entries : [];
+}
+
+/**
+ * Entries that fit the caller's words, best first. A category hit ("Kann man bei Ihnen parken?")
+ * counts more than words shared with the title, which count more than words in the content.
+ */
+export function findRelevantKnowledge(entries, text, limit = KNOWLEDGE_ENTRIES_PER_TURN) {
+  const tokens = getKnowledgeTokens(text);
+  if (tokens.length === 0) return [];
+
+  return entries
+    .map(entry => {
+      const categoryWords = KNOWLEDGE_CATEGORIES[entry.category]?.words || [];
+      const titleTokens = getKnowledgeTokens(entry.title);
+      const contentTokens = getKnowledgeTokens(entry.content);
+      let score = 0;
+      for (const token of tokens) {
+        if (categoryWords.some(stem => matchesKnowledgeStem(token, stem))) score += 3;
+        if (titleTokens.some(t => t === token)) score += 2;
+        else if (contentTokens.some(t => t === token)) score += 1;
+      }
+      return { entry, score };
+    })
+    .filter(({ score }) => score >= KNOWLEDGE_MIN_SCORE)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ entry }) => entry);
+}
+
+/**
+ * Knowledge entries for the current turn, matched against the caller's last two messages
+ * so a follow-up ("Und was kostet das?") still finds the topic of the question before
+ */
+export function getKnowledgeForTurn(clinic, messages) {
+  const callerText = (messages || [])
+    .filter(message => message.role === 'user')
+    .slice(-2)
+    .map(message => message.content)
+    .join(' ');
+  return findRelevantKnowledge(getKnowledgeBase(clinic), callerText);
+}
+
+/**
+ * Build the prompt section with the matching facts and the rule to forward everything else
+ */
+export function formatKnowledgeInstructions(entries) {
+  const factLines = (entries || []).map(entry =>
+    `- [${KNOWLEDGE_CATEGORIES[entry.category]?.label || entry.category}] ${entry.title.trim()}: ${entry.content.trim()}`
+  );
+
+  return `
+====================================================
+PRACTICE KNOWLEDGE (ONLY SOURCE FOR PRACTICE FACTS)
+====================================================
+
+${factLines.length > 0
+    ? `Facts approved by the practice that fit the caller's question:\n${factLines.join('\n')}`
+    : 'No approved facts fit the caller\'s last words.'}
+
+- Answer questions about services, parking, accessibility, payment, accepted insurances,
+  what to bring or prices briefly and ONLY with these facts, then continue with the next missing field.
+- Prices: only quote prices listed here, as given, and add that the exact cost depends on the examination.
+- If the answer is not in these facts, do NOT guess. Say: "${KNOWLEDGE_FORWARD_PHRASE}"
+`;
+}
@@ -0,0 +1,314 @@
+import { getLiveRequestOptions, openai } from './clients.js';
+import { isNonEmptyString } from './validation.js';
+
+// ===== CALLER LANGUAGES =====
+// German is always spoken. Clinics can enable more languages (clinics.supported_languages);
+// the caller's language is detected from the first utterance and the rest of the call uses
+// that language's speech recognition (<Gather language>) and voice (<Say>). Leads stay
+// German for the team; the original-language conversation goes to leads.original_transcript.
+export const DEFAULT_LANGUAGE = 'de';
+
+// say: null - Twilio has no voice for the language, the caller is answered in simple German
+// hint: spoken after the German greeting when the clinic offers the language
+export const CALLER_LANGUAGES = {
+  de: {
+    label: 'Deutsch',
+    promptName: 'German',
+    speech: 'de-DE',
+    say: { language: 'de-DE' },
+    names: ['deutsch', 'german'],
+    words: ['ich', 'und', 'ist', 'habe', 'hallo', 'guten', 'tag', 'termin', 'bitte', 'mein', 'name', 'zahn', 'schmerzen', 'möchte', 'brauche'],
+    yes: [],
+    no: []
+  },
+  en: {
+    label: 'Englisch',
+    promptName: 'English',
+    speech: 'en-GB',
+    say: { language: 'en-GB', voice: 'Polly.Amy' },
+    hint: 'You can also speak English with me.',
+    names: ['englisch', 'english'],
+    words: ['hello', 'hi', 'i', 'my', 'the', 'you', 'have', 'would', 'like', 'appointment', 'tooth', 'teeth', 'toothache', 'please', 'speak'],
+    yes: ['yes', 'yeah', 'yep', 'correct', 'right', 'sure'],
+    no: ['no', 'nope', 'wrong', 'incorrect', 'not']
+  },
+  tr: {
+    label: 'Türkisch',
+    promptName: 'Turkish',
+    speech: 'tr-TR',
+    say: { language: 'tr-TR', voice: 'Polly.Filiz' },
+    hint: 'Benimle Türkçe de konuşabilirsiniz.',
+    names: ['türkisch', 'turkish', 'türkçe', 'turkce'],
+    words: ['merhaba', 'randevu', 'diş', 'dişim', 'ağrı', 'ağrıyor', 'benim', 'adım', 'istiyorum', 'lütfen', 'teşekkür', 'var', 'bir'],
+    yes: ['evet', 'doğru', 'tamam'],
+    no: ['hayır', 'yanlış', 'değil']
+  },
+  ar: {
+    label: 'Arabisch',
+    promptName: 'Arabic',
+    speech: 'ar-SA',
+    say: { language: 'arb', voice: 'Polly.Zeina' },
+    hint: 'يمكنكم التحدث معي بالعربية أيضاً.',
+    names: ['arabisch', 'arabic', 'عربي', 'العربية'],
+    words: ['marhaba', 'salam', 'salaam', 'mrhaba'],
+    script: /[؀-ۿ]/,
+    yes: ['نعم', 'أيوه', 'ايوه', 'صحيح', 'aiwa', 'naam'],
+    no: ['لا', 'غلط', 'la']
+  },
+  uk: {
+    label: 'Ukrainisch',
+    promptName: 'Ukrainian',
+    speech: 'uk-UA',
+    say: { language: 'uk-UA', voice: 'Google.uk-UA-Standard-A' },
+    hint: 'Ви також можете говорити зі мною українською.',
+    names: ['ukrainisch', 'ukrainian', 'українська', 'українською'],
+    words: ['pryvit', 'dobryj', 'dobryi', 'dyakuyu'],
+    script: /[Ѐ-ӿ]/,
+    yes: ['так', 'правильно', 'вірно'],
+    no: ['ні', 'неправильно']
+  },
+  sq: {
+    label: 'Albanisch',
+    promptName: 'Albanian',
+    speech: 'sq-AL',
+    say: null,
+    names: ['albanisch', 'albanian', 'shqip'],
+    words: ['përshëndetje', 'pershendetje', 'mirëdita', 'miredita', 'faleminderit', 'unë', 'une', 'kam', 'dhëmb', 'dhimbje', 'termin', 'emri'],
+    yes: ['po', 'saktë', 'sakte'],
+    no: ['jo', 'gabim']
+  }
+};
+
+/**
+ * Case-insensitive whole-word pattern for a list of words (works for umlauts and non-Latin scripts)
+ */
+function buildWordPattern(words, flags = 'iu') {
+  if (words.length === 0) return null;
+  const escaped = words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`(?<![\\p{L}\\p{M}])(?:${escaped.join('|')})(?![\\p{L}\\p{M}])`, flags);
+}
+
+const LANGUAGE_PATTERNS = Object.fromEntries(
+  Object.entries(CALLER_LANGUAGES).map(([code, language]) => [code, {
+    names: buildWordPattern(language.names),
+    // Global: used to count matches
+    words: buildWordPattern(language.words, 'giu'),
+    yes: buildWordPattern(language.yes),
+    no: buildWordPattern(language.no)
+  }])
+);
+
+/**
+ * Languages the clinic's receptionist speaks, German first
+ */
+export function getSupportedLanguages(clinic) {
+  const configured = Array.isArray(clinic?.supported_languages) ? clinic.supported_languages : [];
+  return [DEFAULT_LANGUAGE, ...configured.filter(code => code !== DEFAULT_LANGUAGE && CALLER_LANGUAGES[code])];
+}
+
+export function isValidSupportedLanguages(value) {
+  return Array.isArray(value) &&
+    value.length <= Object.keys(CALLER_LANGUAGES).length &&
+    value.every(code => typeof code === 'string' && CALLER_LANGUAGES[code]);
+}
+
+/**
+ * Language of an utterance by script, language names ("Sprechen Sie Englisch?") and common words
+ * Returns a language code or null when the text gives no clear hint
+ */
+function detectLanguageByPatterns(text, candidates) {
+  for (const code of candidates) {
+    const script = CALLER_LANGUAGES[code].script;
+    if (script && script.test(text)) return code;
+  }
+
+  const named = candidates.find(code => code !== DEFAULT_LANGUAGE && LANGUAGE_PATTERNS[code].names?.test(text));
+  if (named) return named;
+
+  const countMatches = (pattern) => (pattern ? (text.match(pattern) || []).length : 0);
+  const scores = candidates.map(code => ({ code, score: countMatches(LANGUAGE_PATTERNS[code].words) }));
+  scores.sort((a, b) => b.score - a.score);
+  if (scores[0].score === 0 || scores[0].score === scores[1]?.score) return null;
+  return scores[0].code;
+}
+
+/**
+ * Ask OpenAI which of the candidate languages the caller speaks; null if unclear or unavailable
+ */
+async function detectLanguageWithAI(text, candidates, deadline = null) {
+  if (!openai) return null;
+  try {
+    const options = candidates.map(code => `${code} (${CALLER_LANGUAGES[code].promptName})`).join(', ');
+    const completion = await openai.chat.completions.create({
+      model: 'gpt-4o-mini',
+      messages: [
+        {
+          role: 'system',
+          content: `The text is a speech transcript of the first sentence of a caller at a German dental practice. It may be poorly transcribed. Which language does the caller speak? Answer with one code only: ${options}, or "unknown".`
+        },
+        { role: 'user', content: text }
+      ],
+      temperature: 0,
+      max_tokens: 5
+    }, getLiveRequestOptions(deadline));
+    const code = completion.choices[0].message.content.trim().toLowerCase().replace(/[^a-z]/g, '');
+    return candidates.includes(code) ? code : null;
+  } catch (err) {
+    console.error('⚠️ Language detection failed (staying with German):', err.message);
+    return null;
+  }
+}
+
+/**
+ * Language of the caller's first utterance, among the clinic's supported languages
+ * German unless another enabled language is clearly recognised
+ * deadline: the turn's deadline (createTurnDeadline), if any
+ */
+export async function detectCallerLanguage(text, supportedLanguages, deadline = null) {
+  if (supportedLanguages.length <= 1 || !isNonEmptyString(text)) return DEFAULT_LANGUAGE;
+  const lower = text.toLowerCase();
+  const detected = detectLanguageByPatterns(lower, supportedLanguages) ||
+    await detectLanguageWithAI(text, supportedLanguages, deadline);
+  return detected || DEFAULT_LANGUAGE;
+}
+
+/**
+ * Speech recognition language for <Gather>
+ */
+export function getSpeechLanguage(language) {
+  return (CALLER_LANGUAGES[language] || CALLER_LANGUAGES[DEFAULT_LANGUAGE]).speech;
+}
+
+/**
+ * <Say> attributes; languages without a voice are answered in German
+ */
+export function getSayOptions(language) {
+  return CALLER_LANGUAGES[language]?.say || CALLER_LANGUAGES[DEFAULT_LANGUAGE].say;
+}
+
+/**
+ * Whether the receptionist answers in the caller's language (German or a language with a voice)
+ */
+export function speaksCallerLanguage(language) {
+  return language !== DEFAULT_LANGUAGE && !!CALLER_LANGUAGES[language]?.say;
+}
+
+/**
+ * Translate one of the fixed German call phrases (read-back, transfer, ...) for the caller
+ * Names, digits and times stay as they are. Falls back to the German text, also when the
+ * turn's deadline has too little time left.
+ */
+export async function translateForCaller(text, language, deadline = null) {
+  if (!speaksCallerLanguage(language) || !openai) return text;
+  if (deadline && !deadline.allows()) {
+    console.warn('⏱️ No time left for a translation (speaking German)');
+    return text;
+  }
+  try {
+    const completion = await openai.chat.completions.create({
+      model: 'gpt-4o-mini',
+      messages: [
+        {
+          role: 'system',
+          content: `Translate what a German dental receptionist says on the phone into ${CALLER_LANGUAGES[language].promptName}. Keep names, digits, dates and times exactly as they are. Reply with the translation only.`
+        },
+        { role: 'user', content: text }
+      ],
+      temperature: 0,
+      max_tokens: 300
+    }, getLiveRequestOptions(deadline));
+    return completion.choices[0].message.content.trim() || text;
+  } catch (err) {
+    console.error('⚠️ Translation failed (speaking German):', err.message);
+    return text;
+  }
+}
+
+/**
+ * Yes/no in the caller's language; null if the answer holds neither
+ * The word that comes first decides ("yes, no problem" is a yes).
+ */
+function parseYesNoInLanguage(text, language) {
+  const patterns = LANGUAGE_PATTERNS[language];
+  if (!patterns || language === DEFAULT_LANGUAGE) return null;
+  return getFirstAnswerWord(text, patterns.yes, patterns.no);
+}
+
+/**
+ * true if the yes pattern matches before the no pattern, false the other way round, null if neither matches
+ */
+function getFirstAnswerWord(text, yesPattern, noPattern) {
+  const yes = yesPattern ? text.search(yesPattern) : -1;
+  const no = noPattern ? text.search(noPattern) : -1;
+  if (no >= 0 && (yes < 0 || no < yes)) return false;
+  return yes >= 0 ? true : null;
+}
+
+/**
+ * LANGUAGE HANDLING block of the system prompt
+ * German calls keep the German-only rule; other enabled languages are spoken with the caller,
+ * while the LEAD SUMMARY stays German for the practice team.
+ */
+export function formatLanguageInstructions(language = DEFAULT_LANGUAGE) {
+  const caller = CALLER_LANGUAGES[language];
+  if (language === DEFAULT_LANGUAGE || !caller) {
+    return `- SPEAK ONLY GERMAN, ALWAYS.
+- If user speaks English, Albanian, French, or any non-German language:
+  Reply ONLY: "Ich kann Ihnen nur auf Deutsch weiterhelfen. Wir können gern in einfachem Deutsch sprechen."
+- NEVER respond in any other language.
+- NEVER translate, never switch language for convenience.`;
+  }
+
+  const spoken = caller.say
+    ? `- The caller speaks ${caller.promptName}. Speak ONLY ${caller.promptName} with the caller.`
+    : `- The caller speaks ${caller.promptName}. The phone line has no ${caller.promptName} voice, so answer in
+  simple, short German sentences. You understand ${caller.promptName}.`;
+  return `${spoken}
+- Keep names, phone numbers, dates and times exactly as the caller gave them.
+- The LEAD SUMMARY block is for the German practice team: write it in GERMAN with exactly the
+  labels given below, and give every value in German (translate the reason, e.g. "toothache" ->
+  "Zahnschmerzen", and the preferred time, e.g. "tomorrow afternoon" -> "morgen nachmittag").`;
+}
+
+/**
+ * Lead columns for the call's language: the detected language and, for calls not held
+ * in German, the original conversation (the summary and fields on the lead are German)
+ */
+export function getCallerLanguageFields(state) {
+  const language = state?.language || DEFAULT_LANGUAGE;
+  if (language === DEFAULT_LANGUAGE) return { language };
+
+  const transcript = (state.messages || [])
+    .map(msg => `${msg.role === 'assistant' ? 'Rezeption' : 'Anrufer'}: ${msg.content}`)
+    .join('\n');
+  return { language, original_transcript: transcript || null };
+}
+
+
+// "Ja, aber die Nummer ist falsch": a correction outweighs the "ja" in front of it
+const CORRECTION_PATTERN = /\b(falsch|verkehrt|korrigieren|korrektur)\b|\bfehler/;
+// Fillers before the actual answer ("Äh, ja")
+const ANSWER_FILLER_PATTERN = /^(?:(?:ähm?|hm+|also|ach so|ach|oh)[\s,.!?…]+)+/;
+// An answer that starts with one of these is decided by it ("Ja, keine Änderungen", "Nein, danke")
+const LEADING_YES_PATTERN = /^(ja|jawohl|genau)(?![a-zäöüß])/;
+const LEADING_NO_PATTERN = /^(nein|nee|nö)(?![a-zäöüß])/;
+const YES_WORD_PATTERN = /\b(ja|jawohl|gerne|gern|bitte|okay|ok|genau|verbinden|sicher|natürlich)\b/;
+const NO_WORD_PATTERN = /\b(nein|nee|nicht|kein|keine)\b|\bnö(?![a-zäöüß])/;
+// "Bitte nicht", "lieber nicht": the agreeing word belongs to the refusal
+const POLITE_REFUSAL_PATTERN = /\b(bitte|lieber|besser|eher|natürlich|sicher) nicht\b/;
+
+/**
+ * Interpret a spoken yes/no answer (German, or the caller's language); returns true, false or null if unclear
+ * Corrections come first, then how the answer starts; otherwise a negation only counts when
+ * nothing agreeing comes before it ("Ja bitte, ich halte es nicht mehr aus" is a yes).
+ */
+export function parseYesNo(text, language = DEFAULT_LANGUAGE) {
+  const lower = (text || '').toLowerCase().trim().replace(/^[\s,.!?…-]+/, '').replace(ANSWER_FILLER_PATTERN, '');
+  const answer = parseYesNoInLanguage(lower, language);
+  if (answer !== null) return answer;
+  if (CORRECTION_PATTERN.test(lower)) return false;
+  if (LEADING_NO_PATTERN.test(lower)) return false;
+  if (LEADING_YES_PATTERN.test(lower)) return true;
+  if (POLITE_REFUSAL_PATTERN.test(lower)) return false;
+  return getFirstAnswerWord(lower, YES_WORD_PATTERN, NO_WORD_PATTERN);
+}
@@ -0,0 +1,336 @@
+import { emailTransporter, supabase } from './clients.js';
+import { escapeHtml } from './validation.js';
+import { normalizePhoneNumber } from './phone.js';
+import { CALL_NEXT_ACTIONS, CALL_SENTIMENTS, summarizeAndNotify } from './call-summary.js';
+import { DEFAULT_TIMEZONE } from './slots.js';
+import { buildPreferredSlots } from './preferred-time.js';
+import { PATIENT_INSURANCE_TYPES, PATIENT_TYPES, findOrCreatePatient } from './patients.js';
+import { getDuplicateFlag } from './duplicates.js';
+import { linkCallToLead } from './calls.js';
+
+// ===== LEADS & TRANSCRIPTS =====
+/**
+ * Log message to messages_log table (the call transcript)
+ * Uses RPC call to bypass PostgREST schema cache
+ * @param {string} callSid - Twilio CallSid (simulator: session ID)
+ * @param {string} role - "user" or "assistant"
+ * @param {string} message - The message content
+ * @param {number|null} turnIndex - Position of the turn in the call, from 0
+ */
+export async function logMessage(callSid, role, message, turnIndex = null) {
+  if (!supabase) {
+    return; // Skip logging if Supabase not configured
+  }
+  
+  try {
+    // Use RPC call to bypass schema cache issues
+    const { data, error } = await supabase.rpc('log_twilio_message', {
+      p_call_sid: callSid,
+      p_role: role,
+      p_message: message,
+      p_turn_index: turnIndex
+    });
+    
+    if (error) {
+      // If RPC doesn't exist, try direct SQL (will also fail gracefully)
+      console.warn('📝 Message logging skipped (table not in schema cache)');
+      return;
+    }
+    
+    console.log('✅ Message logged successfully');
+  } catch (error) {
+    // Log error but don't throw - logging is optional
+    console.warn('Message logging skipped:', error.message);
+  }
+}
+
+/**
+ * Log the turns added to state.messages since the last call, numbered per call.
+ * state.turnIndex counts all logged turns, including a greeting logged on its own.
+ * The routes don't await it, so the caller never waits for the transcript.
+ */
+export function logNewTurns(callSid, state) {
+  const turns = state.messages.slice(state.loggedMessages || 0);
+  const firstIndex = state.turnIndex || 0;
+  state.loggedMessages = state.messages.length;
+  state.turnIndex = firstIndex + turns.length;
+  
+  // One after the other so created_at follows the turn order
+  return turns.reduce(
+    (previous, turn, i) => previous.then(() => logMessage(callSid, turn.role, turn.content, firstIndex + i)),
+    Promise.resolve()
+  );
+}
+
+/**
+ * Classify urgency based on pain indicators in German text
+ * Returns 'akut' for urgent cases, 'normal' otherwise
+ */
+export function classifyUrgency(reason, fullText) {
+  const textToCheck = `${reason || ''} ${fullText || ''}`.toLowerCase();
+  
+  // Strong pain / emergency indicators (including grammatical variants)
+  const urgentIndicators = [
+    'starke zahnschmerzen',
+    'starken zahnschmerzen',  // dative case
+    'starker zahnschmerz',    // genitive singular
+    'sehr starke schmerzen',
+    'sehr starken schmerzen', // dative case
+    'starke schmerzen',
+    'starken schmerzen',      // dative case
+    'sehr weh',
+    'akut',
+    'notfall',
+    'schmerzen seit gestern',
+    'schmerzen seit heute',
+    'unerträglich',
+    'kaum aushalten',
+    'schlimme schmerzen',
+    'schlimmen schmerzen'     // dative case
+  ];
+  
+  const isUrgent = urgentIndicators.some(indicator => textToCheck.includes(indicator));
+  
+  return isUrgent ? 'akut' : 'normal';
+}
+
+/**
+ * Send email notification to clinic when a new lead is saved
+ * @param {Object} lead - Lead data with name, phone, concern, urgency, preferred_slots, source, etc.
+ */
+export async function sendLeadNotification(lead) {
+  // Skip if email transporter is not configured
+  if (!emailTransporter) {
+    console.warn('⚠️  Email notification skipped - SMTP not configured');
+    return;
+  }
+
+  const clinicEmail = process.env.CLINIC_NOTIFICATION_EMAIL;
+  if (!clinicEmail) {
+    console.warn('⚠️  Email notification skipped - CLINIC_NOTIFICATION_EMAIL not set');
+    return;
+  }
+
+  try {
+    // Format the preferred time/slots
+    const preferredTime = lead.preferred_slots?.raw || 'Nicht angegeben';
+    
+    // Determine source display
+    const sourceDisplay = lead.source === 'twilio' ? 'Telefonanruf' : 
+                         lead.source === 'simulate' ? 'Web-Simulator' : 
+                         lead.source || 'Unbekannt';
+    
+    // Determine urgency display
+    const urgencyDisplay = lead.urgency === 'akut' ? '🔴 AKUT' : 'Normal';
+    
+    // Call summary from summarizeCall (missing if the summary failed)
+    const nextActionDisplay = CALL_NEXT_ACTIONS[lead.next_action] || null;
+    const sentimentDisplay = CALL_SENTIMENTS[lead.sentiment] || null;
+    const openQuestions = lead.open_questions || [];
+    const summaryText = [
+      nextActionDisplay && `Nächster Schritt: ${nextActionDisplay}`,
+      sentimentDisplay && `Stimmung: ${sentimentDisplay}`,
+      lead.call_summary && `\nZusammenfassung:\n${lead.call_summary}`,
+      openQuestions.length > 0 && `\nOffene Fragen des Anrufers:\n${openQuestions.map(question => `- ${question}`).join('\n')}`
+    ].filter(Boolean).join('\n');
+    
+    // Build email subject
+    const subject = `Neuer Patientenanruf über Selaro – ${lead.concern || 'Zahnbehandlung'}`;
+    
+    // Build email body (German)
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #00C896;">Neuer Lead von der AI-Telefonassistenz</h2>
+        
+        <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+          <tr>
+            <td style="padding: 10px; border-bottom: 1px solid #e5e7eb; font-weight: bold;">Name:</td>
+            <td style="padding: 10px; border-bottom: 1px solid #e5e7eb;">${lead.name}</td>
+          </tr>
+          <tr>
+            <td style="padding: 10px; border-bottom: 1px solid #e5e7eb; font-weight: bold;">Telefonnummer:</td>
+            <td style="padding: 10px; border-bottom: 1px solid #e5e7eb;">${lead.phone}</td>
+          </tr>
+          <tr>
+            <td style="padding: 10px; border-bottom: 1px solid #e5e7eb; font-weight: bold;">Grund:</td>
+            <td style="padding: 10px; border-bottom: 1px solid #e5e7eb;">${lead.concern || 'Nicht angegeben'}</td>
+          </tr>
+          <tr>
+            <td style="padding: 10px; border-bottom: 1px solid #e5e7eb; font-weight: bold;">Dringlichkeit:</td>
+            <td style="padding: 10px; border-bottom: 1px solid #e5e7eb;">${urgencyDisplay}</td>
+          </tr>
+          <tr>
+            <td style="padding: 10px; border-bottom: 1px solid #e5e7eb; font-weight: bold;">Wunschtermin:</td>
+            <td style="padding: 10px; border-bottom: 1px solid #e5e7eb;">${preferredTime}</td>
+          </tr>
+          <tr>
+            <td style="padding: 10px; border-bottom: 1px solid #e5e7eb; font-weight: bold;">Quelle:</td>
+            <td style="padding: 10px; border-bottom: 1px solid #e5e7eb;">${sourceDisplay}</td>
+          </tr>
+          ${nextActionDisplay ? `
+          <tr>
+            <td style="padding: 10px; border-bottom: 1px solid #e5e7eb; font-weight: bold;">Nächster Schritt:</td>
+            <td style="padding: 10px; border-bottom: 1px solid #e5e7eb;">${nextActionDisplay}</td>
+          </tr>` : ''}
+          ${sentimentDisplay ? `
+          <tr>
+            <td style="padding: 10px; border-bottom: 1px solid #e5e7eb; font-weight: bold;">Stimmung:</td>
+            <td style="padding: 10px; border-bottom: 1px solid #e5e7eb;">${sentimentDisplay}</td>
+          </tr>` : ''}
+        </table>
+        
+        ${lead.call_summary ? `
+        <div style="padding: 15px; border-left: 4px solid #00C896; margin: 20px 0;">
+          <p style="margin: 0 0 8px 0; font-weight: bold;">Zusammenfassung</p>
+          <p style="margin: 0; color: #374151;">${escapeHtml(lead.call_summary)}</p>
+        </div>` : ''}
+        
+        ${openQuestions.length > 0 ? `
+        <div style="margin: 20px 0;">
+          <p style="margin: 0 0 8px 0; font-weight: bold;">Offene Fragen des Anrufers</p>
+          <ul style="margin: 0; padding-left: 20px; color: #374151;">
+            ${openQuestions.map(question => `<li>${escapeHtml(question)}</li>`).join('')}
+          </ul>
+        </div>` : ''}
+        
+        <div style="background-color: #f3f4f6; padding: 15px; border-radius: 8px; margin: 20px 0;">
+          <p style="margin: 0; color: #374151;">
+            <strong>Bitte kontaktieren Sie den Patienten zur Terminbestätigung.</strong>
+          </p>
+        </div>
+        
+        <p style="color: #6b7280; font-size: 12px; margin-top: 30px;">
+          Diese E-Mail wurde automatisch von Selaro generiert.
+        </p>
+      </div>
+    `;
+    
+    // Plain text version
+    const text = `
+Neuer Lead von der AI-Telefonassistenz
+
+Name: ${lead.name}
+Telefonnummer: ${lead.phone}
+Grund: ${lead.concern || 'Nicht angegeben'}
+Dringlichkeit: ${urgencyDisplay}
+Wunschtermin: ${preferredTime}
+Quelle: ${sourceDisplay}
+${summaryText ? `${summaryText}\n` : ''}
+Bitte kontaktieren Sie den Patienten zur Terminbestätigung.
+
+---
+Diese E-Mail wurde automatisch von Selaro generiert.
+    `.trim();
+    
+    // Send email
+    const info = await emailTransporter.sendMail({
+      from: `"Selaro AI Receptionist" <${process.env.SMTP_USER}>`,
+      to: clinicEmail,
+      subject: subject,
+      text: text,
+      html: html
+    });
+    
+    console.log('✅ Email notification sent successfully:', info.messageId);
+    return info;
+    
+  } catch (error) {
+    console.error('❌ Error sending email notification:', error);
+    // Don't throw - we don't want to break lead saving if email fails
+    return null;
+  }
+}
+
+// leads.source per conversation channel
+const CONVERSATION_SOURCES = { twilio: 'twilio', simulator: 'simulate' };
+
+/**
+ * leads.source for a conversation; states from before the engine are Twilio calls
+ */
+export function getConversationSource(state) {
+  return CONVERSATION_SOURCES[state.channel] || 'twilio';
+}
+
+/**
+ * Save lead to Supabase - only when all required fields are present
+ * insurance/insuranceProvider/patientType: optional, from memory (see parseInsurance)
+ * intakeAnswers: answers to the clinic's own intake fields (see getIntakeAnswers)
+ * timeZone: clinic timezone the preferred time is resolved in (see buildPreferredSlots)
+ * transcript: the conversation as { role, content } turns, for the call summary
+ * extra: optional additional lead columns (e.g. recording_url)
+ */
+export async function saveLead({ name, phone, reason, preferredTime, urgency, requestedTime, insurance, insuranceProvider, patientType, intakeAnswers, timeZone, source, rawText, callSid, routing, transcript, extra }) {
+  try {
+    // Only save when all fields are present
+    if (!name || !phone || !reason || !preferredTime) {
+      console.log('⚠️ Skipping lead save - missing required fields:', {
+        hasName: !!name,
+        hasPhone: !!phone,
+        hasReason: !!reason,
+        hasPreferredTime: !!preferredTime
+      });
+      return null;
+    }
+
+    console.log('💾 Saving lead to Supabase...');
+    console.log('Lead data:', { 
+      name, 
+      phone, 
+      reason, 
+      preferredTime, 
+      urgency, 
+      requestedTime,
+      source 
+    });
+
+    const patient = await findOrCreatePatient({ name, phone, insurance, patientType });
+    const duplicateFlag = await getDuplicateFlag({ name, phone });
+
+    const lead = {
+      call_sid: callSid || `${source}-${Date.now()}`,
+      name,
+      // Placeholders such as 'Unbekannt' are kept as they are
+      phone: normalizePhoneNumber(phone) || phone,
+      concern: reason,
+      urgency: urgency || 'normal',
+      insurance: PATIENT_INSURANCE_TYPES.includes(insurance) ? insurance : null,
+      insurance_provider: insuranceProvider || null,
+      patient_type: PATIENT_TYPES.includes(patientType) ? patientType : null,
+      intake_answers: intakeAnswers || {},
+      preferred_slots: buildPreferredSlots(preferredTime, { timeZone: timeZone || DEFAULT_TIMEZONE }),
+      notes: rawText || null,
+      status: 'new',
+      routing: routing || null,
+      patient_id: patient?.id || null,
+      ...duplicateFlag,
+      ...extra
+    };
+
+    const { data, error } = await supabase
+      .from('leads')
+      .insert([lead])
+      .select();
+
+    if (error) {
+      console.error('❌ Supabase lead insert error:', error);
+      throw error;
+    }
+
+    const savedLead = data[0];
+    console.log('✅ Lead saved successfully! ID:', savedLead?.id);
+    
+    // Phone leads: connect to the call record
+    if (source === 'twilio') {
+      await linkCallToLead(callSid, savedLead);
+    }
+    
+    // Summarise the call, then email the clinic; not awaited so the caller isn't kept waiting
+    summarizeAndNotify(savedLead, transcript || []);
+    
+    return savedLead;
+  } catch (error) {
+    console.error('❌ Error saving lead:', error);
+    // Don't throw - we don't want to crash the call
+    return null;
+  }
+}
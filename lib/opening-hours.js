@@ -0,0 +1,241 @@
+import { isValidDate, isValidTime } from './validation.js';
+import {
+  DEFAULT_TIMEZONE, addDaysToDate, getWeekdayOfDate, getZonedDateTime, timeToMinutes
+} from './slots.js';
+
+// ===== OPENING HOURS, HOLIDAYS & CLOSURES =====
+// Structured per-clinic calendar: weekly hours (clinics.opening_hours), a daily
+// lunch break, German public holidays for the clinic's state and vacation closures.
+export const WEEKDAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+export const WEEKDAY_NAMES_DE = ['Sonntag', 'Montag', 'Dienstag', 'Mittwoch', 'Donnerstag', 'Freitag', 'Samstag'];
+// Display order Monday → Sunday
+export const WEEKDAY_DISPLAY_ORDER = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+export const DEFAULT_HOLIDAY_REGION = 'SN';
+
+// Used when a clinic has no structured opening hours yet (matches the seed clinic text)
+export const DEFAULT_OPENING_HOURS = {
+  mon: [{ from: '09:00', to: '18:00' }],
+  tue: [{ from: '09:00', to: '18:00' }],
+  wed: [{ from: '09:00', to: '18:00' }],
+  thu: [{ from: '09:00', to: '18:00' }],
+  fri: [{ from: '09:00', to: '18:00' }],
+  sat: [],
+  sun: []
+};
+
+// Regional public holidays per German state (in addition to the nationwide ones)
+const REGIONAL_HOLIDAYS = {
+  heilige_drei_koenige: ['BW', 'BY', 'ST'],
+  frauentag: ['BE', 'MV'],
+  fronleichnam: ['BW', 'BY', 'HE', 'NW', 'RP', 'SL'],
+  mariae_himmelfahrt: ['BY', 'SL'],
+  weltkindertag: ['TH'],
+  reformationstag: ['BB', 'HB', 'HH', 'MV', 'NI', 'SH', 'SN', 'ST', 'TH'],
+  allerheiligen: ['BW', 'BY', 'NW', 'RP', 'SL'],
+  buss_und_bettag: ['SN']
+};
+export const GERMAN_STATES = ['BW', 'BY', 'BE', 'BB', 'HB', 'HH', 'HE', 'MV', 'NI', 'NW', 'RP', 'SL', 'SN', 'ST', 'SH', 'TH'];
+
+/**
+ * Easter Sunday of a year as "YYYY-MM-DD" (anonymous Gregorian algorithm)
+ */
+function getEasterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * German public holidays of a year for a state (default: Saxony)
+ * Returns [{ date: 'YYYY-MM-DD', name }] sorted by date
+ */
+export function getGermanHolidays(year, region = DEFAULT_HOLIDAY_REGION) {
+  const easter = getEasterSunday(year);
+  const fixed = (month, day) => `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  const inRegion = (key) => REGIONAL_HOLIDAYS[key].includes(region);
+
+  const holidays = [
+    { date: fixed(1, 1), name: 'Neujahr' },
+    { date: addDaysToDate(easter, -2), name: 'Karfreitag' },
+    { date: addDaysToDate(easter, 1), name: 'Ostermontag' },
+    { date: fixed(5, 1), name: 'Tag der Arbeit' },
+    { date: addDaysToDate(easter, 39), name: 'Christi Himmelfahrt' },
+    { date: addDaysToDate(easter, 50), name: 'Pfingstmontag' },
+    { date: fixed(10, 3), name: 'Tag der Deutschen Einheit' },
+    { date: fixed(12, 25), name: '1. Weihnachtsfeiertag' },
+    { date: fixed(12, 26), name: '2. Weihnachtsfeiertag' }
+  ];
+
+  if (inRegion('heilige_drei_koenige')) holidays.push({ date: fixed(1, 6), name: 'Heilige Drei Könige' });
+  if (inRegion('frauentag')) holidays.push({ date: fixed(3, 8), name: 'Internationaler Frauentag' });
+  if (inRegion('fronleichnam')) holidays.push({ date: addDaysToDate(easter, 60), name: 'Fronleichnam' });
+  if (inRegion('mariae_himmelfahrt')) holidays.push({ date: fixed(8, 15), name: 'Mariä Himmelfahrt' });
+  if (inRegion('weltkindertag')) holidays.push({ date: fixed(9, 20), name: 'Weltkindertag' });
+  if (inRegion('reformationstag')) holidays.push({ date: fixed(10, 31), name: 'Reformationstag' });
+  if (inRegion('allerheiligen')) holidays.push({ date: fixed(11, 1), name: 'Allerheiligen' });
+  if (inRegion('buss_und_bettag')) {
+    // Wednesday before 23 November
+    let date = fixed(11, 22);
+    while (getWeekdayOfDate(date) !== 3) date = addDaysToDate(date, -1);
+    holidays.push({ date, name: 'Buß- und Bettag' });
+  }
+
+  return holidays.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Public holiday on a date for the clinic's state, or null
+ */
+function getHolidayForDate(clinic, dateStr) {
+  const region = clinic?.holiday_region || DEFAULT_HOLIDAY_REGION;
+  return getGermanHolidays(Number(dateStr.substring(0, 4)), region).find(h => h.date === dateStr) || null;
+}
+
+/**
+ * Vacation/closure covering a date, or null
+ * clinics.closures: [{ from: 'YYYY-MM-DD', to: 'YYYY-MM-DD', reason }]
+ */
+function getClosureForDate(clinic, dateStr) {
+  return (clinic?.closures || []).find(c => c.from <= dateStr && dateStr <= (c.to || c.from)) || null;
+}
+
+/**
+ * Opening intervals (in minutes) for a given date
+ * Empty on holidays and closures; the lunch break is cut out of every interval.
+ */
+export function getOpeningIntervals(clinic, dateStr) {
+  if (getHolidayForDate(clinic, dateStr) || getClosureForDate(clinic, dateStr)) {
+    return [];
+  }
+
+  const hours = clinic?.opening_hours || DEFAULT_OPENING_HOURS;
+  const dayHours = hours[WEEKDAY_KEYS[getWeekdayOfDate(dateStr)]] || [];
+
+  let intervals = dayHours
+    .filter(interval => isValidTime(interval.from) && isValidTime(interval.to))
+    .map(interval => ({ start: timeToMinutes(interval.from), end: timeToMinutes(interval.to) }))
+    .filter(interval => interval.end > interval.start);
+
+  const lunch = clinic?.lunch_break;
+  if (lunch && isValidTime(lunch.from) && isValidTime(lunch.to)) {
+    const lunchStart = timeToMinutes(lunch.from);
+    const lunchEnd = timeToMinutes(lunch.to);
+    intervals = intervals.flatMap(interval => [
+      { start: interval.start, end: Math.min(interval.end, lunchStart) },
+      { start: Math.max(interval.start, lunchEnd), end: interval.end }
+    ]).filter(interval => interval.end > interval.start);
+  }
+
+  return intervals;
+}
+
+/**
+ * Whether the clinic is open at an instant (in the clinic's timezone)
+ * Returns { open, reason } where reason is the holiday/closure name when closed for one
+ */
+export function getClinicOpenStatus(clinic, instant = new Date()) {
+  const local = getZonedDateTime(instant, clinic?.timezone || DEFAULT_TIMEZONE);
+  const holiday = getHolidayForDate(clinic, local.date);
+  if (holiday) return { open: false, reason: holiday.name };
+  const closure = getClosureForDate(clinic, local.date);
+  if (closure) return { open: false, reason: closure.reason || 'Praxisurlaub' };
+
+  const open = getOpeningIntervals(clinic, local.date)
+    .some(interval => local.minutes >= interval.start && local.minutes < interval.end);
+  return { open, reason: null };
+}
+
+/**
+ * Compact weekly hours, e.g. ["Montag: 09:00–18:00", "Samstag: geschlossen"]
+ */
+function formatWeeklyHours(clinic) {
+  const hours = clinic?.opening_hours || DEFAULT_OPENING_HOURS;
+  return WEEKDAY_DISPLAY_ORDER.map(key => {
+    const dayName = WEEKDAY_NAMES_DE[WEEKDAY_KEYS.indexOf(key)];
+    const intervals = (hours[key] || []).filter(i => isValidTime(i.from) && isValidTime(i.to));
+    return intervals.length > 0
+      ? `${dayName}: ${intervals.map(i => `${i.from}–${i.to}`).join(', ')}`
+      : `${dayName}: geschlossen`;
+  });
+}
+
+/**
+ * Opening hours context for the system prompt, so the AI answers
+ * "are you open on Friday afternoon?" from data instead of free text
+ */
+export function formatOpeningHoursForPrompt(clinic, now = new Date(), lookaheadDays = 30) {
+  const local = getZonedDateTime(now, clinic?.timezone || DEFAULT_TIMEZONE);
+  const status = getClinicOpenStatus(clinic, now);
+  const lines = formatWeeklyHours(clinic).map(line => `- ${line}`);
+
+  const lunch = clinic?.lunch_break;
+  if (lunch && isValidTime(lunch.from) && isValidTime(lunch.to)) {
+    lines.push(`- Mittagspause täglich: ${lunch.from}–${lunch.to}`);
+  }
+
+  const specialDays = [];
+  const endDate = addDaysToDate(local.date, lookaheadDays);
+  for (let dateStr = local.date; dateStr <= endDate; dateStr = addDaysToDate(dateStr, 1)) {
+    const holiday = getHolidayForDate(clinic, dateStr);
+    const closure = getClosureForDate(clinic, dateStr);
+    if (holiday) specialDays.push(`- ${formatGermanDate(dateStr)}: geschlossen (Feiertag: ${holiday.name})`);
+    else if (closure) specialDays.push(`- ${formatGermanDate(dateStr)}: geschlossen (${closure.reason || 'Praxisurlaub'})`);
+  }
+
+  return `
+====================================================
+OPENING HOURS (AUTHORITATIVE - USE THESE, NOT THE FREE TEXT)
+====================================================
+
+Today is ${formatGermanDate(local.date)}, current time ${local.time} Uhr. The practice is currently ${status.open ? 'OPEN' : 'CLOSED'}.
+
+Weekly hours:
+${lines.join('\n')}
+${specialDays.length > 0 ? `\nClosed on these days (next ${lookaheadDays} days):\n${specialDays.join('\n')}\n` : ''}
+- Answer questions about opening times ONLY from this data.
+`;
+}
+
+/**
+ * German date with weekday, e.g. "Freitag, 19.12.2025"
+ */
+function formatGermanDate(dateStr) {
+  const [y, m, d] = dateStr.split('-');
+  return `${WEEKDAY_NAMES_DE[getWeekdayOfDate(dateStr)]}, ${d}.${m}.${y}`;
+}
+
+/**
+ * Validate an opening_hours object: { mon: [{ from: 'HH:MM', to: 'HH:MM' }], ... }
+ * A day may have several intervals (split hours) as long as they do not overlap.
+ */
+export function isValidOpeningHours(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+  return Object.entries(value).every(([day, intervals]) => {
+    if (!WEEKDAY_KEYS.includes(day) || !Array.isArray(intervals)) return false;
+    if (!intervals.every(i => i && isValidTime(i.from) && isValidTime(i.to) && i.from < i.to)) return false;
+    const sorted = [...intervals].sort((a, b) => a.from.localeCompare(b.from));
+    return sorted.every((interval, i) => i === 0 || interval.from >= sorted[i - 1].to);
+  });
+}
+
+/**
+ * Validate a closures array: [{ from: 'YYYY-MM-DD', to: 'YYYY-MM-DD', reason }]
+ */
+export function isValidClosures(value) {
+  return Array.isArray(value) && value.length <= 100 && value.every(c =>
+    c && isValidDate(c.from) && (!c.to || (isValidDate(c.to) && c.to >= c.from)) &&
+    (c.reason === undefined || c.reason === null || typeof c.reason === 'string')
+  );
+}
@@ -0,0 +1,120 @@
+import { supabase } from './clients.js';
+import { normalizePhoneNumber } from './phone.js';
+
+// ===== PATIENT RECORDS =====
+// Master record per person (patients table). Leads, appointments and calls point to it via
+// patient_id; a patient is matched by normalised phone number plus name, because family
+// members often share one number. Names are compared fuzzily to tolerate transcription
+// differences ("Meier"/"Maier").
+export const PATIENT_TYPES = ['neu', 'bestand'];
+export const PATIENT_INSURANCE_TYPES = ['gesetzlich', 'privat', 'unbekannt'];
+// Minimum name similarity (0-1) to treat two records as the same person
+export const SAME_PERSON_NAME_SIMILARITY = 0.8;
+
+/**
+ * Comparable form of a name: lower case, single spaces
+ */
+function normalizePatientName(name) {
+  return String(name || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Similarity of two names between 0 and 1 (1 - Levenshtein distance / longer length)
+ * Word order is ignored so "Müller Anna" matches "Anna Müller".
+ */
+export function getNameSimilarity(a, b) {
+  const sortWords = (name) => normalizePatientName(name).split(' ').sort().join(' ');
+  const s = sortWords(a);
+  const t = sortWords(b);
+  if (!s || !t) return 0;
+  if (s === t) return 1;
+
+  let previous = Array.from({ length: t.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= s.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= t.length; j++) {
+      const cost = s[i - 1] === t[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return 1 - previous[t.length] / Math.max(s.length, t.length);
+}
+
+/**
+ * Find the patient for a name/phone pair, creating one if there is none yet
+ * Without a usable name (e.g. 'Unbekannt') an existing patient is only linked when the
+ * number belongs to exactly one patient, and no new patient is created.
+ * details: { name, phone, insurance, patientType, birthDate, email, contactPreferences }
+ * Returns the patient row or null; never throws so lead/appointment saving is not blocked.
+ */
+export async function findOrCreatePatient({ name, phone, insurance, patientType, birthDate, email, contactPreferences } = {}) {
+  const key = normalizePhoneNumber(phone);
+  if (!supabase || !key) return null;
+
+  try {
+    const { data: candidates, error } = await supabase
+      .from('patients')
+      .select('*')
+      .eq('phone_normalized', key)
+      .order('created_at', { ascending: true });
+    if (error) throw error;
+
+    const hasUsableName = name && name !== 'Unbekannt';
+    const existing = hasUsableName
+      ? (candidates || []).find(p => getNameSimilarity(p.name, name) >= SAME_PERSON_NAME_SIMILARITY)
+      : (candidates?.length === 1 ? candidates[0] : null);
+
+    if (existing) {
+      return await fillPatientDetails(existing, { insurance, patientType, birthDate, email, contactPreferences });
+    }
+    if (!hasUsableName) return null;
+
+    const { data, error: insertError } = await supabase
+      .from('patients')
+      .insert([{
+        name: name.trim(),
+        phone: key,
+        phone_normalized: key,
+        insurance: PATIENT_INSURANCE_TYPES.includes(insurance) ? insurance : 'unbekannt',
+        patient_type: PATIENT_TYPES.includes(patientType) ? patientType : 'neu',
+        birth_date: birthDate || null,
+        email: email || null,
+        contact_preferences: contactPreferences || {}
+      }])
+      .select();
+    if (insertError) throw insertError;
+
+    console.log('🧑 New patient record:', data[0].id);
+    return data[0];
+  } catch (err) {
+    console.error('❌ Error finding/creating patient:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Complete an existing patient with details they didn't have yet
+ * Known values are never overwritten, except that 'neu' may become 'bestand'.
+ */
+async function fillPatientDetails(patient, { insurance, patientType, birthDate, email, contactPreferences }) {
+  const updates = {};
+  if (patient.insurance === 'unbekannt' && PATIENT_INSURANCE_TYPES.includes(insurance) && insurance !== 'unbekannt') {
+    updates.insurance = insurance;
+  }
+  if (patient.patient_type === 'neu' && patientType === 'bestand') updates.patient_type = 'bestand';
+  if (!patient.birth_date && birthDate) updates.birth_date = birthDate;
+  if (!patient.email && email) updates.email = email;
+  if (contactPreferences && Object.keys(contactPreferences).length > 0) {
+    updates.contact_preferences = { ...contactPreferences, ...patient.contact_preferences };
+  }
+  if (Object.keys(updates).length === 0) return patient;
+
+  const { data, error } = await supabase
+    .from('patients')
+    .update(updates)
+    .eq('id', patient.id)
+    .select();
+  if (error) throw error;
+  return data[0];
+}
@@ -0,0 +1,93 @@
+// ===== GERMAN PHONE NUMBERS =====
+// Phone numbers are stored in E.164 ("+493411234567"). Callers and staff write them in
+// many ways: 0341 1234567, 0341/123 45 67, +49 (0) 341 …, 0049 341 …, 0170-1234567.
+// Numbers without area code cannot be normalised and are rejected.
+// src/lib/phone.ts applies the same rules in the dashboard.
+
+// National significant number lengths (without trunk prefix 0)
+const GERMAN_MOBILE_NSN_LENGTH = { min: 10, max: 11 };
+const GERMAN_LANDLINE_NSN_LENGTH = { min: 7, max: 12 };
+// E.164 allows at most 15 digits; shorter foreign numbers are rare
+const FOREIGN_PHONE_DIGITS = { min: 8, max: 15 };
+
+/**
+ * True for values that are a date or time rather than a phone number ("12.03.2025", "15:30", "14.30 Uhr")
+ */
+function looksLikeDateOrTime(value) {
+  const text = String(value).trim().toLowerCase();
+  return /^\d{1,2}\.\d{1,2}\.(\d{2}|\d{4})?$/.test(text) ||
+    /^\d{1,2}[:.]\d{2}(\s*uhr)?$/.test(text) ||
+    /\buhr\b/.test(text);
+}
+
+/**
+ * Parse a German (or international) phone number
+ * Returns { e164, national, mobile } or null; national is the 0-prefixed form for German numbers.
+ */
+export function parseGermanPhone(value) {
+  if (typeof value !== 'string' && typeof value !== 'number') return null;
+  const raw = String(value).trim();
+  if (!raw || looksLikeDateOrTime(raw) || /[^\d\s+()\/\-.]/.test(raw)) return null;
+
+  let digits = raw.replace(/\D/g, '');
+  let international = raw.startsWith('+');
+  if (!international && digits.startsWith('00')) {
+    international = true;
+    digits = digits.substring(2);
+  }
+
+  let nsn;
+  if (international) {
+    if (!digits.startsWith('49')) {
+      const valid = digits.length >= FOREIGN_PHONE_DIGITS.min && digits.length <= FOREIGN_PHONE_DIGITS.max && !digits.startsWith('0');
+      return valid ? { e164: `+${digits}`, national: null, mobile: false } : null;
+    }
+    nsn = digits.substring(2);
+    // "+49 (0) 341 …"
+    if (nsn.startsWith('0')) nsn = nsn.substring(1);
+  } else if (digits.startsWith('0') && !digits.startsWith('00')) {
+    nsn = digits.substring(1);
+  } else {
+    return null;
+  }
+
+  if (!/^[1-9]/.test(nsn)) return null;
+  const mobile = /^1[5-7]/.test(nsn);
+  const length = mobile ? GERMAN_MOBILE_NSN_LENGTH : GERMAN_LANDLINE_NSN_LENGTH;
+  if (nsn.length < length.min || nsn.length > length.max) return null;
+
+  return { e164: `+49${nsn}`, national: `0${nsn}`, mobile };
+}
+
+/**
+ * E.164 form of a phone number, or null if it cannot be parsed
+ */
+export function normalizePhoneNumber(value) {
+  return parseGermanPhone(value)?.e164 || null;
+}
+
+/**
+ * Find the first phone number in free text (caller speech, transcripts)
+ * Digit groups are tried from longest to shortest, so "0170 1234567 15 Uhr" still yields the number.
+ * Digits dictated one by one ("0 1 7 0 1 2 …") are joined into one group first.
+ * Returns the E.164 number or null.
+ */
+export function findPhoneNumberInText(text) {
+  const normalized = String(text || '')
+    .replace(/\bplus\s*(?=\d)/gi, '+')
+    .replace(/(?<![\d.:])\d(?:\s+\d(?![\d.:]))+/g, run => run.replace(/\s+/g, ''));
+  const candidatePattern = /(?:\+|\b0)\d[\d\s\/\-().]*\d/g;
+  let match;
+  while ((match = candidatePattern.exec(normalized)) !== null) {
+    const groups = match[0].split(/\s+/);
+    // "… 15 Uhr": the last group is a time, not part of the number
+    const after = normalized.substring(match.index + match[0].length).trimStart().toLowerCase();
+    const usableGroups = after.startsWith('uhr') ? groups.length - 1 : groups.length;
+    for (let count = usableGroups; count > 0; count--) {
+      const candidate = groups.slice(0, count).join(' ');
+      const parsed = parseGermanPhone(candidate);
+      if (parsed) return parsed.e164;
+    }
+  }
+  return null;
+}
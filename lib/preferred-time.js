@@ -0,0 +1,277 @@
+import { isNonEmptyString } from './validation.js';
+import { parseDateAnswer } from './intake.js';
+import { WEEKDAY_NAMES_DE } from './opening-hours.js';
+import {
+  DEFAULT_TIMEZONE, addDaysToDate, getWeekdayOfDate, getZonedDateTime, minutesToTime
+} from './slots.js';
+
+// ===== PREFERRED TIME PARSING =====
+// Callers say when they would like to come in words ("morgen 15 Uhr", "nächste Woche
+// nachmittags"). parsePreferredTime resolves that against the call time in the clinic
+// timezone into windows { date, from, to, day_part }. Leads keep them next to the raw text
+// (preferred_slots.windows), so staff can sort by them and the slot search can match them.
+
+// Day-parts in clinic wall-clock time
+const DAY_PART_WINDOWS = {
+  vormittag: { from: '08:00', to: '12:00' },
+  mittag: { from: '11:00', to: '14:00' },
+  nachmittag: { from: '12:00', to: '18:00' },
+  abend: { from: '17:00', to: '20:00' }
+};
+
+// Days covered when the caller names only a time or day-part ("nachmittags", "egal wann")
+const PREFERRED_TIME_HORIZON_DAYS = 7;
+const MAX_PREFERRED_WINDOWS = 14;
+
+const MONTH_NAMES_DE = ['januar', 'februar', 'märz', 'april', 'mai', 'juni', 'juli', 'august', 'september', 'oktober', 'november', 'dezember'];
+
+const NUMBER_WORDS_DE = {
+  ein: 1, eins: 1, einem: 1, einer: 1, zwei: 2, drei: 3, vier: 4, fünf: 5, sechs: 6, sieben: 7, acht: 8,
+  neun: 9, zehn: 10, elf: 11, zwölf: 12, dreizehn: 13, vierzehn: 14, fünfzehn: 15, sechzehn: 16,
+  siebzehn: 17, achtzehn: 18, neunzehn: 19, zwanzig: 20
+};
+
+// Clock time or count as said: "15", "15:30", "15.30" or a number word (longest words first)
+const TIME_TOKEN = `(\\d{1,2}(?:[:.]\\d{2})?|${Object.keys(NUMBER_WORDS_DE).sort((a, b) => b.length - a.length).join('|')})`;
+
+// A number followed by a unit is a duration ("nach zwei Wochen"), not a clock time
+const NOT_A_DURATION = '(?!\\s*(?:tag|woche|monat|minute|stunde))';
+
+/**
+ * Number from digits or a German number word; null if neither
+ */
+function parseNumberToken(token) {
+  if (/^\d+$/.test(token)) return parseInt(token, 10);
+  return NUMBER_WORDS_DE[token] ?? null;
+}
+
+/**
+ * "HH:MM" from a time token; afternoon is assumed where a practice would mean it
+ * ("um drei" = 15:00, "halb fünf nachmittags" = 16:30)
+ */
+function resolveClockTime(token, dayPart) {
+  const digits = token.match(/^(\d{1,2})(?:[:.](\d{2}))?$/);
+  let hours = digits ? parseInt(digits[1], 10) : parseNumberToken(token);
+  const minutes = digits?.[2] ? parseInt(digits[2], 10) : 0;
+  if (hours === null || hours > 23 || minutes > 59) return null;
+
+  if (hours < 12 && (dayPart === 'nachmittag' || dayPart === 'abend' || (hours < 7 && dayPart !== 'vormittag'))) {
+    hours += 12;
+  }
+  return minutesToTime(hours * 60 + minutes);
+}
+
+/**
+ * Rewrite colloquial clock times as digits: "halb drei" -> "2:30", "viertel nach zehn" -> "10:15",
+ * "viertel drei" (as said in Saxony) -> "2:15", "dreiviertel elf" -> "10:45"
+ */
+function normalizeClockPhrases(text) {
+  const hour = (token) => parseNumberToken(token);
+  const format = (h, m) => (h >= 0 && h <= 23 ? `${h}:${String(m).padStart(2, '0')} uhr` : '');
+  return text
+    .replace(new RegExp(`\\bviertel nach ${TIME_TOKEN}\\b`, 'g'), (m, t) => format(hour(t), 15))
+    .replace(new RegExp(`\\b(?:viertel vor|dreiviertel) ${TIME_TOKEN}\\b`, 'g'), (m, t) => format(hour(t) - 1, 45))
+    .replace(new RegExp(`\\bviertel ${TIME_TOKEN}\\b`, 'g'), (m, t) => format(hour(t) - 1, 15))
+    .replace(new RegExp(`\\bhalb ${TIME_TOKEN}\\b`, 'g'), (m, t) => format(hour(t) - 1, 30))
+    .replace(/(\d)\s*uhr\s*uhr/g, '$1 uhr');
+}
+
+/**
+ * Day-part the caller named: 'vormittag', 'mittag', 'nachmittag', 'abend' or null
+ */
+function detectDayPart(text) {
+  const lower = (text || '').toLowerCase();
+  if (/nachmittag/.test(lower)) return 'nachmittag';
+  if (/abends?\b|nach der arbeit|feierabend/.test(lower)) return 'abend';
+  if (/vormittag|morgens|\bfrüh\b|heute morgen|am morgen/.test(lower)) return 'vormittag';
+  if (/mittag/.test(lower)) return 'mittag';
+  return null;
+}
+
+/**
+ * Monday of the week containing a date
+ */
+function getMondayOfWeek(dateStr) {
+  return addDaysToDate(dateStr, -((getWeekdayOfDate(dateStr) + 6) % 7));
+}
+
+// "nicht am Montag", "außer Freitag": the day that follows is ruled out
+const NEGATED_DATE_PATTERN = /\b(nicht|außer|ausser|keinesfalls)\s+(?:am\s+|an\s+|den\s+|diese[nm]?\s+)?$/;
+
+/**
+ * Dates the caller named, resolved against today (clinic timezone)
+ * Returns { dates, excluded, text } - excluded: { dates, weekdays } the caller ruled out;
+ * text with the date phrases removed, so "15.11." is not read as a time
+ */
+function resolvePreferredDates(lower, today) {
+  const dates = [];
+  const excluded = { dates: [], weekdays: [] };
+  let text = lower;
+  const take = (pattern, resolve) => {
+    text = text.replace(pattern, (...match) => {
+      const negated = NEGATED_DATE_PATTERN.test(match.at(-1).substring(0, match.at(-2)));
+      const resolved = resolve(match, negated);
+      if (resolved) (negated ? excluded.dates : dates).push(...[].concat(resolved));
+      return ' ';
+    });
+  };
+  const year = Number(today.substring(0, 4));
+  // Dates without a year are the next occurrence
+  const calendarDate = (y, m, d) => {
+    const date = parseDateAnswer(`${d}.${m}.${y}`);
+    if (!date) return null;
+    return date < today && y === year ? parseDateAnswer(`${d}.${m}.${y + 1}`) : date;
+  };
+
+  // Explicit dates: "15.11.", "15.11.2026", "am 3. Dezember"
+  take(/\b(\d{1,2})\.\s?(\d{1,2})\.(\d{4}|\d{2}(?!\d))?/g, ([, d, m, y]) =>
+    calendarDate(y ? (y.length === 2 ? 2000 + Number(y) : Number(y)) : year, Number(m), Number(d)));
+  take(new RegExp(`\\b(\\d{1,2})\\.?\\s+(${MONTH_NAMES_DE.join('|')})(?:\\s+(\\d{4}))?`, 'g'), ([, d, month, y]) =>
+    calendarDate(y ? Number(y) : year, MONTH_NAMES_DE.indexOf(month) + 1, Number(d)));
+  // "am 15." - day of this month, or of the next month that has it ("am 31." in November: 31 December)
+  take(/\bam (\d{1,2})\.(?!\s*\d)/g, ([, d]) => {
+    const [y, m] = today.split('-').map(Number);
+    for (let offset = 0; offset < 12; offset++) {
+      const month = (m - 1 + offset) % 12 + 1;
+      const date = parseDateAnswer(`${d}.${month}.${y + Math.floor((m - 1 + offset) / 12)}`);
+      if (date && date >= today) return date;
+    }
+    return null;
+  });
+
+  // Relative days; "heute morgen" is this morning, not tomorrow
+  take(/\bheute( morgen\b)?/g, () => today);
+  // \b does not work in front of umlauts
+  take(/(?<![a-zäöüß])übermorgen\b/g, () => addDaysToDate(today, 2));
+  take(/\bmorgen\b/g, () => addDaysToDate(today, 1));
+  take(new RegExp(`\\bin ${TIME_TOKEN} tag(?:en)?\\b`, 'g'), ([, n]) => {
+    const days = parseNumberToken(n);
+    return days ? addDaysToDate(today, days) : null;
+  });
+
+  // Weeks: "nächste Woche", "übernächste Woche", "in zwei Wochen", "Ende der Woche"
+  let weekOffset = null;
+  take(new RegExp(`\\bin ${TIME_TOKEN} wochen?\\b`, 'g'), ([, n]) => { weekOffset = parseNumberToken(n); });
+  take(/(?<![a-zäöüß])übernächste[nrm]? woche\b/g, () => { weekOffset = 2; });
+  take(/\b(?:nächste[nrm]?|kommende[nrm]?) woche\b/g, () => { weekOffset = 1; });
+  take(/\b(?:diese[nrm]?|der) woche\b/g, () => { weekOffset = 0; });
+  const weekStart = addDaysToDate(getMondayOfWeek(today), 7 * (weekOffset || 0));
+
+  // Weekend
+  take(/\b(nächste[ns]? |kommende[ns]? )?wochenende\b/g, ([, next]) => {
+    const saturday = addDaysToDate(next ? addDaysToDate(weekStart, 7) : weekStart, 5);
+    return [saturday, addDaysToDate(saturday, 1)];
+  });
+
+  // Weekdays: in the named week, otherwise the next one after today ("übernächsten Freitag" one later)
+  const weekdays = WEEKDAY_NAMES_DE.map(name => name.toLowerCase());
+  let namedWeekday = false;
+  take(new RegExp(`(?<![a-zäöüß])(übernächste[nrm]? )?(${weekdays.join('|')})s?\\b`, 'g'), ([, afterNext, name], negated) => {
+    // "nicht montags" rules out every Monday
+    if (negated) {
+      excluded.weekdays.push(weekdays.indexOf(name));
+      return null;
+    }
+    namedWeekday = true;
+    const mondayBased = (weekdays.indexOf(name) + 6) % 7;
+    if (weekOffset !== null) return addDaysToDate(weekStart, mondayBased);
+    const ahead = (weekdays.indexOf(name) - getWeekdayOfDate(today) + 7) % 7 || 7;
+    return addDaysToDate(today, ahead + (afterNext ? 7 : 0));
+  });
+
+  // A week without a weekday: its working days, or part of them
+  if (weekOffset !== null && !namedWeekday) {
+    const days = /\banfang\b/.test(lower) ? [0, 1] : /\bmitte\b/.test(lower) ? [2] : /\bende\b/.test(lower) ? [3, 4] : [0, 1, 2, 3, 4];
+    dates.push(...days.map(day => addDaysToDate(weekStart, day)));
+  }
+
+  return { dates, excluded, text };
+}
+
+/**
+ * Resolve a preferred time in German words into date/time windows
+ * @param {string} text - e.g. "morgen 15 Uhr", "nächste Woche Nachmittag", "Freitag ab halb drei"
+ * @param {Object} options - { now: call time, timeZone: clinic timezone }
+ * @returns {Object|null} { windows: [{ date, from, to, day_part }], flexible } or null if nothing was understood
+ *   from/to: 'HH:MM' or null (open); day_part: set when only a day-part was named
+ *   flexible: the caller said any time is fine ("so bald wie möglich", "egal wann")
+ */
+export function parsePreferredTime(text, { now = new Date(), timeZone = DEFAULT_TIMEZONE } = {}) {
+  if (!isNonEmptyString(text)) return null;
+
+  const local = getZonedDateTime(now, timeZone);
+  // Negated limits and day-parts turn into their opposite: "nicht vor 10" = "ab 10"
+  const lower = normalizeClockPhrases(text.toLowerCase().replace(/\s+/g, ' '))
+    .replace(/\bnicht (?:vor|früher als)\b/g, 'ab')
+    .replace(/\bnicht (?:nach|später als)\b/g, 'bis')
+    .replace(/\bnicht (?:am |so )?(?:vormittags?|morgens)\b/g, 'nachmittags')
+    .replace(/\bnicht (?:am |so )?nachmittags?\b/g, 'vormittags');
+  const { dates, excluded, text: timeText } = resolvePreferredDates(lower, local.date);
+  const dayPart = detectDayPart(lower);
+  const flexible = /so (?:schnell|bald|früh) wie möglich|schnellstmöglich|baldmöglichst|möglichst (?:bald|schnell)|nächstmöglich|egal wann|\begal\b|jederzeit|flexibel/.test(lower);
+
+  // Clock times: "zwischen 14 und 16 Uhr", "ab 15 Uhr", "bis 11", "um 15:30"
+  const time = (token) => resolveClockTime(token, dayPart);
+  let from = null;
+  let to = null;
+  const range = timeText.match(new RegExp(`\\b(?:zwischen|von) ${TIME_TOKEN}(?: uhr)? (?:und|bis) ${TIME_TOKEN}${NOT_A_DURATION}`))
+    || timeText.match(new RegExp(`\\b${TIME_TOKEN} ?(?:-|–|bis) ?${TIME_TOKEN} uhr`));
+  if (range) {
+    from = time(range[1]);
+    to = time(range[2]);
+    // "zwischen 9 und 3" - the end is in the afternoon
+    if (from && to && to < from) to = resolveClockTime(range[2], 'nachmittag');
+  } else {
+    const after = timeText.match(new RegExp(`\\b(?:ab|nach|frühestens(?: um)?) ${TIME_TOKEN}\\b${NOT_A_DURATION}`));
+    const before = timeText.match(new RegExp(`\\b(?:bis|vor|spätestens(?: um)?) ${TIME_TOKEN}\\b${NOT_A_DURATION}`));
+    const exact = timeText.match(new RegExp(`\\bum ${TIME_TOKEN}\\b${NOT_A_DURATION}`))
+      || timeText.match(new RegExp(`\\b${TIME_TOKEN} uhr\\b`))
+      || timeText.match(/\b(\d{1,2}:\d{2})\b/);
+    if (after) from = time(after[1]);
+    if (before) to = time(before[1]);
+    if (!after && !before && exact) from = to = time(exact[1]);
+  }
+
+  const hasTime = Boolean(from || to);
+  const hasExclusions = excluded.dates.length > 0 || excluded.weekdays.length > 0;
+  if (dates.length === 0 && !hasTime && !dayPart && !flexible && !hasExclusions) return null;
+
+  const partWindow = dayPart ? DAY_PART_WINDOWS[dayPart] : { from: null, to: null };
+  const window = hasTime
+    ? { from: from || partWindow.from, to: to || partWindow.to, day_part: null }
+    : { from: partWindow.from, to: partWindow.to, day_part: dayPart };
+
+  let windowDates = [...new Set(dates)].filter(date => date >= local.date).sort();
+  if (dates.length === 0) {
+    // Only a time, day-part or ruled-out days: the coming days, today only while the window is still open
+    windowDates = Array.from({ length: PREFERRED_TIME_HORIZON_DAYS }, (_, i) => addDaysToDate(local.date, i))
+      .filter(date => date > local.date || !window.to || window.to > local.time);
+  }
+  windowDates = windowDates.filter(date =>
+    !excluded.dates.includes(date) && !excluded.weekdays.includes(getWeekdayOfDate(date)));
+
+  return {
+    windows: windowDates.slice(0, MAX_PREFERRED_WINDOWS).map(date => ({ date, ...window })),
+    flexible
+  };
+}
+
+/**
+ * preferred_slots value for a lead: the raw wording plus its resolved windows
+ */
+export function buildPreferredSlots(raw, { now = new Date(), timeZone = DEFAULT_TIMEZONE } = {}) {
+  if (!raw) return null;
+  const parsed = parsePreferredTime(raw, { now, timeZone });
+  return parsed ? { raw, ...parsed, resolved_at: now.toISOString() } : { raw };
+}
+
+/**
+ * Whether a free slot (slot engine result) starts inside a preferred-time window
+ */
+export function slotMatchesWindows(slot, windows) {
+  return windows.some(window =>
+    window.date === slot.date &&
+    (!window.from || slot.time >= window.from) &&
+    (!window.to || slot.time <= window.to)
+  );
+}
@@ -0,0 +1,136 @@
+import { supabase } from './clients.js';
+import { getCallerLanguageFields } from './languages.js';
+import { classifyUrgency, getConversationSource, saveLead } from './leads.js';
+import { getIntakeAnswers } from './intake.js';
+import { getClinicOpenStatus } from './opening-hours.js';
+import { getKnownCallerLink } from './caller-id.js';
+import { getIntentFields } from './intents.js';
+
+// ===== AFTER-HOURS & EMERGENCY ROUTING =====
+// Outside opening hours the voice flow announces the closure and still captures the lead.
+// Callers classified as 'akut' are offered a <Dial> to the clinic's Zahnärztlicher Notdienst
+// number (clinics.emergency_number). The decision is stored in leads.routing.
+export const CALL_ROUTING = {
+  IN_HOURS: 'in_hours',
+  AFTER_HOURS: 'after_hours',
+  EMERGENCY_FORWARDED: 'emergency_forwarded',
+  EMERGENCY_DECLINED: 'emergency_declined',
+  EMERGENCY_UNREACHABLE: 'emergency_unreachable',
+  STAFF_TRANSFER: 'staff_transfer',
+  STAFF_UNREACHABLE: 'staff_unreachable',
+  VOICEMAIL: 'voicemail'
+};
+export const EMERGENCY_DIAL_TIMEOUT_SECONDS = 30;
+
+/**
+ * Routing mode for a new call, based on the clinic's opening hours right now
+ * Returns { afterHours, closedReason }
+ */
+export function getCallRoutingMode(clinic, now = new Date()) {
+  if (!clinic) return { afterHours: false, closedReason: null };
+  const status = getClinicOpenStatus(clinic, now);
+  return { afterHours: !status.open, closedReason: status.reason };
+}
+
+/**
+ * Greeting for the first turn of a call
+ */
+export function buildCallGreeting(routingMode, hasEmergencyNumber, knownCaller = null) {
+  const intro = knownCaller
+    ? `Guten Tag ${knownCaller.name}, schön, dass Sie wieder anrufen. Sie sind mit der Zahnarztpraxis Stela Xhelili verbunden.`
+    : 'Guten Tag, Sie sind mit der Zahnarztpraxis Stela Xhelili in der Karl-Liebknecht-Straße 1 in Leipzig verbunden.';
+  if (!routingMode.afterHours) {
+    return `${intro} Wie kann ich Ihnen helfen?`;
+  }
+
+  const reason = routingMode.closedReason ? ` (${routingMode.closedReason})` : '';
+  const emergencyHint = hasEmergencyNumber
+    ? ' Bei akuten Zahnschmerzen kann ich Sie mit dem zahnärztlichen Notdienst verbinden.'
+    : '';
+  return `${intro} Unsere Praxis ist gerade geschlossen${reason}. Ich nehme Ihr Anliegen gerne auf, und wir melden uns am nächsten Werktag bei Ihnen.${emergencyHint} Wie kann ich Ihnen helfen?`;
+}
+
+/**
+ * Whether the caller should be offered the emergency service now
+ * Only after hours, only once per call, only for 'akut' callers and only if a number is configured
+ */
+export function shouldOfferEmergencyForward(state, clinic, urgency) {
+  return !!(state.afterHours &&
+    !state.emergencyOffer &&
+    urgency === 'akut' &&
+    clinic?.emergency_number);
+}
+
+/**
+ * Save a lead from whatever the call collected so far
+ * Used when the call leaves the AI flow (transfer, voicemail) before all fields were given;
+ * missing fields get placeholders so the clinic still sees the caller.
+ * fields: optional { name, phone, reason, preferred_time } that take precedence over memory
+ * transcript: turns for the call summary, default state.messages
+ * callerNumber: the webhook's caller number, for states that expired or never had it
+ */
+export async function saveLeadFromCallState(state, callSid, { fields = {}, reason, preferredTime, urgency, routing, notes, transcript, extra, callerNumber } = {}) {
+  const memory = state.memory || {};
+  const userMessages = (state.messages || [])
+    .filter(msg => msg.role === 'user')
+    .map(msg => msg.content)
+    .join(' ');
+
+  const savedLead = await saveLead({
+    name: fields.name || memory.name || 'Unbekannt',
+    phone: fields.phone || memory.phone || state.fromNumber || callerNumber || 'Unbekannt',
+    reason: fields.reason || memory.reason || reason || 'Nicht angegeben',
+    preferredTime: fields.preferred_time || memory.preferred_time || preferredTime || 'Rückruf erbeten',
+    urgency: urgency || classifyUrgency(memory.reason, userMessages),
+    insurance: fields.insurance_status || memory.insurance_status,
+    insuranceProvider: fields.insurance_provider || memory.insurance_provider,
+    patientType: fields.patient_type || memory.patient_type,
+    intakeAnswers: getIntakeAnswers(memory, state.intakeSchema),
+    timeZone: state.timeZone,
+    source: getConversationSource(state),
+    rawText: notes || userMessages,
+    callSid,
+    routing,
+    transcript: transcript || state.messages,
+    extra: { ...getKnownCallerLink(state), ...getCallerLanguageFields(state), ...getIntentFields(state), ...extra }
+  });
+  if (savedLead) {
+    state.leadSaved = true;
+    state.leadId = savedLead.id;
+  }
+  return savedLead;
+}
+
+/**
+ * Store the routing decision on the call's lead
+ * Updates the saved lead, or creates one from what we know so far when the caller
+ * is forwarded before all fields were collected.
+ */
+export async function recordCallRouting(state, callSid, routing) {
+  state.routing = routing;
+  if (!supabase) return null;
+
+  try {
+    if (state.leadId) {
+      const { error } = await supabase
+        .from('leads')
+        .update({ routing })
+        .eq('id', state.leadId);
+      if (error) throw error;
+      console.log('📌 Lead routing updated:', state.leadId, routing);
+      return state.leadId;
+    }
+
+    const isEmergency = routing.startsWith('emergency_');
+    const savedLead = await saveLeadFromCallState(state, callSid, {
+      reason: isEmergency ? 'Akute Beschwerden' : null,
+      preferredTime: isEmergency ? 'Notdienst – sofort' : null,
+      urgency: isEmergency ? 'akut' : null,
+      routing
+    });
+    return savedLead?.id || null;
+  } catch (err) {
+    console.error('❌ Error recording call routing:', err);
+    return null;
+  }
+}
@@ -0,0 +1,214 @@
+import path from 'path';
+import fs from 'fs';
+import os from 'os';
+import { supabase } from './clients.js';
+
+
+// ===== SESSION STORE =====
+// Conversation state lives behind a small async store interface so a restart or a
+// second instance does not wipe a caller's history mid-call.
+// Backend is chosen with SESSION_STORE=memory|file|supabase (default: memory).
+export const SESSION_TTL_MS = (parseInt(process.env.SESSION_TTL_MINUTES) || 60) * 60000;
+// Finished calls are kept briefly (late Twilio callbacks) and then dropped
+export const FINISHED_SESSION_TTL_MS = 5 * 60000;
+export const SESSION_CLEANUP_INTERVAL_MS = 5 * 60000;
+
+/**
+ * In-memory store (single process, lost on restart)
+ */
+function createMemorySessionStore(namespace) {
+  const entries = new Map();
+
+  return {
+    kind: 'memory',
+    namespace,
+    async get(id) {
+      const entry = entries.get(id);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(id);
+        return null;
+      }
+      return entry.state;
+    },
+    async set(id, state, ttlMs = SESSION_TTL_MS) {
+      entries.set(id, { state, expiresAt: Date.now() + ttlMs });
+    },
+    async delete(id) {
+      entries.delete(id);
+    },
+    async cleanup() {
+      const now = Date.now();
+      let removed = 0;
+      for (const [id, entry] of entries) {
+        if (entry.expiresAt <= now) {
+          entries.delete(id);
+          removed++;
+        }
+      }
+      return removed;
+    }
+  };
+}
+
+/**
+ * JSON file store - survives restarts on a single host
+ * Path: SESSION_STORE_PATH (directory), defaults to the OS temp dir
+ */
+function createFileSessionStore(namespace) {
+  const dir = process.env.SESSION_STORE_PATH || os.tmpdir();
+  const filePath = path.join(dir, `selaro-sessions-${namespace}.json`);
+  let entries = null;
+  let writeQueue = Promise.resolve();
+
+  async function load() {
+    if (entries) return entries;
+    try {
+      const raw = await fs.promises.readFile(filePath, 'utf8');
+      entries = new Map(Object.entries(JSON.parse(raw)));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.warn(`⚠️  Could not read session file ${filePath}, starting empty:`, err.message);
+      }
+      entries = new Map();
+    }
+    return entries;
+  }
+
+  // Serialize writes and replace the file atomically
+  function persist() {
+    writeQueue = writeQueue.then(async () => {
+      const tmpPath = `${filePath}.tmp`;
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(tmpPath, JSON.stringify(Object.fromEntries(entries)));
+      await fs.promises.rename(tmpPath, filePath);
+    }).catch(err => console.error('❌ Error writing session file:', err.message));
+    return writeQueue;
+  }
+
+  return {
+    kind: 'file',
+    namespace,
+    async get(id) {
+      await load();
+      const entry = entries.get(id);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(id);
+        await persist();
+        return null;
+      }
+      return entry.state;
+    },
+    async set(id, state, ttlMs = SESSION_TTL_MS) {
+      await load();
+      entries.set(id, { state, expiresAt: Date.now() + ttlMs });
+      await persist();
+    },
+    async delete(id) {
+      await load();
+      if (entries.delete(id)) await persist();
+    },
+    async cleanup() {
+      await load();
+      const now = Date.now();
+      let removed = 0;
+      for (const [id, entry] of entries) {
+        if (entry.expiresAt <= now) {
+          entries.delete(id);
+          removed++;
+        }
+      }
+      if (removed > 0) await persist();
+      return removed;
+    }
+  };
+}
+
+/**
+ * Supabase store - shared between instances via the call_sessions table
+ */
+function createSupabaseSessionStore(namespace) {
+  const store = {
+    kind: 'supabase',
+    namespace,
+    async get(id) {
+      const { data, error } = await supabase
+        .from('call_sessions')
+        .select('state, expires_at')
+        .eq('session_id', id)
+        .eq('channel', namespace)
+        .maybeSingle();
+
+      if (error) {
+        console.error('❌ Error loading call session:', error.message);
+        return null;
+      }
+      if (!data) return null;
+      if (new Date(data.expires_at).getTime() <= Date.now()) {
+        await store.delete(id);
+        return null;
+      }
+      return data.state;
+    },
+    async set(id, state, ttlMs = SESSION_TTL_MS) {
+      const { error } = await supabase
+        .from('call_sessions')
+        .upsert({
+          session_id: id,
+          channel: namespace,
+          state,
+          expires_at: new Date(Date.now() + ttlMs).toISOString()
+        }, { onConflict: 'session_id,channel' });
+
+      if (error) {
+        console.error('❌ Error saving call session:', error.message);
+      }
+    },
+    async delete(id) {
+      const { error } = await supabase
+        .from('call_sessions')
+        .delete()
+        .eq('session_id', id)
+        .eq('channel', namespace);
+
+      if (error) {
+        console.error('❌ Error deleting call session:', error.message);
+      }
+    },
+    async cleanup() {
+      const { data, error } = await supabase
+        .from('call_sessions')
+        .delete()
+        .eq('channel', namespace)
+        .lt('expires_at', new Date().toISOString())
+        .select('session_id');
+
+      if (error) {
+        console.error('❌ Error cleaning up call sessions:', error.message);
+        return 0;
+      }
+      return data ? data.length : 0;
+    }
+  };
+
+  return store;
+}
+
+/**
+ * Create the configured session store for a channel ("twilio", "simulate")
+ */
+export function createSessionStore(namespace) {
+  const kind = (process.env.SESSION_STORE || 'memory').toLowerCase();
+
+  if (kind === 'supabase') {
+    if (supabase) return createSupabaseSessionStore(namespace);
+    console.warn('⚠️  SESSION_STORE=supabase but Supabase is not configured - using memory store');
+  } else if (kind === 'file') {
+    return createFileSessionStore(namespace);
+  } else if (kind !== 'memory') {
+    console.warn(`⚠️  Unknown SESSION_STORE "${kind}" - using memory store`);
+  }
+
+  return createMemorySessionStore(namespace);
+}
@@ -0,0 +1,366 @@
+import { supabase } from './clients.js';
+import { normalizePhoneNumber } from './phone.js';
+import { WEEKDAY_NAMES_DE, getOpeningIntervals } from './opening-hours.js';
+import { parsePreferredTime, slotMatchesWindows } from './preferred-time.js';
+import { findOrCreatePatient } from './patients.js';
+
+// ===== APPOINTMENT SLOT ENGINE =====
+// Free slots are computed from the clinic's opening hours, treatment durations and
+// chair count minus the rows already in the appointments table.
+export const DEFAULT_TIMEZONE = 'Europe/Berlin';
+const SLOT_STEP_MINUTES = 15;
+// Never offer a slot that starts sooner than this from now
+const SLOT_MIN_NOTICE_MINUTES = 60;
+export const CANCELLED_APPOINTMENT_STATUSES = ['cancelled', 'abgesagt'];
+
+// Minutes per treatment; keys are matched as keywords against the caller's reason
+export const DEFAULT_TREATMENT_DURATIONS = {
+  default: 30,
+  schmerzen: 30,
+  notfall: 30,
+  kontrolle: 30,
+  untersuchung: 30,
+  zahnreinigung: 60,
+  prophylaxe: 60,
+  wurzelbehandlung: 90,
+  füllung: 45,
+  bleaching: 60
+};
+
+/**
+ * Convert "HH:MM" (or "HH:MM:SS") to minutes since midnight
+ */
+export function timeToMinutes(time) {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+}
+
+/**
+ * Convert minutes since midnight to "HH:MM"
+ */
+export function minutesToTime(minutes) {
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+}
+
+/**
+ * Add days to a "YYYY-MM-DD" date string (pure calendar arithmetic)
+ */
+export function addDaysToDate(dateStr, days) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  const date = new Date(Date.UTC(y, m - 1, d + days));
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Weekday index (0 = Sunday) of a "YYYY-MM-DD" date string
+ */
+export function getWeekdayOfDate(dateStr) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+}
+
+/**
+ * Wall-clock date/time of an instant in the clinic timezone
+ * Returns { date: 'YYYY-MM-DD', time: 'HH:MM', minutes, weekday }
+ */
+export function getZonedDateTime(instant = new Date(), timeZone = DEFAULT_TIMEZONE) {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(instant);
+
+  const get = (type) => parts.find(p => p.type === type).value;
+  const date = `${get('year')}-${get('month')}-${get('day')}`;
+  const time = `${get('hour')}:${get('minute')}`;
+
+  return { date, time, minutes: timeToMinutes(time), weekday: getWeekdayOfDate(date) };
+}
+
+/**
+ * Human-readable German slot label, e.g. "Dienstag, 16.12. um 10:30 Uhr"
+ */
+export function formatSlotLabel(dateStr, time) {
+  const [, m, d] = dateStr.split('-');
+  return `${WEEKDAY_NAMES_DE[getWeekdayOfDate(dateStr)]}, ${d}.${m}. um ${time} Uhr`;
+}
+
+/**
+ * Treatment duration in minutes for a caller's reason
+ */
+export function getTreatmentDuration(clinic, reason) {
+  const durations = { ...DEFAULT_TREATMENT_DURATIONS, ...(clinic?.treatment_durations || {}) };
+  const lowerReason = (reason || '').toLowerCase();
+
+  for (const [keyword, minutes] of Object.entries(durations)) {
+    if (keyword !== 'default' && lowerReason.includes(keyword)) {
+      return minutes;
+    }
+  }
+
+  return durations.default;
+}
+
+/**
+ * Load non-cancelled appointments between two dates (inclusive)
+ */
+async function loadBookedAppointments(fromDate, toDate) {
+  if (!supabase) return [];
+
+  const { data, error } = await supabase
+    .from('appointments')
+    .select('id, appointment_date, appointment_time, duration_minutes, status')
+    .gte('appointment_date', fromDate)
+    .lte('appointment_date', toDate);
+
+  if (error) {
+    console.error('❌ Error loading appointments for slot search:', error);
+    throw error;
+  }
+
+  return (data || []).filter(apt => !CANCELLED_APPOINTMENT_STATUSES.includes(apt.status));
+}
+
+/**
+ * Count appointments overlapping [start, end) on a date
+ */
+function countOverlappingAppointments(appointments, dateStr, start, end) {
+  return appointments.filter(apt => {
+    if (apt.appointment_date !== dateStr) return false;
+    const aptStart = timeToMinutes(apt.appointment_time);
+    const aptEnd = aptStart + (apt.duration_minutes || DEFAULT_TREATMENT_DURATIONS.default);
+    return aptStart < end && aptEnd > start;
+  }).length;
+}
+
+/**
+ * Find free appointment slots for a clinic
+ * @param {Object} clinic - Clinic row (opening_hours, treatment_durations, chair_count, timezone)
+ * @param {Object} options - { reason, fromDate, days, limit, dayPart: 'vormittag'|'nachmittag', windows, now }
+ *   windows: only slots starting inside one of these preferred-time windows (see parsePreferredTime)
+ * @returns {Promise<Array>} [{ date, time, end_time, duration_minutes, label }]
+ */
+export async function findAvailableSlots(clinic, { reason, fromDate, days = 14, limit = 20, dayPart = null, windows = null, now = new Date() } = {}) {
+  const timeZone = clinic?.timezone || DEFAULT_TIMEZONE;
+  const duration = getTreatmentDuration(clinic, reason);
+  const chairs = Math.max(1, parseInt(clinic?.chair_count) || 1);
+  const localNow = getZonedDateTime(now, timeZone);
+
+  const startDate = fromDate && fromDate > localNow.date ? fromDate : localNow.date;
+  const endDate = addDaysToDate(startDate, days - 1);
+  const appointments = await loadBookedAppointments(startDate, endDate);
+
+  const slots = [];
+  for (let dateStr = startDate; dateStr <= endDate && slots.length < limit; dateStr = addDaysToDate(dateStr, 1)) {
+    for (const interval of getOpeningIntervals(clinic, dateStr)) {
+      for (let start = interval.start; start + duration <= interval.end; start += SLOT_STEP_MINUTES) {
+        if (dateStr === localNow.date && start < localNow.minutes + SLOT_MIN_NOTICE_MINUTES) continue;
+        if (dayPart === 'vormittag' && start >= 12 * 60) continue;
+        if (dayPart === 'nachmittag' && start < 12 * 60) continue;
+        if (countOverlappingAppointments(appointments, dateStr, start, start + duration) >= chairs) continue;
+
+        const time = minutesToTime(start);
+        if (windows && !slotMatchesWindows({ date: dateStr, time }, windows)) continue;
+        slots.push({
+          date: dateStr,
+          time,
+          end_time: minutesToTime(start + duration),
+          duration_minutes: duration,
+          label: formatSlotLabel(dateStr, time)
+        });
+        if (slots.length >= limit) break;
+      }
+      if (slots.length >= limit) break;
+    }
+  }
+
+  return slots;
+}
+
+/**
+ * Free slots inside the caller's preferred-time windows
+ * Falls back to the next free slots when none match (or the windows are already past);
+ * matched tells which of the two the caller gets.
+ * @returns {Promise<Object>} { slots, matched }
+ */
+export async function findSlotsForPreferredTime(clinic, { reason, windows, limit = 20, now = new Date() } = {}) {
+  const today = getZonedDateTime(now, clinic?.timezone || DEFAULT_TIMEZONE).date;
+  const upcoming = (windows || []).filter(window => window.date >= today);
+
+  if (upcoming.length > 0) {
+    const fromDate = upcoming[0].date;
+    const toDate = upcoming[upcoming.length - 1].date;
+    const days = Math.round((Date.parse(toDate) - Date.parse(fromDate)) / 86400000) + 1;
+    const slots = await findAvailableSlots(clinic, { reason, fromDate, days, limit, windows: upcoming, now });
+    if (slots.length > 0) return { slots, matched: true };
+  }
+
+  return { slots: await findAvailableSlots(clinic, { reason, limit, now }), matched: false };
+}
+
+/**
+ * Check whether a specific slot is still free (used right before booking)
+ */
+export async function isSlotAvailable(clinic, dateStr, time, duration) {
+  const start = timeToMinutes(time);
+  const end = start + duration;
+  const chairs = Math.max(1, parseInt(clinic?.chair_count) || 1);
+
+  const withinOpeningHours = getOpeningIntervals(clinic, dateStr)
+    .some(interval => start >= interval.start && end <= interval.end);
+  if (!withinOpeningHours) return false;
+
+  const appointments = await loadBookedAppointments(dateStr, dateStr);
+  return countOverlappingAppointments(appointments, dateStr, start, end) < chairs;
+}
+
+/**
+ * Pick a few varied slots to offer on the phone (preferably one per day and day-part)
+ */
+function pickSlotsToOffer(slots, count = 3) {
+  const picked = [];
+  const seen = new Set();
+
+  for (const slot of slots) {
+    const key = `${slot.date}-${timeToMinutes(slot.time) < 12 * 60 ? 'am' : 'pm'}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    picked.push(slot);
+    if (picked.length >= count) break;
+  }
+
+  // Narrow preferred time ("Freitag nachmittags"): fill up with other times, at least an hour apart
+  for (const slot of slots) {
+    if (picked.length >= count) break;
+    const start = timeToMinutes(slot.time);
+    if (picked.some(p => p.date === slot.date && Math.abs(timeToMinutes(p.time) - start) < 60)) continue;
+    picked.push(slot);
+  }
+
+  return picked.sort((a, b) => `${a.date} ${a.time}`.localeCompare(`${b.date} ${b.time}`));
+}
+
+/**
+ * Insert an appointment and mark the linked lead as scheduled
+ * Shared by POST /api/appointments/create and the AI booking flow
+ */
+export async function createAppointment({ lead_id, patient_name, phone, reason, appointment_date, appointment_time, duration_minutes, notes, intent }) {
+  const patient = await findOrCreatePatient({ name: patient_name.trim(), phone });
+
+  const { data, error } = await supabase
+    .from('appointments')
+    .insert([{
+      lead_id: lead_id || null,
+      patient_id: patient?.id || null,
+      patient_name: patient_name.trim(),
+      phone: normalizePhoneNumber(phone) || phone.trim(),
+      reason: reason ? reason.trim() : null,
+      appointment_date,
+      appointment_time,
+      duration_minutes: duration_minutes || DEFAULT_TREATMENT_DURATIONS.default,
+      notes: notes ? notes.trim() : null,
+      status: 'geplant',
+      intent: intent || null
+    }])
+    .select();
+
+  if (error) {
+    console.error('Error creating appointment:', error);
+    throw error;
+  }
+
+  // Optionally update lead status if lead_id exists
+  if (lead_id) {
+    const { error: leadError } = await supabase
+      .from('leads')
+      .update({ status: 'Termin vereinbart' })
+      .eq('id', lead_id);
+
+    if (leadError) {
+      console.error('Note: Could not update lead status:', leadError);
+    }
+  }
+
+  return data[0];
+}
+
+/**
+ * Refresh the slots offered in a conversation once the reason is known
+ * Stores them on state.offeredSlots so the prompt and the booking step agree
+ */
+export async function prepareSlotOffer(state, clinic) {
+  if (state.appointmentBooked || !state.memory.reason || !supabase) {
+    return state.offeredSlots || [];
+  }
+
+  try {
+    const cacheKey = `${state.memory.reason}|${state.memory.preferred_time || ''}`;
+    if (state.offeredSlots && state.offeredSlotsKey === cacheKey) {
+      return state.offeredSlots;
+    }
+
+    const preferred = parsePreferredTime(state.memory.preferred_time, { timeZone: clinic?.timezone || DEFAULT_TIMEZONE });
+    const { slots } = await findSlotsForPreferredTime(clinic, {
+      reason: state.memory.reason,
+      windows: preferred?.windows,
+      limit: 40
+    });
+    state.offeredSlots = pickSlotsToOffer(slots);
+    state.offeredSlotsKey = cacheKey;
+    console.log('📅 Offering slots:', state.offeredSlots.map(s => s.label));
+  } catch (err) {
+    console.error('⚠️ Slot search failed (continuing without slots):', err.message);
+    state.offeredSlots = [];
+  }
+
+  return state.offeredSlots;
+}
+
+/**
+ * Book the slot the AI confirmed in its LEAD SUMMARY ("Gebuchter Termin: YYYY-MM-DD HH:MM")
+ * Only slots that were actually offered in this conversation are accepted.
+ */
+export async function bookConfirmedSlot(state, clinic, aiReply, lead) {
+  if (state.appointmentBooked || !lead || !supabase) return null;
+
+  const match = aiReply.match(/Gebuchter Termin:\s*(\d{4}-\d{2}-\d{2})\s+(\d{2}:\d{2})/i);
+  if (!match) return null;
+
+  const slot = (state.offeredSlots || []).find(s => s.date === match[1] && s.time === match[2]);
+  if (!slot) {
+    console.warn('⚠️ AI confirmed a slot that was not offered - not booking:', match[0]);
+    return null;
+  }
+
+  try {
+    if (!(await isSlotAvailable(clinic, slot.date, slot.time, slot.duration_minutes))) {
+      console.warn('⚠️ Slot was taken in the meantime - not booking:', slot.label);
+      return null;
+    }
+
+    const appointment = await createAppointment({
+      lead_id: lead.id,
+      patient_name: lead.name,
+      phone: lead.phone || '',
+      reason: lead.concern,
+      appointment_date: slot.date,
+      appointment_time: slot.time,
+      duration_minutes: slot.duration_minutes,
+      notes: 'Vom AI-Telefonassistenten gebucht',
+      intent: state.intent === 'reschedule' ? 'reschedule' : 'appointment'
+    });
+
+    state.appointmentBooked = true;
+    console.log('✅ Appointment booked by AI:', appointment.id, slot.label);
+    return appointment;
+  } catch (err) {
+    console.error('❌ Error booking confirmed slot:', err);
+    return null;
+  }
+}
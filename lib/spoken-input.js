@@ -0,0 +1,178 @@
+// ===== SPOKEN INPUT NORMALISATION =====
+// Twilio SpeechResult often contains dictated numbers and spelled names as words:
+// "null drei vier eins fünf fünf fünf", "doppel-fünf", "M wie Martha, Ü, doppel L, E, R",
+// "Anton, Berta, …". These are turned into digits and names before memory extraction.
+// Only runs of at least MIN_SPOKEN_RUN_LENGTH items are converted, so ordinary speech
+// ("seit zwei Tagen", "tut weh") stays untouched.
+const MIN_SPOKEN_RUN_LENGTH = 3;
+// Spelling-alphabet words are also names and cities ("Ida, Emil, Essen"). A run made only of
+// them is spelled after a cue ("buchstabiert", "M wie Martha") or from this length on.
+const MIN_SPELLING_CODE_WORDS = 4;
+const SPELLING_CUE_PATTERN = /buchstabier|schreibt sich|geschrieben|schreib(e|en) (ich|es|man)/i;
+
+const SPOKEN_DIGITS = {
+  null: '0', eins: '1', zwei: '2', zwo: '2', drei: '3', vier: '4',
+  fünf: '5', sechs: '6', sieben: '7', acht: '8', neun: '9'
+};
+const SPOKEN_TEENS = {
+  zehn: '10', elf: '11', zwölf: '12', dreizehn: '13', vierzehn: '14', fünfzehn: '15',
+  sechzehn: '16', siebzehn: '17', achtzehn: '18', neunzehn: '19'
+};
+const SPOKEN_TENS = {
+  zwanzig: '2', dreißig: '3', vierzig: '4', fünfzig: '5', sechzig: '6', siebzig: '7', achtzig: '8', neunzig: '9'
+};
+// "doppel fünf" = 55, "dreifach null" = 000
+const SPOKEN_REPEATS = { doppel: 2, doppelt: 2, dreifach: 3 };
+
+// Letter names as speech recognition writes them
+const SPOKEN_LETTER_NAMES = {
+  ah: 'a', be: 'b', beh: 'b', ce: 'c', ceh: 'c', zeh: 'c', de: 'd', deh: 'd', eh: 'e',
+  ef: 'f', eff: 'f', ge: 'g', geh: 'g', ha: 'h', hah: 'h', ih: 'i', jot: 'j', jott: 'j',
+  ka: 'k', kah: 'k', el: 'l', ell: 'l', em: 'm', emm: 'm', en: 'n', enn: 'n', oh: 'o',
+  pe: 'p', peh: 'p', ku: 'q', kuh: 'q', er: 'r', err: 'r', ess: 's', te: 't', teh: 't',
+  uh: 'u', vau: 'v', we: 'w', weh: 'w', ix: 'x', ypsilon: 'y', zet: 'z', zett: 'z',
+  eszett: 'ß'
+};
+// German spelling alphabet (traditional and DIN 5009:2022 city names)
+const SPELLING_ALPHABET = {
+  anton: 'a', ärger: 'ä', berta: 'b', cäsar: 'c', caesar: 'c', charlotte: 'ch', dora: 'd',
+  emil: 'e', friedrich: 'f', gustav: 'g', heinrich: 'h', ida: 'i', julius: 'j', kaufmann: 'k',
+  ludwig: 'l', martha: 'm', marta: 'm', nordpol: 'n', otto: 'o', ökonom: 'ö', paula: 'p', quelle: 'q',
+  richard: 'r', samuel: 's', siegfried: 's', schule: 'sch', theodor: 't', ulrich: 'u', übermut: 'ü',
+  viktor: 'v', wilhelm: 'w', xanthippe: 'x', zacharias: 'z', zeppelin: 'z',
+  aachen: 'a', berlin: 'b', chemnitz: 'c', düsseldorf: 'd', essen: 'e', frankfurt: 'f',
+  goslar: 'g', hamburg: 'h', ingelheim: 'i', jena: 'j', köln: 'k', leipzig: 'l', münchen: 'm',
+  nürnberg: 'n', offenbach: 'o', potsdam: 'p', quickborn: 'q', rostock: 'r', salzwedel: 's',
+  tübingen: 't', unna: 'u', völklingen: 'v', wuppertal: 'w', xanten: 'x', zwickau: 'z'
+};
+const UMLAUTS = { a: 'ä', o: 'ö', u: 'ü' };
+
+/**
+ * Digits for a spoken number word ("fünf" -> "5", "zweiundvierzig" -> "42"), or null
+ */
+function getSpokenDigits(word) {
+  if (SPOKEN_DIGITS[word]) return SPOKEN_DIGITS[word];
+  if (SPOKEN_TEENS[word]) return SPOKEN_TEENS[word];
+  if (SPOKEN_TENS[word]) return `${SPOKEN_TENS[word]}0`;
+  const compound = word.match(/^(ein|zwei|drei|vier|fünf|sechs|sieben|acht|neun)und(\p{L}+)$/u);
+  if (compound && SPOKEN_TENS[compound[2]]) {
+    return SPOKEN_TENS[compound[2]] + (compound[1] === 'ein' ? '1' : SPOKEN_DIGITS[compound[1]]);
+  }
+  return null;
+}
+
+/**
+ * Letter(s) for a spelled token ("M", "emm", "Martha" -> "m"), or null
+ */
+function getSpelledLetter(word) {
+  if (/^\p{L}$/u.test(word)) return word;
+  return SPOKEN_LETTER_NAMES[word] || SPELLING_ALPHABET[word] || null;
+}
+
+/**
+ * Convert dictated digits and spelled names in a transcript
+ * "null drei vier eins doppel-fünf fünf" -> "0341555", "M wie Martha Ü doppel L E R" -> "Müller"
+ */
+export function normalizeSpokenInput(text) {
+  if (!text) return text;
+
+  const tokens = String(text).match(/\p{L}+(?:-\p{L}+)*|\d+|[^\p{L}\d]+/gu) || [];
+  const isSeparator = (token) => /^[\s,.;\-]+$/.test(token);
+  let output = '';
+  let run = null;
+
+  const flush = () => {
+    if (!run) return;
+    const spelled = run.type !== 'letters' || run.cued ||
+      run.codeWords < run.items.length || run.codeWords >= MIN_SPELLING_CODE_WORDS;
+    if (run.count >= MIN_SPOKEN_RUN_LENGTH && run.hasWords && spelled) {
+      const value = run.items.join('');
+      output += run.type === 'letters' ? value.charAt(0).toUpperCase() + value.slice(1) : value;
+      output += run.trailing;
+    } else {
+      output += run.original + run.trailing;
+    }
+    run = null;
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    if (isSeparator(token)) {
+      if (run) run.trailing += token;
+      else output += token;
+      continue;
+    }
+
+    // "doppel-fünf" / "doppel fünf", "Umlaut A"
+    let word = token.toLowerCase();
+    let repeat = 1;
+    let umlaut = false;
+    let consumed = token;
+    const prefixed = word.match(/^(doppel|doppelt|dreifach|umlaut)-(.+)$/);
+    if (prefixed) {
+      word = prefixed[2];
+      if (prefixed[1] === 'umlaut') umlaut = true;
+      else repeat = SPOKEN_REPEATS[prefixed[1]];
+    } else if ((SPOKEN_REPEATS[word] || word === 'umlaut') && tokens[i + 1] && isSeparator(tokens[i + 1]) && tokens[i + 2]) {
+      if (word === 'umlaut') umlaut = true;
+      else repeat = SPOKEN_REPEATS[word];
+      consumed = token + tokens[i + 1] + tokens[i + 2];
+      word = tokens[i + 2].toLowerCase();
+      i += 2;
+    }
+
+    let type = null;
+    let value = null;
+    let isWord = true;
+    let codeWord = false;
+    let cued = false;
+    if (/^\d+$/.test(word)) {
+      type = 'digits';
+      value = word;
+      isWord = false;
+    } else if (getSpokenDigits(word)) {
+      type = 'digits';
+      value = getSpokenDigits(word);
+    } else if (getSpelledLetter(word)) {
+      type = 'letters';
+      value = getSpelledLetter(word);
+      codeWord = !/^\p{L}$/u.test(word) && !SPOKEN_LETTER_NAMES[word];
+      if (umlaut) value = UMLAUTS[value] || value;
+      // "M wie Martha": the example word only repeats the letter
+      const example = tokens[i + 4];
+      if (tokens[i + 2]?.toLowerCase() === 'wie' && example && example.toLowerCase().startsWith(value)) {
+        consumed += tokens.slice(i + 1, i + 5).join('');
+        i += 4;
+        codeWord = false;
+        cued = true;
+      }
+    }
+
+    if (!type) {
+      flush();
+      output += token;
+      continue;
+    }
+
+    if (run && run.type !== type) flush();
+    if (!run) {
+      run = {
+        type, items: [], count: 0, hasWords: false, codeWords: 0, original: '', trailing: '',
+        cued: SPELLING_CUE_PATTERN.test(output)
+      };
+    } else {
+      run.original += run.trailing;
+      run.trailing = '';
+    }
+    run.items.push(value.repeat(repeat));
+    run.count += repeat;
+    run.hasWords = run.hasWords || isWord || repeat > 1;
+    run.codeWords += codeWord ? 1 : 0;
+    run.cued = run.cued || cued;
+    run.original += consumed;
+  }
+  flush();
+
+  return output;
+}
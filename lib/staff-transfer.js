@@ -0,0 +1,118 @@
+import twilio from 'twilio';
+import { CALLER_LANGUAGES, DEFAULT_LANGUAGE, getSayOptions, translateForCaller } from './languages.js';
+
+
+const VoiceResponse = twilio.twiml.VoiceResponse;
+
+// ===== LIVE TRANSFER TO STAFF =====
+// Callers who ask for a human, and acute cases during opening hours, are transferred to
+// clinics.transfer_number (or the Twilio queue clinics.transfer_queue). Staff hear a whisper
+// with the collected memory before being connected; if nobody answers we take a voicemail.
+// Queue: the caller is enqueued; staff take the next caller by calling /api/twilio/voice/queue-agent.
+const STAFF_DIAL_TIMEOUT_SECONDS = 25;
+// Queued callers leave for the voicemail after waiting this long
+export const STAFF_QUEUE_TIMEOUT_SECONDS = 90;
+export const STAFF_QUEUE_HOLD_MESSAGE = 'Bitte haben Sie noch einen Moment Geduld, gleich ist jemand für Sie da.';
+const VOICEMAIL_MAX_LENGTH_SECONDS = 120;
+export const STAFF_TRANSFER_ANNOUNCEMENT = 'Einen Moment bitte, ich verbinde Sie mit einem Mitarbeiter der Praxis.';
+
+const HUMAN_TRANSFER_PATTERNS = [
+  /(mensch|mitarbeiter|person|rezeption|empfang|arzt|ärztin|jemand).*(sprechen|reden|verbinden|durchstellen)/,
+  /(verbinden|durchstellen)\s+sie\s+mich/,
+  /echten\s+menschen/,
+  /kein(en)?\s+(roboter|computer|bot|maschine)/,
+  /(speak|talk)\s+(to|with)\s+(a\s+)?(human|person|someone|somebody|receptionist|staff)/
+];
+
+/**
+ * Whether the caller asks to speak to a human
+ */
+export function detectHumanTransferIntent(text) {
+  const lower = (text || '').toLowerCase();
+  return HUMAN_TRANSFER_PATTERNS.some(pattern => pattern.test(lower));
+}
+
+/**
+ * Configured transfer target, or null
+ * Returns { type: 'number' | 'queue', value }
+ */
+export function getStaffTransferTarget(clinic) {
+  if (clinic?.transfer_number) return { type: 'number', value: clinic.transfer_number };
+  if (clinic?.transfer_queue) return { type: 'queue', value: clinic.transfer_queue };
+  return null;
+}
+
+/**
+ * Whisper text for the staff member: what the AI has collected so far
+ */
+export function buildTransferWhisper(state) {
+  const memory = state?.memory || {};
+  const parts = ['Weitergeleiteter Anruf vom AI-Telefonassistenten.'];
+  if (state?.transferReason === 'akut') parts.push('Achtung, akuter Fall.');
+  if (state?.language && state.language !== DEFAULT_LANGUAGE) {
+    parts.push(`Der Anrufer spricht ${CALLER_LANGUAGES[state.language].label}.`);
+  }
+  parts.push(`Name: ${memory.name || 'unbekannt'}.`);
+  parts.push(`Telefon: ${memory.phone || state?.fromNumber || 'unbekannt'}.`);
+  if (memory.reason) parts.push(`Anliegen: ${memory.reason}.`);
+  if (memory.preferred_time) parts.push(`Wunschtermin: ${memory.preferred_time}.`);
+  return parts.join(' ');
+}
+
+/**
+ * Append the voicemail prompt (in the caller's language) and <Record> to a TwiML response
+ * The recording is transcribed and turned into a lead by /api/twilio/voice/recording.
+ */
+export async function appendVoicemailRecording(twiml, intro, language = DEFAULT_LANGUAGE) {
+  const prompt = `${intro} Bitte hinterlassen Sie nach dem Signalton Ihren Namen, Ihre Telefonnummer und Ihr Anliegen. Wir rufen Sie so schnell wie möglich zurück.`;
+  twiml.say(getSayOptions(language), await translateForCaller(prompt, language));
+  twiml.record({
+    action: '/api/twilio/voice/voicemail',
+    method: 'POST',
+    maxLength: VOICEMAIL_MAX_LENGTH_SECONDS,
+    playBeep: true,
+    recordingStatusCallback: '/api/twilio/voice/recording',
+    recordingStatusCallbackMethod: 'POST'
+  });
+  // Reached only if the caller hangs up without recording anything
+  twiml.hangup();
+  return twiml;
+}
+
+/**
+ * TwiML that transfers the caller to staff with a whisper, falling back to voicemail
+ */
+export async function buildStaffTransferTwiml(target, callSid, language = DEFAULT_LANGUAGE) {
+  const twiml = new VoiceResponse();
+  twiml.say(getSayOptions(language), await translateForCaller(STAFF_TRANSFER_ANNOUNCEMENT, language));
+
+  // Queue: the caller waits until a staff member dequeues them (see /api/twilio/voice/queue-agent)
+  if (target.type === 'queue') {
+    twiml.enqueue({
+      action: '/api/twilio/voice/transfer-status',
+      method: 'POST',
+      waitUrl: '/api/twilio/voice/queue-wait',
+      waitUrlMethod: 'POST'
+    }, target.value);
+    return twiml;
+  }
+
+  const dial = twiml.dial({
+    action: '/api/twilio/voice/transfer-status',
+    method: 'POST',
+    timeout: STAFF_DIAL_TIMEOUT_SECONDS
+  });
+  dial.number({ url: `/api/twilio/voice/whisper?callSid=${encodeURIComponent(callSid)}`, method: 'POST' }, target.value);
+  return twiml;
+}
+
+/**
+ * TwiML for a staff member taking the next caller from the queue
+ * The <Queue url> whisper tells them who they are connected to
+ */
+export function buildQueueAgentTwiml(queueName) {
+  const twiml = new VoiceResponse();
+  const dial = twiml.dial();
+  dial.queue({ url: '/api/twilio/voice/whisper', method: 'POST' }, queueName);
+  return twiml;
+}
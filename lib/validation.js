@@ -0,0 +1,69 @@
+import { parseGermanPhone } from './phone.js';
+
+// ===== INPUT VALIDATION HELPERS =====
+/**
+ * Check if value is a non-empty string after trim
+ */
+export function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+/**
+ * Sanitize string: trim and remove dangerous control characters
+ */
+export function sanitizeString(value) {
+  if (typeof value !== 'string') return '';
+  return value.trim().replace(/[\r\n\t]/g, ' ').substring(0, 5000);
+}
+
+/**
+ * Escape text for safe interpolation into server-rendered HTML
+ */
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Check if value is a valid phone number (German formats or international with +/00)
+ */
+export function isValidPhone(value) {
+  return typeof value === 'string' && parseGermanPhone(value) !== null;
+}
+
+/**
+ * Check if value is a valid ISO date or yyyy-mm-dd format
+ */
+export function isValidDate(value) {
+  if (typeof value !== 'string') return false;
+  const cleaned = value.trim();
+  const iso = new Date(cleaned);
+  if (isNaN(iso.getTime())) return false;
+  // Check format is roughly correct (yyyy-mm-dd or ISO)
+  return /^\d{4}-\d{2}-\d{2}/.test(cleaned);
+}
+
+/**
+ * Check if value is valid HH:MM time format
+ */
+export function isValidTime(value) {
+  if (typeof value !== 'string') return false;
+  return /^\d{2}:\d{2}$/.test(value.trim());
+}
+
+/**
+ * Log validation error with context
+ */
+export function logValidationError(req, field, reason) {
+  console.warn('[VALIDATION ERROR]', {
+    path: req.path,
+    method: req.method,
+    field,
+    reason,
+    timestamp: new Date().toISOString()
+  });
+}
@@ -0,0 +1,105 @@
+import { toFile } from 'openai';
+import { openai, supabase } from './clients.js';
+import { DEFAULT_LANGUAGE } from './languages.js';
+import { classifyUrgency } from './leads.js';
+import { extractMemoryFromConversation } from './extraction.js';
+import { CALL_ROUTING, saveLeadFromCallState } from './routing.js';
+import { linkCallToLead } from './calls.js';
+
+
+// ===== VOICEMAIL FALLBACK =====
+// When the caller stays silent, the call ends up in a voicemail instead of hanging up.
+// The recording is transcribed (OpenAI Whisper) and run through the normal lead pipeline.
+export const MAX_SILENT_TURNS = 1;
+
+/**
+ * Redirect used after every <Gather>: Twilio falls through to it when no speech came in
+ */
+export function appendNoInputFallback(twiml) {
+  twiml.redirect({ method: 'POST' }, '/api/twilio/voice/no-input');
+  return twiml;
+}
+
+/**
+ * Download a Twilio recording and transcribe it in the call's language
+ * Returns the transcript, or null when transcription isn't possible
+ */
+async function transcribeRecording(recordingUrl, language = DEFAULT_LANGUAGE) {
+  if (!openai) {
+    console.warn('⚠️ Voicemail transcription skipped - OpenAI not configured');
+    return null;
+  }
+
+  const headers = {};
+  if (process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN) {
+    const credentials = `${process.env.TWILIO_ACCOUNT_SID}:${process.env.TWILIO_AUTH_TOKEN}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  }
+
+  const response = await fetch(`${recordingUrl}.mp3`, { headers });
+  if (!response.ok) {
+    throw new Error(`Recording download failed: ${response.status}`);
+  }
+
+  const file = await toFile(Buffer.from(await response.arrayBuffer()), 'voicemail.mp3');
+  const transcription = await openai.audio.transcriptions.create({
+    file,
+    model: 'whisper-1',
+    language
+  });
+  return transcription.text?.trim() || null;
+}
+
+/**
+ * Turn a voicemail into a lead: transcribe, extract fields, classify urgency and save
+ * Attaches the recording to the call's lead if one already exists.
+ * callerNumber: see saveLeadFromCallState
+ */
+export async function processVoicemail(state, callSid, recordingUrl, { callerNumber = null } = {}) {
+  let transcript = null;
+  try {
+    transcript = await transcribeRecording(recordingUrl, state.language || DEFAULT_LANGUAGE);
+    console.log('📝 Voicemail transcript:', transcript);
+  } catch (err) {
+    console.error('❌ Error transcribing voicemail:', err);
+  }
+
+  const extracted = transcript
+    ? await extractMemoryFromConversation([{ role: 'user', content: transcript }])
+    : { name: null, phone: null, reason: null, preferred_time: null };
+  const urgency = classifyUrgency(extracted.reason, transcript);
+  const notes = transcript ? `Sprachnachricht: "${transcript}"` : 'Sprachnachricht (keine Transkription verfügbar)';
+
+  if (state.leadId) {
+    const { data: existing } = await supabase
+      .from('leads')
+      .select('notes, urgency')
+      .eq('id', state.leadId)
+      .maybeSingle();
+    const { error } = await supabase
+      .from('leads')
+      .update({
+        recording_url: recordingUrl,
+        notes: existing?.notes ? `${existing.notes}\n\n${notes}` : notes,
+        urgency: urgency === 'akut' ? 'akut' : (existing?.urgency || 'normal')
+      })
+      .eq('id', state.leadId);
+    if (error) throw error;
+    console.log('✅ Voicemail attached to lead:', state.leadId);
+    await linkCallToLead(callSid, { id: state.leadId, recording_url: recordingUrl });
+    return state.leadId;
+  }
+
+  const savedLead = await saveLeadFromCallState(state, callSid, {
+    fields: extracted,
+    urgency: urgency === 'akut' ? urgency : null,
+    routing: state.routing || CALL_ROUTING.VOICEMAIL,
+    notes,
+    // The recording is the last thing the caller said
+    transcript: [...(state.messages || []), ...(transcript ? [{ role: 'user', content: `(Sprachnachricht) ${transcript}` }] : [])],
+    extra: { recording_url: recordingUrl },
+    callerNumber
+  });
+  console.log('✅ Lead saved from voicemail:', savedLead?.id);
+  return savedLead?.id || null;
+}
@@ -1,11 +1,54 @@
 import express from 'express';
 import cors from 'cors';
 import twilio from 'twilio';
-import { createClient } from '@supabase/supabase-js';
-import OpenAI from 'openai';
-import nodemailer from 'nodemailer';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createConversationEngine } from './conversation-engine.js';
+import { openai, supabase } from './lib/clients.js';
+import {
+  escapeHtml, isNonEmptyString, isValidDate, isValidPhone, isValidTime, logValidationError,
+  sanitizeString
+} from './lib/validation.js';
+import { normalizePhoneNumber } from './lib/phone.js';
+import { normalizeSpokenInput } from './lib/spoken-input.js';
+import {
+  CALLER_LANGUAGES, DEFAULT_LANGUAGE, getSayOptions, getSpeechLanguage, getSupportedLanguages,
+  isValidSupportedLanguages, translateForCaller
+} from './lib/languages.js';
+import {
+  FINISHED_SESSION_TTL_MS, SESSION_CLEANUP_INTERVAL_MS, SESSION_TTL_MS, createSessionStore
+} from './lib/session-store.js';
+import { getClinic } from './lib/clinic.js';
+import { classifyUrgency, saveLead } from './lib/leads.js';
+import { getIntakeSchema, isValidIntakeSchema } from './lib/intake.js';
+import { isValidKnowledgeBase } from './lib/knowledge.js';
+import {
+  buildNotifications, computeFollowupStatus, extractMemoryFromConversation, getMissingFields
+} from './lib/extraction.js';
+import {
+  DEFAULT_HOLIDAY_REGION, DEFAULT_OPENING_HOURS, GERMAN_STATES, WEEKDAY_DISPLAY_ORDER, WEEKDAY_KEYS,
+  WEEKDAY_NAMES_DE, getGermanHolidays, isValidClosures, isValidOpeningHours
+} from './lib/opening-hours.js';
+import {
+  DEFAULT_TIMEZONE, DEFAULT_TREATMENT_DURATIONS, createAppointment, findAvailableSlots,
+  findSlotsForPreferredTime, getTreatmentDuration, getZonedDateTime, isSlotAvailable
+} from './lib/slots.js';
+import { buildPreferredSlots, parsePreferredTime } from './lib/preferred-time.js';
+import { CALL_ROUTING, EMERGENCY_DIAL_TIMEOUT_SECONDS, recordCallRouting } from './lib/routing.js';
+import {
+  STAFF_QUEUE_HOLD_MESSAGE, STAFF_QUEUE_TIMEOUT_SECONDS, appendVoicemailRecording,
+  buildQueueAgentTwiml, buildStaffTransferTwiml, buildTransferWhisper
+} from './lib/staff-transfer.js';
+import { MAX_SILENT_TURNS, appendNoInputFallback, processVoicemail } from './lib/voicemail.js';
+import { buildReadBack, saveConfirmedLead } from './lib/confirmation.js';
+import { findOrCreatePatient } from './lib/patients.js';
+import { getDuplicateFlag, mergeLeads } from './lib/duplicates.js';
+import {
+  CALL_OUTCOME_LABELS, FINAL_CALL_STATUSES, computeCallStats, getCallOutcome, getCallerNumber,
+  upsertCallRecord
+} from './lib/calls.js';
+import { INTENT_CONFIDENCE, classifyCallerIntent, getIntentLabel } from './lib/intents.js';
+import { CONVERSATION_PHASES, setConversationPhase } from './lib/dialogue.js';
 
 const app = express();
 const VoiceResponse = twilio.twiml.VoiceResponse;
@@ -20,139 +63,34 @@ app.use('/static', express.static(path.join(__dirname, 'static')));
 // Serve frontend SPA static files
 app.use(express.static(path.join(__dirname, 'frontend')));
 
-// Supabase setup (also check for typo'd variable name)
-const supabaseUrl = process.env.SUPABASE_URL || process.env.SUPARBASE_URL;
-const supabaseServiceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
-
-const supabase =
-  supabaseUrl && supabaseServiceRoleKey
-    ? createClient(supabaseUrl, supabaseServiceRoleKey)
-    : null;
-
-if (!supabase) {
-  console.warn('⚠️  Supabase client not configured - SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY missing');
-} else {
-  console.log('✅ Supabase client configured successfully');
-}
-
-// OpenAI setup
-const openai = process.env.OPENAI_API_KEY 
-  ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY })
-  : null;
-
-if (!openai) {
-  console.warn('⚠️  OpenAI client not configured - OPENAI_API_KEY missing');
-} else {
-  console.log('✅ OpenAI client configured successfully');
-}
-
-// Nodemailer setup
-const emailTransporter = (process.env.SMTP_HOST && process.env.SMTP_PORT && process.env.SMTP_USER && process.env.SMTP_PASS)
-  ? nodemailer.createTransport({
-      host: process.env.SMTP_HOST,
-      port: parseInt(process.env.SMTP_PORT),
-      secure: parseInt(process.env.SMTP_PORT) === 465, // true for 465, false for other ports
-      auth: {
-        user: process.env.SMTP_USER,
-        pass: process.env.SMTP_PASS
-      }
-    })
-  : null;
-
-if (!emailTransporter) {
-  console.warn('⚠️  Email transporter not configured - SMTP_HOST, SMTP_PORT, SMTP_USER, or SMTP_PASS missing');
-} else {
-  console.log('✅ Email transporter configured successfully');
-}
-
 // Clinic ID from environment
 const CLINIC_ID = process.env.CLINIC_ID || 'bc91d95c-a05c-4004-b932-bc393f0391b6';
 
-// ===== INPUT VALIDATION HELPERS =====
-/**
- * Check if value is a non-empty string after trim
- */
-function isNonEmptyString(value) {
-  return typeof value === 'string' && value.trim().length > 0;
-}
-
-/**
- * Sanitize string: trim and remove dangerous control characters
- */
-function sanitizeString(value) {
-  if (typeof value !== 'string') return '';
-  return value.trim().replace(/[\r\n\t]/g, ' ').substring(0, 5000);
-}
-
-/**
- * Check if value is a valid phone (simple: contains digits or +, min length 7)
- */
-function isValidPhone(value) {
-  if (typeof value !== 'string') return false;
-  const cleaned = value.trim();
-  const hasDigits = /\d/.test(cleaned);
-  return hasDigits && cleaned.length >= 7 && cleaned.length <= 20;
-}
-
-/**
- * Check if value is a valid ISO date or yyyy-mm-dd format
- */
-function isValidDate(value) {
-  if (typeof value !== 'string') return false;
-  const cleaned = value.trim();
-  const iso = new Date(cleaned);
-  if (isNaN(iso.getTime())) return false;
-  // Check format is roughly correct (yyyy-mm-dd or ISO)
-  return /^\d{4}-\d{2}-\d{2}/.test(cleaned);
-}
-
-/**
- * Check if value is valid HH:MM time format
- */
-function isValidTime(value) {
-  if (typeof value !== 'string') return false;
-  return /^\d{2}:\d{2}$/.test(value.trim());
-}
-
-/**
- * Log validation error with context
- */
-function logValidationError(req, field, reason) {
-  console.warn('[VALIDATION ERROR]', {
-    path: req.path,
-    method: req.method,
-    field,
-    reason,
-    timestamp: new Date().toISOString()
-  });
-}
+// ===== SESSION STORE =====
+// Twilio call state
+// Key: CallSid, Value: { messages: [], memory: {}, leadSaved: false, fromNumber }
+const conversationStates = createSessionStore('twilio');
 
-// In-memory conversation state management
-// Key: CallSid or sessionId, Value: { messages: [], extractedData: {}, leadSaved: false }
-const conversationStates = new Map();
+// Session state for /api/simulate endpoint
+// Key: sessionId (generated on first message), Value: { messages: [], memory: {}, leadSaved: false }
+const simulatorSessions = createSessionStore('simulate');
 
-// In-memory session state for /simulate endpoint
-// Key: sessionId (generated on first message), Value: { messages: [], leadSaved: false }
-const simulatorSessions = new Map();
+console.log(`✅ Session store: ${conversationStates.kind} (TTL ${SESSION_TTL_MS / 60000} min)`);
 
-/**
- * Fetch clinic data from Supabase (always fresh, no caching)
- * Returns the full clinic object { id, name, phone_number, instructions, created_at }
- */
-async function getClinic() {
-  const { data, error } = await supabase
-    .from('clinics')
-    .select('*')
-    .eq('id', process.env.CLINIC_ID)
-    .single();
-
-  if (error) {
-    console.error('Error fetching clinic:', error);
-    throw error;
+// Periodically drop expired sessions so stores do not grow forever
+setInterval(async () => {
+  try {
+    const removed = (await conversationStates.cleanup()) + (await simulatorSessions.cleanup());
+    if (removed > 0) {
+      console.log(`🧹 Removed ${removed} expired session(s)`);
+    }
+  } catch (err) {
+    console.error('❌ Session cleanup failed:', err.message);
   }
+}, SESSION_CLEANUP_INTERVAL_MS).unref();
 
-  return data;
-}
+// ===== LEGACY CHAT HELPERS =====
+// Used by the routes from before the conversation engine
 
 /**
  * Fetch clinic instructions from Supabase (legacy function, kept for compatibility)
@@ -260,735 +198,150 @@ Antworten Sie NUR mit dem JSON-Objekt, ohne zusätzlichen Text.`
   }
 }
 
-/**
- * Log message to messages_log table for debugging
- * Uses RPC call to bypass PostgREST schema cache
- * @param {string} callSid - Twilio CallSid
- * @param {string} role - "user" or "assistant"
- * @param {string} message - The message content
- */
-async function logMessage(callSid, role, message) {
-  if (!supabase) {
-    return; // Skip logging if Supabase not configured
-  }
-  
-  try {
-    // Use RPC call to bypass schema cache issues
-    const { data, error } = await supabase.rpc('log_twilio_message', {
-      p_call_sid: callSid,
-      p_role: role,
-      p_message: message
-    });
-    
-    if (error) {
-      // If RPC doesn't exist, try direct SQL (will also fail gracefully)
-      console.warn('📝 Message logging skipped (table not in schema cache)');
-      return;
-    }
-    
-    console.log('✅ Message logged successfully');
-  } catch (error) {
-    // Log error but don't throw - logging is optional
-    console.warn('Message logging skipped:', error.message);
-  }
-}
-
-async function createLeadFromCall({ 
-  callSid, 
-  name, 
-  phone, 
-  concern, 
-  urgency, 
-  insurance, 
-  preferredSlotsRaw, 
-  notes 
-}) {
-  try {
-    const lead = {
-      call_sid: callSid ?? null,
-      name,
-      phone,
-      concern: concern ?? null,
-      urgency: urgency ?? null,
-      insurance: insurance ?? null,
-      preferred_slots: preferredSlotsRaw 
-        ? { raw: preferredSlotsRaw } 
-        : null,
-      notes: notes ?? null,
-      status: 'new'
-    };
-
-    const { data, error } = await supabase
-      .from('leads')
-      .insert([lead])
-      .select();
-
-    if (error) {
-      console.error('Supabase lead insert error:', error);
-      throw error;
-    }
-
-    return data[0];
-  } catch (err) {
-    console.error('Unexpected error creating lead from call:', err);
-    throw err;
-  }
-}
+// ===== CONVERSATION ENGINE =====
+// The turn itself lives in conversation-engine.js; the channels below only adapt its result.
+const { startConversation, handleConversationTurn } = createConversationEngine({
+  stores: { twilio: conversationStates, simulator: simulatorSessions },
+  getClinic,
+  openai
+});
 
 /**
- * AI-powered lead extraction from natural German text
- * Uses OpenAI to extract structured fields from receptionist's message
+ * TwiML for an engine result (Twilio adapter)
  */
-async function extractLeadFieldsFromText(text) {
-  try {
-    console.log('🔍 Extracting lead fields from text...');
-    
-    const extractionPrompt = `You are an information extractor. From the following German receptionist message, extract these fields:
-- full name (patient's complete name)
-- phone number (with country code if present)
-- reason for visit (brief description of dental issue)
-- preferred time/date (when patient wants appointment, formatted as human-readable like "morgen 15:00" or "nächste Woche Nachmittag")
-
-If a field is not mentioned or unclear, return null for that field.
-
-Return ONLY a valid JSON object with this exact structure:
-{
-  "name": "string or null",
-  "phone": "string or null",
-  "reason": "string or null",
-  "preferred_time": "string or null"
-}
-
-Receptionist message:
-${text}`;
-
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: [
-        { role: 'system', content: 'You extract structured information from German text. Always return valid JSON.' },
-        { role: 'user', content: extractionPrompt }
-      ],
-      response_format: { type: 'json_object' },
-      temperature: 0.1,
-      max_tokens: 300
-    });
-
-    const extracted = JSON.parse(completion.choices[0].message.content);
-    console.log('✅ Extracted lead fields:', extracted);
-    
-    return {
-      name: extracted.name || null,
-      phone: extracted.phone || null,
-      reason: extracted.reason || null,
-      preferred_time: extracted.preferred_time || null
-    };
-  } catch (error) {
-    console.error('❌ Error extracting lead fields:', error);
-    return {
-      name: null,
-      phone: null,
-      reason: null,
-      preferred_time: null
-    };
+async function renderConversationTwiml(turn, callSid) {
+  const { action, reply, language } = turn;
+  if (action === 'staff_transfer') {
+    return buildStaffTransferTwiml(turn.target, callSid, language);
   }
-}
-
-/**
- * Classify urgency based on pain indicators in German text
- * Returns 'akut' for urgent cases, 'normal' otherwise
- */
-function classifyUrgency(reason, fullText) {
-  const textToCheck = `${reason || ''} ${fullText || ''}`.toLowerCase();
-  
-  // Strong pain / emergency indicators (including grammatical variants)
-  const urgentIndicators = [
-    'starke zahnschmerzen',
-    'starken zahnschmerzen',  // dative case
-    'starker zahnschmerz',    // genitive singular
-    'sehr starke schmerzen',
-    'sehr starken schmerzen', // dative case
-    'starke schmerzen',
-    'starken schmerzen',      // dative case
-    'sehr weh',
-    'akut',
-    'notfall',
-    'schmerzen seit gestern',
-    'schmerzen seit heute',
-    'unerträglich',
-    'kaum aushalten',
-    'schlimme schmerzen',
-    'schlimmen schmerzen'     // dative case
-  ];
-  
-  const isUrgent = urgentIndicators.some(indicator => textToCheck.includes(indicator));
-  
-  return isUrgent ? 'akut' : 'normal';
-}
 
-/**
- * Send email notification to clinic when a new lead is saved
- * @param {Object} lead - Lead data with name, phone, concern, urgency, preferred_slots, source, etc.
- */
-async function sendLeadNotification(lead) {
-  // Skip if email transporter is not configured
-  if (!emailTransporter) {
-    console.warn('⚠️  Email notification skipped - SMTP not configured');
-    return;
+  const twiml = new VoiceResponse();
+  if (action === 'emergency_forward') {
+    twiml.say(getSayOptions(language), reply);
+    twiml.dial({
+      action: '/api/twilio/voice/emergency-status',
+      method: 'POST',
+      timeout: EMERGENCY_DIAL_TIMEOUT_SECONDS
+    }, turn.number);
+    return twiml;
   }
-
-  const clinicEmail = process.env.CLINIC_NOTIFICATION_EMAIL;
-  if (!clinicEmail) {
-    console.warn('⚠️  Email notification skipped - CLINIC_NOTIFICATION_EMAIL not set');
-    return;
+  // The AI cannot answer: the caller leaves a message for the callback
+  if (action === 'voicemail') {
+    return appendVoicemailRecording(twiml, reply, language);
   }
-
-  try {
-    // Format the preferred time/slots
-    const preferredTime = lead.preferred_slots?.raw || 'Nicht angegeben';
-    
-    // Determine source display
-    const sourceDisplay = lead.source === 'twilio' ? 'Telefonanruf' : 
-                         lead.source === 'simulate' ? 'Web-Simulator' : 
-                         lead.source || 'Unbekannt';
-    
-    // Determine urgency display
-    const urgencyDisplay = lead.urgency === 'akut' ? '🔴 AKUT' : 'Normal';
-    
-    // Build email subject
-    const subject = `Neuer Patientenanruf über Selaro – ${lead.concern || 'Zahnbehandlung'}`;
-    
-    // Build email body (German)
-    const html = `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #00C896;">Neuer Lead von der AI-Telefonassistenz</h2>
-        
-        <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
-          <tr>
-            <td style="padding: 10px; border-bottom: 1px solid #e5e7eb; font-weight: bold;">Name:</td>
-            <td style="padding: 10px; border-bottom: 1px solid #e5e7eb;">${lead.name}</td>
-          </tr>
-          <tr>
-            <td style="padding: 10px; border-bottom: 1px solid #e5e7eb; font-weight: bold;">Telefonnummer:</td>
-            <td style="padding: 10px; border-bottom: 1px solid #e5e7eb;">${lead.phone}</td>
-          </tr>
-          <tr>
-            <td style="padding: 10px; border-bottom: 1px solid #e5e7eb; font-weight: bold;">Grund:</td>
-            <td style="padding: 10px; border-bottom: 1px solid #e5e7eb;">${lead.concern || 'Nicht angegeben'}</td>
-          </tr>
-          <tr>
-            <td style="padding: 10px; border-bottom: 1px solid #e5e7eb; font-weight: bold;">Dringlichkeit:</td>
-            <td style="padding: 10px; border-bottom: 1px solid #e5e7eb;">${urgencyDisplay}</td>
-          </tr>
-          <tr>
-            <td style="padding: 10px; border-bottom: 1px solid #e5e7eb; font-weight: bold;">Wunschtermin:</td>
-            <td style="padding: 10px; border-bottom: 1px solid #e5e7eb;">${preferredTime}</td>
-          </tr>
-          <tr>
-            <td style="padding: 10px; border-bottom: 1px solid #e5e7eb; font-weight: bold;">Quelle:</td>
-            <td style="padding: 10px; border-bottom: 1px solid #e5e7eb;">${sourceDisplay}</td>
-          </tr>
-        </table>
-        
-        <div style="background-color: #f3f4f6; padding: 15px; border-radius: 8px; margin: 20px 0;">
-          <p style="margin: 0; color: #374151;">
-            <strong>Bitte kontaktieren Sie den Patienten zur Terminbestätigung.</strong>
-          </p>
-        </div>
-        
-        <p style="color: #6b7280; font-size: 12px; margin-top: 30px;">
-          Diese E-Mail wurde automatisch von Selaro generiert.
-        </p>
-      </div>
-    `;
-    
-    // Plain text version
-    const text = `
-Neuer Lead von der AI-Telefonassistenz
-
-Name: ${lead.name}
-Telefonnummer: ${lead.phone}
-Grund: ${lead.concern || 'Nicht angegeben'}
-Dringlichkeit: ${urgencyDisplay}
-Wunschtermin: ${preferredTime}
-Quelle: ${sourceDisplay}
-
-Bitte kontaktieren Sie den Patienten zur Terminbestätigung.
-
----
-Diese E-Mail wurde automatisch von Selaro generiert.
-    `.trim();
-    
-    // Send email
-    const info = await emailTransporter.sendMail({
-      from: `"Selaro AI Receptionist" <${process.env.SMTP_USER}>`,
-      to: clinicEmail,
-      subject: subject,
-      text: text,
-      html: html
-    });
-    
-    console.log('✅ Email notification sent successfully:', info.messageId);
-    return info;
-    
-  } catch (error) {
-    console.error('❌ Error sending email notification:', error);
-    // Don't throw - we don't want to break lead saving if email fails
-    return null;
+  // Closing and ended phases: last words, then <Hangup>
+  if (action === 'end') {
+    twiml.say(getSayOptions(language), reply);
+    twiml.hangup();
+    return twiml;
   }
-}
-
-/**
- * Save lead to Supabase - only when all required fields are present
- */
-async function saveLead({ name, phone, reason, preferredTime, urgency, requestedTime, source, rawText, callSid }) {
-  try {
-    // Only save when all fields are present
-    if (!name || !phone || !reason || !preferredTime) {
-      console.log('⚠️ Skipping lead save - missing required fields:', {
-        hasName: !!name,
-        hasPhone: !!phone,
-        hasReason: !!reason,
-        hasPreferredTime: !!preferredTime
-      });
-      return null;
-    }
-
-    console.log('💾 Saving lead to Supabase...');
-    console.log('Lead data:', { 
-      name, 
-      phone, 
-      reason, 
-      preferredTime, 
-      urgency, 
-      requestedTime,
-      source 
-    });
 
-    const lead = {
-      call_sid: callSid || `${source}-${Date.now()}`,
-      name,
-      phone,
-      concern: reason,
-      urgency: urgency || 'normal',
-      insurance: null,
-      preferred_slots: { raw: preferredTime },
-      notes: rawText || null,
-      status: 'new'
-    };
-
-    const { data, error } = await supabase
-      .from('leads')
-      .insert([lead])
-      .select();
-
-    if (error) {
-      console.error('❌ Supabase lead insert error:', error);
-      throw error;
-    }
-
-    const savedLead = data[0];
-    console.log('✅ Lead saved successfully! ID:', savedLead?.id);
-    
-    // Send email notification to clinic
-    await sendLeadNotification(savedLead);
-    
-    return savedLead;
-  } catch (error) {
-    console.error('❌ Error saving lead:', error);
-    // Don't throw - we don't want to crash the call
-    return null;
-  }
+  const gather = twiml.gather({
+    input: 'speech',
+    language: getSpeechLanguage(language),
+    action: '/api/twilio/voice/step',
+    method: 'POST',
+    timeout: 4
+  });
+  gather.say(getSayOptions(language), reply);
+  appendNoInputFallback(twiml);
+  return twiml;
 }
 
 /**
- * Extract memory object from conversation history
- * Tracks: name, phone, reason, urgency, preferred_time, patient_type, insurance_status
+ * JSON body for an engine result (simulator adapter)
+ * extracted: the caller details collected so far, in the simulator's field names
  */
-function extractMemoryFromConversation(messages, lastUserMessage) {
-  const allText = messages.map(m => m.content).join(' ') + ' ' + (lastUserMessage || '');
-  const lowerText = allText.toLowerCase();
-  
-  const memory = {
-    name: null,
-    phone: null,
-    reason: null,
-    urgency: null,
-    preferred_time: null,
-    patient_type: null,
-    insurance_status: null
+function toSimulatorResponse(turn, sessionId) {
+  const { state } = turn;
+  const extracted = {
+    name: state.memory.name,
+    phone: state.memory.phone,
+    concern: state.memory.reason,
+    urgency: state.memory.urgency,
+    insurance: state.memory.insurance_status
+  };
+  return {
+    reply: turn.reply,
+    sessionId,
+    action: turn.action,
+    phase: turn.phase,
+    extracted: Object.fromEntries(Object.entries(extracted).filter(([, value]) => value)),
+    offeredSlots: state.offeredSlots || [],
+    appointmentBooked: !!state.appointmentBooked,
+    leadSaved: !!state.leadSaved,
+    language: turn.language,
+    ok: true
   };
-  
-  // Extract name (look for patterns like "Ich bin X" or "Ich heiße X" or "Name: X")
-  const namePatterns = [
-    /ich (?:bin|heiße|bin der|bin die)\s+([A-ZÄÖÜa-zäöü\s\-]+?)(?:\.|,|\n|das ist|mein|meine|telefon|die nummer)/i,
-    /name[:\s]+([A-ZÄÖÜa-zäöü\s\-]+?)(?:\.|,|\n)/i
-  ];
-  for (const pattern of namePatterns) {
-    const match = allText.match(pattern);
-    if (match) {
-      memory.name = match[1].trim();
-      break;
-    }
-  }
-  
-  // Extract phone (patterns for German phone numbers)
-  const phonePattern = /(\d{3,4}\s*\d{3,8}|\d{1,4}\s*\d{1,4}\s*\d{1,4}|\+49[\d\s]{8,})/g;
-  const phoneMatches = allText.match(phonePattern);
-  if (phoneMatches) {
-    memory.phone = phoneMatches[0].trim();
-  }
-  
-  // Extract reason (pain keywords, procedures, etc.)
-  const painKeywords = ['schmerzen', 'zahnschmerzen', 'weh', 'tut weh', 'schwellung', 'entzündung', 'notfall', 'akut'];
-  const procedureKeywords = ['kontrolle', 'untersuchung', 'zahnreinigung', 'putzen', 'prophylaxe', 'bleaching'];
-  
-  for (const keyword of painKeywords) {
-    if (lowerText.includes(keyword)) {
-      const match = allText.match(new RegExp(`(?:ich habe|wegen|grund|weil|das problem ist)[^.]*${keyword}[^.]*`, 'i'));
-      if (match) {
-        memory.reason = match[0].trim();
-        memory.urgency = 'akut';
-        break;
-      }
-    }
-  }
-  
-  if (!memory.reason) {
-    for (const keyword of procedureKeywords) {
-      if (lowerText.includes(keyword)) {
-        const match = allText.match(new RegExp(`(?:ich möchte|ich brauche|grund|wegen|weil)[^.]*${keyword}[^.]*`, 'i'));
-        if (match) {
-          memory.reason = match[0].trim();
-          break;
-        }
-      }
-    }
-  }
-  
-  // Extract urgency
-  const urgentKeywords = ['schmerzen', 'pochend', 'schwellung', 'entzündung', 'notfall', 'akut', 'schnell', 'dringend'];
-  if (urgentKeywords.some(kw => lowerText.includes(kw))) {
-    memory.urgency = 'akut';
-  } else {
-    memory.urgency = 'normal';
-  }
-  
-  // Extract preferred time (morgen, nächste woche, heute, etc.)
-  const timePatterns = [
-    /(?:wunsch|möchte|lieber|gerne).*?(?:termin|zeit|kommen|besuch).*?(heute|morgen|übermorgen|nächste woche|nächsten montag|nächsten dienstag|nächsten mittwoch|nächsten donnerstag|nächsten freitag|nächsten samstag|nächsten sonntag|in \d+\s*tagen|am \d{1,2}\.\d{1,2}\.|\d{1,2}\.\d{1,2}\.)/i,
-    /(heute|morgen|übermorgen|nächste woche|in \d+\s*tagen)/i
-  ];
-  for (const pattern of timePatterns) {
-    const match = allText.match(pattern);
-    if (match) {
-      memory.preferred_time = match[match.length - 1].trim();
-      break;
-    }
-  }
-  
-  // Extract patient type (neu/bestehend)
-  if (lowerText.includes('bin zum ersten mal') || lowerText.includes('bin neu')) {
-    memory.patient_type = 'neu';
-  } else if (lowerText.includes('bin schon patient') || lowerText.includes('bin bereits')) {
-    memory.patient_type = 'bestehend';
-  }
-  
-  return memory;
 }
 
-/**
- * Determine which fields are still missing from memory
- */
-function getMissingFields(memory) {
-  const missing = [];
-  const fieldOrder = ['name', 'phone', 'reason', 'preferred_time'];
-  
-  for (const field of fieldOrder) {
-    if (!memory[field]) {
-      missing.push(field);
-    }
-  }
-  
-  return missing;
-}
+// ===== TWILIO WEBHOOK SIGNATURE VALIDATION =====
+// Every request to /api/twilio/* must carry a valid X-Twilio-Signature (HMAC of the full
+// webhook URL + POST params with TWILIO_AUTH_TOKEN), otherwise anyone could forge calls.
+// Set TWILIO_SKIP_SIGNATURE_VALIDATION=true only for local testing (curl, ngrok experiments).
+const SKIP_TWILIO_SIGNATURE_VALIDATION = process.env.TWILIO_SKIP_SIGNATURE_VALIDATION === 'true';
 
 /**
- * Build memory context for system prompt
+ * Reconstruct the public URL Twilio called, behind proxies/load balancers
+ * PUBLIC_BASE_URL wins; otherwise X-Forwarded-Proto/Host are used, then the raw request.
  */
-function formatMemoryInstructions(memory, missingFields) {
-  const collected = [];
-  if (memory.name) collected.push(`- Name: ${memory.name}`);
-  if (memory.phone) collected.push(`- Telefon: ${memory.phone}`);
-  if (memory.reason) collected.push(`- Grund: ${memory.reason}`);
-  if (memory.urgency) collected.push(`- Dringlichkeit: ${memory.urgency}`);
-  if (memory.preferred_time) collected.push(`- Wunschtermin: ${memory.preferred_time}`);
-  
-  let memoryText = '';
-  if (collected.length > 0) {
-    memoryText = `\nALREADY COLLECTED:\n${collected.join('\n')}`;
+function getTwilioWebhookUrl(req) {
+  if (process.env.PUBLIC_BASE_URL) {
+    return process.env.PUBLIC_BASE_URL.replace(/\/+$/, '') + req.originalUrl;
   }
-  
-  let nextField = '';
-  if (missingFields.length > 0) {
-    const fieldNames = {
-      'name': 'the patient\'s full name',
-      'phone': 'the patient\'s phone number',
-      'reason': 'why they are calling (what dental issue)',
-      'preferred_time': 'when they would like to come'
-    };
-    nextField = `\nASK FOR: ${fieldNames[missingFields[0]]} ONLY.\nDO NOT ask for anything else.`;
-  } else {
-    nextField = '\nALL FIELDS COMPLETE - Output LEAD SUMMARY.';
+
+  const firstValue = (header) => (header || '').split(',')[0].trim();
+  const proto = firstValue(req.get('X-Forwarded-Proto')) || req.protocol;
+  let host = firstValue(req.get('X-Forwarded-Host')) || req.get('host');
+  const forwardedPort = firstValue(req.get('X-Forwarded-Port'));
+  const isDefaultPort = (proto === 'https' && forwardedPort === '443') || (proto === 'http' && forwardedPort === '80');
+  if (forwardedPort && !isDefaultPort && !host.includes(':')) {
+    host = `${host}:${forwardedPort}`;
   }
-  
-  return memoryText + nextField;
-}
 
-/**
- * Compute follow-up status for a lead
- * Lead is overdue if created > 60 minutes ago AND status not "Termin vereinbart" or "Nicht erreicht"
- */
-function computeFollowupStatus(lead, now = new Date()) {
-  const created = new Date(lead.created_at);
-  const minutesWaiting = Math.floor((now - created) / 60000);
-  
-  // Overdue if waiting > 60 minutes AND status not scheduled/lost
-  const isOverdue = minutesWaiting > 60 && 
-    lead.status !== 'scheduled' && 
-    lead.status !== 'lost';
-  
-  return {
-    is_overdue: isOverdue,
-    minutes_waiting: minutesWaiting
-  };
+  return `${proto}://${host}${req.originalUrl}`;
 }
 
 /**
- * Build notifications from leads data
- * Computes overdue follow-ups and new leads
+ * Express middleware: reject Twilio webhooks without a valid signature
  */
-function buildNotifications(leads, now = new Date()) {
-  const notifications = [];
-  
-  // 1. Overdue follow-ups (> 60 min, not scheduled/lost)
-  leads.forEach(lead => {
-    const followup = computeFollowupStatus(lead, now);
-    if (followup.is_overdue) {
-      notifications.push({
-        type: 'followup_overdue',
-        text: `Rückruf überfällig: ${lead.name} – ${lead.reason || 'Grund nicht angegeben'}`,
-        link: `/leads?lead=${lead.id}`,
-        created_at: lead.created_at,
-        minutes_waiting: followup.minutes_waiting,
-        lead_id: lead.id
-      });
-    }
-  });
-  
-  // 2. New leads (last 15 minutes)
-  const fifteenMinutesAgo = new Date(now - 15 * 60000);
-  leads.forEach(lead => {
-    const leadTime = new Date(lead.created_at);
-    if (leadTime > fifteenMinutesAgo) {
-      notifications.push({
-        type: 'new_lead',
-        text: `Neue Anfrage: ${lead.name} – ${lead.reason || 'Grund nicht angegeben'}`,
-        link: `/leads?lead=${lead.id}`,
-        created_at: lead.created_at,
-        lead_id: lead.id
-      });
-    }
-  });
-  
-  // Sort by created_at desc (newest first)
-  return notifications.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
-}
+function validateTwilioSignature(req, res, next) {
+  if (SKIP_TWILIO_SIGNATURE_VALIDATION) {
+    return next();
+  }
 
-/**
- * Unified system prompt for AI receptionist (used in both Twilio and simulator)
- * Enhanced with intelligent memory tracking and missing field detection
- */
-function buildSystemPrompt(clinicName, clinicInstructions, memory, missingFields) {
-  const memoryContext = formatMemoryInstructions(memory, missingFields);
-  
-  return `You are a professional German dental receptionist for ${clinicName}.
-${clinicInstructions}
-
-====================================================
-INTELLIGENT RECEPTIONIST - MEMORY-BASED FLOW
-====================================================
-
-Your job is to collect these 4 fields (in this order):
-1) Full Name
-2) Phone Number  
-3) Reason for visit / dental concern
-4) Preferred appointment time
-
-${memoryContext}
-
-MEMORY RULES (MANDATORY):
-- NEVER ask for a field the user already provided
-- NEVER ask for multiple fields in one question
-- ONLY ask for the NEXT missing field
-- If user provides multiple fields at once, acknowledge ALL
-- Be human-like and conversational
-
-====================================================
-LANGUAGE HANDLING (CRITICAL)
-====================================================
-
-- SPEAK ONLY GERMAN, ALWAYS.
-- If user speaks English, Albanian, French, or any non-German language:
-  Reply ONLY: "Ich kann Ihnen nur auf Deutsch weiterhelfen. Wir können gern in einfachem Deutsch sprechen."
-- NEVER respond in any other language.
-- NEVER translate, never switch language for convenience.
-
-====================================================
-NO TECHNICAL EXPLANATIONS
-====================================================
-
-FORBIDDEN phrases:
-- "Ich bin programmiert..."
-- "Ich bin ein künstliches Modell..."
-- "Ich kann nur..."
-
-REPLACE with human receptionist tone:
-- "Ich kann nur auf Deutsch weiterhelfen."
-- "Ich unterstütze Sie gern."
-
-You ARE a receptionist, not a program. Act accordingly.
-
-====================================================
-PHONE NUMBER REFUSAL HANDLING
-====================================================
-
-If caller refuses to give phone number:
-
-FIRST ATTEMPT (kind but firm):
-"Kein Problem. Damit das Praxisteam Sie zurückrufen kann, benötige ich bitte eine Telefonnummer."
-
-SECOND ATTEMPT (last chance):
-"Ohne Telefonnummer kann das Team Sie leider nicht zurückrufen. Möchten Sie trotzdem eine Frage stellen, die ich weiterleiten kann?"
-
-AFTER SECOND ATTEMPT: STOP asking for phone.
-- Continue with general help
-- Do not force the issue
-- Remain professional and helpful
-
-====================================================
-HANDLING ODD / UNUSUAL QUESTIONS
-====================================================
-
-If user tests you, asks technical questions, or asks something unrelated:
-- Use fallback: "Ich unterstütze Sie gern. Damit ich Ihnen helfen kann, benötige ich einige Basis-Informationen."
-- Redirect politely to dental appointment context
-
-====================================================
-REPETITION AVOIDANCE
-====================================================
-
-CRITICAL: Never ask the same question identically twice.
-
-If user ignores a question once:
-- Rephrase it with DIFFERENT wording
-- Vary your approach:
-  * "Darf ich Ihren Namen erfahren?" vs "Wie ist Ihr Name?" vs "Ihr Name bitte?"
-  * "Welche Nummer erreicht Sie am besten?" vs "Ihre Telefonnummer bitte?"
-- Ask only ONCE again with new phrasing
-- Then move forward (don't loop)
-
-====================================================
-INTERACTION STYLE
-====================================================
-
-- Keep responses SHORT (max 2 sentences)
-- Always acknowledge what patient said
-- Vary your phrasing to sound natural:
-  * "Darf ich Ihren Namen erfahren?"
-  * "Wie war nochmal Ihr Name?"
-  * "Ihr Name bitte?"
-- For unclear patient input, clarify politely once, then move on
-
-URGENCY DETECTION:
-If patient mentions: "Schmerzen", "starke Schmerzen", "pochend", "Schwellung", "Entzündung", "Notfall"
-→ Say: "Das klingt nach einem akuten Fall. Damit wir schnell helfen können, nehme ich kurz Ihre Daten auf."
-→ Mark urgency as AKUT
-
-====================================================
-WHEN ALL 4 FIELDS ARE KNOWN
-====================================================
-
-Output this EXACT block and NOTHING ELSE:
-
-LEAD SUMMARY
-Name: <full name>
-Telefon: <phone>
-Grund: <reason>
-Wunschtermin: <time>
-
-Vielen Dank! Ich habe alle Daten notiert. Das Praxisteam meldet sich zur Bestätigung bei Ihnen. Einen schönen Tag!
-
-====================================================
-NEVER
-====================================================
-
-- Ask for a field twice with identical wording
-- Give prices or medical advice
-- Make up appointment slots
-- Continue after LEAD SUMMARY
-- Ask multiple questions at once
-- Explain that you are an AI or a program
-- Respond in any language except German
-- Make up excuses ("Ich bin programmiert...")`;
-}
+  const reject = (reason) => {
+    console.warn('🚫 Rejected Twilio webhook:', {
+      reason,
+      path: req.originalUrl,
+      ip: req.get('X-Forwarded-For') || req.ip,
+      callSid: req.body?.CallSid || null
+    });
+    return res.status(403).type('text/plain').send('Forbidden: Invalid signature');
+  };
 
-/**
- * Simple regex-based detection of LEAD SUMMARY format
- * Returns { hasSummary: boolean, leadData: {...} } or { hasSummary: false }
- */
-function detectLeadSummary(aiResponse) {
-  // Check if response contains the required marker (without asterisks)
-  if (!aiResponse.includes('LEAD SUMMARY')) {
-    return { hasSummary: false, leadData: null };
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  if (!authToken) {
+    return reject('TWILIO_AUTH_TOKEN not configured');
   }
 
-  try {
-    // Extract fields using regex - must appear after "LEAD SUMMARY"
-    const nameMatch = aiResponse.match(/Name:\s*(.+?)(?=\n|$)/i);
-    const phoneMatch = aiResponse.match(/Telefon:\s*(.+?)(?=\n|$)/i);
-    const reasonMatch = aiResponse.match(/Grund:\s*(.+?)(?=\n|$)/i);
-    const timeMatch = aiResponse.match(/Wunschtermin:\s*(.+?)(?=\n|$)/i);
-
-    // All 4 fields must be present
-    if (!nameMatch || !phoneMatch || !reasonMatch || !timeMatch) {
-      console.warn('⚠️ LEAD SUMMARY tag found but missing required fields');
-      console.warn('AI Response:', aiResponse);
-      return { hasSummary: false, leadData: null };
-    }
-
-    const extractedData = {
-      name: nameMatch[1].trim(),
-      phone: phoneMatch[1].trim(),
-      concern: reasonMatch[1].trim(),
-      preferredTime: timeMatch[1].trim()
-    };
-
-    console.log('✅ Successfully parsed LEAD SUMMARY:', extractedData);
+  const signature = req.get('X-Twilio-Signature');
+  if (!signature) {
+    return reject('Missing X-Twilio-Signature header');
+  }
 
-    return {
-      hasSummary: true,
-      leadData: extractedData
-    };
-  } catch (err) {
-    console.error('❌ Error parsing LEAD SUMMARY:', err);
-    console.error('AI Response:', aiResponse);
-    return { hasSummary: false, leadData: null };
+  const url = getTwilioWebhookUrl(req);
+  if (!twilio.validateRequest(authToken, signature, url, req.body || {})) {
+    return reject(`Signature mismatch for ${url}`);
   }
+
+  next();
 }
 
 app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: false }));
+app.use('/api/twilio', validateTwilioSignature);
 
 app.get('/api/test/config', async (req, res) => {
   try {
@@ -2400,6 +1753,7 @@ app.get('/dashboard', async (req, res) => {
     const { data: allLeads, error } = await supabase
       .from('leads')
       .select('*')
+      .is('merged_into', null)
       .order('created_at', { ascending: false });
 
     if (error) {
@@ -2423,6 +1777,20 @@ app.get('/dashboard', async (req, res) => {
     const todayAppointmentsCount = appointments.length;
     const upcomingAppointments = appointments.slice(0, 5);
 
+    // Fetch call records of the last 30 days (missed calls, conversion rate)
+    const thirtyDaysAgo = new Date(today);
+    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+    const { data: callsData, error: callsError } = await supabase
+      .from('calls')
+      .select('call_sid, from_number, status, outcome, duration_seconds, lead_id, started_at')
+      .gte('started_at', thirtyDaysAgo.toISOString())
+      .order('started_at', { ascending: false });
+    if (callsError) {
+      console.error('Error fetching calls for dashboard:', callsError.message);
+    }
+    const callStats = computeCallStats(callsData || []);
+    const formatCallDuration = (seconds) => seconds == null ? '–' : `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')} min`;
+
     // Compute stats
     const newRequestsToday = leads.filter(l => l.created_at >= todayIso).length;
     const acuteCasesToday = leads.filter(l => l.created_at >= todayIso && l.urgency === 'akut').length;
@@ -2928,6 +2296,33 @@ app.get('/dashboard', async (req, res) => {
       color: #2563eb;
     }
 
+    .missed-calls-list {
+      margin-top: 1.25rem;
+      border-top: 1px solid var(--border-color);
+    }
+
+    .missed-call-item {
+      display: grid;
+      grid-template-columns: 120px 1fr 180px 120px;
+      gap: 1rem;
+      padding: 0.625rem 0;
+      font-size: 13px;
+      color: var(--text-secondary);
+      border-bottom: 1px solid var(--border-color);
+    }
+
+    .missed-call-outcome {
+      color: #dc2626;
+      font-weight: 500;
+    }
+
+    .missed-call-link {
+      color: var(--accent);
+      text-decoration: none;
+      font-weight: 500;
+      text-align: right;
+    }
+
     @media (max-width: 1200px) {
       .eod-summary-grid {
         grid-template-columns: repeat(3, 1fr);
@@ -4016,9 +3411,49 @@ app.get('/dashboard', async (req, res) => {
         </div>
       </section>
 
-      <!-- Activity Feed Section -->
-      <section class="activity-feed-section">
-        <h2 class="section-title">Aktivität heute</h2>
+      <!-- Call Statistics Section -->
+      <section class="eod-summary-section">
+        <div class="eod-summary-card">
+          <div class="eod-summary-header">
+            <div class="eod-summary-title">Anrufstatistik</div>
+            <div class="eod-summary-subtitle">Letzte 30 Tage</div>
+          </div>
+          <div class="eod-summary-grid">
+            <div class="eod-summary-item">
+              <div class="eod-summary-number">${callStats.total}</div>
+              <div class="eod-summary-label">Anrufe</div>
+            </div>
+            <div class="eod-summary-item accent-red">
+              <div class="eod-summary-number">${callStats.missedCount}</div>
+              <div class="eod-summary-label">Verpasst / aufgelegt</div>
+            </div>
+            <div class="eod-summary-item accent-green">
+              <div class="eod-summary-number">${callStats.conversionRate != null ? callStats.conversionRate + ' %' : '–'}</div>
+              <div class="eod-summary-label">Konversionsrate</div>
+            </div>
+            <div class="eod-summary-item accent-blue">
+              <div class="eod-summary-number">${formatCallDuration(callStats.avgDurationSeconds)}</div>
+              <div class="eod-summary-label">Ø Gesprächsdauer</div>
+            </div>
+          </div>
+          ${callStats.recentMissed.length > 0 ? `
+            <div class="missed-calls-list">
+              ${callStats.recentMissed.map(call => `
+                <div class="missed-call-item">
+                  <span>${new Date(call.started_at).toLocaleString('de-DE', { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' })}</span>
+                  <span>${escapeHtml(call.from_number || 'Unbekannte Nummer')}</span>
+                  <span class="missed-call-outcome">${CALL_OUTCOME_LABELS[call.outcome] || call.outcome}</span>
+                  ${call.from_number ? `<a href="tel:${escapeHtml(call.from_number)}" class="missed-call-link">Zurückrufen →</a>` : '<span></span>'}
+                </div>
+              `).join('')}
+            </div>
+          ` : ''}
+        </div>
+      </section>
+
+      <!-- Activity Feed Section -->
+      <section class="activity-feed-section">
+        <h2 class="section-title">Aktivität heute</h2>
         <div class="activity-card">
           ${activitiesToday.length > 0 ? `
             <div class="activity-list">
@@ -5829,7 +5264,7 @@ app.post('/api/test/nlu', async (req, res) => {
     
     // Extract memory from the message
     console.log('[NLU TEST] Running extractMemoryFromConversation...');
-    const memory = extractMemoryFromConversation([], message);
+    const memory = await extractMemoryFromConversation([], normalizeSpokenInput(message));
     console.log('[NLU TEST] Extracted memory:', memory);
     
     // Get missing fields
@@ -5841,30 +5276,27 @@ app.post('/api/test/nlu', async (req, res) => {
     const urgency = classifyUrgency(memory.reason, message);
     console.log('[NLU TEST] Classified urgency:', urgency);
     
-    // Determine intent based on extracted data
-    let intent = 'inquiry';
-    let confidence = 0.5;
-    
-    if (memory.reason && urgency === 'akut') {
-      intent = 'urgent_appointment_request';
-      confidence = 0.95;
-    } else if (memory.reason && memory.preferred_time) {
-      intent = 'appointment_request';
-      confidence = 0.90;
-    } else if (memory.reason) {
-      intent = 'symptom_report';
-      confidence = 0.85;
-    } else if (memory.name || memory.phone) {
-      intent = 'patient_info_provided';
-      confidence = 0.80;
+    // Classify the caller's intent the way the conversation engine does (see CALLER INTENTS)
+    console.log('[NLU TEST] Running classifyCallerIntent...');
+    let clinic = null;
+    try {
+      clinic = supabase ? await getClinic() : null;
+    } catch (clinicError) {
+      console.warn('[NLU TEST] Could not load clinic, skipping practice questions:', clinicError.message);
     }
+    const detected = await classifyCallerIntent(clinic, message);
+    const intent = detected?.intent || (memory.reason ? 'appointment' : null);
+    const intentSource = detected?.source || (intent ? 'default' : null);
+    const confidence = intentSource ? INTENT_CONFIDENCE[intentSource] : 0;
     
-    console.log('[NLU TEST] ✅ NLU analysis complete - Intent:', intent, 'Confidence:', confidence);
+    console.log('[NLU TEST] ✅ NLU analysis complete - Intent:', intent, 'Source:', intentSource, 'Confidence:', confidence);
     
     res.json({
       ok: true,
       message,
       intent,
+      intentLabel: intent ? getIntentLabel(intent) : null,
+      intentSource,
       confidence,
       memory,
       missingFields,
@@ -5966,6 +5398,61 @@ app.post('/api/leads/update-notes', async (req, res) => {
   }
 });
 
+// API endpoint to get the call transcript of a lead (messages_log rows of its call_sid)
+app.get('/api/leads/transcript', async (req, res) => {
+  try {
+    const leadId = req.query.lead_id;
+    
+    if (!isNonEmptyString(leadId)) {
+      logValidationError(req, 'lead_id', 'Lead ID is required for transcript');
+      return res.status(400).json({ ok: false, error: 'Invalid input: lead_id required.' });
+    }
+    
+    // Check Supabase availability
+    if (!supabase) {
+      return res.status(500).json({ ok: false, error: 'Database not configured' });
+    }
+    
+    const { data: lead, error: leadError } = await supabase
+      .from('leads')
+      .select('id, call_sid')
+      .eq('id', sanitizeString(leadId))
+      .maybeSingle();
+    
+    if (leadError) {
+      console.error('Error loading lead for transcript:', leadError);
+      return res.status(500).json({ ok: false, error: leadError.message });
+    }
+    
+    if (!lead) {
+      return res.status(404).json({ ok: false, error: 'Lead not found' });
+    }
+    
+    // Manual leads have no call
+    if (!lead.call_sid) {
+      return res.json({ ok: true, call_sid: null, messages: [] });
+    }
+    
+    // Rows logged before turn_index existed sort by time only
+    const { data, error } = await supabase
+      .from('messages_log')
+      .select('role, message, turn_index, created_at')
+      .eq('call_sid', lead.call_sid)
+      .order('turn_index', { ascending: true, nullsFirst: true })
+      .order('created_at', { ascending: true });
+    
+    if (error) {
+      console.error('Error loading transcript:', error);
+      return res.status(500).json({ ok: false, error: error.message });
+    }
+    
+    res.json({ ok: true, call_sid: lead.call_sid, messages: data || [] });
+  } catch (err) {
+    console.error('Unexpected error loading transcript:', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
 // API endpoint to create manual lead
 app.post('/api/leads/create-manual', async (req, res) => {
   try {
@@ -5978,13 +5465,17 @@ app.post('/api/leads/create-manual', async (req, res) => {
     if (!isNonEmptyString(phone)) {
       return res.status(400).json({ ok: false, error: 'Phone is required' });
     }
+    if (!isValidPhone(phone)) {
+      logValidationError(req, 'phone', 'Invalid phone number format');
+      return res.status(400).json({ ok: false, error: 'Invalid phone number (include the area code, e.g. 0341 1234567)' });
+    }
     if (!isNonEmptyString(reason)) {
       return res.status(400).json({ ok: false, error: 'Reason is required' });
     }
     
     // Sanitize inputs
     const sanitizedName = sanitizeString(name).substring(0, 200);
-    const sanitizedPhone = sanitizeString(phone).substring(0, 50);
+    const sanitizedPhone = normalizePhoneNumber(phone);
     const sanitizedReason = sanitizeString(reason).substring(0, 1000);
     const sanitizedUrgency = ['akut', 'normal'].includes(sanitizeString(urgency)) ? sanitizeString(urgency) : 'normal';
     const sanitizedPatientType = ['neu', 'bestand'].includes(sanitizeString(patient_type)) ? sanitizeString(patient_type) : 'neu';
@@ -6000,6 +5491,17 @@ app.post('/api/leads/create-manual', async (req, res) => {
       return res.status(500).json({ ok: false, error: 'Database not configured' });
     }
     
+    // Patient type and insurance also go to the patient master record
+    const patient = await findOrCreatePatient({
+      name: sanitizedName,
+      phone: sanitizedPhone,
+      insurance: sanitizedInsurance,
+      patientType: sanitizedPatientType
+    });
+    const duplicateFlag = await getDuplicateFlag({ name: sanitizedName, phone: sanitizedPhone });
+    // Preferred times are resolved in the clinic's timezone
+    const clinic = await getClinic();
+
     // Insert into leads table
     const { data, error } = await supabase
       .from('leads')
@@ -6008,9 +5510,11 @@ app.post('/api/leads/create-manual', async (req, res) => {
         phone: sanitizedPhone,
         concern: sanitizedReason,
         urgency: sanitizedUrgency,
-        patient_type: sanitizedPatientType,
         insurance: sanitizedInsurance,
-        preferred_time: sanitizedPreferredTime,
+        patient_type: sanitizedPatientType,
+        preferred_slots: buildPreferredSlots(sanitizedPreferredTime, { timeZone: clinic?.timezone || DEFAULT_TIMEZONE }),
+        patient_id: patient?.id || null,
+        ...duplicateFlag,
         notes: sanitizedNotes,
         status: initialStatus,
         created_at: new Date().toISOString()
@@ -6033,12 +5537,43 @@ app.post('/api/leads/create-manual', async (req, res) => {
   }
 });
 
+// API endpoint to merge a duplicate lead into another lead
+// Body: { id: surviving lead, duplicate_id: lead to merge into it }
+app.post('/api/leads/merge', async (req, res) => {
+  try {
+    const { id, duplicate_id } = req.body;
+
+    if (!isNonEmptyString(id) || !isNonEmptyString(duplicate_id)) {
+      logValidationError(req, 'id', 'Both lead IDs are required');
+      return res.status(400).json({ ok: false, error: 'Both id and duplicate_id are required' });
+    }
+    if (id === duplicate_id) {
+      return res.status(400).json({ ok: false, error: 'A lead cannot be merged into itself' });
+    }
+
+    if (!supabase) {
+      return res.status(500).json({ ok: false, error: 'Database not configured' });
+    }
+
+    const result = await mergeLeads(sanitizeString(id), sanitizeString(duplicate_id));
+    if (result.error) {
+      return res.status(result.status).json({ ok: false, error: result.error });
+    }
+
+    res.json({ ok: true, lead: result.lead });
+  } catch (err) {
+    console.error('Unexpected error merging leads:', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
 // Leads dashboard HTML (dark theme, German)
 app.get('/leads', async (req, res) => {
   try {
     const { data, error } = await supabase
       .from('leads')
       .select('*')
+      .is('merged_into', null)
       .order('created_at', { ascending: false })
       .limit(50);
 
@@ -6615,7 +6150,8 @@ app.get('/leads', async (req, res) => {
       border-top: 1px solid rgba(255, 255, 255, 0.1);
     }
 
-    .appointments-title {
+    .appointments-title,
+    .transcript-title {
       font-size: 13px;
       font-weight: 700;
       color: rgba(255, 255, 255, 0.9);
@@ -6647,6 +6183,45 @@ app.get('/leads', async (req, res) => {
       padding: 10px;
     }
 
+    /* Transcript Section */
+    .transcript-section {
+      margin-top: 28px;
+      padding-top: 20px;
+      border-top: 1px solid rgba(255, 255, 255, 0.1);
+    }
+
+    .transcript-list {
+      display: flex;
+      flex-direction: column;
+      gap: 8px;
+      max-height: 320px;
+      overflow-y: auto;
+    }
+
+    .transcript-turn {
+      padding: 8px 10px;
+      border-radius: 8px;
+      font-size: 13px;
+      color: rgba(255, 255, 255, 0.9);
+      line-height: 1.5;
+    }
+
+    .transcript-caller {
+      background: rgba(139, 92, 246, 0.2);
+      margin-left: 24px;
+    }
+
+    .transcript-ai {
+      background: rgba(59, 130, 246, 0.2);
+      margin-right: 24px;
+    }
+
+    .transcript-meta {
+      font-size: 11px;
+      color: rgba(255, 255, 255, 0.5);
+      margin-bottom: 2px;
+    }
+
     /* Modal */
     .modal {
       display: none;
@@ -6943,6 +6518,14 @@ app.get('/leads', async (req, res) => {
           </div>
         </div>
 
+        <!-- Transcript Section -->
+        <div class="transcript-section">
+          <div class="transcript-title">Gesprächsverlauf</div>
+          <div class="transcript-list" id="transcriptList">
+            <!-- Populated by JavaScript -->
+          </div>
+        </div>
+
         <!-- Appointments Section -->
         <div class="appointments-section">
           <div class="appointments-title">Termine dieses Patienten</div>
@@ -7023,6 +6606,7 @@ app.get('/leads', async (req, res) => {
     const saveNotesBtn = document.getElementById('saveNotesBtn');
     const timelineEvents = document.getElementById('timelineEvents');
     const appointmentsList = document.getElementById('appointmentsList');
+    const transcriptList = document.getElementById('transcriptList');
 
     // Apply filters
     function applyFilters() {
@@ -7243,6 +6827,39 @@ app.get('/leads', async (req, res) => {
       }
     }
 
+    // Load the call transcript; built with textContent because it holds the caller's words
+    async function loadTranscript(lead) {
+      transcriptList.innerHTML = '<div class="appointments-empty">Gesprächsverlauf wird geladen…</div>';
+      try {
+        const response = await fetch('/api/leads/transcript?lead_id=' + encodeURIComponent(lead.id));
+        const result = await response.json();
+        
+        // Another lead was opened in the meantime
+        if (selectedLead !== lead) return;
+        
+        if (result.ok && result.messages && result.messages.length > 0) {
+          transcriptList.innerHTML = '';
+          result.messages.forEach(msg => {
+            const turn = document.createElement('div');
+            turn.className = 'transcript-turn ' + (msg.role === 'user' ? 'transcript-caller' : 'transcript-ai');
+            const meta = document.createElement('div');
+            meta.className = 'transcript-meta';
+            meta.textContent = (msg.role === 'user' ? 'Anrufer' : 'AI-Rezeption') + ' · ' +
+              new Date(msg.created_at).toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+            const text = document.createElement('div');
+            text.textContent = msg.message;
+            turn.append(meta, text);
+            transcriptList.appendChild(turn);
+          });
+        } else {
+          transcriptList.innerHTML = '<div class="appointments-empty">Kein Gesprächsverlauf vorhanden.</div>';
+        }
+      } catch (err) {
+        console.error('Error loading transcript:', err);
+        transcriptList.innerHTML = '<div class="appointments-empty">Fehler beim Laden des Gesprächsverlaufs.</div>';
+      }
+    }
+
     // Select lead
     function selectLead(index) {
       selectedLead = filteredLeads[index];
@@ -7259,7 +6876,8 @@ app.get('/leads', async (req, res) => {
       // Build timeline
       buildTimeline(selectedLead);
       
-      // Load appointments
+      // Load transcript and appointments
+      loadTranscript(selectedLead);
       loadAppointments(selectedLead);
       
       // Show panel
@@ -7485,7 +7103,24 @@ app.get('/leads', async (req, res) => {
 // API endpoint to update clinic settings
 app.post('/api/clinic/update', async (req, res) => {
   try {
-    const { name, phone_number, address, instructions } = req.body;
+    const {
+      name,
+      phone_number,
+      address,
+      instructions,
+      chair_count,
+      treatment_durations,
+      opening_hours,
+      lunch_break,
+      closures,
+      holiday_region,
+      emergency_number,
+      transfer_number,
+      transfer_queue,
+      intake_schema,
+      supported_languages,
+      knowledge_base
+    } = req.body;
     
     // Validate clinic name
     if (!isNonEmptyString(name)) {
@@ -7505,6 +7140,75 @@ app.post('/api/clinic/update', async (req, res) => {
       return res.status(400).json({ ok: false, error: 'Anweisungen sind zu lang.' });
     }
     
+    // Validate chair count if provided (number of parallel treatment chairs)
+    if (chair_count !== undefined && !(parseInt(chair_count) >= 1 && parseInt(chair_count) <= 50)) {
+      logValidationError(req, 'chair_count', 'Chair count must be between 1 and 50');
+      return res.status(400).json({ ok: false, error: 'Anzahl Behandlungsstühle ungültig.' });
+    }
+    
+    // Validate treatment durations if provided: { keyword: minutes }
+    if (treatment_durations !== undefined) {
+      const validDurations = treatment_durations && typeof treatment_durations === 'object' &&
+        Object.values(treatment_durations).every(m => Number.isInteger(m) && m >= 5 && m <= 480);
+      if (!validDurations) {
+        logValidationError(req, 'treatment_durations', 'Durations must be whole minutes between 5 and 480');
+        return res.status(400).json({ ok: false, error: 'Behandlungsdauern ungültig.' });
+      }
+    }
+    
+    // Validate structured opening hours, lunch break, closures and holiday region if provided
+    if (opening_hours !== undefined && !isValidOpeningHours(opening_hours)) {
+      logValidationError(req, 'opening_hours', 'Invalid opening hours structure');
+      return res.status(400).json({ ok: false, error: 'Öffnungszeiten ungültig.' });
+    }
+    if (lunch_break !== undefined && lunch_break !== null &&
+        !(isValidTime(lunch_break.from) && isValidTime(lunch_break.to) && lunch_break.from < lunch_break.to)) {
+      logValidationError(req, 'lunch_break', 'Invalid lunch break');
+      return res.status(400).json({ ok: false, error: 'Mittagspause ungültig.' });
+    }
+    if (closures !== undefined && !isValidClosures(closures)) {
+      logValidationError(req, 'closures', 'Invalid closures list');
+      return res.status(400).json({ ok: false, error: 'Schließzeiten ungültig.' });
+    }
+    if (holiday_region !== undefined && !GERMAN_STATES.includes(holiday_region)) {
+      logValidationError(req, 'holiday_region', `Unknown state: ${holiday_region}`);
+      return res.status(400).json({ ok: false, error: 'Bundesland ungültig.' });
+    }
+    
+    // Validate emergency service number (Zahnärztlicher Notdienst) if provided; empty clears it
+    if (emergency_number && !isValidPhone(emergency_number)) {
+      logValidationError(req, 'emergency_number', 'Invalid emergency number format');
+      return res.status(400).json({ ok: false, error: 'Notdienst-Nummer ungültig.' });
+    }
+    
+    // Validate live transfer target (staff number or Twilio queue name); empty clears it
+    if (transfer_number && !isValidPhone(transfer_number)) {
+      logValidationError(req, 'transfer_number', 'Invalid transfer number format');
+      return res.status(400).json({ ok: false, error: 'Weiterleitungsnummer ungültig.' });
+    }
+    if (transfer_queue && !/^[\w\- ]{1,64}$/.test(transfer_queue)) {
+      logValidationError(req, 'transfer_queue', 'Invalid queue name');
+      return res.status(400).json({ ok: false, error: 'Warteschlangen-Name ungültig.' });
+    }
+    
+    // Validate the intake questions (null resets to the default questions)
+    if (intake_schema !== undefined && intake_schema !== null && !isValidIntakeSchema(intake_schema)) {
+      logValidationError(req, 'intake_schema', 'Invalid intake schema');
+      return res.status(400).json({ ok: false, error: 'Aufnahmefragen ungültig.' });
+    }
+    
+    // Validate the receptionist's languages (German is always spoken)
+    if (supported_languages !== undefined && !isValidSupportedLanguages(supported_languages)) {
+      logValidationError(req, 'supported_languages', 'Invalid language list');
+      return res.status(400).json({ ok: false, error: 'Sprachen ungültig.' });
+    }
+    
+    // Validate the knowledge base entries (null: no entries)
+    if (knowledge_base !== undefined && knowledge_base !== null && !isValidKnowledgeBase(knowledge_base)) {
+      logValidationError(req, 'knowledge_base', 'Invalid knowledge base');
+      return res.status(400).json({ ok: false, error: 'Wissensdatenbank ungültig.' });
+    }
+    
     // Check Supabase availability
     if (!supabase) {
       return res.status(500).json({ ok: false, error: 'Datenbank nicht konfiguriert' });
@@ -7519,7 +7223,7 @@ app.post('/api/clinic/update', async (req, res) => {
     // Build update payload with sanitized data
     const updateData = {
       name: sanitizeString(name),
-      phone_number: sanitizeString(phone_number),
+      phone_number: normalizePhoneNumber(phone_number),
       instructions: instructions ? sanitizeString(instructions) : ''
     };
     
@@ -7528,6 +7232,64 @@ app.post('/api/clinic/update', async (req, res) => {
       updateData.address = address.trim();
     }
     
+    // Scheduling settings used by the slot engine
+    if (chair_count !== undefined) {
+      updateData.chair_count = parseInt(chair_count);
+    }
+    if (treatment_durations !== undefined) {
+      updateData.treatment_durations = Object.fromEntries(
+        Object.entries(treatment_durations).map(([keyword, minutes]) => [sanitizeString(keyword).toLowerCase().substring(0, 50), minutes])
+      );
+    }
+    
+    // Opening hours calendar
+    if (opening_hours !== undefined) {
+      updateData.opening_hours = opening_hours;
+    }
+    if (lunch_break !== undefined) {
+      updateData.lunch_break = lunch_break ? { from: lunch_break.from.trim(), to: lunch_break.to.trim() } : null;
+    }
+    if (closures !== undefined) {
+      updateData.closures = closures.map(c => ({
+        from: c.from.trim().substring(0, 10),
+        to: (c.to || c.from).trim().substring(0, 10),
+        reason: c.reason ? sanitizeString(c.reason).substring(0, 200) : null
+      }));
+    }
+    if (holiday_region !== undefined) {
+      updateData.holiday_region = holiday_region;
+    }
+    
+    // After-hours emergency forwarding target
+    if (emergency_number !== undefined) {
+      updateData.emergency_number = emergency_number ? normalizePhoneNumber(emergency_number) : null;
+    }
+    
+    // Live transfer to staff
+    if (transfer_number !== undefined) {
+      updateData.transfer_number = transfer_number ? normalizePhoneNumber(transfer_number) : null;
+    }
+    if (transfer_queue !== undefined) {
+      updateData.transfer_queue = transfer_queue ? transfer_queue.trim() : null;
+    }
+    
+    // Intake questions, stored normalised (see getIntakeSchema)
+    if (intake_schema !== undefined) {
+      updateData.intake_schema = intake_schema ? getIntakeSchema({ intake_schema }) : null;
+    }
+    if (supported_languages !== undefined) {
+      updateData.supported_languages = getSupportedLanguages({ supported_languages });
+    }
+    if (knowledge_base !== undefined) {
+      updateData.knowledge_base = knowledge_base && knowledge_base.length > 0
+        ? knowledge_base.map(entry => ({
+            category: entry.category,
+            title: sanitizeString(entry.title),
+            content: sanitizeString(entry.content)
+          }))
+        : null;
+    }
+    
     // Update clinic in Supabase
     const { data, error } = await supabase
       .from('clinics')
@@ -8204,8 +7966,45 @@ app.get('/settings', async (req, res) => {
     const clinicName = clinic?.name || 'Zahnarztpraxis';
     const clinicPhone = clinic?.phone_number || '-';
     const clinicAddress = clinic?.address || '-';
-    const clinicHours = 'Mo–Fr · 09:00–18:00'; // Hardcoded for now
+    const clinicEmergencyNumber = clinic?.emergency_number || '';
+    const clinicTransferNumber = clinic?.transfer_number || '';
+    const clinicTransferQueue = clinic?.transfer_queue || '';
     const clinicInstructions = clinic?.instructions || 'Keine Anweisungen vorhanden';
+    
+    // Structured opening hours calendar
+    const openingHours = clinic?.opening_hours || DEFAULT_OPENING_HOURS;
+    const lunchBreak = clinic?.lunch_break || null;
+    const holidayRegion = clinic?.holiday_region || DEFAULT_HOLIDAY_REGION;
+    const closuresText = (clinic?.closures || [])
+      .map(c => `${c.from}${c.to && c.to !== c.from ? ' bis ' + c.to : ''}${c.reason ? ' ' + c.reason : ''}`)
+      .join('\n');
+    const currentYear = Number(getZonedDateTime(new Date(), clinic?.timezone || DEFAULT_TIMEZONE).date.substring(0, 4));
+    const upcomingHolidays = [...getGermanHolidays(currentYear, holidayRegion), ...getGermanHolidays(currentYear + 1, holidayRegion)]
+      .filter(h => h.date >= getZonedDateTime(new Date(), clinic?.timezone || DEFAULT_TIMEZONE).date)
+      .slice(0, 5);
+    
+    // Every interval of a day is editable (split hours like 08-12 and 14-18); a closed day shows a disabled default
+    const hoursRows = WEEKDAY_DISPLAY_ORDER.map(key => {
+      const intervals = openingHours[key] || [];
+      const closed = intervals.length === 0;
+      const dayName = WEEKDAY_NAMES_DE[WEEKDAY_KEYS.indexOf(key)];
+      const intervalInputs = (closed ? [{ from: '09:00', to: '18:00' }] : intervals).map(interval => `
+                <div class="hours-interval">
+                  <input type="time" class="settings-input hours-from" value="${interval.from}" ${closed ? 'disabled' : ''} />
+                  <input type="time" class="settings-input hours-to" value="${interval.to}" ${closed ? 'disabled' : ''} />
+                  <button type="button" class="hours-remove" title="Zeitraum entfernen" ${closed ? 'disabled' : ''}>×</button>
+                </div>`).join('');
+      return `
+            <div class="hours-row" data-day="${key}">
+              <span class="hours-day">${dayName.substring(0, 2)}</span>
+              <div class="hours-intervals">${intervalInputs}
+              </div>
+              <div class="hours-actions">
+                <button type="button" class="hours-add" title="Zeitraum hinzufügen" ${closed ? 'disabled' : ''}>+</button>
+                <label class="hours-closed"><input type="checkbox" class="hours-closed-toggle" ${closed ? 'checked' : ''} /> zu</label>
+              </div>
+            </div>`;
+    }).join('');
 
     const html = `
 <!DOCTYPE html>
@@ -8568,6 +8367,93 @@ app.get('/settings', async (req, res) => {
         font-size: 14px;
       }
     }
+
+    /* Opening Hours Editor */
+    .hours-row {
+      display: grid;
+      grid-template-columns: 32px 1fr auto;
+      gap: 8px;
+      align-items: start;
+      margin-bottom: 6px;
+    }
+
+    .hours-intervals {
+      display: flex;
+      flex-direction: column;
+      gap: 4px;
+    }
+
+    .hours-interval {
+      display: grid;
+      grid-template-columns: 1fr 1fr 24px;
+      gap: 8px;
+      align-items: center;
+    }
+
+    .hours-actions {
+      display: flex;
+      align-items: center;
+      gap: 6px;
+    }
+
+    .hours-add,
+    .hours-remove {
+      background: rgba(255, 255, 255, 0.1);
+      border: 1px solid rgba(255, 255, 255, 0.2);
+      border-radius: 6px;
+      color: rgba(255, 255, 255, 0.8);
+      cursor: pointer;
+      font-size: 14px;
+      height: 24px;
+      width: 24px;
+    }
+
+    .hours-add:disabled,
+    .hours-remove:disabled {
+      cursor: default;
+      opacity: 0.35;
+    }
+
+    .hours-day {
+      font-size: 13px;
+      font-weight: 600;
+      color: rgba(255, 255, 255, 0.8);
+    }
+
+    .hours-row .settings-input {
+      padding: 6px 8px;
+    }
+
+    .hours-row .settings-input:disabled {
+      opacity: 0.35;
+    }
+
+    .hours-closed {
+      font-size: 12px;
+      color: rgba(255, 255, 255, 0.7);
+      display: flex;
+      align-items: center;
+      gap: 4px;
+    }
+
+    .hours-pair {
+      display: grid;
+      grid-template-columns: 1fr 1fr;
+      gap: 8px;
+    }
+
+    .closures-textarea {
+      min-height: 70px;
+      resize: vertical;
+      font-size: 13px;
+    }
+
+    .settings-hint {
+      font-size: 12px;
+      color: rgba(255, 255, 255, 0.55);
+      margin-top: 6px;
+      line-height: 1.4;
+    }
   </style>
 </head>
 <body>
@@ -8607,9 +8493,49 @@ app.get('/settings', async (req, res) => {
           <input type="text" id="clinic-address" class="settings-input" value="${clinicAddress}" />
         </div>
 
+        <div class="settings-field">
+          <div class="settings-label">Zahnärztlicher Notdienst (Weiterleitung außerhalb der Öffnungszeiten)</div>
+          <input type="text" id="clinic-emergency-number" class="settings-input" value="${escapeHtml(clinicEmergencyNumber)}" placeholder="+49 ..." />
+        </div>
+
+        <div class="settings-field">
+          <div class="settings-label">Weiterleitung an Mitarbeiter (Live-Übergabe während der Öffnungszeiten)</div>
+          <input type="text" id="clinic-transfer-number" class="settings-input" value="${escapeHtml(clinicTransferNumber)}" placeholder="+49 ..." />
+        </div>
+
+        <div class="settings-field">
+          <div class="settings-label">oder Twilio-Warteschlange (Mitarbeiter rufen /api/twilio/voice/queue-agent auf, um den nächsten Anrufer anzunehmen)</div>
+          <input type="text" id="clinic-transfer-queue" class="settings-input" value="${escapeHtml(clinicTransferQueue)}" placeholder="rezeption" maxlength="64" />
+        </div>
+
         <div class="settings-field">
           <div class="settings-label">Öffnungszeiten</div>
-          <div class="settings-value">${clinicHours}</div>
+          ${hoursRows}
+        </div>
+        
+        <div class="settings-field">
+          <div class="settings-label">Mittagspause</div>
+          <div class="hours-pair">
+            <input type="time" id="lunch-from" class="settings-input" value="${lunchBreak ? lunchBreak.from : ''}" />
+            <input type="time" id="lunch-to" class="settings-input" value="${lunchBreak ? lunchBreak.to : ''}" />
+          </div>
+          <div class="settings-hint">Leer lassen, wenn durchgehend geöffnet.</div>
+        </div>
+        
+        <div class="settings-field">
+          <div class="settings-label">Feiertage (Bundesland)</div>
+          <select id="holiday-region" class="settings-input">
+            ${GERMAN_STATES.map(code => `<option value="${code}" ${code === holidayRegion ? 'selected' : ''}>${code}</option>`).join('')}
+          </select>
+          <div class="settings-hint">
+            Nächste Feiertage: ${upcomingHolidays.map(h => `${escapeHtml(h.name)} (${h.date.split('-').reverse().join('.')})`).join(', ')}
+          </div>
+        </div>
+        
+        <div class="settings-field">
+          <div class="settings-label">Praxisurlaub / Schließtage</div>
+          <textarea id="clinic-closures" class="settings-input closures-textarea" placeholder="2025-12-22 bis 2026-01-02 Weihnachtsurlaub">${escapeHtml(closuresText)}</textarea>
+          <div class="settings-hint">Eine Zeile pro Schließzeit: JJJJ-MM-TT [bis JJJJ-MM-TT] [Grund]</div>
         </div>
 
         <div class="powered-badge">
@@ -8634,199 +8560,460 @@ app.get('/settings', async (req, res) => {
     </div>
     `}
   </div>
-</body>
-</html>
-    `;
-
-    res.type('html').send(html);
-  } catch (err) {
-    console.error('Unexpected error in /settings:', err);
-    res
-      .status(500)
-      .type('html')
-      .send('<h1>Interner Fehler</h1><p>' + err.message + '</p>');
-  }
-});
+  
+  <div id="settings-toast" class="toast"></div>
+  
+  <script>
+    // Opening hours: each day has one or more intervals; a closed day keeps its inputs disabled
+    function setDayClosed(row, closed) {
+      row.querySelector('.hours-closed-toggle').checked = closed;
+      row.querySelectorAll('.hours-interval input, .hours-interval button, .hours-add').forEach(el => {
+        el.disabled = closed;
+      });
+    }
+    
+    function addInterval(row, from, to) {
+      const interval = document.createElement('div');
+      interval.className = 'hours-interval';
+      interval.innerHTML = '<input type="time" class="settings-input hours-from" />'
+        + '<input type="time" class="settings-input hours-to" />'
+        + '<button type="button" class="hours-remove" title="Zeitraum entfernen">×</button>';
+      interval.querySelector('.hours-from').value = from;
+      interval.querySelector('.hours-to').value = to;
+      row.querySelector('.hours-intervals').appendChild(interval);
+    }
+    
+    document.querySelectorAll('.hours-row').forEach(row => {
+      row.querySelector('.hours-closed-toggle').addEventListener('change', (event) => {
+        if (!event.target.checked && !row.querySelector('.hours-interval')) addInterval(row, '09:00', '18:00');
+        setDayClosed(row, event.target.checked);
+      });
+      row.querySelector('.hours-add').addEventListener('click', () => {
+        const last = [...row.querySelectorAll('.hours-to')].pop();
+        addInterval(row, last ? last.value : '14:00', '18:00');
+      });
+      row.querySelector('.hours-intervals').addEventListener('click', (event) => {
+        if (!event.target.classList.contains('hours-remove')) return;
+        event.target.closest('.hours-interval').remove();
+        if (!row.querySelector('.hours-interval')) {
+          addInterval(row, '09:00', '18:00');
+          setDayClosed(row, true);
+        }
+      });
+    });
+    
+    function showToast(message, isError) {
+      const toast = document.getElementById('settings-toast');
+      toast.textContent = message;
+      toast.classList.toggle('error', !!isError);
+      toast.classList.add('show');
+      setTimeout(() => toast.classList.remove('show'), 3000);
+    }
+    
+    // Parse "2025-12-22 bis 2026-01-02 Weihnachtsurlaub" lines
+    function parseClosures(text) {
+      const closures = [];
+      for (const line of text.split('\\n').map(l => l.trim()).filter(Boolean)) {
+        const match = line.match(/^(\\d{4}-\\d{2}-\\d{2})(?:\\s*(?:bis|-)\\s*(\\d{4}-\\d{2}-\\d{2}))?\\s*(.*)$/);
+        if (!match) return { error: 'Ungültige Zeile: ' + line };
+        closures.push({ from: match[1], to: match[2] || match[1], reason: match[3] || null });
+      }
+      return { closures };
+    }
+    
+    const saveBtn = document.getElementById('save-settings-btn');
+    if (saveBtn) {
+      saveBtn.addEventListener('click', async () => {
+        const openingHours = {};
+        let invalidDay = null;
+        document.querySelectorAll('.hours-row').forEach(row => {
+          const closed = row.querySelector('.hours-closed-toggle').checked;
+          const intervals = closed ? [] : [...row.querySelectorAll('.hours-interval')].map(interval => ({
+            from: interval.querySelector('.hours-from').value,
+            to: interval.querySelector('.hours-to').value
+          })).sort((a, b) => a.from.localeCompare(b.from));
+          const broken = intervals.some((interval, i) =>
+            !interval.from || !interval.to || interval.from >= interval.to || (i > 0 && interval.from < intervals[i - 1].to)
+          );
+          if (broken && !invalidDay) invalidDay = row.querySelector('.hours-day').textContent;
+          openingHours[row.dataset.day] = intervals;
+        });
+        if (invalidDay) {
+          showToast('Öffnungszeiten ' + invalidDay + ': Zeiträume müssen vor dem Ende beginnen und dürfen sich nicht überschneiden.', true);
+          return;
+        }
+        
+        const lunchFrom = document.getElementById('lunch-from').value;
+        const lunchTo = document.getElementById('lunch-to').value;
+        const parsedClosures = parseClosures(document.getElementById('clinic-closures').value);
+        if (parsedClosures.error) {
+          showToast(parsedClosures.error, true);
+          return;
+        }
+        
+        saveBtn.disabled = true;
+        try {
+          const response = await fetch('/api/clinic/update', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+              name: document.getElementById('clinic-name').value,
+              phone_number: document.getElementById('clinic-phone').value,
+              address: document.getElementById('clinic-address').value,
+              emergency_number: document.getElementById('clinic-emergency-number').value.trim(),
+              transfer_number: document.getElementById('clinic-transfer-number').value.trim(),
+              transfer_queue: document.getElementById('clinic-transfer-queue').value.trim(),
+              instructions: document.getElementById('clinic-instructions').value,
+              opening_hours: openingHours,
+              lunch_break: lunchFrom && lunchTo ? { from: lunchFrom, to: lunchTo } : null,
+              closures: parsedClosures.closures,
+              holiday_region: document.getElementById('holiday-region').value
+            })
+          });
+          const result = await response.json();
+          if (result.ok) {
+            showToast('Einstellungen gespeichert');
+          } else {
+            showToast(result.error || 'Fehler beim Speichern', true);
+          }
+        } catch (err) {
+          showToast('Fehler beim Speichern', true);
+        } finally {
+          saveBtn.disabled = false;
+        }
+      });
+    }
+  </script>
+</body>
+</html>
+    `;
+
+    res.type('html').send(html);
+  } catch (err) {
+    console.error('Unexpected error in /settings:', err);
+    res
+      .status(500)
+      .type('html')
+      .send('<h1>Interner Fehler</h1><p>' + err.message + '</p>');
+  }
+});
 
-// AI-powered Twilio voice receptionist endpoint
-app.post('/api/twilio/voice/step', async (req, res) => {
+// AI-powered Twilio voice receptionist endpoint (TwiML adapter of the conversation engine)
+// /next is the webhook of older phone number setups and runs the same turn
+app.post(['/api/twilio/voice/step', '/api/twilio/voice/next'], async (req, res) => {
   try {
-    // Parse standard Twilio fields
-    const speechResult = req.body.SpeechResult;
+    // Parse standard Twilio fields (dictated digits / spelled names converted)
+    const speechResult = normalizeSpokenInput(req.body.SpeechResult);
     const fromNumber = req.body.From;
     const callSid = req.body.CallSid;
     
     // FIRST REQUEST (no SpeechResult) - Initialize conversation
     if (!speechResult) {
-      // Initialize conversation state with memory tracking
-      conversationStates.set(callSid, {
-        messages: [],
-        leadSaved: false,
-        fromNumber: fromNumber,
-        memory: {
-          name: null,
-          phone: null,
-          reason: null,
-          urgency: null,
-          preferred_time: null,
-          patient_type: null,
-          insurance_status: null
-        }
-      });
+      // Start the call record (the status callback completes it)
+      try {
+        await upsertCallRecord(callSid, {
+          from_number: fromNumber || null,
+          to_number: req.body.To || null,
+          direction: req.body.Direction || 'inbound',
+          status: 'in-progress'
+        });
+      } catch (callError) {
+        console.error('⚠️ Could not create call record:', callError.message);
+      }
+      
+      const { clinic, greeting } = await startConversation('twilio', callSid, { fromNumber });
       
       const twiml = new VoiceResponse();
+      // The first answer is recognised in German; detectCallerLanguage copes with rough transcripts
       const gather = twiml.gather({
         input: 'speech',
+        language: getSpeechLanguage(DEFAULT_LANGUAGE),
         action: '/api/twilio/voice/step',
         method: 'POST'
       });
       
-      const greeting = 'Guten Tag, Sie sind mit der Zahnarztpraxis Stela Xhelili in der Karl-Liebknecht-Straße 1 in Leipzig verbunden. Wie kann ich Ihnen helfen?';
-      
-      gather.say({
-        language: 'de-DE'
-      }, greeting);
+      gather.say(getSayOptions(DEFAULT_LANGUAGE), greeting);
+      for (const code of getSupportedLanguages(clinic)) {
+        if (CALLER_LANGUAGES[code].hint) gather.say(getSayOptions(code), CALLER_LANGUAGES[code].hint);
+      }
+      appendNoInputFallback(twiml);
       
       return res.type('text/xml').send(twiml.toString());
     }
     
     // SUBSEQUENT REQUESTS (SpeechResult exists)
-    // Get or create conversation state
-    let state = conversationStates.get(callSid);
-    if (!state) {
-      state = {
-        messages: [],
-        leadSaved: false,
-        fromNumber: fromNumber,
-        memory: {
-          name: null,
-          phone: null,
-          reason: null,
-          urgency: null,
-          preferred_time: null,
-          patient_type: null,
-          insurance_status: null
-        }
-      };
-      conversationStates.set(callSid, state);
-    }
+    const turn = await handleConversationTurn('twilio', callSid, speechResult, { fromNumber });
+    const twiml = await renderConversationTwiml(turn, callSid);
+    res.type('text/xml').send(twiml.toString());
     
-    // Add user message to conversation history
-    state.messages.push({
-      role: 'user',
-      content: speechResult
-    });
+  } catch (error) {
+    // ERROR HANDLING
+    console.error(`Error in ${req.path}:`, error);
+    const twiml = new VoiceResponse();
+    await appendVoicemailRecording(twiml, 'Es ist ein technischer Fehler aufgetreten.');
+    res.type('text/xml').send(twiml.toString());
+  }
+});
+
+// Twilio <Dial> action after forwarding a caller to the emergency service
+app.post('/api/twilio/voice/emergency-status', async (req, res) => {
+  const callSid = req.body.CallSid;
+  const dialStatus = req.body.DialCallStatus;
+  const twiml = new VoiceResponse();
+  
+  try {
+    console.log('🚑 [Twilio] Emergency dial finished:', callSid, dialStatus);
     
-    // Extract memory from conversation
-    state.memory = extractMemoryFromConversation(state.messages, speechResult);
-    const missingFields = getMissingFields(state.memory);
-    console.log('🧠 [Twilio] Memory update:', state.memory, '| Missing:', missingFields);
+    if (dialStatus !== 'completed' && dialStatus !== 'answered') {
+      const state = await conversationStates.get(callSid);
+      if (state) {
+        await recordCallRouting(state, callSid, CALL_ROUTING.EMERGENCY_UNREACHABLE);
+        await conversationStates.set(callSid, state, FINISHED_SESSION_TTL_MS);
+      }
+      
+      const language = state?.language || DEFAULT_LANGUAGE;
+      twiml.say(getSayOptions(language), await translateForCaller('Der zahnärztliche Notdienst ist gerade leider nicht erreichbar. Ihr Anliegen ist notiert, wir melden uns am nächsten Werktag. In lebensbedrohlichen Fällen wählen Sie bitte die 112.', language));
+    }
+  } catch (error) {
+    console.error('Error in /api/twilio/voice/emergency-status:', error);
+  }
+  
+  twiml.hangup();
+  res.type('text/xml').send(twiml.toString());
+});
+
+// Twilio call status callback: keeps the calls table in sync with the call lifecycle
+app.post('/api/twilio/voice/status', async (req, res) => {
+  const callSid = req.body.CallSid;
+  const callStatus = req.body.CallStatus;
+  
+  try {
+    console.log('📶 [Twilio] Call status:', callSid, callStatus, req.body.CallDuration ? `${req.body.CallDuration}s` : '');
     
-    // Use getClinic() to load clinic data
-    const clinic = await getClinic();
+    if (!callSid || !callStatus) {
+      return res.status(400).json({ ok: false, error: 'CallSid und CallStatus sind erforderlich.' });
+    }
+    if (!supabase) {
+      return res.status(500).json({ ok: false, error: 'Datenbank nicht konfiguriert' });
+    }
     
-    // Log to verify fresh instructions are being used
-    console.log('📞 [Twilio] AI using clinic instructions:', clinic.instructions?.slice(0, 120));
+    const record = {
+      status: callStatus,
+      from_number: req.body.From || null,
+      to_number: req.body.To || null,
+      direction: req.body.Direction || null
+    };
     
-    // Build unified system prompt with memory context
-    const systemPrompt = buildSystemPrompt(clinic.name, clinic.instructions, state.memory, missingFields);
+    if (FINAL_CALL_STATUSES.includes(callStatus)) {
+      const state = await conversationStates.get(callSid);
+      // Caller hung up during the read-back: keep the details, marked as unconfirmed
+      if (state?.confirmation && !state.leadSaved) {
+        let clinic = null;
+        try {
+          clinic = await getClinic();
+        } catch (clinicError) {
+          console.warn('⚠️ Could not load clinic for booking:', clinicError.message);
+        }
+        await saveConfirmedLead(state, callSid, clinic, { confirmed: false });
+      }
+      if (state) {
+        setConversationPhase(state, CONVERSATION_PHASES.ENDED);
+        await conversationStates.set(callSid, state, FINISHED_SESSION_TTL_MS);
+      }
+      const { data: leadRows } = await supabase
+        .from('leads')
+        .select('id, routing, recording_url')
+        .eq('call_sid', callSid)
+        .order('created_at', { ascending: false })
+        .limit(1);
+      const lead = leadRows?.[0] || null;
+      const durationSeconds = parseInt(req.body.CallDuration) || 0;
+      
+      record.ended_at = new Date().toISOString();
+      record.duration_seconds = durationSeconds;
+      record.turn_count = (state?.messages || []).filter(msg => msg.role === 'user').length;
+      record.lead_id = lead?.id || null;
+      record.outcome = getCallOutcome({ status: callStatus, durationSeconds, lead });
+    }
     
-    // Call OpenAI with full conversation history
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: [
-        { role: "system", content: systemPrompt },
-        ...state.messages
-      ],
-      temperature: 0.7,
-      max_tokens: 200
-    });
+    // Don't overwrite known numbers with empty values from sparse callbacks
+    Object.keys(record).forEach(key => record[key] === null && delete record[key]);
+    const call = await upsertCallRecord(callSid, record);
     
-    // Extract AI reply
-    const aiReply = completion.choices[0].message.content;
+    res.status(200).json({ ok: true, outcome: call?.outcome || null });
+  } catch (error) {
+    console.error('Error in /api/twilio/voice/status:', error);
+    res.status(500).json({ ok: false, error: error.message });
+  }
+});
+
+// Whisper played to the staff member before the transferred caller is connected
+app.post('/api/twilio/voice/whisper', async (req, res) => {
+  const twiml = new VoiceResponse();
+  try {
+    // <Number url> passes the caller's CallSid in the query, <Queue url> posts the dequeued caller's CallSid
+    const state = await conversationStates.get(req.query.callSid || req.body.CallSid);
+    twiml.say({ language: 'de-DE' }, buildTransferWhisper(state));
+  } catch (error) {
+    console.error('Error in /api/twilio/voice/whisper:', error);
+    twiml.say({ language: 'de-DE' }, 'Weitergeleiteter Anruf vom AI-Telefonassistenten.');
+  }
+  res.type('text/xml').send(twiml.toString());
+});
+
+// Staff member taking the next queued caller: point the staff phone (or a TwiML app) here
+app.post('/api/twilio/voice/queue-agent', async (req, res) => {
+  const twiml = new VoiceResponse();
+  try {
+    const clinic = await getClinic();
+    if (clinic?.transfer_queue) {
+      return res.type('text/xml').send(buildQueueAgentTwiml(clinic.transfer_queue).toString());
+    }
+    twiml.say({ language: 'de-DE' }, 'Es ist keine Warteschlange eingerichtet.');
+  } catch (error) {
+    console.error('Error in /api/twilio/voice/queue-agent:', error);
+    twiml.say({ language: 'de-DE' }, 'Die Warteschlange ist gerade nicht erreichbar.');
+  }
+  twiml.hangup();
+  res.type('text/xml').send(twiml.toString());
+});
+
+// <Enqueue waitUrl>: hold message while the caller waits, leave for the voicemail after the timeout
+app.post('/api/twilio/voice/queue-wait', async (req, res) => {
+  const twiml = new VoiceResponse();
+  if ((parseInt(req.body.QueueTime) || 0) >= STAFF_QUEUE_TIMEOUT_SECONDS) {
+    twiml.leave();
+    return res.type('text/xml').send(twiml.toString());
+  }
+  let language = DEFAULT_LANGUAGE;
+  try {
+    language = (await conversationStates.get(req.body.CallSid))?.language || DEFAULT_LANGUAGE;
+  } catch (error) {
+    console.error('Error in /api/twilio/voice/queue-wait:', error);
+  }
+  twiml.say(getSayOptions(language), await translateForCaller(STAFF_QUEUE_HOLD_MESSAGE, language));
+  twiml.pause({ length: 15 });
+  res.type('text/xml').send(twiml.toString());
+});
+
+// Twilio <Dial>/<Enqueue> action after a staff transfer; nobody answered -> voicemail
+app.post('/api/twilio/voice/transfer-status', async (req, res) => {
+  const callSid = req.body.CallSid;
+  // <Enqueue> reports QueueResult instead of DialCallStatus
+  const dialStatus = req.body.DialCallStatus || req.body.QueueResult;
+  const twiml = new VoiceResponse();
+  let language = DEFAULT_LANGUAGE;
+  
+  try {
+    console.log('👩‍⚕️ [Twilio] Staff transfer finished:', callSid, dialStatus);
     
-    // Add AI response to conversation history
-    state.messages.push({
-      role: 'assistant',
-      content: aiReply
-    });
+    if (['completed', 'answered', 'bridged', 'hangup'].includes(dialStatus)) {
+      twiml.hangup();
+      return res.type('text/xml').send(twiml.toString());
+    }
     
-    // AI-powered lead extraction and saving
-    if (!state.leadSaved && supabase) {
-      try {
-        console.log('🔎 Attempting to extract lead from AI response...');
-        
-        // Extract lead fields using OpenAI
-        const extractedLead = await extractLeadFieldsFromText(aiReply);
-        console.log('Extracted lead:', extractedLead);
-        
-        // Collect all user messages for urgency classification
-        const userMessages = state.messages
-          .filter(msg => msg.role === 'user')
-          .map(msg => msg.content)
-          .join(' ');
-        
-        // Classify urgency based on pain indicators in user messages
-        const urgency = classifyUrgency(extractedLead.reason, userMessages);
-        console.log('📊 Classified urgency:', urgency);
-        console.log('   Checked text:', extractedLead.reason, '|', userMessages.substring(0, 100));
-        
-        // Extract requested time (human-readable format)
-        const requestedTime = extractedLead.preferred_time;
-        console.log('🕐 Requested time:', requestedTime);
-        
-        // Save lead if all fields are present
-        const savedLead = await saveLead({
-          name: extractedLead.name,
-          phone: extractedLead.phone,
-          reason: extractedLead.reason,
-          preferredTime: extractedLead.preferred_time,
-          urgency: urgency,
-          requestedTime: requestedTime,
-          source: 'twilio',
-          rawText: aiReply,
-          callSid: callSid
-        });
-        
-        if (savedLead) {
-          state.leadSaved = true;
-          console.log('✅ Lead saved from Twilio call! ID:', savedLead.id);
-        }
-      } catch (leadError) {
-        // Log error but don't break the call
-        console.error('⚠️ Error extracting/saving lead (call continues):', leadError);
-      }
+    const state = await conversationStates.get(callSid);
+    if (state) {
+      language = state.language || DEFAULT_LANGUAGE;
+      await recordCallRouting(state, callSid, CALL_ROUTING.STAFF_UNREACHABLE);
+      await conversationStates.set(callSid, state);
     }
+  } catch (error) {
+    console.error('Error in /api/twilio/voice/transfer-status:', error);
+  }
+  
+  await appendVoicemailRecording(twiml, 'Leider ist gerade niemand erreichbar.', language);
+  res.type('text/xml').send(twiml.toString());
+});
+
+// <Record> action: the caller finished the voicemail
+// The lead itself is created by the recording status callback below, once the audio is available.
+app.post('/api/twilio/voice/voicemail', async (req, res) => {
+  console.log('📼 [Twilio] Voicemail recorded:', req.body.CallSid, `${req.body.RecordingDuration || 0}s`);
+  
+  const twiml = new VoiceResponse();
+  let language = DEFAULT_LANGUAGE;
+  try {
+    language = (await conversationStates.get(req.body.CallSid))?.language || DEFAULT_LANGUAGE;
+  } catch (error) {
+    console.error('Error in /api/twilio/voice/voicemail:', error);
+  }
+  twiml.say(getSayOptions(language), await translateForCaller('Vielen Dank für Ihre Nachricht. Wir melden uns so schnell wie möglich. Auf Wiederhören!', language));
+  twiml.hangup();
+  res.type('text/xml').send(twiml.toString());
+});
+
+// Twilio recording status callback: transcribe the voicemail and store it as a lead
+app.post('/api/twilio/voice/recording', async (req, res) => {
+  const callSid = req.body.CallSid;
+  const recordingUrl = req.body.RecordingUrl;
+  const recordingStatus = req.body.RecordingStatus;
+  
+  try {
+    console.log('📼 [Twilio] Recording callback:', callSid, recordingStatus, recordingUrl);
     
-    // Respond with TwiML
-    const twiml = new VoiceResponse();
-    const gather = twiml.gather({
-      input: 'speech',
-      action: '/api/twilio/voice/step',
-      method: 'POST',
-      timeout: 4
-    });
+    if (recordingStatus !== 'completed' || !recordingUrl) {
+      return res.status(200).json({ ok: true, skipped: true });
+    }
+    if (!supabase) {
+      return res.status(500).json({ ok: false, error: 'Datenbank nicht konfiguriert' });
+    }
     
-    gather.say({
-      language: 'de-DE'
-    }, aiReply);
+    const state = (await conversationStates.get(callSid)) || { messages: [], memory: {} };
+    const leadId = await processVoicemail(state, callSid, recordingUrl, { callerNumber: await getCallerNumber(req) });
+    await conversationStates.set(callSid, state, FINISHED_SESSION_TTL_MS);
     
-    res.type('text/xml').send(twiml.toString());
+    res.status(200).json({ ok: true, leadId });
+  } catch (error) {
+    console.error('Error in /api/twilio/voice/recording:', error);
+    res.status(500).json({ ok: false, error: error.message });
+  }
+});
+
+// Reached when a <Gather> ended without speech: ask once more, then take a voicemail
+app.post('/api/twilio/voice/no-input', async (req, res) => {
+  const callSid = req.body.CallSid;
+  const twiml = new VoiceResponse();
+  let language = DEFAULT_LANGUAGE;
+  
+  try {
+    const state = await conversationStates.get(callSid);
+    language = state?.language || DEFAULT_LANGUAGE;
+    const silentTurns = (state?.silentTurns || 0) + 1;
+    console.log('🔇 [Twilio] No speech received:', callSid, `(${silentTurns}x)`);
     
+    if (state) {
+      state.silentTurns = silentTurns;
+      await conversationStates.set(callSid, state);
+    }
+    
+    if (silentTurns <= MAX_SILENT_TURNS) {
+      const gather = twiml.gather({
+        input: 'speech',
+        language: getSpeechLanguage(language),
+        action: '/api/twilio/voice/step',
+        method: 'POST',
+        timeout: 5
+      });
+      // During the read-back, repeat it instead of starting over
+      const prompt = state?.confirmation
+        ? `Entschuldigung, ich habe Sie nicht verstanden. ${buildReadBack(state.confirmation)}`
+        : 'Entschuldigung, ich habe Sie nicht verstanden. Sind Sie noch da? Wie kann ich Ihnen helfen?';
+      gather.say(getSayOptions(language), await translateForCaller(prompt, language));
+      appendNoInputFallback(twiml);
+      return res.type('text/xml').send(twiml.toString());
+    }
   } catch (error) {
-    // ERROR HANDLING
-    console.error('Error in /api/twilio/voice/step:', error);
-    const twiml = new VoiceResponse();
-    twiml.say({
-      language: 'de-DE'
-    }, 'Es ist ein technischer Fehler aufgetreten. Bitte rufen Sie später noch einmal an.');
-    res.type('text/xml').send(twiml.toString());
+    console.error('Error in /api/twilio/voice/no-input:', error);
   }
+  
+  await appendVoicemailRecording(twiml, 'Ich konnte Sie leider nicht verstehen.', language);
+  res.type('text/xml').send(twiml.toString());
 });
 
 /**
- * Run full Selaro simulation - initializes session, reads clinic config, simulates one turn
- * Returns: { sessionId, greeting, clinic, steps, logs, state, firstAIResponse }
+ * Run full Selaro simulation - starts a simulator session and runs one sample turn through the engine
+ * Returns: { sessionId, greeting, clinic, firstAIResponse, action, memory, missingFields, steps, logs }
  */
 async function runFullSimulation() {
   console.log('[SIMULATE] Starting full Selaro simulation...');
@@ -8834,121 +9021,36 @@ async function runFullSimulation() {
   const logs = [];
 
   try {
-    // STEP 1: Create fresh session
-    console.log('[SIMULATE] 1. Creating fresh session...');
+    // STEP 1: Start a session (clinic, routing mode, greeting)
+    console.log('[SIMULATE] 1. Starting conversation...');
     const sessionId = `sim-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-    steps.push('✅ Created session: ' + sessionId);
-    logs.push('Fresh session created');
+    const { state, clinic, greeting } = await startConversation('simulator', sessionId);
+    steps.push('✅ Started session: ' + sessionId);
+    logs.push('Clinic: ' + (clinic?.name || 'not loaded') + (state.afterHours ? ' (after hours)' : ''));
+    logs.push('Greeting: ' + greeting.substring(0, 60) + '...');
 
-    // STEP 2: Fetch clinic data from Supabase
-    console.log('[SIMULATE] 2. Fetching clinic from Supabase...');
-    const clinic = await getClinic();
-    steps.push('✅ Fetched clinic: ' + clinic.name);
-    logs.push('Clinic: ' + clinic.name);
-
-    // STEP 3: Initialize conversation state
-    console.log('[SIMULATE] 3. Initializing conversation state...');
-    const state = {
-      messages: [],
-      leadSaved: false,
-      memory: {
-        name: null,
-        phone: null,
-        reason: null,
-        urgency: null,
-        preferred_time: null,
-        patient_type: null,
-        insurance_status: null
-      }
-    };
-    simulatorSessions.set(sessionId, state);
-    steps.push('✅ Initialized state');
-    logs.push('State initialized with empty memory');
-
-    // STEP 4: Extract memory and missing fields
-    console.log('[SIMULATE] 4. Extracting memory and missing fields...');
-    state.memory = extractMemoryFromConversation([], '');
-    const missingFields = getMissingFields(state.memory);
-    steps.push('✅ Extracted memory, missing fields: ' + missingFields.join(', '));
-    logs.push('Missing fields: ' + missingFields.join(', '));
-
-    // STEP 5: Build system prompt
-    console.log('[SIMULATE] 5. Building system prompt...');
-    const systemPrompt = buildSystemPrompt(clinic.name, clinic.instructions, state.memory, missingFields);
-    steps.push('✅ Built system prompt');
-    logs.push('System prompt ready');
-
-    // STEP 6: Generate AI greeting
-    console.log('[SIMULATE] 6. Generating initial AI greeting...');
-    const greeting = 'Guten Tag, Sie sind mit der Zahnarztpraxis ' + clinic.name + ' in der Karl-Liebknecht-Straße 1 in Leipzig verbunden. Wie kann ich Ihnen helfen?';
-    state.messages.push({
-      role: 'assistant',
-      content: greeting
-    });
-    steps.push('✅ Generated greeting');
-    logs.push('Greeting message added to conversation');
-
-    // STEP 7: Simulate one turn with sample input
-    console.log('[SIMULATE] 7. Simulating conversation turn...');
+    // STEP 2: Simulate one turn with sample input
+    console.log('[SIMULATE] 2. Simulating conversation turn...');
     const sampleInput = 'Guten Tag, ich habe Zahnschmerzen und möchte morgen einen Termin.';
-    state.messages.push({
-      role: 'user',
-      content: sampleInput
-    });
-    steps.push('✅ Added sample user input');
+    const turn = await handleConversationTurn('simulator', sessionId, sampleInput);
+    const missingFields = getMissingFields(turn.state.memory, turn.state.intakeSchema);
+    steps.push('✅ Ran sample turn: ' + turn.action);
     logs.push('Sample input: ' + sampleInput.substring(0, 50) + '...');
-
-    // STEP 8: Extract memory from this turn
-    console.log('[SIMULATE] 8. Extracting memory from conversation...');
-    state.memory = extractMemoryFromConversation(state.messages, sampleInput);
-    const updatedMissingFields = getMissingFields(state.memory);
-    steps.push('✅ Extracted memory - missing: ' + updatedMissingFields.join(', '));
-    logs.push('Extracted: name=' + (state.memory.name || 'null') + ', reason=' + (state.memory.reason || 'null') + ', urgency=' + state.memory.urgency);
-
-    // STEP 9: Call OpenAI for AI response
-    console.log('[SIMULATE] 9. Calling OpenAI for AI response...');
-    const updatedSystemPrompt = buildSystemPrompt(clinic.name, clinic.instructions, state.memory, updatedMissingFields);
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: [
-        { role: 'system', content: updatedSystemPrompt },
-        ...state.messages
-      ],
-      temperature: 0.7,
-      max_tokens: 200
-    });
-    const aiResponse = completion.choices[0].message.content;
-    state.messages.push({
-      role: 'assistant',
-      content: aiResponse
-    });
-    steps.push('✅ Generated AI response');
-    logs.push('AI: ' + aiResponse.substring(0, 60) + '...');
-
-    // STEP 10: Attempt lead extraction
-    console.log('[SIMULATE] 10. Extracting lead data...');
-    let extractedLead = null;
-    try {
-      extractedLead = await extractLeadFieldsFromText(aiResponse);
-      steps.push('✅ Extracted lead fields');
-      logs.push('Lead extraction attempted');
-    } catch (leadErr) {
-      console.error('[SIMULATE] Lead extraction failed (non-critical):', leadErr.message);
-      logs.push('Lead extraction failed (non-critical)');
-    }
+    logs.push('Extracted: name=' + (turn.state.memory.name || 'null') + ', reason=' + (turn.state.memory.reason || 'null') + ', urgency=' + turn.state.memory.urgency);
+    logs.push('AI: ' + turn.reply.substring(0, 60) + '...');
 
     console.log('[SIMULATE] ✅ Full simulation complete!');
     return {
       sessionId,
       clinic: {
-        name: clinic.name,
-        phone_number: clinic.phone_number
+        name: turn.clinic.name,
+        phone_number: turn.clinic.phone_number
       },
       greeting,
-      firstAIResponse: aiResponse,
-      memory: state.memory,
-      missingFields: updatedMissingFields,
-      extractedLead,
+      firstAIResponse: turn.reply,
+      action: turn.action,
+      memory: turn.state.memory,
+      missingFields,
       steps,
       logs
     };
@@ -8976,8 +9078,20 @@ app.get('/api/simulate', async (req, res) => {
   }
 });
 
-// JSON simulator endpoint - uses the SAME AI receptionist logic as Twilio route
-app.post('/api/simulate', async (req, res) => {
+// Simulator session start: greeting and routing mode as for a call (JSON adapter of the conversation engine)
+app.post('/api/simulator/start', async (req, res) => {
+  try {
+    const sessionId = `sim-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    const { greeting } = await startConversation('simulator', sessionId);
+    res.json({ ok: true, sessionId, greeting });
+  } catch (error) {
+    console.error('Error in /api/simulator/start:', error);
+    res.status(500).json({ ok: false, error: 'Internal server error' });
+  }
+});
+
+// JSON simulator endpoint - runs the same conversation engine as the Twilio route
+app.post(['/api/simulate', '/api/simulator/step'], async (req, res) => {
   try {
     // Expect JSON body: { "message": "some user input text", "sessionId": "optional" }
     const { message, sessionId } = req.body;
@@ -8988,126 +9102,16 @@ app.post('/api/simulate', async (req, res) => {
       return res.status(400).json({ ok: false, error: 'Invalid input: message is required.' });
     }
     
-    const sanitizedMessage = sanitizeString(message);
+    const sanitizedMessage = normalizeSpokenInput(sanitizeString(message));
     
-    // Generate or use existing session ID
+    // Generate or use existing session ID (it is the call_sid of the transcript and the lead)
     const sid = sessionId || `sim-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
     
-    // Get or create session state
-    let state = simulatorSessions.get(sid);
-    if (!state) {
-      state = {
-        messages: [],
-        leadSaved: false,
-        memory: {
-          name: null,
-          phone: null,
-          reason: null,
-          urgency: null,
-          preferred_time: null,
-          patient_type: null,
-          insurance_status: null
-        }
-      };
-      simulatorSessions.set(sid, state);
-    }
-    
-    // Add user message to conversation history
-    state.messages.push({
-      role: 'user',
-      content: sanitizedMessage
-    });
-    
-    // Extract memory from conversation
-    state.memory = extractMemoryFromConversation(state.messages, sanitizedMessage);
-    const missingFields = getMissingFields(state.memory);
-    console.log('🧠 Memory update:', state.memory, '| Missing:', missingFields);
-    
-    // Use the same getClinic() helper
-    const clinic = await getClinic();
-    
-    // Log to verify fresh instructions are being used
-    console.log('💬 [Simulator] AI using clinic instructions:', clinic.instructions?.slice(0, 120));
-    
-    // Build unified system prompt with memory context
-    const systemPrompt = buildSystemPrompt(clinic.name, clinic.instructions, state.memory, missingFields);
-    
-    // Call OpenAI with full conversation history
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: [
-        { role: "system", content: systemPrompt },
-        ...state.messages
-      ],
-      temperature: 0.7,
-      max_tokens: 200
-    });
-    
-    // Extract AI reply
-    const reply = completion.choices[0].message.content;
-    
-    // Add AI response to conversation history
-    state.messages.push({
-      role: 'assistant',
-      content: reply
-    });
-    
-    // AI-powered lead extraction and saving
-    if (!state.leadSaved && supabase) {
-      try {
-        console.log('🔎 Attempting to extract lead from simulator response...');
-        
-        // Extract lead fields using OpenAI
-        const extractedLead = await extractLeadFieldsFromText(reply);
-        console.log('Extracted lead:', extractedLead);
-        
-        // Collect all user messages for urgency classification
-        const userMessages = state.messages
-          .filter(msg => msg.role === 'user')
-          .map(msg => msg.content)
-          .join(' ');
-        
-        // Classify urgency based on pain indicators in user messages
-        const urgency = classifyUrgency(extractedLead.reason, userMessages);
-        console.log('📊 Classified urgency:', urgency);
-        console.log('   Checked text:', extractedLead.reason, '|', userMessages.substring(0, 100));
-        
-        // Extract requested time (human-readable format)
-        const requestedTime = extractedLead.preferred_time;
-        console.log('🕐 Requested time:', requestedTime);
-        
-        // Save lead if all fields are present
-        const savedLead = await saveLead({
-          name: extractedLead.name,
-          phone: extractedLead.phone,
-          reason: extractedLead.reason,
-          preferredTime: extractedLead.preferred_time,
-          urgency: urgency,
-          requestedTime: requestedTime,
-          source: 'simulate',
-          rawText: reply,
-          callSid: sid
-        });
-        
-        if (savedLead) {
-          state.leadSaved = true;
-          console.log('✅ Lead saved from simulator! ID:', savedLead.id);
-        }
-      } catch (leadError) {
-        // Log error but don't break the conversation
-        console.error('⚠️ Error extracting/saving lead from simulator (conversation continues):', leadError);
-      }
-    }
-    
-    // Return JSON response with sessionId for client to maintain state
-    res.json({ 
-      reply,
-      sessionId: sid,
-      ok: true
-    });
+    const turn = await handleConversationTurn('simulator', sid, sanitizedMessage);
+    res.json(toSimulatorResponse(turn, sid));
     
   } catch (error) {
-    console.error('Error in /api/simulate:', error);
+    console.error(`Error in ${req.path}:`, error);
     res.status(500).json({ 
       ok: false,
       reply: 'Es tut mir leid, es ist ein technischer Fehler aufgetreten. Bitte versuchen Sie es später erneut.',
@@ -9117,111 +9121,6 @@ app.post('/api/simulate', async (req, res) => {
   }
 });
 
-// AI-powered conversation handler
-app.post('/api/twilio/voice/next', async (req, res) => {
-  const callSid = req.body.CallSid;
-  const userSpeech = req.body.SpeechResult || '';
-  const callerPhone = req.body.From || '';
-  
-  const twiml = new VoiceResponse();
-  
-  // Get or initialize conversation state
-  let state = conversationStates.get(callSid);
-  if (!state) {
-    state = {
-      messages: [],
-      clinicInstructions: await getClinicInstructions()
-    };
-    conversationStates.set(callSid, state);
-  }
-  
-  // Add user message to conversation history
-  if (userSpeech) {
-    state.messages.push({
-      role: 'user',
-      content: userSpeech
-    });
-  }
-  
-  // Determine if conversation should end (max 4 turns to keep it short)
-  const shouldEnd = state.messages.length >= 8 || 
-                     userSpeech.toLowerCase().includes('danke') ||
-                     userSpeech.toLowerCase().includes('tschüss') ||
-                     userSpeech.toLowerCase().includes('auf wiedersehen');
-  
-  if (shouldEnd) {
-    // Generate final response
-    const finalResponse = await getAIResponse(state.messages, state.clinicInstructions);
-    
-    twiml.say({
-      language: 'de-DE',
-      voice: 'Polly.Marlene'
-    }, finalResponse + ' Auf Wiederhören!');
-    
-    twiml.hangup();
-    
-    // Extract lead data and save to Supabase
-    if (supabase) {
-      try {
-        const extractedData = await extractLeadData(state.messages);
-        
-        const lead = await createLeadFromCall({
-          callSid,
-          name: extractedData.name,
-          phone: callerPhone,
-          concern: extractedData.concern,
-          urgency: extractedData.urgency,
-          insurance: extractedData.insurance,
-          preferredSlotsRaw: extractedData.preferredSlots,
-          notes: `AI-Gespräch mit ${state.messages.length / 2} Interaktionen`
-        });
-        
-        console.log('✅ AI Lead created:', lead.id, extractedData);
-      } catch (error) {
-        console.error('Error creating AI lead:', error);
-      }
-    }
-    
-    // Clean up conversation state
-    conversationStates.delete(callSid);
-    
-  } else {
-    // Continue conversation
-    const aiResponse = await getAIResponse(state.messages, state.clinicInstructions);
-    
-    // Add AI response to conversation history
-    state.messages.push({
-      role: 'assistant',
-      content: aiResponse
-    });
-    
-    // Gather next user input
-    const gather = twiml.gather({
-      input: 'speech',
-      speechTimeout: 'auto',
-      language: 'de-DE',
-      action: '/api/twilio/voice/next',
-      method: 'POST',
-      timeout: 4
-    });
-    
-    gather.say({
-      language: 'de-DE',
-      voice: 'Polly.Marlene'
-    }, aiResponse);
-    
-    // Fallback if user doesn't respond
-    twiml.say({
-      language: 'de-DE',
-      voice: 'Polly.Marlene'
-    }, 'Vielen Dank für Ihren Anruf. Wir melden uns bald. Auf Wiederhören!');
-    
-    twiml.hangup();
-  }
-  
-  res.type('text/xml').send(twiml.toString());
-});
-
 // Test AI response endpoint (for debugging)
 app.post('/debug/test-ai', async (req, res) => {
   try {
@@ -9261,6 +9160,7 @@ app.get('/api/leads', async (req, res) => {
     const { data, error} = await supabase
       .from('leads')
       .select('*')
+      .is('merged_into', null)
       .order('created_at', { ascending: false })
       .limit(20);
 
@@ -9283,10 +9183,90 @@ app.get('/api/leads', async (req, res) => {
   }
 });
 
+// API endpoint to list free appointment slots
+// Query: ?reason=Zahnreinigung&from=2025-12-15&days=14&limit=20&dayPart=vormittag|nachmittag
+app.get('/api/appointments/slots', async (req, res) => {
+  try {
+    const { reason, from, days, limit, dayPart, lead_id } = req.query;
+
+    if (from && !isValidDate(from)) {
+      logValidationError(req, 'from', 'Invalid start date');
+      return res.status(400).json({ ok: false, error: 'Invalid start date (yyyy-mm-dd).' });
+    }
+    if (dayPart && !['vormittag', 'nachmittag'].includes(dayPart)) {
+      logValidationError(req, 'dayPart', `Invalid day part: ${dayPart}`);
+      return res.status(400).json({ ok: false, error: 'Invalid dayPart value.' });
+    }
+
+    if (!supabase) {
+      return res.status(500).json({ ok: false, error: 'Supabase not configured' });
+    }
+
+    const clinic = await getClinic();
+
+    // Suggestions for a lead: its reason and preferred-time windows drive the search
+    if (lead_id) {
+      const { data: lead, error } = await supabase
+        .from('leads')
+        .select('id, concern, preferred_slots, created_at')
+        .eq('id', sanitizeString(lead_id))
+        .maybeSingle();
+
+      if (error) {
+        console.error('Error loading lead for slot suggestions:', error);
+        return res.status(500).json({ ok: false, error: error.message });
+      }
+      if (!lead) {
+        return res.status(404).json({ ok: false, error: 'Lead not found' });
+      }
+
+      // Leads saved before preferred times were parsed only have the raw text
+      const preferred = lead.preferred_slots || {};
+      const windows = preferred.windows || parsePreferredTime(preferred.raw, {
+        now: new Date(lead.created_at),
+        timeZone: clinic.timezone || DEFAULT_TIMEZONE
+      })?.windows;
+
+      const { slots, matched } = await findSlotsForPreferredTime(clinic, {
+        reason: lead.concern,
+        windows,
+        limit: Math.min(Math.max(parseInt(limit) || 5, 1), 100)
+      });
+
+      return res.json({
+        ok: true,
+        duration_minutes: getTreatmentDuration(clinic, lead.concern),
+        chair_count: Math.max(1, parseInt(clinic.chair_count) || 1),
+        matched,
+        windows: windows || [],
+        slots
+      });
+    }
+
+    const slots = await findAvailableSlots(clinic, {
+      reason: reason ? sanitizeString(reason) : null,
+      fromDate: from ? from.trim().substring(0, 10) : undefined,
+      days: Math.min(Math.max(parseInt(days) || 14, 1), 60),
+      limit: Math.min(Math.max(parseInt(limit) || 20, 1), 100),
+      dayPart: dayPart || null
+    });
+
+    res.json({
+      ok: true,
+      duration_minutes: getTreatmentDuration(clinic, reason),
+      chair_count: Math.max(1, parseInt(clinic.chair_count) || 1),
+      slots
+    });
+  } catch (err) {
+    console.error('Unexpected error listing slots:', err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
 // API endpoint to create an appointment
 app.post('/api/appointments/create', async (req, res) => {
   try {
-    const { lead_id, patient_name, phone, reason, appointment_date, appointment_time, notes } = req.body;
+    const { lead_id, patient_name, phone, reason, appointment_date, appointment_time, duration_minutes, notes } = req.body;
 
     // Validate required fields
     if (!patient_name || !patient_name.trim()) {
@@ -9301,41 +9281,33 @@ app.post('/api/appointments/create', async (req, res) => {
     if (!appointment_time) {
       return res.status(400).json({ ok: false, error: 'Appointment time is required' });
     }
+    if (duration_minutes !== undefined && !(parseInt(duration_minutes) > 0)) {
+      return res.status(400).json({ ok: false, error: 'Duration must be a positive number of minutes' });
+    }
 
     if (!supabase) {
       return res.status(500).json({ ok: false, error: 'Supabase not configured' });
     }
 
-    // Insert appointment
-    const { data, error } = await supabase
-      .from('appointments')
-      .insert([{
-        lead_id: lead_id || null,
-        patient_name: patient_name.trim(),
-        phone: phone.trim(),
-        reason: reason ? reason.trim() : null,
-        appointment_date,
-        appointment_time,
-        notes: notes ? notes.trim() : null,
-        status: 'geplant'
-      }])
-      .select();
-
-    if (error) {
-      console.error('Error creating appointment:', error);
-      return res.status(500).json({ ok: false, error: error.message });
+    // Same check as the AI booking path, so staff cannot double-book a chair
+    const clinic = await getClinic();
+    const duration = duration_minutes ? parseInt(duration_minutes) : DEFAULT_TREATMENT_DURATIONS.default;
+    if (!(await isSlotAvailable(clinic, appointment_date, appointment_time, duration))) {
+      return res.status(409).json({ ok: false, error: 'This time slot is not available' });
     }
 
-    // Optionally update lead status if lead_id exists
-    if (lead_id) {
-      await supabase
-        .from('leads')
-        .update({ status: 'Termin vereinbart' })
-        .eq('id', lead_id)
-        .catch(err => console.error('Note: Could not update lead status:', err));
-    }
+    const appointment = await createAppointment({
+      lead_id,
+      patient_name,
+      phone,
+      reason,
+      appointment_date,
+      appointment_time,
+      duration_minutes: duration,
+      notes
+    });
 
-    res.json({ ok: true, appointment: data[0] });
+    res.json({ ok: true, appointment });
   } catch (err) {
     console.error('Unexpected error creating appointment:', err);
     res.status(500).json({ ok: false, error: err.message });
@@ -9362,6 +9334,9 @@ app.listen(PORT, '0.0.0.0', () => {
   console.log(`🚀 Selaro server running on port ${PORT}`);
   console.log(`📍 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🔧 Twilio configured: ${!!process.env.TWILIO_ACCOUNT_SID}`);
+  if (SKIP_TWILIO_SIGNATURE_VALIDATION) {
+    console.warn('⚠️  Twilio signature validation is DISABLED (TWILIO_SKIP_SIGNATURE_VALIDATION=true)');
+  }
 });
 
 export default app;
@@ -12,6 +12,7 @@ import EmailSent from "@/pages/EmailSent";
 import Dashboard from "@/pages/Dashboard";
 import Leads from "@/pages/Leads";
 import LeadDetails from "@/pages/LeadDetails";
+import PatientDetails from "@/pages/PatientDetails";
 import Appointments from "@/pages/Appointments";
 import Settings from "@/pages/Settings";
 import Simulator from "@/pages/Simulator";
@@ -38,6 +39,7 @@ function App() {
             <Route path="/dashboard" element={<Dashboard />} />
             <Route path="/leads" element={<Leads />} />
             <Route path="/leads/:id" element={<LeadDetails />} />
+            <Route path="/patients/:id" element={<PatientDetails />} />
             <Route path="/appointments" element={<Appointments />} />
             <Route path="/settings" element={<Settings />} />
             <Route path="/simulator" element={<Simulator />} />
@@ -1,5 +1,6 @@
 import { useState } from "react";
-import { X, Phone, AlertTriangle, Circle, MessageSquare, Loader2, Sparkles, Clock, CheckCircle2, XCircle } from "lucide-react";
+import { Link } from "react-router-dom";
+import { X, Phone, PhoneForwarded, AlertTriangle, Circle, MessageSquare, Loader2, Sparkles, Clock, CheckCircle2, XCircle, User, Copy, CalendarClock } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
 import { Textarea } from "@/components/ui/textarea";
@@ -10,10 +11,11 @@ import {
   SelectTrigger,
   SelectValue,
 } from "@/components/ui/select";
-import { Lead, useUpdateLead } from "@/hooks/useLeads";
+import { Lead, useLead, useUpdateLead, useMergeLeads, useLeadSlotSuggestions } from "@/hooks/useLeads";
 import { useMessages } from "@/hooks/useMessages";
 import { toast } from "sonner";
 import { Skeleton } from "@/components/ui/skeleton";
+import { formatPreferredWindow, formatTime, getInsuranceLabel, getIntentLabel, getLanguageLabel, getNextActionLabel, getPatientTypeLabel, getSentimentLabel } from "@/lib/utils";
 
 interface LeadModalProps {
   lead: Lead;
@@ -27,6 +29,18 @@ const statusOptions = [
   { value: "rejected", label: "Abgelehnt", icon: XCircle },
 ];
 
+// Call routing decision recorded by the voice endpoint (leads.routing)
+const routingLabels: Record<string, string> = {
+  in_hours: "Während der Öffnungszeiten",
+  after_hours: "Außerhalb der Öffnungszeiten",
+  emergency_forwarded: "An Notdienst weitergeleitet",
+  emergency_declined: "Notdienst angeboten, abgelehnt",
+  emergency_unreachable: "Notdienst nicht erreichbar",
+  staff_transfer: "An Mitarbeiter weitergeleitet",
+  staff_unreachable: "Mitarbeiter nicht erreichbar",
+  voicemail: "Sprachnachricht",
+};
+
 const urgencyConfig: Record<string, { color: string; icon: typeof AlertTriangle }> = {
   akut: { color: "bg-red-500/20 text-red-400 border-red-500/30", icon: AlertTriangle },
   normal: { color: "bg-blue-500/20 text-blue-400 border-blue-500/30", icon: Circle },
@@ -37,7 +51,11 @@ export function LeadModal({ lead, onClose }: LeadModalProps) {
   const [notes, setNotes] = useState(lead.notes || "");
   const [status, setStatus] = useState(lead.status || "new");
   const updateLead = useUpdateLead();
+  const mergeLeads = useMergeLeads();
+  const { data: duplicateOf } = useLead(lead.possible_duplicate_of || "");
   const { data: messages, isLoading: messagesLoading } = useMessages(lead.call_sid);
+  const { data: slotSuggestions, isLoading: slotsLoading } = useLeadSlotSuggestions(lead.id);
+  const preferredWindows = lead.preferred_slots?.windows || [];
 
   const handleSave = async () => {
     try {
@@ -51,6 +69,28 @@ export function LeadModal({ lead, onClose }: LeadModalProps) {
     }
   };
 
+  // The earlier lead survives; this one is merged into it
+  const handleMerge = async () => {
+    if (!lead.possible_duplicate_of) return;
+    try {
+      await mergeLeads.mutateAsync({ id: lead.possible_duplicate_of, duplicateId: lead.id });
+      toast.success("Leads zusammengeführt");
+      onClose();
+    } catch (error) {
+      toast.error("Fehler beim Zusammenführen");
+    }
+  };
+
+  const handleDismissDuplicate = async () => {
+    try {
+      await updateLead.mutateAsync({ id: lead.id, updates: { possible_duplicate_of: null } });
+      toast.success("Als eigenständiger Lead markiert");
+      onClose();
+    } catch (error) {
+      toast.error("Fehler beim Speichern");
+    }
+  };
+
   const urgency = urgencyConfig[lead.urgency || "normal"] || urgencyConfig.normal;
   const UrgencyIcon = urgency.icon;
 
@@ -76,9 +116,35 @@ export function LeadModal({ lead, onClose }: LeadModalProps) {
               <h2 className="text-xl font-bold bg-gradient-to-r from-violet-400 to-blue-400 bg-clip-text text-transparent">
                 {lead.name}
               </h2>
-              <p className="text-sm text-muted-foreground mt-0.5">
-                {new Date(lead.created_at).toLocaleString("de-DE")}
-              </p>
+              <div className="flex items-center gap-2 mt-0.5">
+                <p className="text-sm text-muted-foreground">
+                  {new Date(lead.created_at).toLocaleString("de-DE")}
+                </p>
+                {lead.previous_lead_id && (
+                  <Badge className="bg-violet-500/20 text-violet-400 border border-violet-500/30">
+                    Wiederkehrender Anrufer
+                  </Badge>
+                )}
+                {lead.intent && lead.intent !== "appointment" && (
+                  <Badge className="bg-blue-500/20 text-blue-400 border border-blue-500/30">
+                    {getIntentLabel(lead.intent)}
+                  </Badge>
+                )}
+                {lead.language && lead.language !== "de" && (
+                  <Badge className="bg-sky-500/20 text-sky-400 border border-sky-500/30">
+                    {getLanguageLabel(lead.language)}
+                  </Badge>
+                )}
+                {lead.patient_id && (
+                  <Link
+                    to={`/patients/${lead.patient_id}`}
+                    className="flex items-center gap-1 text-sm text-violet-400 hover:text-violet-300"
+                  >
+                    <User className="h-3.5 w-3.5" />
+                    Patientenakte
+                  </Link>
+                )}
+              </div>
             </div>
             <Button 
               variant="ghost" 
@@ -93,6 +159,61 @@ export function LeadModal({ lead, onClose }: LeadModalProps) {
 
         {/* Content */}
         <div className="flex-1 overflow-y-auto p-6 space-y-6">
+          {/* Possible duplicate */}
+          {lead.possible_duplicate_of && duplicateOf && (
+            <div className="p-4 rounded-2xl bg-amber-500/10 border border-amber-500/30 backdrop-blur-sm space-y-3">
+              <div className="flex items-start gap-3">
+                <Copy className="h-5 w-5 text-amber-400 mt-0.5" />
+                <div>
+                  <p className="text-sm font-medium">Mögliches Duplikat</p>
+                  <p className="text-sm text-muted-foreground">
+                    {duplicateOf.name} hat sich am {new Date(duplicateOf.created_at).toLocaleString("de-DE")} bereits gemeldet
+                    {duplicateOf.concern ? ` (${duplicateOf.concern})` : ""}.
+                  </p>
+                </div>
+              </div>
+              <div className="flex gap-2">
+                <Button size="sm" onClick={handleMerge} disabled={mergeLeads.isPending}>
+                  {mergeLeads.isPending ? <Loader2 className="h-4 w-4 animate-spin" /> : "Zusammenführen"}
+                </Button>
+                <Button size="sm" variant="outline" onClick={handleDismissDuplicate} disabled={updateLead.isPending}>
+                  Kein Duplikat
+                </Button>
+              </div>
+            </div>
+          )}
+
+          {/* Call summary for the team */}
+          {lead.call_summary && (
+            <div className="p-4 rounded-2xl bg-white/5 border border-border/50 backdrop-blur-sm">
+              <div className="flex items-center gap-2 mb-1">
+                <Sparkles className="h-4 w-4 text-violet-400" />
+                <p className="text-xs text-muted-foreground">Zusammenfassung</p>
+              </div>
+              <p className="text-sm">{lead.call_summary}</p>
+              <div className="flex flex-wrap gap-1.5 mt-2">
+                {lead.next_action && (
+                  <Badge className="bg-violet-500/20 text-violet-400 border border-violet-500/30">
+                    {getNextActionLabel(lead.next_action)}
+                  </Badge>
+                )}
+                {lead.sentiment && (
+                  <Badge variant="outline">{getSentimentLabel(lead.sentiment)}</Badge>
+                )}
+              </div>
+              {lead.open_questions?.length > 0 && (
+                <>
+                  <p className="text-xs text-muted-foreground mt-3 mb-1">Offene Fragen</p>
+                  <ul className="text-sm list-disc pl-5 space-y-0.5">
+                    {lead.open_questions.map((question) => (
+                      <li key={question}>{question}</li>
+                    ))}
+                  </ul>
+                </>
+              )}
+            </div>
+          )}
+
           {/* Patient Info - Glass cards */}
           <div className="grid grid-cols-2 gap-4">
             <div className="flex items-center gap-3 p-4 rounded-2xl bg-white/5 border border-border/50 backdrop-blur-sm">
@@ -120,14 +241,86 @@ export function LeadModal({ lead, onClose }: LeadModalProps) {
               <p className="text-xs text-muted-foreground mb-1">Anliegen</p>
               <p className="text-sm">{lead.concern || "Kein Anliegen angegeben"}</p>
             </div>
-            {lead.insurance && (
+            <div className="col-span-2 p-4 rounded-2xl bg-white/5 border border-border/50 backdrop-blur-sm">
+              <div className="flex items-center gap-2 mb-1">
+                <CalendarClock className="h-4 w-4 text-violet-400" />
+                <p className="text-xs text-muted-foreground">Wunschtermin</p>
+              </div>
+              <p className="text-sm">{lead.preferred_slots?.raw || "Keine Angabe"}</p>
+              {preferredWindows.length > 0 && (
+                <div className="flex flex-wrap gap-1.5 mt-2">
+                  {preferredWindows.map((timeWindow) => (
+                    <Badge
+                      key={`${timeWindow.date}-${timeWindow.from}-${timeWindow.to}`}
+                      className="bg-violet-500/20 text-violet-400 border border-violet-500/30"
+                    >
+                      {formatPreferredWindow(timeWindow)}
+                    </Badge>
+                  ))}
+                </div>
+              )}
+              <p className="text-xs text-muted-foreground mt-3 mb-1.5">
+                {slotSuggestions && !slotSuggestions.matched ? "Nächste freie Termine" : "Passende freie Termine"}
+              </p>
+              {slotsLoading ? (
+                <Skeleton className="h-6 w-2/3" />
+              ) : slotSuggestions && slotSuggestions.slots.length > 0 ? (
+                <div className="flex flex-wrap gap-1.5">
+                  {slotSuggestions.slots.map((slot) => (
+                    <Badge key={`${slot.date}-${slot.time}`} className="bg-green-500/20 text-green-400 border border-green-500/30">
+                      {slot.label}
+                    </Badge>
+                  ))}
+                </div>
+              ) : (
+                <p className="text-sm text-muted-foreground">Keine freien Termine gefunden</p>
+              )}
+            </div>
+            {lead.routing && lead.routing !== "in_hours" && (
+              <div className="col-span-2 flex items-center gap-3 p-4 rounded-2xl bg-white/5 border border-border/50 backdrop-blur-sm">
+                <PhoneForwarded className="h-5 w-5 text-red-400" />
+                <div>
+                  <p className="text-xs text-muted-foreground">Anrufweiterleitung</p>
+                  <p className="text-sm">{routingLabels[lead.routing] || lead.routing}</p>
+                </div>
+              </div>
+            )}
+            {lead.recording_url && (
               <div className="col-span-2 p-4 rounded-2xl bg-white/5 border border-border/50 backdrop-blur-sm">
+                <p className="text-xs text-muted-foreground mb-2">Sprachnachricht</p>
+                <audio controls src={lead.recording_url} className="w-full" />
+              </div>
+            )}
+            {getInsuranceLabel(lead.insurance, lead.insurance_provider) && (
+              <div className="p-4 rounded-2xl bg-white/5 border border-border/50 backdrop-blur-sm">
                 <p className="text-xs text-muted-foreground mb-1">Versicherung</p>
-                <p className="text-sm">{lead.insurance}</p>
+                <p className="text-sm">{getInsuranceLabel(lead.insurance, lead.insurance_provider)}</p>
+              </div>
+            )}
+            {lead.patient_type && (
+              <div className="p-4 rounded-2xl bg-white/5 border border-border/50 backdrop-blur-sm">
+                <p className="text-xs text-muted-foreground mb-1">Patiententyp</p>
+                <p className="text-sm">{getPatientTypeLabel(lead.patient_type)}</p>
               </div>
             )}
+            {Object.entries(lead.intake_answers || {}).map(([key, answer]) => (
+              <div key={key} className="p-4 rounded-2xl bg-white/5 border border-border/50 backdrop-blur-sm">
+                <p className="text-xs text-muted-foreground mb-1">{answer.label}</p>
+                <p className="text-sm">{answer.value}</p>
+              </div>
+            ))}
           </div>
 
+          {/* Original conversation for calls in another language */}
+          {lead.original_transcript && (
+            <div className="p-4 rounded-2xl bg-white/5 border border-border/50 backdrop-blur-sm">
+              <p className="text-xs text-muted-foreground mb-1">
+                Originalgespräch ({getLanguageLabel(lead.language)})
+              </p>
+              <p className="text-sm whitespace-pre-wrap max-h-48 overflow-y-auto">{lead.original_transcript}</p>
+            </div>
+          )}
+
           {/* Status */}
           <div>
             <label className="text-sm font-medium mb-2 block text-muted-foreground">Status ändern</label>
@@ -188,9 +381,10 @@ export function LeadModal({ lead, onClose }: LeadModalProps) {
                         : "bg-blue-500/20 mr-8 border border-blue-500/30"
                     }`}
                   >
-                    <span className="font-medium text-xs text-muted-foreground">
-                      {msg.role === "user" ? "Patient" : "AI"}
-                    </span>
+                    <div className="flex items-center justify-between gap-2 text-xs text-muted-foreground">
+                      <span className="font-medium">{msg.role === "user" ? "Patient" : "AI"}</span>
+                      <span>{formatTime(msg.created_at)}</span>
+                    </div>
                     <p className="mt-1">{msg.message}</p>
                   </div>
                 ))}
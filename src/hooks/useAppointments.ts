@@ -4,13 +4,16 @@ import { supabase } from "@/integrations/supabase/client";
 export interface Appointment {
   id: string;
   lead_id: string | null;
+  patient_id: string | null;
   patient_name: string;
   phone: string | null;
   reason: string | null;
   appointment_date: string;
   appointment_time: string;
+  duration_minutes: number;
   notes: string | null;
   status: string | null;
+  intent: string | null;
   created_at: string;
   updated_at: string;
 }
@@ -1,12 +1,80 @@
 import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
 import { supabase } from "@/integrations/supabase/client";
 
+export type WeekdayKey = "mon" | "tue" | "wed" | "thu" | "fri" | "sat" | "sun";
+
+export type OpeningInterval = {
+  from: string;
+  to: string;
+};
+
+export type OpeningHours = Partial<Record<WeekdayKey, OpeningInterval[]>>;
+
+export type Closure = {
+  from: string;
+  to: string;
+  reason: string | null;
+};
+
+// One intake question (getIntakeSchema in lib/intake.js); built-in keys have fixed types
+export type IntakeFieldType =
+  | "text"
+  | "phone"
+  | "email"
+  | "date"
+  | "number"
+  | "yes_no"
+  | "choice"
+  | "insurance"
+  | "patient_type";
+
+export type IntakeField = {
+  key: string;
+  label: string;
+  question: string;
+  type: IntakeFieldType;
+  required: boolean;
+  options?: string[];
+};
+
+// One fact the receptionist may tell callers (KNOWLEDGE_CATEGORIES in lib/knowledge.js)
+export type KnowledgeCategory =
+  | "leistungen"
+  | "parken"
+  | "barrierefreiheit"
+  | "zahlung"
+  | "versicherungen"
+  | "mitbringen"
+  | "preise"
+  | "sonstiges";
+
+export type KnowledgeEntry = {
+  category: KnowledgeCategory;
+  title: string;
+  content: string;
+};
+
 export interface Clinic {
   id: string;
   name: string;
   phone_number: string | null;
   address: string | null;
   instructions: string | null;
+  opening_hours: OpeningHours | null;
+  lunch_break: OpeningInterval | null;
+  closures: Closure[] | null;
+  holiday_region: string;
+  emergency_number: string | null;
+  transfer_number: string | null;
+  transfer_queue: string | null;
+  treatment_durations: Record<string, number> | null;
+  chair_count: number;
+  intake_schema: IntakeField[] | null;
+  timezone: string;
+  // Language codes the receptionist answers in, German always included
+  supported_languages: string[];
+  // null: no entries, the receptionist forwards every practice question
+  knowledge_base: KnowledgeEntry[] | null;
   created_at: string;
   updated_at: string;
 }
@@ -1,5 +1,21 @@
 import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
 import { supabase } from "@/integrations/supabase/client";
+import { api } from "@/lib/api";
+
+// One resolved preferred-time window (see parsePreferredTime in lib/preferred-time.js); times are clinic wall-clock
+export type PreferredTimeWindow = {
+  date: string;
+  from: string | null;
+  to: string | null;
+  day_part: "vormittag" | "mittag" | "nachmittag" | "abend" | null;
+};
+
+export type PreferredSlots = {
+  raw?: string;
+  windows?: PreferredTimeWindow[];
+  flexible?: boolean;
+  resolved_at?: string;
+};
 
 export interface Lead {
   id: string;
@@ -9,10 +25,31 @@ export interface Lead {
   concern: string | null;
   urgency: string | null;
   insurance: string | null;
-  preferred_slots: { raw?: string } | null;
+  insurance_provider: string | null;
+  patient_type: string | null;
+  // Answers to the clinic's own intake questions, by field key
+  intake_answers: Record<string, { label: string; value: string }> | null;
+  preferred_slots: PreferredSlots | null;
+  // Language the caller spoke; the lead fields themselves are always German
+  language: string;
+  // Conversation in the caller's language, only kept for non-German calls
+  original_transcript: string | null;
+  // Written after the call (see summarizeCall in lib/call-summary.js), empty while it runs
+  call_summary: string | null;
+  next_action: string | null;
+  sentiment: string | null;
+  open_questions: string[];
+  // What the caller wanted (see CALLER_INTENTS in lib/intents.js)
+  intent: string | null;
   notes: string | null;
   status: string | null;
   source: string | null;
+  routing: string | null;
+  recording_url: string | null;
+  previous_lead_id: string | null;
+  patient_id: string | null;
+  possible_duplicate_of: string | null;
+  merged_into: string | null;
   created_at: string;
   updated_at: string;
 }
@@ -24,6 +61,7 @@ export function useLeads() {
       const { data, error } = await supabase
         .from("leads")
         .select("*")
+        .is("merged_into", null)
         .order("created_at", { ascending: false });
 
       if (error) throw error;
@@ -76,6 +114,34 @@ export function useUpdateLead() {
   });
 }
 
+export function useMergeLeads() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ id, duplicateId }: { id: string; duplicateId: string }) => {
+      const result = await api.mergeLeads(id, duplicateId);
+      if (!result.ok) throw new Error(result.error);
+      return result.lead;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ["leads"] });
+    },
+  });
+}
+
+// Free slots matching the lead's preferred time (falls back to the next free ones)
+export function useLeadSlotSuggestions(leadId: string, limit = 5) {
+  return useQuery({
+    queryKey: ["leads", leadId, "slot-suggestions", limit],
+    queryFn: async () => {
+      const result = await api.leadSlotSuggestions(leadId, limit);
+      if (!result.ok) throw new Error(result.error);
+      return { slots: result.slots || [], matched: !!result.matched };
+    },
+    enabled: !!leadId,
+  });
+}
+
 export function useRecentLeads(limit = 5) {
   return useQuery({
     queryKey: ["leads", "recent", limit],
@@ -83,6 +149,7 @@ export function useRecentLeads(limit = 5) {
       const { data, error } = await supabase
         .from("leads")
         .select("*")
+        .is("merged_into", null)
         .order("created_at", { ascending: false })
         .limit(limit);
 
@@ -96,7 +163,7 @@ export function useLeadStats() {
   return useQuery({
     queryKey: ["leads", "stats"],
     queryFn: async () => {
-      const { data, error } = await supabase.from("leads").select("*");
+      const { data, error } = await supabase.from("leads").select("*").is("merged_into", null);
 
       if (error) throw error;
 
@@ -6,6 +6,8 @@ export interface Message {
   call_sid: string;
   role: string;
   message: string;
+  // Position in the call; null for rows logged before transcripts were numbered
+  turn_index: number | null;
   created_at: string;
 }
 
@@ -19,6 +21,7 @@ export function useMessages(callSid: string | null) {
         .from("messages_log")
         .select("*")
         .eq("call_sid", callSid)
+        .order("turn_index", { ascending: true, nullsFirst: true })
         .order("created_at", { ascending: true });
 
       if (error) throw error;
@@ -32,7 +35,7 @@ export function useCreateMessage() {
   const queryClient = useQueryClient();
 
   return useMutation({
-    mutationFn: async (message: Omit<Message, "id" | "created_at">) => {
+    mutationFn: async (message: Omit<Message, "id" | "created_at" | "turn_index">) => {
       const { data, error } = await supabase
         .from("messages_log")
         .insert([message])
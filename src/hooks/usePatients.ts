@@ -0,0 +1,121 @@
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { supabase } from "@/integrations/supabase/client";
+import type { Lead } from "@/hooks/useLeads";
+import type { Appointment } from "@/hooks/useAppointments";
+
+export type ContactPreferences = {
+  channel?: "phone" | "sms" | "email" | null;
+  best_time?: string | null;
+};
+
+export interface Patient {
+  id: string;
+  name: string;
+  phone: string | null;
+  phone_normalized: string | null;
+  email: string | null;
+  insurance: string;
+  patient_type: string;
+  birth_date: string | null;
+  contact_preferences: ContactPreferences;
+  notes: string | null;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface PatientCall {
+  id: string;
+  call_sid: string;
+  status: string;
+  outcome: string;
+  duration_seconds: number | null;
+  lead_id: string | null;
+  started_at: string;
+}
+
+export interface PatientHistory {
+  leads: Lead[];
+  appointments: Appointment[];
+  calls: PatientCall[];
+}
+
+export function usePatient(id: string) {
+  return useQuery({
+    queryKey: ["patients", id],
+    queryFn: async () => {
+      const { data, error } = await supabase
+        .from("patients")
+        .select("*")
+        .eq("id", id)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data as Patient | null;
+    },
+    enabled: !!id,
+  });
+}
+
+export function usePatientHistory(id: string) {
+  return useQuery({
+    queryKey: ["patients", id, "history"],
+    queryFn: async () => {
+      const [leads, appointments, calls] = await Promise.all([
+        supabase
+          .from("leads")
+          .select("*")
+          .eq("patient_id", id)
+          .order("created_at", { ascending: false }),
+        supabase
+          .from("appointments")
+          .select("*")
+          .eq("patient_id", id)
+          .order("appointment_date", { ascending: false })
+          .order("appointment_time", { ascending: false }),
+        supabase
+          .from("calls")
+          .select("id, call_sid, status, outcome, duration_seconds, lead_id, started_at")
+          .eq("patient_id", id)
+          .order("started_at", { ascending: false }),
+      ]);
+
+      if (leads.error) throw leads.error;
+      if (appointments.error) throw appointments.error;
+      if (calls.error) throw calls.error;
+
+      return {
+        leads: leads.data as Lead[],
+        appointments: appointments.data as Appointment[],
+        calls: calls.data as PatientCall[],
+      } as PatientHistory;
+    },
+    enabled: !!id,
+  });
+}
+
+export function useUpdatePatient() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({
+      id,
+      updates,
+    }: {
+      id: string;
+      updates: Partial<Omit<Patient, "id" | "created_at" | "updated_at">>;
+    }) => {
+      const { data, error } = await supabase
+        .from("patients")
+        .update(updates)
+        .eq("id", id)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    },
+    onSuccess: (_, { id }) => {
+      queryClient.invalidateQueries({ queryKey: ["patients", id] });
+    },
+  });
+}
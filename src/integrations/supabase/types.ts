@@ -19,9 +19,12 @@ export type Database = {
           appointment_date: string
           appointment_time: string
           created_at: string
+          duration_minutes: number
           id: string
+          intent: string | null
           lead_id: string | null
           notes: string | null
+          patient_id: string | null
           patient_name: string
           phone: string | null
           reason: string | null
@@ -32,9 +35,12 @@ export type Database = {
           appointment_date: string
           appointment_time: string
           created_at?: string
+          duration_minutes?: number
           id?: string
+          intent?: string | null
           lead_id?: string | null
           notes?: string | null
+          patient_id?: string | null
           patient_name: string
           phone?: string | null
           reason?: string | null
@@ -45,9 +51,12 @@ export type Database = {
           appointment_date?: string
           appointment_time?: string
           created_at?: string
+          duration_minutes?: number
           id?: string
+          intent?: string | null
           lead_id?: string | null
           notes?: string | null
+          patient_id?: string | null
           patient_name?: string
           phone?: string | null
           reason?: string | null
@@ -62,34 +71,149 @@ export type Database = {
             referencedRelation: "leads"
             referencedColumns: ["id"]
           },
+          {
+            foreignKeyName: "appointments_patient_id_fkey"
+            columns: ["patient_id"]
+            isOneToOne: false
+            referencedRelation: "patients"
+            referencedColumns: ["id"]
+          },
+        ]
+      }
+      calls: {
+        Row: {
+          call_sid: string
+          created_at: string
+          direction: string | null
+          duration_seconds: number | null
+          ended_at: string | null
+          from_number: string | null
+          id: string
+          lead_id: string | null
+          outcome: string
+          patient_id: string | null
+          started_at: string
+          status: string
+          to_number: string | null
+          turn_count: number
+          updated_at: string
+        }
+        Insert: {
+          call_sid: string
+          created_at?: string
+          direction?: string | null
+          duration_seconds?: number | null
+          ended_at?: string | null
+          from_number?: string | null
+          id?: string
+          lead_id?: string | null
+          outcome?: string
+          patient_id?: string | null
+          started_at?: string
+          status?: string
+          to_number?: string | null
+          turn_count?: number
+          updated_at?: string
+        }
+        Update: {
+          call_sid?: string
+          created_at?: string
+          direction?: string | null
+          duration_seconds?: number | null
+          ended_at?: string | null
+          from_number?: string | null
+          id?: string
+          lead_id?: string | null
+          outcome?: string
+          patient_id?: string | null
+          started_at?: string
+          status?: string
+          to_number?: string | null
+          turn_count?: number
+          updated_at?: string
+        }
+        Relationships: [
+          {
+            foreignKeyName: "calls_lead_id_fkey"
+            columns: ["lead_id"]
+            isOneToOne: false
+            referencedRelation: "leads"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "calls_patient_id_fkey"
+            columns: ["patient_id"]
+            isOneToOne: false
+            referencedRelation: "patients"
+            referencedColumns: ["id"]
+          },
         ]
       }
       clinics: {
         Row: {
           address: string | null
+          chair_count: number
+          closures: Json
           created_at: string
+          emergency_number: string | null
+          holiday_region: string
           id: string
           instructions: string | null
+          intake_schema: Json | null
+          knowledge_base: Json | null
+          lunch_break: Json | null
           name: string
+          opening_hours: Json | null
           phone_number: string | null
+          supported_languages: string[]
+          timezone: string
+          transfer_number: string | null
+          transfer_queue: string | null
+          treatment_durations: Json | null
           updated_at: string
         }
         Insert: {
           address?: string | null
+          chair_count?: number
+          closures?: Json
           created_at?: string
+          emergency_number?: string | null
+          holiday_region?: string
           id?: string
           instructions?: string | null
+          intake_schema?: Json | null
+          knowledge_base?: Json | null
+          lunch_break?: Json | null
           name: string
+          opening_hours?: Json | null
           phone_number?: string | null
+          supported_languages?: string[]
+          timezone?: string
+          transfer_number?: string | null
+          transfer_queue?: string | null
+          treatment_durations?: Json | null
           updated_at?: string
         }
         Update: {
           address?: string | null
+          chair_count?: number
+          closures?: Json
           created_at?: string
+          emergency_number?: string | null
+          holiday_region?: string
           id?: string
           instructions?: string | null
+          intake_schema?: Json | null
+          knowledge_base?: Json | null
+          lunch_break?: Json | null
           name?: string
+          opening_hours?: Json | null
           phone_number?: string | null
+          supported_languages?: string[]
+          timezone?: string
+          transfer_number?: string | null
+          transfer_queue?: string | null
+          treatment_durations?: Json | null
           updated_at?: string
         }
         Relationships: []
@@ -97,14 +221,30 @@ export type Database = {
       leads: {
         Row: {
           call_sid: string | null
+          call_summary: string | null
           concern: string | null
           created_at: string
           id: string
           insurance: string | null
+          insurance_provider: string | null
+          intake_answers: Json
+          intent: string | null
+          language: string
+          merged_into: string | null
           name: string
+          next_action: string | null
           notes: string | null
+          open_questions: string[]
+          original_transcript: string | null
+          patient_id: string | null
+          patient_type: string | null
           phone: string | null
+          possible_duplicate_of: string | null
           preferred_slots: Json | null
+          previous_lead_id: string | null
+          recording_url: string | null
+          routing: string | null
+          sentiment: string | null
           source: string | null
           status: string | null
           updated_at: string
@@ -112,14 +252,30 @@ export type Database = {
         }
         Insert: {
           call_sid?: string | null
+          call_summary?: string | null
           concern?: string | null
           created_at?: string
           id?: string
           insurance?: string | null
+          insurance_provider?: string | null
+          intake_answers?: Json
+          intent?: string | null
+          language?: string
+          merged_into?: string | null
           name: string
+          next_action?: string | null
           notes?: string | null
+          open_questions?: string[]
+          original_transcript?: string | null
+          patient_id?: string | null
+          patient_type?: string | null
           phone?: string | null
+          possible_duplicate_of?: string | null
           preferred_slots?: Json | null
+          previous_lead_id?: string | null
+          recording_url?: string | null
+          routing?: string | null
+          sentiment?: string | null
           source?: string | null
           status?: string | null
           updated_at?: string
@@ -127,20 +283,65 @@ export type Database = {
         }
         Update: {
           call_sid?: string | null
+          call_summary?: string | null
           concern?: string | null
           created_at?: string
           id?: string
           insurance?: string | null
+          insurance_provider?: string | null
+          intake_answers?: Json
+          intent?: string | null
+          language?: string
+          merged_into?: string | null
           name?: string
+          next_action?: string | null
           notes?: string | null
+          open_questions?: string[]
+          original_transcript?: string | null
+          patient_id?: string | null
+          patient_type?: string | null
           phone?: string | null
+          possible_duplicate_of?: string | null
           preferred_slots?: Json | null
+          previous_lead_id?: string | null
+          recording_url?: string | null
+          routing?: string | null
+          sentiment?: string | null
           source?: string | null
           status?: string | null
           updated_at?: string
           urgency?: string | null
         }
-        Relationships: []
+        Relationships: [
+          {
+            foreignKeyName: "leads_previous_lead_id_fkey"
+            columns: ["previous_lead_id"]
+            isOneToOne: false
+            referencedRelation: "leads"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "leads_merged_into_fkey"
+            columns: ["merged_into"]
+            isOneToOne: false
+            referencedRelation: "leads"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "leads_possible_duplicate_of_fkey"
+            columns: ["possible_duplicate_of"]
+            isOneToOne: false
+            referencedRelation: "leads"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "leads_patient_id_fkey"
+            columns: ["patient_id"]
+            isOneToOne: false
+            referencedRelation: "patients"
+            referencedColumns: ["id"]
+          },
+        ]
       }
       messages_log: {
         Row: {
@@ -149,6 +350,7 @@ export type Database = {
           id: string
           message: string
           role: string
+          turn_index: number | null
         }
         Insert: {
           call_sid: string
@@ -156,6 +358,7 @@ export type Database = {
           id?: string
           message: string
           role: string
+          turn_index?: number | null
         }
         Update: {
           call_sid?: string
@@ -163,6 +366,52 @@ export type Database = {
           id?: string
           message?: string
           role?: string
+          turn_index?: number | null
+        }
+        Relationships: []
+      }
+      patients: {
+        Row: {
+          birth_date: string | null
+          contact_preferences: Json
+          created_at: string
+          email: string | null
+          id: string
+          insurance: string
+          name: string
+          notes: string | null
+          patient_type: string
+          phone: string | null
+          phone_normalized: string | null
+          updated_at: string
+        }
+        Insert: {
+          birth_date?: string | null
+          contact_preferences?: Json
+          created_at?: string
+          email?: string | null
+          id?: string
+          insurance?: string
+          name: string
+          notes?: string | null
+          patient_type?: string
+          phone?: string | null
+          phone_normalized?: string | null
+          updated_at?: string
+        }
+        Update: {
+          birth_date?: string | null
+          contact_preferences?: Json
+          created_at?: string
+          email?: string | null
+          id?: string
+          insurance?: string
+          name?: string
+          notes?: string | null
+          patient_type?: string
+          phone?: string | null
+          phone_normalized?: string | null
+          updated_at?: string
         }
         Relationships: []
       }
@@ -201,9 +450,22 @@ export type Database = {
         Returns: boolean
       }
       log_twilio_message: {
-        Args: { p_call_sid: string; p_message: string; p_role: string }
+        Args: {
+          p_call_sid: string
+          p_message: string
+          p_role: string
+          p_turn_index?: number
+        }
         Returns: undefined
       }
+      merge_lead_text: {
+        Args: { p_duplicate: string; p_survivor: string }
+        Returns: string
+      }
+      merge_leads: {
+        Args: { p_duplicate_id: string; p_survivor_id: string }
+        Returns: Database["public"]["Tables"]["leads"]["Row"]
+      }
     }
     Enums: {
       app_role: "admin" | "moderator" | "user"
@@ -46,12 +46,33 @@ export const api = {
       ok: boolean;
       reply?: string;
       sessionId?: string;
+      action?: "reply" | "end" | "emergency_forward" | "staff_transfer";
+      phase?: string;
       extracted?: Record<string, string>;
+      leadSaved?: boolean;
       error?: string;
     }>("/api/simulator/step", {
       method: "POST",
       body: JSON.stringify({ message, sessionId }),
     }),
 
+  mergeLeads: (id: string, duplicateId: string) =>
+    apiCall<{
+      ok: boolean;
+      lead?: Record<string, unknown>;
+      error?: string;
+    }>("/api/leads/merge", {
+      method: "POST",
+      body: JSON.stringify({ id, duplicate_id: duplicateId }),
+    }),
+
+  leadSlotSuggestions: (leadId: string, limit = 5) =>
+    apiCall<{
+      ok: boolean;
+      matched?: boolean;
+      slots?: { date: string; time: string; end_time: string; duration_minutes: number; label: string }[];
+      error?: string;
+    }>(`/api/appointments/slots?lead_id=${encodeURIComponent(leadId)}&limit=${limit}`),
+
   debugStatus: () => apiCall<{ ok: boolean; timestamp: string; uptime: number }>("/debug/status"),
 };
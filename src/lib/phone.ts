@@ -0,0 +1,61 @@
+// German phone number parsing, same rules as parseGermanPhone in lib/phone.js
+
+const GERMAN_MOBILE_NSN_LENGTH = { min: 10, max: 11 };
+const GERMAN_LANDLINE_NSN_LENGTH = { min: 7, max: 12 };
+const FOREIGN_PHONE_DIGITS = { min: 8, max: 15 };
+
+export type ParsedPhone = {
+  e164: string;
+  national: string | null;
+  mobile: boolean;
+};
+
+function looksLikeDateOrTime(value: string) {
+  const text = value.trim().toLowerCase();
+  return (
+    /^\d{1,2}\.\d{1,2}\.(\d{2}|\d{4})?$/.test(text) ||
+    /^\d{1,2}[:.]\d{2}(\s*uhr)?$/.test(text) ||
+    /\buhr\b/.test(text)
+  );
+}
+
+export function parseGermanPhone(value: string): ParsedPhone | null {
+  const raw = value.trim();
+  if (!raw || looksLikeDateOrTime(raw) || /[^\d\s+()/\-.]/.test(raw)) return null;
+
+  let digits = raw.replace(/\D/g, "");
+  let international = raw.startsWith("+");
+  if (!international && digits.startsWith("00")) {
+    international = true;
+    digits = digits.substring(2);
+  }
+
+  let nsn: string;
+  if (international) {
+    if (!digits.startsWith("49")) {
+      const valid =
+        digits.length >= FOREIGN_PHONE_DIGITS.min &&
+        digits.length <= FOREIGN_PHONE_DIGITS.max &&
+        !digits.startsWith("0");
+      return valid ? { e164: `+${digits}`, national: null, mobile: false } : null;
+    }
+    nsn = digits.substring(2);
+    // "+49 (0) 341 …"
+    if (nsn.startsWith("0")) nsn = nsn.substring(1);
+  } else if (digits.startsWith("0") && !digits.startsWith("00")) {
+    nsn = digits.substring(1);
+  } else {
+    return null;
+  }
+
+  if (!/^[1-9]/.test(nsn)) return null;
+  const mobile = /^1[5-7]/.test(nsn);
+  const length = mobile ? GERMAN_MOBILE_NSN_LENGTH : GERMAN_LANDLINE_NSN_LENGTH;
+  if (nsn.length < length.min || nsn.length > length.max) return null;
+
+  return { e164: `+49${nsn}`, national: `0${nsn}`, mobile };
+}
+
+export function normalizePhoneNumber(value: string) {
+  return parseGermanPhone(value)?.e164 ?? null;
+}
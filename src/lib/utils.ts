@@ -53,6 +53,119 @@ export function getStatusLabel(status: string | null) {
     case 'scheduled': return 'Termin vereinbart'
     case 'completed': return 'Abgeschlossen'
     case 'lost': return 'Verloren'
+    case 'merged': return 'Zusammengeführt'
     default: return status || 'Unbekannt'
   }
 }
+
+// "privat" + "Debeka" -> "Privat (Debeka)"
+export function getInsuranceLabel(insurance: string | null, provider?: string | null) {
+  const type = insurance === 'gesetzlich' ? 'Gesetzlich' : insurance === 'privat' ? 'Privat' : null
+  if (!type) return provider || null
+  return provider ? `${type} (${provider})` : type
+}
+
+export function getPatientTypeLabel(patientType: string | null) {
+  if (patientType === 'neu') return 'Neupatient'
+  if (patientType === 'bestand') return 'Bestandspatient'
+  return null
+}
+
+// Matches the label of each entry in CALLER_LANGUAGES in lib/languages.js
+const languageLabels: Record<string, string> = {
+  de: 'Deutsch',
+  en: 'Englisch',
+  tr: 'Türkisch',
+  ar: 'Arabisch',
+  uk: 'Ukrainisch',
+  sq: 'Albanisch',
+}
+
+export function getLanguageLabel(language: string | null) {
+  if (!language) return null
+  return languageLabels[language] || language
+}
+
+// Matches CALL_NEXT_ACTIONS in lib/call-summary.js
+const nextActionLabels: Record<string, string> = {
+  callback: 'Rückruf',
+  book_appointment: 'Termin vereinbaren',
+  book_cleaning: 'Zahnreinigung einplanen',
+  emergency_slot: 'Notfalltermin einplanen',
+  answer_question: 'Frage beantworten',
+  none: 'Nichts zu tun',
+}
+
+export function getNextActionLabel(nextAction: string | null) {
+  if (!nextAction) return null
+  return nextActionLabels[nextAction] || nextAction
+}
+
+// Matches CALL_SENTIMENTS in lib/call-summary.js
+const sentimentLabels: Record<string, string> = {
+  positive: 'Freundlich',
+  neutral: 'Neutral',
+  negative: 'Verärgert',
+  anxious: 'Ängstlich',
+}
+
+export function getSentimentLabel(sentiment: string | null) {
+  if (!sentiment) return null
+  return sentimentLabels[sentiment] || sentiment
+}
+
+// Matches CALLER_INTENTS in lib/intents.js
+const intentLabels: Record<string, string> = {
+  appointment: 'Terminwunsch',
+  reschedule: 'Terminverschiebung',
+  running_late: 'Verspätung',
+  cancel: 'Terminabsage',
+  billing: 'Abrechnung',
+  prescription: 'Rezept',
+  referral: 'Überweisung',
+  question: 'Allgemeine Frage',
+}
+
+export function getIntentLabel(intent: string | null) {
+  if (!intent) return null
+  return intentLabels[intent] || intent
+}
+
+const dayPartLabels: Record<string, string> = {
+  vormittag: 'vormittags',
+  mittag: 'mittags',
+  nachmittag: 'nachmittags',
+  abend: 'abends',
+}
+
+type PreferredWindow = { date: string; from: string | null; to: string | null; day_part: string | null }
+
+// { date: "2026-10-20", day_part: "nachmittag" } -> "Di, 20.10. nachmittags"
+export function formatPreferredWindow(timeWindow: PreferredWindow) {
+  const date = new Date(`${timeWindow.date}T00:00:00`).toLocaleDateString('de-DE', {
+    weekday: 'short',
+    day: '2-digit',
+    month: '2-digit',
+  })
+  let time = ''
+  if (timeWindow.day_part) time = dayPartLabels[timeWindow.day_part] || timeWindow.day_part
+  else if (timeWindow.from && timeWindow.from === timeWindow.to) time = `um ${timeWindow.from}`
+  else if (timeWindow.from && timeWindow.to) time = `${timeWindow.from}–${timeWindow.to}`
+  else if (timeWindow.from) time = `ab ${timeWindow.from}`
+  else if (timeWindow.to) time = `bis ${timeWindow.to}`
+  return time ? `${date} ${time}` : date
+}
+
+// First window plus how many more, for table cells
+export function getPreferredTimeSummary(windows?: PreferredWindow[] | null) {
+  if (!windows || windows.length === 0) return null
+  const first = formatPreferredWindow(windows[0])
+  return windows.length > 1 ? `${first} (+${windows.length - 1})` : first
+}
+
+// Sort key for the earliest preferred window; leads without one sort last
+export function getPreferredTimeSortKey(windows?: PreferredWindow[] | null) {
+  if (!windows || windows.length === 0) return null
+  const first = windows[0]
+  return `${first.date} ${first.from || '00:00'}`
+}
@@ -1,4 +1,5 @@
 import { z } from 'zod';
+import { normalizePhoneNumber } from '@/lib/phone';
 
 // Auth validation schemas
 export const emailSchema = z
@@ -45,13 +46,81 @@ export const resetPasswordSchema = z
   });
 
 // Settings validation schemas
+// Stored in E.164; accepts German spellings like "0341 1234567" or "+49 (0) 341 …"
 export const phoneSchema = z
   .string()
   .trim()
   .max(30, 'Telefonnummer darf maximal 30 Zeichen lang sein')
-  .regex(/^[+\d\s\-()]*$/, 'Ungültiges Telefonnummer-Format')
-  .optional()
-  .or(z.literal(''));
+  .refine(
+    (value) => value === '' || normalizePhoneNumber(value) !== null,
+    'Ungültige Telefonnummer (bitte mit Vorwahl, z.B. 0341 1234567)'
+  )
+  .transform((value) => (value === '' ? value : normalizePhoneNumber(value) ?? value))
+  .optional();
+
+const timeSchema = z.string().regex(/^\d{2}:\d{2}$/, 'Ungültige Uhrzeit');
+
+const openingIntervalSchema = z
+  .object({ from: timeSchema, to: timeSchema })
+  .refine((interval) => interval.from < interval.to, {
+    message: 'Öffnungszeit: Beginn muss vor dem Ende liegen',
+  });
+
+// A day can have several intervals (split hours), but they must not overlap
+export const openingHoursSchema = z.record(
+  z.enum(['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun']),
+  z.array(openingIntervalSchema).refine(
+    (intervals) => {
+      const sorted = [...intervals].sort((a, b) => (a.from ?? '').localeCompare(b.from ?? ''));
+      return sorted.every((interval, i) => i === 0 || (interval.from ?? '') >= (sorted[i - 1].to ?? ''));
+    },
+    { message: 'Öffnungszeiten: Zeiträume eines Tages dürfen sich nicht überschneiden' }
+  )
+);
+
+export const closureSchema = z
+  .object({
+    from: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Ungültiges Datum'),
+    to: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Ungültiges Datum'),
+    reason: z.string().trim().max(200, 'Grund darf maximal 200 Zeichen lang sein').nullable(),
+  })
+  .refine((closure) => closure.from <= closure.to, {
+    message: 'Schließzeit: Enddatum muss nach dem Startdatum liegen',
+  });
+
+// Intake question, same rules as isValidIntakeSchema in lib/intake.js
+export const intakeFieldSchema = z
+  .object({
+    key: z.string().regex(/^[a-z][a-z0-9_]{1,39}$/, 'Aufnahmefrage: Ungültiger Schlüssel'),
+    label: z
+      .string()
+      .trim()
+      .min(1, 'Aufnahmefrage: Bezeichnung ist erforderlich')
+      .max(60, 'Aufnahmefrage: Bezeichnung darf maximal 60 Zeichen lang sein')
+      .regex(/^[^:\n]*$/, 'Aufnahmefrage: Bezeichnung darf keinen Doppelpunkt enthalten'),
+    question: z.string().trim().max(300, 'Aufnahmefrage: Frage darf maximal 300 Zeichen lang sein'),
+    type: z.enum(['text', 'phone', 'email', 'date', 'number', 'yes_no', 'choice', 'insurance', 'patient_type']),
+    required: z.boolean(),
+    options: z.array(z.string().trim().min(1).max(60)).max(20, 'Maximal 20 Antwortmöglichkeiten').optional(),
+  })
+  .refine((field) => field.type !== 'choice' || (field.options?.length ?? 0) >= 2, {
+    message: 'Auswahlfragen brauchen mindestens zwei Antwortmöglichkeiten',
+  });
+
+// Knowledge base entry, same rules as isValidKnowledgeBase in lib/knowledge.js
+export const knowledgeEntrySchema = z.object({
+  category: z.enum(['leistungen', 'parken', 'barrierefreiheit', 'zahlung', 'versicherungen', 'mitbringen', 'preise', 'sonstiges']),
+  title: z
+    .string()
+    .trim()
+    .min(1, 'Wissensdatenbank: Thema ist erforderlich')
+    .max(80, 'Wissensdatenbank: Thema darf maximal 80 Zeichen lang sein'),
+  content: z
+    .string()
+    .trim()
+    .min(1, 'Wissensdatenbank: Antwort ist erforderlich')
+    .max(1000, 'Wissensdatenbank: Antwort darf maximal 1000 Zeichen lang sein'),
+});
 
 export const clinicSettingsSchema = z.object({
   name: z
@@ -72,6 +141,51 @@ export const clinicSettingsSchema = z.object({
     .max(5000, 'Anweisungen dürfen maximal 5000 Zeichen lang sein')
     .optional()
     .or(z.literal('')),
+  opening_hours: openingHoursSchema,
+  lunch_break: openingIntervalSchema.nullable(),
+  closures: z.array(closureSchema).max(100, 'Maximal 100 Schließzeiten'),
+  holiday_region: z.string().length(2, 'Bitte ein Bundesland wählen'),
+  emergency_number: phoneSchema,
+  transfer_number: phoneSchema,
+  transfer_queue: z
+    .string()
+    .trim()
+    .regex(/^[\w\- ]{0,64}$/, 'Ungültiger Warteschlangen-Name')
+    .optional()
+    .or(z.literal('')),
+  intake_schema: z
+    .array(intakeFieldSchema)
+    .min(1)
+    .max(20, 'Maximal 20 Aufnahmefragen')
+    .refine((fields) => new Set(fields.map((field) => field.label.toLowerCase())).size === fields.length, {
+      message: 'Aufnahmefragen: Jede Bezeichnung darf nur einmal vorkommen',
+    }),
+  supported_languages: z
+    .array(z.enum(['de', 'en', 'tr', 'ar', 'uk', 'sq']))
+    .refine((languages) => languages.includes('de'), 'Deutsch muss aktiviert bleiben'),
+  knowledge_base: z.array(knowledgeEntrySchema).max(50, 'Maximal 50 Einträge in der Wissensdatenbank'),
+});
+
+// Patient master data
+export const patientSchema = z.object({
+  name: z
+    .string()
+    .trim()
+    .min(1, 'Name ist erforderlich')
+    .max(200, 'Name darf maximal 200 Zeichen lang sein'),
+  email: emailSchema.optional().or(z.literal('')),
+  insurance: z.enum(['gesetzlich', 'privat', 'unbekannt']),
+  patient_type: z.enum(['neu', 'bestand']),
+  birth_date: z
+    .string()
+    .regex(/^\d{4}-\d{2}-\d{2}$/, 'Ungültiges Geburtsdatum')
+    .refine((date) => new Date(date) <= new Date(), 'Geburtsdatum liegt in der Zukunft')
+    .nullable(),
+  contact_preferences: z.object({
+    channel: z.enum(['phone', 'sms', 'email']).nullable(),
+    best_time: z.string().trim().max(100, 'Erreichbarkeit darf maximal 100 Zeichen lang sein').nullable(),
+  }),
+  notes: z.string().trim().max(5000, 'Notizen dürfen maximal 5000 Zeichen lang sein').nullable(),
 });
 
 // Type exports
@@ -80,3 +194,4 @@ export type RegisterFormData = z.infer<typeof registerSchema>;
 export type ForgotPasswordFormData = z.infer<typeof forgotPasswordSchema>;
 export type ResetPasswordFormData = z.infer<typeof resetPasswordSchema>;
 export type ClinicSettingsFormData = z.infer<typeof clinicSettingsSchema>;
+export type PatientFormData = z.infer<typeof patientSchema>;
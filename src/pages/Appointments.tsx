@@ -5,7 +5,7 @@ import { SkeletonCard } from "@/components/ui/skeleton";
 import { Skeleton } from "@/components/ui/skeleton";
 import { EmptyState } from "@/components/ui/empty-state";
 import { useAppointments } from "@/hooks/useAppointments";
-import { formatDate } from "@/lib/utils";
+import { formatDate, getIntentLabel } from "@/lib/utils";
 
 const statusConfig: Record<string, { color: string; icon: typeof CheckCircle2; label: string }> = {
   scheduled: { color: "bg-violet-500/20 text-violet-400 border-violet-500/30", icon: Calendar, label: "Geplant" },
@@ -194,6 +194,11 @@ export default function Appointments() {
                               <StatusIcon className="h-3 w-3" />
                               {status.label}
                             </Badge>
+                            {apt.intent && apt.intent !== "appointment" && (
+                              <Badge variant="outline" className="ml-2">
+                                {getIntentLabel(apt.intent)}
+                              </Badge>
+                            )}
                           </td>
                         </tr>
                       );
@@ -1,5 +1,5 @@
 import { useParams, Link } from "react-router-dom";
-import { ArrowLeft, Phone, Calendar, Clock, FileText } from "lucide-react";
+import { ArrowLeft, Phone, Calendar, Clock, FileText, User, Languages, MessageSquare, Sparkles } from "lucide-react";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
 import { Button } from "@/components/ui/button";
@@ -11,8 +11,9 @@ import {
   SelectTrigger,
   SelectValue,
 } from "@/components/ui/select";
-import { useLead, useUpdateLead } from "@/hooks/useLeads";
-import { formatDateTime, getUrgencyColor, getStatusColor, getStatusLabel } from "@/lib/utils";
+import { useLead, useUpdateLead, useLeadSlotSuggestions } from "@/hooks/useLeads";
+import { useMessages } from "@/hooks/useMessages";
+import { formatDateTime, formatTime, formatPreferredWindow, getUrgencyColor, getStatusColor, getStatusLabel, getInsuranceLabel, getPatientTypeLabel, getLanguageLabel, getNextActionLabel, getSentimentLabel, getIntentLabel } from "@/lib/utils";
 import { toast } from "sonner";
 import { useState, useEffect } from "react";
 
@@ -20,6 +21,8 @@ export default function LeadDetails() {
   const { id } = useParams<{ id: string }>();
   const { data: lead, isLoading } = useLead(id || "");
   const updateLead = useUpdateLead();
+  const { data: slotSuggestions } = useLeadSlotSuggestions(id || "");
+  const { data: messages } = useMessages(lead?.call_sid ?? null);
   const [notes, setNotes] = useState("");
 
   useEffect(() => {
@@ -84,6 +87,12 @@ export default function LeadDetails() {
             {lead.urgency === "akut" && (
               <Badge className={getUrgencyColor(lead.urgency)}>Akut</Badge>
             )}
+            {lead.language && lead.language !== "de" && (
+              <Badge variant="outline">{getLanguageLabel(lead.language)}</Badge>
+            )}
+            {lead.intent && lead.intent !== "appointment" && (
+              <Badge variant="outline">{getIntentLabel(lead.intent)}</Badge>
+            )}
           </div>
           <p className="text-muted-foreground mt-1">
             Erstellt am {formatDateTime(lead.created_at)}
@@ -103,6 +112,39 @@ export default function LeadDetails() {
         </Select>
       </div>
 
+      {/* Call summary */}
+      {lead.call_summary && (
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <Sparkles className="h-5 w-5" />
+              Zusammenfassung
+            </CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <p>{lead.call_summary}</p>
+            <div className="flex flex-wrap gap-2">
+              {lead.next_action && (
+                <Badge>Nächster Schritt: {getNextActionLabel(lead.next_action)}</Badge>
+              )}
+              {lead.sentiment && (
+                <Badge variant="outline">Stimmung: {getSentimentLabel(lead.sentiment)}</Badge>
+              )}
+            </div>
+            {lead.open_questions?.length > 0 && (
+              <div>
+                <p className="text-sm text-muted-foreground">Offene Fragen</p>
+                <ul className="list-disc pl-5 space-y-1">
+                  {lead.open_questions.map((question) => (
+                    <li key={question}>{question}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      )}
+
       {/* Info Cards */}
       <div className="grid gap-6 md:grid-cols-2">
         {/* Contact Info */}
@@ -132,6 +174,14 @@ export default function LeadDetails() {
                 <p className="font-mono text-xs">{lead.call_sid}</p>
               </div>
             )}
+            {lead.patient_id && (
+              <Button asChild variant="outline" size="sm">
+                <Link to={`/patients/${lead.patient_id}`}>
+                  <User className="h-4 w-4 mr-2" />
+                  Patientenakte öffnen
+                </Link>
+              </Button>
+            )}
           </CardContent>
         </Card>
 
@@ -153,7 +203,30 @@ export default function LeadDetails() {
               <p className="font-medium">
                 {lead.preferred_slots?.raw || "Keine Angabe"}
               </p>
+              {lead.preferred_slots?.windows && lead.preferred_slots.windows.length > 0 && (
+                <div className="flex flex-wrap gap-1.5 mt-2">
+                  {lead.preferred_slots.windows.map((timeWindow) => (
+                    <Badge key={`${timeWindow.date}-${timeWindow.from}-${timeWindow.to}`} variant="outline">
+                      {formatPreferredWindow(timeWindow)}
+                    </Badge>
+                  ))}
+                </div>
+              )}
             </div>
+            {slotSuggestions && slotSuggestions.slots.length > 0 && (
+              <div>
+                <p className="text-sm text-muted-foreground">
+                  {slotSuggestions.matched ? "Passende freie Termine" : "Nächste freie Termine"}
+                </p>
+                <div className="flex flex-wrap gap-1.5 mt-1">
+                  {slotSuggestions.slots.map((slot) => (
+                    <Badge key={`${slot.date}-${slot.time}`} className="bg-green-500/20 text-green-600">
+                      {slot.label}
+                    </Badge>
+                  ))}
+                </div>
+              </div>
+            )}
             <div>
               <p className="text-sm text-muted-foreground">Dringlichkeit</p>
               <Badge className={getUrgencyColor(lead.urgency)}>
@@ -162,12 +235,71 @@ export default function LeadDetails() {
             </div>
             <div>
               <p className="text-sm text-muted-foreground">Versicherung</p>
-              <p className="font-medium">{lead.insurance || "Keine Angabe"}</p>
+              <p className="font-medium">
+                {getInsuranceLabel(lead.insurance, lead.insurance_provider) || "Keine Angabe"}
+              </p>
             </div>
+            <div>
+              <p className="text-sm text-muted-foreground">Patiententyp</p>
+              <p className="font-medium">{getPatientTypeLabel(lead.patient_type) || "Keine Angabe"}</p>
+            </div>
+            {Object.entries(lead.intake_answers || {}).map(([key, answer]) => (
+              <div key={key}>
+                <p className="text-sm text-muted-foreground">{answer.label}</p>
+                <p className="font-medium">{answer.value}</p>
+              </div>
+            ))}
           </CardContent>
         </Card>
       </div>
 
+      {/* Call transcript */}
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <MessageSquare className="h-5 w-5" />
+            Gesprächsverlauf
+          </CardTitle>
+        </CardHeader>
+        <CardContent>
+          {messages && messages.length > 0 ? (
+            <div className="space-y-3 max-h-96 overflow-y-auto">
+              {messages.map((msg) => (
+                <div
+                  key={msg.id}
+                  className={`rounded-lg p-3 text-sm ${
+                    msg.role === "user" ? "bg-primary/10 ml-8" : "bg-muted mr-8"
+                  }`}
+                >
+                  <div className="flex items-center justify-between gap-2 text-xs text-muted-foreground">
+                    <span className="font-medium">{msg.role === "user" ? "Anrufer" : "AI-Rezeption"}</span>
+                    <span>{formatTime(msg.created_at)}</span>
+                  </div>
+                  <p className="mt-1 whitespace-pre-wrap">{msg.message}</p>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="text-muted-foreground">Kein Gesprächsverlauf vorhanden.</p>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Original conversation for calls in another language */}
+      {lead.original_transcript && (
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <Languages className="h-5 w-5" />
+              Originalgespräch ({getLanguageLabel(lead.language)})
+            </CardTitle>
+          </CardHeader>
+          <CardContent>
+            <p className="text-sm whitespace-pre-wrap">{lead.original_transcript}</p>
+          </CardContent>
+        </Card>
+      )}
+
       {/* Notes */}
       <Card>
         <CardHeader>
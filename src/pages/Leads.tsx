@@ -14,6 +14,7 @@ import {
 } from "@/components/ui/select";
 import { useLeads, Lead } from "@/hooks/useLeads";
 import { LeadModal } from "@/components/leads/LeadModal";
+import { getPreferredTimeSortKey, getPreferredTimeSummary } from "@/lib/utils";
 
 const urgencyConfig: Record<string, { color: string; icon: typeof AlertTriangle }> = {
   akut: { color: "bg-red-500/20 text-red-400 border-red-500/30", icon: AlertTriangle },
@@ -35,6 +36,7 @@ export default function Leads() {
   const [searchQuery, setSearchQuery] = useState("");
   const [statusFilter, setStatusFilter] = useState<string>("all");
   const [urgencyFilter, setUrgencyFilter] = useState<string>("all");
+  const [sortOrder, setSortOrder] = useState<string>("newest");
   const [selectedLead, setSelectedLead] = useState<Lead | null>(null);
 
   const filteredLeads = leads?.filter((lead) => {
@@ -52,6 +54,16 @@ export default function Leads() {
     return matchesSearch && matchesStatus && matchesUrgency;
   });
 
+  // Earliest preferred time first; leads whose wording could not be resolved go last
+  if (sortOrder === "preferred_time") {
+    filteredLeads?.sort((a, b) => {
+      const keyA = getPreferredTimeSortKey(a.preferred_slots?.windows);
+      const keyB = getPreferredTimeSortKey(b.preferred_slots?.windows);
+      if (!keyA || !keyB) return keyA ? -1 : keyB ? 1 : 0;
+      return keyA.localeCompare(keyB);
+    });
+  }
+
   const formatDateTime = (dateString: string) => {
     return new Date(dateString).toLocaleString("de-DE", {
       day: "2-digit",
@@ -131,6 +143,15 @@ export default function Leads() {
                     <SelectItem value="normal">Normal</SelectItem>
                   </SelectContent>
                 </Select>
+                <Select value={sortOrder} onValueChange={setSortOrder}>
+                  <SelectTrigger className="w-[190px] rounded-xl bg-background/50 border-border/50">
+                    <SelectValue placeholder="Sortierung" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="newest">Neueste zuerst</SelectItem>
+                    <SelectItem value="preferred_time">Nach Wunschtermin</SelectItem>
+                  </SelectContent>
+                </Select>
               </div>
             </div>
           </CardContent>
@@ -161,6 +182,7 @@ export default function Leads() {
                       <th className="text-left py-4 px-6 text-sm font-semibold text-muted-foreground">Name</th>
                       <th className="text-left py-4 px-6 text-sm font-semibold text-muted-foreground">Telefon</th>
                       <th className="text-left py-4 px-6 text-sm font-semibold text-muted-foreground">Anliegen</th>
+                      <th className="text-left py-4 px-6 text-sm font-semibold text-muted-foreground">Wunschtermin</th>
                       <th className="text-left py-4 px-6 text-sm font-semibold text-muted-foreground">Dringlichkeit</th>
                       <th className="text-left py-4 px-6 text-sm font-semibold text-muted-foreground">Status</th>
                       <th className="text-left py-4 px-6 text-sm font-semibold text-muted-foreground">Datum</th>
@@ -184,6 +206,11 @@ export default function Leads() {
                             <span className="font-medium group-hover:text-violet-400 transition-colors">
                               {lead.name}
                             </span>
+                            {lead.possible_duplicate_of && (
+                              <Badge className="ml-2 bg-amber-500/20 text-amber-400 border border-amber-500/30">
+                                Duplikat?
+                              </Badge>
+                            )}
                           </td>
                           <td className="py-4 px-6 text-muted-foreground">
                             {lead.phone || "-"}
@@ -191,6 +218,12 @@ export default function Leads() {
                           <td className="py-4 px-6 text-muted-foreground max-w-[200px] truncate">
                             {lead.concern || "-"}
                           </td>
+                          <td
+                            className="py-4 px-6 text-muted-foreground text-sm max-w-[200px] truncate"
+                            title={lead.preferred_slots?.raw}
+                          >
+                            {getPreferredTimeSummary(lead.preferred_slots?.windows) || lead.preferred_slots?.raw || "-"}
+                          </td>
                           <td className="py-4 px-6">
                             <Badge className={`${urgency.color} border gap-1.5`}>
                               <UrgencyIcon className="h-3 w-3" />
@@ -0,0 +1,346 @@
+import { useParams, Link } from "react-router-dom";
+import { ArrowLeft, User, History, Phone, FileText, Calendar } from "lucide-react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Textarea } from "@/components/ui/textarea";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { usePatient, usePatientHistory, useUpdatePatient, Patient } from "@/hooks/usePatients";
+import { formatDate, formatDateTime, getStatusColor, getStatusLabel } from "@/lib/utils";
+import { patientSchema } from "@/lib/validations";
+import { toast } from "sonner";
+import { useState, useEffect } from "react";
+
+const NO_CHANNEL = "none";
+
+// Matches CALL_OUTCOME_LABELS in lib/calls.js
+const callOutcomeLabels: Record<string, string> = {
+  in_progress: "Läuft",
+  lead: "Anfrage aufgenommen",
+  transferred: "An Mitarbeiter übergeben",
+  emergency_forwarded: "An Notdienst weitergeleitet",
+  voicemail: "Sprachnachricht",
+  abandoned: "Aufgelegt",
+  too_short: "Zu kurz",
+  missed: "Verpasst",
+};
+
+type HistoryEntry = {
+  key: string;
+  at: string;
+  icon: typeof Phone;
+  title: string;
+  detail: string | null;
+  badge: string | null;
+  badgeColor: string;
+  leadId: string | null;
+};
+
+export default function PatientDetails() {
+  const { id } = useParams<{ id: string }>();
+  const { data: patient, isLoading } = usePatient(id || "");
+  const { data: history } = usePatientHistory(id || "");
+  const updatePatient = useUpdatePatient();
+  const [formData, setFormData] = useState<Partial<Patient>>({});
+
+  useEffect(() => {
+    if (patient) {
+      setFormData(patient);
+    }
+  }, [patient]);
+
+  const handleSave = async () => {
+    if (!id) return;
+    const result = patientSchema.safeParse({
+      name: formData.name,
+      email: formData.email || "",
+      insurance: formData.insurance,
+      patient_type: formData.patient_type,
+      birth_date: formData.birth_date || null,
+      contact_preferences: {
+        channel: formData.contact_preferences?.channel || null,
+        best_time: formData.contact_preferences?.best_time || null,
+      },
+      notes: formData.notes || null,
+    });
+    if (!result.success) {
+      toast.error(result.error.errors[0].message);
+      return;
+    }
+
+    try {
+      await updatePatient.mutateAsync({
+        id,
+        updates: {
+          ...result.data,
+          email: result.data.email || null,
+        } as Partial<Patient>,
+      });
+      toast.success("Patientendaten gespeichert");
+    } catch (error) {
+      toast.error("Fehler beim Speichern");
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <p className="text-muted-foreground">Laden...</p>
+      </div>
+    );
+  }
+
+  if (!patient) {
+    return (
+      <div className="space-y-4">
+        <Link to="/leads" className="flex items-center gap-2 text-muted-foreground hover:text-foreground">
+          <ArrowLeft className="h-4 w-4" />
+          Zurück zu Leads
+        </Link>
+        <p className="text-muted-foreground">Patient nicht gefunden.</p>
+      </div>
+    );
+  }
+
+  // Calls, leads and appointments in one timeline, newest first
+  const entries: HistoryEntry[] = [
+    ...(history?.calls || []).map((call) => ({
+      key: `call-${call.id}`,
+      at: call.started_at,
+      icon: Phone,
+      title: "Anruf",
+      detail: call.duration_seconds !== null ? `${call.duration_seconds} Sekunden` : null,
+      badge: callOutcomeLabels[call.outcome] || call.outcome,
+      badgeColor: "bg-muted text-muted-foreground",
+      leadId: null,
+    })),
+    ...(history?.leads || []).map((lead) => ({
+      key: `lead-${lead.id}`,
+      at: lead.created_at,
+      icon: FileText,
+      title: "Anfrage",
+      detail: lead.concern,
+      badge: getStatusLabel(lead.status),
+      badgeColor: getStatusColor(lead.status),
+      leadId: lead.id,
+    })),
+    ...(history?.appointments || []).map((appointment) => ({
+      key: `appointment-${appointment.id}`,
+      at: `${appointment.appointment_date}T${appointment.appointment_time}`,
+      icon: Calendar,
+      title: "Termin",
+      detail: appointment.reason,
+      badge: appointment.status,
+      badgeColor: "bg-muted text-muted-foreground",
+      leadId: null,
+    })),
+  ].sort((a, b) => new Date(b.at).getTime() - new Date(a.at).getTime());
+
+  return (
+    <div className="space-y-6">
+      {/* Back Link */}
+      <Link to="/leads" className="flex items-center gap-2 text-muted-foreground hover:text-foreground">
+        <ArrowLeft className="h-4 w-4" />
+        Zurück zu Leads
+      </Link>
+
+      {/* Header */}
+      <div>
+        <div className="flex items-center gap-3">
+          <h1 className="text-3xl font-bold">{patient.name}</h1>
+          <Badge className={patient.patient_type === "bestand" ? "bg-blue-500/20 text-blue-600" : "bg-primary/20 text-primary"}>
+            {patient.patient_type === "bestand" ? "Bestandspatient" : "Neupatient"}
+          </Badge>
+        </div>
+        <p className="text-muted-foreground mt-1">
+          Patient seit {formatDate(patient.created_at)}
+        </p>
+      </div>
+
+      <div className="grid gap-6 md:grid-cols-2">
+        {/* Master Data */}
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <User className="h-5 w-5" />
+              Stammdaten
+            </CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="space-y-2">
+              <label className="text-sm text-muted-foreground">Name</label>
+              <Input
+                value={formData.name || ""}
+                onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                maxLength={200}
+              />
+            </div>
+            <div className="grid gap-4 sm:grid-cols-2">
+              <div className="space-y-2">
+                <label className="text-sm text-muted-foreground">Telefon</label>
+                {/* Read-only: the number is how calls and leads are matched to this patient */}
+                <Input value={patient.phone || ""} disabled />
+              </div>
+              <div className="space-y-2">
+                <label className="text-sm text-muted-foreground">E-Mail</label>
+                <Input
+                  type="email"
+                  value={formData.email || ""}
+                  onChange={(e) => setFormData({ ...formData, email: e.target.value })}
+                  maxLength={255}
+                />
+              </div>
+            </div>
+            <div className="grid gap-4 sm:grid-cols-2">
+              <div className="space-y-2">
+                <label className="text-sm text-muted-foreground">Geburtsdatum</label>
+                <Input
+                  type="date"
+                  value={formData.birth_date || ""}
+                  onChange={(e) => setFormData({ ...formData, birth_date: e.target.value || null })}
+                />
+              </div>
+              <div className="space-y-2">
+                <label className="text-sm text-muted-foreground">Versicherung</label>
+                <Select
+                  value={formData.insurance || "unbekannt"}
+                  onValueChange={(insurance) => setFormData({ ...formData, insurance })}
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="gesetzlich">Gesetzlich</SelectItem>
+                    <SelectItem value="privat">Privat</SelectItem>
+                    <SelectItem value="unbekannt">Unbekannt</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+            <div className="space-y-2">
+              <label className="text-sm text-muted-foreground">Patiententyp</label>
+              <Select
+                value={formData.patient_type || "neu"}
+                onValueChange={(patient_type) => setFormData({ ...formData, patient_type })}
+              >
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="neu">Neupatient</SelectItem>
+                  <SelectItem value="bestand">Bestandspatient</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="grid gap-4 sm:grid-cols-2">
+              <div className="space-y-2">
+                <label className="text-sm text-muted-foreground">Bevorzugter Kontaktweg</label>
+                <Select
+                  value={formData.contact_preferences?.channel || NO_CHANNEL}
+                  onValueChange={(channel) =>
+                    setFormData({
+                      ...formData,
+                      contact_preferences: {
+                        ...formData.contact_preferences,
+                        channel: channel === NO_CHANNEL ? null : (channel as "phone" | "sms" | "email"),
+                      },
+                    })
+                  }
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value={NO_CHANNEL}>Keine Angabe</SelectItem>
+                    <SelectItem value="phone">Telefon</SelectItem>
+                    <SelectItem value="sms">SMS</SelectItem>
+                    <SelectItem value="email">E-Mail</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <label className="text-sm text-muted-foreground">Am besten erreichbar</label>
+                <Input
+                  value={formData.contact_preferences?.best_time || ""}
+                  onChange={(e) =>
+                    setFormData({
+                      ...formData,
+                      contact_preferences: { ...formData.contact_preferences, best_time: e.target.value },
+                    })
+                  }
+                  placeholder="z.B. vormittags"
+                  maxLength={100}
+                />
+              </div>
+            </div>
+            <div className="space-y-2">
+              <label className="text-sm text-muted-foreground">Notizen</label>
+              <Textarea
+                value={formData.notes || ""}
+                onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+                rows={3}
+              />
+            </div>
+            <Button onClick={handleSave} disabled={updatePatient.isPending}>
+              {updatePatient.isPending ? "Speichern..." : "Stammdaten speichern"}
+            </Button>
+          </CardContent>
+        </Card>
+
+        {/* History */}
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <History className="h-5 w-5" />
+              Verlauf
+            </CardTitle>
+          </CardHeader>
+          <CardContent>
+            {entries.length === 0 ? (
+              <p className="text-muted-foreground">Noch keine Anrufe, Anfragen oder Termine.</p>
+            ) : (
+              <div className="space-y-3">
+                {entries.map((entry) => {
+                  const Icon = entry.icon;
+                  const content = (
+                    <div className="flex items-start gap-3 rounded-lg border p-3 hover:bg-muted/50">
+                      <Icon className="h-4 w-4 mt-1 text-muted-foreground" />
+                      <div className="flex-1 min-w-0">
+                        <div className="flex items-center justify-between gap-2">
+                          <span className="font-medium">{entry.title}</span>
+                          <span className="text-xs text-muted-foreground">{formatDateTime(entry.at)}</span>
+                        </div>
+                        {entry.detail && (
+                          <p className="text-sm text-muted-foreground truncate">{entry.detail}</p>
+                        )}
+                      </div>
+                      {entry.badge && (
+                        <Badge className={entry.badgeColor}>
+                          {entry.badge}
+                        </Badge>
+                      )}
+                    </div>
+                  );
+                  return entry.leadId ? (
+                    <Link key={entry.key} to={`/leads/${entry.leadId}`} className="block">
+                      {content}
+                    </Link>
+                  ) : (
+                    <div key={entry.key}>{content}</div>
+                  );
+                })}
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+}
@@ -1,13 +1,148 @@
 import { useState, useEffect } from "react";
-import { Save, Building, Phone, MapPin, MessageSquare, Sparkles, Loader2 } from "lucide-react";
+import { Save, Building, Phone, PhoneForwarded, Headset, MapPin, MessageSquare, Sparkles, Loader2, Clock, CalendarOff, Plus, Trash2, ClipboardList, ArrowUp, ArrowDown, Languages, BookOpen } from "lucide-react";
 import { Card, CardContent, CardHeader, CardTitle, CardDescription } from "@/components/ui/card";
 import { Input } from "@/components/ui/input";
 import { Textarea } from "@/components/ui/textarea";
 import { Button } from "@/components/ui/button";
 import { Skeleton } from "@/components/ui/skeleton";
-import { useClinic, useUpdateClinic } from "@/hooks/useClinic";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  useClinic,
+  useUpdateClinic,
+  Clinic,
+  Closure,
+  IntakeField,
+  IntakeFieldType,
+  KnowledgeCategory,
+  KnowledgeEntry,
+  OpeningHours,
+  OpeningInterval,
+  WeekdayKey,
+} from "@/hooks/useClinic";
 import { toast } from "sonner";
 import { clinicSettingsSchema } from "@/lib/validations";
+import knowledgeFile from "../../knowledge.json";
+
+const weekdays: { key: WeekdayKey; label: string }[] = [
+  { key: "mon", label: "Montag" },
+  { key: "tue", label: "Dienstag" },
+  { key: "wed", label: "Mittwoch" },
+  { key: "thu", label: "Donnerstag" },
+  { key: "fri", label: "Freitag" },
+  { key: "sat", label: "Samstag" },
+  { key: "sun", label: "Sonntag" },
+];
+
+const germanStates = [
+  { value: "BW", label: "Baden-Württemberg" },
+  { value: "BY", label: "Bayern" },
+  { value: "BE", label: "Berlin" },
+  { value: "BB", label: "Brandenburg" },
+  { value: "HB", label: "Bremen" },
+  { value: "HH", label: "Hamburg" },
+  { value: "HE", label: "Hessen" },
+  { value: "MV", label: "Mecklenburg-Vorpommern" },
+  { value: "NI", label: "Niedersachsen" },
+  { value: "NW", label: "Nordrhein-Westfalen" },
+  { value: "RP", label: "Rheinland-Pfalz" },
+  { value: "SL", label: "Saarland" },
+  { value: "SN", label: "Sachsen" },
+  { value: "ST", label: "Sachsen-Anhalt" },
+  { value: "SH", label: "Schleswig-Holstein" },
+  { value: "TH", label: "Thüringen" },
+];
+
+// Always asked and required (CORE_LEAD_FIELDS in lib/intake.js)
+const coreIntakeKeys = ["name", "phone", "reason", "preferred_time"];
+
+// Same as DEFAULT_INTAKE_SCHEMA in lib/intake.js; these fields have their own lead columns and a fixed type
+const defaultIntakeSchema: IntakeField[] = [
+  { key: "name", label: "Name", question: "Darf ich Ihren vollständigen Namen erfahren?", type: "text", required: true },
+  { key: "phone", label: "Telefon", question: "Unter welcher Nummer erreichen wir Sie am besten?", type: "phone", required: true },
+  { key: "reason", label: "Grund", question: "Worum geht es bei Ihrem Anliegen?", type: "text", required: true },
+  {
+    key: "insurance_status",
+    label: "Versicherung",
+    question: "Sind Sie gesetzlich oder privat versichert, und bei welcher Krankenkasse?",
+    type: "insurance",
+    required: true,
+  },
+  { key: "patient_type", label: "Patient", question: "Waren Sie schon einmal bei uns in der Praxis?", type: "patient_type", required: true },
+  { key: "preferred_time", label: "Wunschtermin", question: "Wann würde es Ihnen am besten passen?", type: "text", required: true },
+];
+
+const builtInIntakeKeys = defaultIntakeSchema.map((field) => field.key);
+
+// Answer types for the clinic's own questions (CUSTOM_FIELD_TYPES in lib/intake.js)
+const intakeFieldTypes: { value: IntakeFieldType; label: string }[] = [
+  { value: "text", label: "Freitext" },
+  { value: "phone", label: "Telefonnummer" },
+  { value: "email", label: "E-Mail" },
+  { value: "date", label: "Datum" },
+  { value: "number", label: "Zahl" },
+  { value: "yes_no", label: "Ja/Nein" },
+  { value: "choice", label: "Auswahl" },
+];
+
+// Key for a new question, derived from its label: "Überwiesen von" -> "ueberwiesen_von"
+function intakeKeyFromLabel(label: string, taken: string[]) {
+  const base =
+    label
+      .toLowerCase()
+      .replace(/ä/g, "ae")
+      .replace(/ö/g, "oe")
+      .replace(/ü/g, "ue")
+      .replace(/ß/g, "ss")
+      .replace(/[^a-z0-9]+/g, "_")
+      .replace(/^[^a-z]+|_+$/g, "")
+      .substring(0, 32) || "frage";
+  let key = base.length > 1 ? base : `${base}_feld`;
+  for (let i = 2; taken.includes(key); i++) key = `${base}_${i}`;
+  return key;
+}
+
+// Matches KNOWLEDGE_CATEGORIES in lib/knowledge.js
+// knowledge.json at the repo root, offered as a first entry to edit while a clinic has none;
+// the receptionist itself only uses the clinic's saved entries
+const starterKnowledge: KnowledgeEntry[] = [{ category: "sonstiges", title: "Allgemein", content: knowledgeFile.content }];
+
+const knowledgeCategories: { value: KnowledgeCategory; label: string }[] = [
+  { value: "leistungen", label: "Leistungen" },
+  { value: "parken", label: "Parken & Anfahrt" },
+  { value: "barrierefreiheit", label: "Barrierefreiheit" },
+  { value: "zahlung", label: "Zahlung" },
+  { value: "versicherungen", label: "Versicherungen" },
+  { value: "mitbringen", label: "Mitbringen" },
+  { value: "preise", label: "Preise" },
+  { value: "sonstiges", label: "Sonstiges" },
+];
+
+// Matches CALLER_LANGUAGES in lib/languages.js
+const callerLanguages = [
+  { value: "de", label: "Deutsch" },
+  { value: "en", label: "Englisch" },
+  { value: "tr", label: "Türkisch" },
+  { value: "ar", label: "Arabisch" },
+  { value: "uk", label: "Ukrainisch" },
+  { value: "sq", label: "Albanisch" },
+];
+
+// Mo–Fr 9:00–18:00, same default as the server
+const defaultOpeningHours: OpeningHours = {
+  mon: [{ from: "09:00", to: "18:00" }],
+  tue: [{ from: "09:00", to: "18:00" }],
+  wed: [{ from: "09:00", to: "18:00" }],
+  thu: [{ from: "09:00", to: "18:00" }],
+  fri: [{ from: "09:00", to: "18:00" }],
+  sat: [],
+  sun: [],
+};
 
 export default function Settings() {
   const { data: clinic, isLoading } = useClinic();
@@ -18,6 +153,16 @@ export default function Settings() {
     phone_number: "",
     address: "",
     instructions: "",
+    opening_hours: defaultOpeningHours,
+    lunch_break: null as OpeningInterval | null,
+    closures: [] as Closure[],
+    holiday_region: "SN",
+    emergency_number: "",
+    transfer_number: "",
+    transfer_queue: "",
+    intake_schema: defaultIntakeSchema,
+    supported_languages: ["de"],
+    knowledge_base: [] as KnowledgeEntry[],
   });
 
   useEffect(() => {
@@ -27,12 +172,82 @@ export default function Settings() {
         phone_number: clinic.phone_number || "",
         address: clinic.address || "",
         instructions: clinic.instructions || "",
+        opening_hours: clinic.opening_hours || defaultOpeningHours,
+        lunch_break: clinic.lunch_break,
+        closures: clinic.closures || [],
+        holiday_region: clinic.holiday_region || "SN",
+        emergency_number: clinic.emergency_number || "",
+        transfer_number: clinic.transfer_number || "",
+        transfer_queue: clinic.transfer_queue || "",
+        intake_schema: clinic.intake_schema || defaultIntakeSchema,
+        supported_languages: clinic.supported_languages || ["de"],
+        knowledge_base: clinic.knowledge_base || [],
       });
     }
   }, [clinic]);
 
+  const updateKnowledgeEntry = (index: number, updates: Partial<KnowledgeEntry>) => {
+    setFormData({
+      ...formData,
+      knowledge_base: formData.knowledge_base.map((e, i) => (i === index ? { ...e, ...updates } : e)),
+    });
+  };
+
+  const toggleLanguage = (language: string) => {
+    const enabled = formData.supported_languages.includes(language);
+    setFormData({
+      ...formData,
+      supported_languages: enabled
+        ? formData.supported_languages.filter((l) => l !== language)
+        : callerLanguages.map((l) => l.value).filter((l) => l === language || formData.supported_languages.includes(l)),
+    });
+  };
+
+  // Every interval of a day is kept, so split hours (08-12 and 14-18) survive a save
+  const setDayHours = (day: WeekdayKey, intervals: OpeningInterval[]) => {
+    setFormData({
+      ...formData,
+      opening_hours: { ...formData.opening_hours, [day]: intervals },
+    });
+  };
+
+  const updateDayInterval = (day: WeekdayKey, index: number, updates: Partial<OpeningInterval>) => {
+    const intervals = formData.opening_hours[day] || [];
+    setDayHours(day, intervals.map((interval, i) => (i === index ? { ...interval, ...updates } : interval)));
+  };
+
+  const updateIntakeField = (index: number, updates: Partial<IntakeField>) => {
+    setFormData({
+      ...formData,
+      intake_schema: formData.intake_schema.map((f, i) => (i === index ? { ...f, ...updates } : f)),
+    });
+  };
+
+  const moveIntakeField = (index: number, offset: number) => {
+    const fields = [...formData.intake_schema];
+    [fields[index], fields[index + offset]] = [fields[index + offset], fields[index]];
+    setFormData({ ...formData, intake_schema: fields });
+  };
+
+  const updateClosure = (index: number, updates: Partial<Closure>) => {
+    setFormData({
+      ...formData,
+      closures: formData.closures.map((c, i) => (i === index ? { ...c, ...updates } : c)),
+    });
+  };
+
   const handleSave = async () => {
-    const result = clinicSettingsSchema.safeParse(formData);
+    // New questions get their key from the label; keys of saved questions never change
+    const keys = formData.intake_schema.map((field) => field.key).filter(Boolean);
+    const intakeSchema = formData.intake_schema.map((field) => {
+      const key = field.key || intakeKeyFromLabel(field.label, keys);
+      if (!field.key) keys.push(key);
+      return field.type === "choice"
+        ? { ...field, key, options: (field.options || []).map((o) => o.trim()).filter(Boolean) }
+        : { ...field, key, options: undefined };
+    });
+
+    const result = clinicSettingsSchema.safeParse({ ...formData, intake_schema: intakeSchema });
     if (!result.success) {
       const firstError = result.error.errors[0];
       toast.error(firstError.message);
@@ -40,7 +255,12 @@ export default function Settings() {
     }
 
     try {
-      await updateClinic.mutateAsync(result.data);
+      // Schema guarantees complete intervals; zod infers them as optional without strict mode
+      // No entries are stored as null
+      await updateClinic.mutateAsync({
+        ...result.data,
+        knowledge_base: result.data.knowledge_base.length > 0 ? result.data.knowledge_base : null,
+      } as Partial<Clinic>);
       toast.success("Einstellungen gespeichert");
     } catch (error) {
       toast.error("Fehler beim Speichern");
@@ -177,6 +397,257 @@ export default function Settings() {
                     />
                   </div>
                 </div>
+
+                <div className="space-y-2">
+                  <label className="text-sm font-medium text-muted-foreground">Zahnärztlicher Notdienst</label>
+                  <div className="relative">
+                    <div className="absolute left-3 top-1/2 -translate-y-1/2 h-8 w-8 rounded-lg bg-red-500/20 flex items-center justify-center">
+                      <PhoneForwarded className="h-4 w-4 text-red-400" />
+                    </div>
+                    <Input
+                      value={formData.emergency_number}
+                      onChange={(e) =>
+                        setFormData({ ...formData, emergency_number: e.target.value })
+                      }
+                      placeholder="+49 341 000 0000"
+                      className="pl-14 h-12 rounded-xl bg-white/5 border-border/50"
+                      maxLength={30}
+                    />
+                  </div>
+                  <p className="text-xs text-muted-foreground">
+                    Akute Anrufer außerhalb der Öffnungszeiten können an diese Nummer weitergeleitet werden.
+                  </p>
+                </div>
+
+                <div className="space-y-2">
+                  <label className="text-sm font-medium text-muted-foreground">Live-Übergabe an Mitarbeiter</label>
+                  <div className="grid gap-2 md:grid-cols-2">
+                    <div className="relative">
+                      <div className="absolute left-3 top-1/2 -translate-y-1/2 h-8 w-8 rounded-lg bg-violet-500/20 flex items-center justify-center">
+                        <Headset className="h-4 w-4 text-violet-400" />
+                      </div>
+                      <Input
+                        value={formData.transfer_number}
+                        onChange={(e) =>
+                          setFormData({ ...formData, transfer_number: e.target.value })
+                        }
+                        placeholder="Telefonnummer"
+                        className="pl-14 h-12 rounded-xl bg-white/5 border-border/50"
+                        maxLength={30}
+                      />
+                    </div>
+                    <Input
+                      value={formData.transfer_queue}
+                      onChange={(e) =>
+                        setFormData({ ...formData, transfer_queue: e.target.value })
+                      }
+                      placeholder="oder Twilio-Warteschlange"
+                      className="h-12 rounded-xl bg-white/5 border-border/50"
+                      maxLength={64}
+                    />
+                  </div>
+                  <p className="text-xs text-muted-foreground">
+                    Wünscht ein Anrufer einen Menschen oder ist es akut, wird während der Öffnungszeiten hierhin verbunden. Ist niemand erreichbar, wird eine Sprachnachricht aufgenommen. Bei einer Warteschlange nehmen Mitarbeiter den nächsten Anrufer über /api/twilio/voice/queue-agent an.
+                  </p>
+                </div>
+              </CardContent>
+            </Card>
+
+            {/* Opening Hours Card */}
+            <Card className="backdrop-blur-xl bg-card/60 border-border/50 shadow-premium-lg rounded-2xl overflow-hidden">
+              <CardHeader className="border-b border-border/50 bg-gradient-to-r from-green-500/10 to-transparent">
+                <div className="flex items-center gap-3">
+                  <div className="h-10 w-10 rounded-xl bg-green-500/20 flex items-center justify-center shadow-lg">
+                    <Clock className="h-5 w-5 text-green-400" />
+                  </div>
+                  <div>
+                    <CardTitle className="text-lg text-green-400">
+                      Öffnungszeiten & Feiertage
+                    </CardTitle>
+                    <CardDescription>
+                      Der AI-Assistent beantwortet Fragen zu Öffnungszeiten und bietet Termine nur auf Basis dieser Angaben an.
+                    </CardDescription>
+                  </div>
+                </div>
+              </CardHeader>
+              <CardContent className="p-6 space-y-6">
+                <div className="space-y-2">
+                  {weekdays.map(({ key, label }) => {
+                    const intervals = formData.opening_hours[key] || [];
+                    const isOpen = intervals.length > 0;
+                    return (
+                      <div key={key} className="grid grid-cols-[110px_1fr_auto] items-start gap-3">
+                        <span className="text-sm font-medium pt-2.5">{label}</span>
+                        <div className="space-y-2">
+                          {isOpen ? (
+                            intervals.map((interval, index) => (
+                              <div key={index} className="grid grid-cols-[1fr_1fr_auto] items-center gap-3">
+                                <Input
+                                  type="time"
+                                  value={interval.from}
+                                  onChange={(e) => updateDayInterval(key, index, { from: e.target.value })}
+                                  className="h-10 rounded-xl bg-white/5 border-border/50"
+                                />
+                                <Input
+                                  type="time"
+                                  value={interval.to}
+                                  onChange={(e) => updateDayInterval(key, index, { to: e.target.value })}
+                                  className="h-10 rounded-xl bg-white/5 border-border/50"
+                                />
+                                <Button
+                                  type="button"
+                                  variant="ghost"
+                                  size="icon"
+                                  onClick={() => setDayHours(key, intervals.filter((_, i) => i !== index))}
+                                  className="text-muted-foreground hover:text-destructive"
+                                  aria-label="Zeitraum entfernen"
+                                >
+                                  <Trash2 className="h-4 w-4" />
+                                </Button>
+                              </div>
+                            ))
+                          ) : (
+                            <p className="text-sm text-muted-foreground pt-2.5">Geschlossen</p>
+                          )}
+                        </div>
+                        <div className="flex items-center gap-2">
+                          {isOpen && (
+                            <Button
+                              type="button"
+                              variant="ghost"
+                              size="icon"
+                              onClick={() =>
+                                setDayHours(key, [...intervals, { from: intervals[intervals.length - 1].to, to: "18:00" }])
+                              }
+                              aria-label="Zeitraum hinzufügen"
+                            >
+                              <Plus className="h-4 w-4" />
+                            </Button>
+                          )}
+                          <Button
+                            type="button"
+                            variant={isOpen ? "secondary" : "outline"}
+                            size="sm"
+                            onClick={() => setDayHours(key, isOpen ? [] : [{ from: "09:00", to: "18:00" }])}
+                            className="w-28"
+                          >
+                            {isOpen ? "Geöffnet" : "Geschlossen"}
+                          </Button>
+                        </div>
+                      </div>
+                    );
+                  })}
+                </div>
+
+                <div className="grid gap-4 md:grid-cols-2">
+                  <div className="space-y-2">
+                    <label className="text-sm font-medium text-muted-foreground">Mittagspause</label>
+                    <div className="flex items-center gap-2">
+                      <Input
+                        type="time"
+                        value={formData.lunch_break?.from || ""}
+                        onChange={(e) =>
+                          setFormData({
+                            ...formData,
+                            lunch_break: e.target.value
+                              ? { from: e.target.value, to: formData.lunch_break?.to || "13:00" }
+                              : null,
+                          })
+                        }
+                        className="h-10 rounded-xl bg-white/5 border-border/50"
+                      />
+                      <span className="text-muted-foreground">–</span>
+                      <Input
+                        type="time"
+                        value={formData.lunch_break?.to || ""}
+                        disabled={!formData.lunch_break}
+                        onChange={(e) =>
+                          formData.lunch_break &&
+                          setFormData({ ...formData, lunch_break: { ...formData.lunch_break, to: e.target.value } })
+                        }
+                        className="h-10 rounded-xl bg-white/5 border-border/50"
+                      />
+                    </div>
+                  </div>
+                  <div className="space-y-2">
+                    <label className="text-sm font-medium text-muted-foreground">Gesetzliche Feiertage (Bundesland)</label>
+                    <Select
+                      value={formData.holiday_region}
+                      onValueChange={(value) => setFormData({ ...formData, holiday_region: value })}
+                    >
+                      <SelectTrigger className="h-10 rounded-xl bg-white/5 border-border/50">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {germanStates.map((state) => (
+                          <SelectItem key={state.value} value={state.value}>
+                            {state.label}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                </div>
+
+                <div className="space-y-3">
+                  <div className="flex items-center justify-between">
+                    <label className="text-sm font-medium text-muted-foreground flex items-center gap-2">
+                      <CalendarOff className="h-4 w-4" />
+                      Praxisurlaub / Schließtage
+                    </label>
+                    <Button
+                      type="button"
+                      variant="outline"
+                      size="sm"
+                      onClick={() =>
+                        setFormData({
+                          ...formData,
+                          closures: [...formData.closures, { from: "", to: "", reason: null }],
+                        })
+                      }
+                    >
+                      <Plus className="h-4 w-4" />
+                      Hinzufügen
+                    </Button>
+                  </div>
+                  {formData.closures.length === 0 ? (
+                    <p className="text-sm text-muted-foreground">Keine Schließzeiten eingetragen.</p>
+                  ) : (
+                    formData.closures.map((closure, index) => (
+                      <div key={index} className="grid grid-cols-[1fr_1fr_2fr_auto] items-center gap-2">
+                        <Input
+                          type="date"
+                          value={closure.from}
+                          onChange={(e) => updateClosure(index, { from: e.target.value, to: closure.to || e.target.value })}
+                          className="h-10 rounded-xl bg-white/5 border-border/50"
+                        />
+                        <Input
+                          type="date"
+                          value={closure.to}
+                          onChange={(e) => updateClosure(index, { to: e.target.value })}
+                          className="h-10 rounded-xl bg-white/5 border-border/50"
+                        />
+                        <Input
+                          value={closure.reason || ""}
+                          onChange={(e) => updateClosure(index, { reason: e.target.value || null })}
+                          placeholder="z. B. Weihnachtsurlaub"
+                          className="h-10 rounded-xl bg-white/5 border-border/50"
+                          maxLength={200}
+                        />
+                        <Button
+                          type="button"
+                          variant="ghost"
+                          size="icon"
+                          onClick={() =>
+                            setFormData({ ...formData, closures: formData.closures.filter((_, i) => i !== index) })
+                          }
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </Button>
+                      </div>
+                    ))
+                  )}
+                </div>
               </CardContent>
             </Card>
 
@@ -216,6 +687,304 @@ export default function Settings() {
                 </div>
               </CardContent>
             </Card>
+
+            {/* Intake Questions Card */}
+            <Card className="backdrop-blur-xl bg-card/60 border-border/50 shadow-premium-lg rounded-2xl overflow-hidden">
+              <CardHeader className="border-b border-border/50 bg-gradient-to-r from-amber-500/10 to-transparent">
+                <div className="flex items-center gap-3">
+                  <div className="h-10 w-10 rounded-xl bg-amber-500/20 flex items-center justify-center shadow-lg">
+                    <ClipboardList className="h-5 w-5 text-amber-400" />
+                  </div>
+                  <div>
+                    <CardTitle className="text-lg text-amber-400">
+                      Aufnahmefragen
+                    </CardTitle>
+                    <CardDescription>
+                      Diese Angaben fragt der AI-Assistent am Telefon ab, in dieser Reihenfolge.
+                    </CardDescription>
+                  </div>
+                </div>
+              </CardHeader>
+              <CardContent className="p-6 space-y-3">
+                {formData.intake_schema.map((field, index) => {
+                  const core = coreIntakeKeys.includes(field.key);
+                  const builtIn = builtInIntakeKeys.includes(field.key);
+                  return (
+                    <div key={field.key || `new-${index}`} className="space-y-2 rounded-xl border border-border/50 p-3">
+                      <div className="grid grid-cols-[1fr_10rem_auto_auto] items-center gap-2">
+                        <Input
+                          value={field.label}
+                          onChange={(e) => updateIntakeField(index, { label: e.target.value })}
+                          placeholder="Bezeichnung, z. B. Geburtsdatum"
+                          className="h-10 rounded-xl bg-white/5 border-border/50"
+                          maxLength={60}
+                        />
+                        {builtIn ? (
+                          <span className="text-sm text-muted-foreground px-3">Standardfeld</span>
+                        ) : (
+                          <Select
+                            value={field.type}
+                            onValueChange={(type) =>
+                              updateIntakeField(index, { type: type as IntakeFieldType, options: field.options || [] })
+                            }
+                          >
+                            <SelectTrigger className="h-10 rounded-xl bg-white/5 border-border/50">
+                              <SelectValue />
+                            </SelectTrigger>
+                            <SelectContent>
+                              {intakeFieldTypes.map((type) => (
+                                <SelectItem key={type.value} value={type.value}>
+                                  {type.label}
+                                </SelectItem>
+                              ))}
+                            </SelectContent>
+                          </Select>
+                        )}
+                        <Button
+                          type="button"
+                          variant={field.required ? "secondary" : "outline"}
+                          size="sm"
+                          disabled={core}
+                          onClick={() => updateIntakeField(index, { required: !field.required })}
+                          className="w-24"
+                        >
+                          {field.required ? "Pflicht" : "Optional"}
+                        </Button>
+                        <div className="flex">
+                          <Button
+                            type="button"
+                            variant="ghost"
+                            size="icon"
+                            disabled={index === 0}
+                            onClick={() => moveIntakeField(index, -1)}
+                          >
+                            <ArrowUp className="h-4 w-4" />
+                          </Button>
+                          <Button
+                            type="button"
+                            variant="ghost"
+                            size="icon"
+                            disabled={index === formData.intake_schema.length - 1}
+                            onClick={() => moveIntakeField(index, 1)}
+                          >
+                            <ArrowDown className="h-4 w-4" />
+                          </Button>
+                          <Button
+                            type="button"
+                            variant="ghost"
+                            size="icon"
+                            disabled={core}
+                            onClick={() =>
+                              setFormData({
+                                ...formData,
+                                intake_schema: formData.intake_schema.filter((_, i) => i !== index),
+                              })
+                            }
+                          >
+                            <Trash2 className="h-4 w-4" />
+                          </Button>
+                        </div>
+                      </div>
+                      <Input
+                        value={field.question}
+                        onChange={(e) => updateIntakeField(index, { question: e.target.value })}
+                        placeholder="Frage am Telefon, z. B. Wann sind Sie geboren?"
+                        className="h-10 rounded-xl bg-white/5 border-border/50"
+                        maxLength={300}
+                      />
+                      {field.type === "choice" && (
+                        <Input
+                          value={(field.options || []).join(", ")}
+                          onChange={(e) =>
+                            updateIntakeField(index, { options: e.target.value.split(",").map((o) => o.trimStart()) })
+                          }
+                          placeholder="Antwortmöglichkeiten, durch Komma getrennt"
+                          className="h-10 rounded-xl bg-white/5 border-border/50"
+                        />
+                      )}
+                    </div>
+                  );
+                })}
+                <div className="flex flex-wrap gap-2">
+                  <Button
+                    type="button"
+                    variant="outline"
+                    size="sm"
+                    disabled={formData.intake_schema.length >= 20}
+                    onClick={() =>
+                      setFormData({
+                        ...formData,
+                        intake_schema: [
+                          ...formData.intake_schema,
+                          { key: "", label: "", question: "", type: "text", required: false },
+                        ],
+                      })
+                    }
+                  >
+                    <Plus className="h-4 w-4" />
+                    Frage hinzufügen
+                  </Button>
+                  {/* Removed standard questions can be added back */}
+                  {defaultIntakeSchema
+                    .filter((field) => !formData.intake_schema.some((f) => f.key === field.key))
+                    .map((field) => (
+                      <Button
+                        key={field.key}
+                        type="button"
+                        variant="outline"
+                        size="sm"
+                        onClick={() => setFormData({ ...formData, intake_schema: [...formData.intake_schema, field] })}
+                      >
+                        <Plus className="h-4 w-4" />
+                        {field.label}
+                      </Button>
+                    ))}
+                </div>
+                <p className="text-xs text-muted-foreground">
+                  Name, Telefonnummer, Anliegen und Wunschtermin fragt der Assistent immer ab. Optionale Fragen darf der Anrufer überspringen.
+                </p>
+              </CardContent>
+            </Card>
+
+            {/* Languages Card */}
+            <Card className="backdrop-blur-xl bg-card/60 border-border/50 shadow-premium-lg rounded-2xl overflow-hidden">
+              <CardHeader className="border-b border-border/50 bg-gradient-to-r from-sky-500/10 to-transparent">
+                <div className="flex items-center gap-3">
+                  <div className="h-10 w-10 rounded-xl bg-sky-500/20 flex items-center justify-center shadow-lg">
+                    <Languages className="h-5 w-5 text-sky-400" />
+                  </div>
+                  <div>
+                    <CardTitle className="text-lg text-sky-400">
+                      Sprachen
+                    </CardTitle>
+                    <CardDescription>
+                      Der AI-Assistent erkennt die Sprache am ersten Satz des Anrufers und antwortet darin.
+                    </CardDescription>
+                  </div>
+                </div>
+              </CardHeader>
+              <CardContent className="p-6 space-y-3">
+                <div className="flex flex-wrap gap-2">
+                  {callerLanguages.map((language) => {
+                    const enabled = formData.supported_languages.includes(language.value);
+                    return (
+                      <Button
+                        key={language.value}
+                        type="button"
+                        variant={enabled ? "secondary" : "outline"}
+                        size="sm"
+                        disabled={language.value === "de"}
+                        onClick={() => toggleLanguage(language.value)}
+                      >
+                        {language.label}
+                      </Button>
+                    );
+                  })}
+                </div>
+                <p className="text-xs text-muted-foreground">
+                  Deutsch ist immer aktiv. Für Albanisch gibt es keine Telefonstimme: Albanisch sprechende Anrufer werden erkannt und in einfachem Deutsch bedient. Die Zusammenfassung der Anfrage ist immer auf Deutsch, das Originalgespräch wird mitgespeichert.
+                </p>
+              </CardContent>
+            </Card>
+
+            {/* Knowledge Base Card */}
+            <Card className="backdrop-blur-xl bg-card/60 border-border/50 shadow-premium-lg rounded-2xl overflow-hidden">
+              <CardHeader className="border-b border-border/50 bg-gradient-to-r from-emerald-500/10 to-transparent">
+                <div className="flex items-center gap-3">
+                  <div className="h-10 w-10 rounded-xl bg-emerald-500/20 flex items-center justify-center shadow-lg">
+                    <BookOpen className="h-5 w-5 text-emerald-400" />
+                  </div>
+                  <div>
+                    <CardTitle className="text-lg text-emerald-400">
+                      Wissensdatenbank
+                    </CardTitle>
+                    <CardDescription>
+                      Diese Auskünfte darf der AI-Assistent Anrufern geben, z. B. zu Parkplätzen, Zahlung oder Preisen.
+                    </CardDescription>
+                  </div>
+                </div>
+              </CardHeader>
+              <CardContent className="p-6 space-y-3">
+                {formData.knowledge_base.map((entry, index) => (
+                  <div key={index} className="space-y-2 rounded-xl border border-border/50 p-3">
+                    <div className="grid grid-cols-[12rem_1fr_auto] items-center gap-2">
+                      <Select
+                        value={entry.category}
+                        onValueChange={(category) => updateKnowledgeEntry(index, { category: category as KnowledgeCategory })}
+                      >
+                        <SelectTrigger className="h-10 rounded-xl bg-white/5 border-border/50">
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {knowledgeCategories.map((category) => (
+                            <SelectItem key={category.value} value={category.value}>
+                              {category.label}
+                            </SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                      <Input
+                        value={entry.title}
+                        onChange={(e) => updateKnowledgeEntry(index, { title: e.target.value })}
+                        placeholder="Thema, z. B. Parkplätze"
+                        className="h-10 rounded-xl bg-white/5 border-border/50"
+                        maxLength={80}
+                      />
+                      <Button
+                        type="button"
+                        variant="ghost"
+                        size="icon"
+                        onClick={() =>
+                          setFormData({
+                            ...formData,
+                            knowledge_base: formData.knowledge_base.filter((_, i) => i !== index),
+                          })
+                        }
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </Button>
+                    </div>
+                    <Textarea
+                      value={entry.content}
+                      onChange={(e) => updateKnowledgeEntry(index, { content: e.target.value })}
+                      placeholder="Antwort für Anrufer, z. B. Kostenlose Parkplätze finden Sie im Innenhof."
+                      className="rounded-xl resize-none bg-white/5 border-border/50"
+                      rows={2}
+                      maxLength={1000}
+                    />
+                  </div>
+                ))}
+                <Button
+                  type="button"
+                  variant="outline"
+                  size="sm"
+                  disabled={formData.knowledge_base.length >= 50}
+                  onClick={() =>
+                    setFormData({
+                      ...formData,
+                      knowledge_base: [...formData.knowledge_base, { category: "sonstiges", title: "", content: "" }],
+                    })
+                  }
+                >
+                  <Plus className="h-4 w-4" />
+                  Eintrag hinzufügen
+                </Button>
+                {formData.knowledge_base.length === 0 && (
+                  <Button
+                    type="button"
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => setFormData({ ...formData, knowledge_base: starterKnowledge })}
+                  >
+                    <BookOpen className="h-4 w-4" />
+                    Vorlage übernehmen
+                  </Button>
+                )}
+                <p className="text-xs text-muted-foreground">
+                  Der Assistent nennt Preise nur, wenn sie hier stehen. Fragen, die hier nicht beantwortet werden, gibt er an das Praxisteam weiter. Ohne Einträge gibt er jede Frage zur Praxis weiter; die Vorlage lässt sich vor dem Speichern anpassen.
+                </p>
+              </CardContent>
+            </Card>
           </>
         )}
       </div>
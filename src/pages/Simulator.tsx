@@ -7,9 +7,7 @@ import { Button } from "@/components/ui/button";
 import { AvatarIcon } from "@/components/ui/avatar-icon";
 import { toast } from "sonner";
 import { cn } from "@/lib/utils";
-import { useCreateMessage } from "@/hooks/useMessages";
 import { useClinic } from "@/hooks/useClinic";
-import { supabase } from "@/integrations/supabase/client";
 import { api } from "@/lib/api";
 
 interface Message {
@@ -26,6 +24,14 @@ interface ExtractedData {
   insurance?: string;
 }
 
+// How the call continues after the receptionist's reply (see handleConversationTurn in conversation-engine.js)
+const actionMessages: Record<string, string> = {
+  end: "Anruf beendet – die Anfrage wurde gespeichert",
+  emergency_forward: "Der Anrufer wird mit dem Notdienst verbunden",
+  staff_transfer: "Der Anrufer wird an die Praxis übergeben",
+  voicemail: "KI nicht erreichbar – der Anrufer hinterlässt eine Sprachnachricht, die Anfrage wurde gespeichert",
+};
+
 export default function Simulator() {
   const [isCallActive, setIsCallActive] = useState(false);
   const [messages, setMessages] = useState<Message[]>([]);
@@ -33,8 +39,9 @@ export default function Simulator() {
   const [isLoading, setIsLoading] = useState(false);
   const [sessionId, setSessionId] = useState<string | null>(null);
   const [extractedData, setExtractedData] = useState<ExtractedData>({});
+  // Dialogue phase reported by the server, for debugging the flow
+  const [phase, setPhase] = useState<string | null>(null);
   const messagesEndRef = useRef<HTMLDivElement>(null);
-  const createMessage = useCreateMessage();
   const { data: clinic, isLoading: clinicLoading, error: clinicError } = useClinic();
 
   // DEBUG: Log state values
@@ -46,8 +53,6 @@ export default function Simulator() {
     sessionId 
   });
 
-  const generateSessionId = () => `sim_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
   };
@@ -56,59 +61,50 @@ export default function Simulator() {
     scrollToBottom();
   }, [messages]);
 
-  const startCall = () => {
-    console.log("START CALL CLICKED!");
-    const newSessionId = generateSessionId();
-    setSessionId(newSessionId);
-    setIsCallActive(true);
+  // The server opens the session like a call: greeting, opening hours and transcript logging
+  const startSession = async () => {
+    const data = await api.simulateStart();
+    if (!data?.ok || !data.greeting) {
+      throw new Error(data?.error || "Unbekannter Fehler");
+    }
+    setSessionId(data.sessionId);
+    setPhase("greeting");
+    setMessages([{ role: "assistant", content: data.greeting, timestamp: new Date() }]);
+  };
+
+  const startCall = async () => {
     setMessages([]);
     setExtractedData({});
-
-    const clinicName = clinic?.name || "der Zahnarztpraxis";
-    const greeting = `Guten Tag, Sie sind mit ${clinicName} verbunden. Wie kann ich Ihnen helfen?`;
-    
-    setMessages([{ role: "assistant", content: greeting, timestamp: new Date() }]);
-    createMessage.mutate({ call_sid: newSessionId, role: "assistant", message: greeting });
-    toast.success("Testanruf gestartet");
+    try {
+      await startSession();
+      setIsCallActive(true);
+      toast.success("Testanruf gestartet");
+    } catch (error) {
+      console.error("Error:", error);
+      toast.error("Testanruf konnte nicht gestartet werden");
+    }
   };
 
-  const endCall = async () => {
-    if (extractedData.name || extractedData.concern) {
-      try {
-        const { error } = await supabase.from("leads").insert({
-          name: extractedData.name || "Unbekannt",
-          phone: extractedData.phone || null,
-          concern: extractedData.concern || null,
-          urgency: extractedData.urgency || "normal",
-          insurance: extractedData.insurance || null,
-          call_sid: sessionId,
-          source: "simulator",
-          status: "new",
-        });
-        if (error) throw error;
-        toast.success("Lead wurde erstellt");
-      } catch (error) {
-        console.error("Error creating lead:", error);
-        toast.error("Fehler beim Erstellen des Leads");
-      }
-    }
+  const endCall = () => {
     setIsCallActive(false);
     setMessages([]);
     setSessionId(null);
     setExtractedData({});
+    setPhase(null);
     toast.info("Anruf beendet");
   };
 
-  const resetSimulation = () => {
+  const resetSimulation = async () => {
     setMessages([]);
     setExtractedData({});
     if (isCallActive) {
-      const newSessionId = generateSessionId();
-      setSessionId(newSessionId);
-      const clinicName = clinic?.name || "der Zahnarztpraxis";
-      const greeting = `Guten Tag, Sie sind mit ${clinicName} verbunden. Wie kann ich Ihnen helfen?`;
-      setMessages([{ role: "assistant", content: greeting, timestamp: new Date() }]);
-      createMessage.mutate({ call_sid: newSessionId, role: "assistant", message: greeting });
+      try {
+        await startSession();
+      } catch (error) {
+        console.error("Error:", error);
+        toast.error("Testanruf konnte nicht gestartet werden");
+        return;
+      }
     }
     toast.info("Simulation zurückgesetzt");
   };
@@ -124,13 +120,10 @@ export default function Simulator() {
       { role: "user", content: userMessage, timestamp: new Date() },
     ]);
 
-    if (sessionId) {
-      createMessage.mutate({ call_sid: sessionId, role: "user", message: userMessage });
-    }
-
     setIsLoading(true);
 
     try {
+      // The server logs the transcript and saves the lead, as in a real call
       const data = await api.simulateStep(userMessage, sessionId!);
 
       if (data?.ok && data?.reply) {
@@ -139,16 +132,14 @@ export default function Simulator() {
           ...prev,
           { role: "assistant", content: data.reply, timestamp: new Date() },
         ]);
-        
-        createMessage.mutate({
-          call_sid: data.sessionId || sessionId,
-          role: "assistant",
-          message: data.reply,
-        });
 
         if (data.extracted) {
           setExtractedData((prev) => ({ ...prev, ...data.extracted }));
         }
+        setPhase(data.phase || null);
+        if (data.action && actionMessages[data.action]) {
+          toast.info(actionMessages[data.action]);
+        }
       } else {
         throw new Error(data?.error || "Unbekannter Fehler");
       }
@@ -237,7 +228,7 @@ export default function Simulator() {
                         {isCallActive ? (
                           <span className="flex items-center gap-2">
                             <span className="h-2 w-2 rounded-full bg-green-400 animate-pulse" />
-                            Anruf aktiv
+                            Anruf aktiv{phase && ` · Phase: ${phase}`}
                           </span>
                         ) : (
                           "Kein aktiver Anruf"
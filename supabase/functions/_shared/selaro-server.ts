@@ -0,0 +1,37 @@
+// The edge functions are thin adapters: the conversation engine runs only on the Express server
+// (server.js), so calls and simulator sessions behave the same whichever entry point they use.
+// They need that server running at SELARO_SERVER_URL; without it every request fails.
+
+export const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+};
+
+// Public base URL of the Selaro server (the same value as its PUBLIC_BASE_URL)
+export function getServerUrl(): string {
+  const serverUrl = Deno.env.get('SELARO_SERVER_URL');
+  if (!serverUrl) {
+    throw new Error('SELARO_SERVER_URL not configured');
+  }
+  return serverUrl.replace(/\/+$/, '');
+}
+
+// X-Twilio-Signature: base64 HMAC-SHA1 of the URL followed by the POST params sorted by name
+export async function computeTwilioSignature(authToken: string, url: string, params: Record<string, string>): Promise<string> {
+  let dataToSign = url;
+  for (const key of Object.keys(params).sort()) {
+    dataToSign += key + params[key];
+  }
+
+  const encoder = new TextEncoder();
+  const cryptoKey = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(authToken),
+    { name: 'HMAC', hash: 'SHA-1' },
+    false,
+    ['sign']
+  );
+
+  const signatureBuffer = await crypto.subtle.sign('HMAC', cryptoKey, encoder.encode(dataToSign));
+  return btoa(String.fromCharCode(...new Uint8Array(signatureBuffer)));
+}
@@ -0,0 +1,25 @@
+-- Create call_sessions table for persistent conversation state (SESSION_STORE=supabase)
+CREATE TABLE public.call_sessions (
+  session_id TEXT NOT NULL,
+  channel TEXT NOT NULL DEFAULT 'twilio',
+  state JSONB NOT NULL DEFAULT '{}'::jsonb,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+  PRIMARY KEY (session_id, channel)
+);
+
+CREATE INDEX idx_call_sessions_expires_at ON public.call_sessions (expires_at);
+
+ALTER TABLE public.call_sessions ENABLE ROW LEVEL SECURITY;
+
+-- Only the backend (service role) reads and writes session state
+CREATE POLICY "Service role can manage call sessions"
+ON public.call_sessions FOR ALL
+TO service_role
+USING (true)
+WITH CHECK (true);
+
+CREATE TRIGGER update_call_sessions_updated_at
+  BEFORE UPDATE ON public.call_sessions
+  FOR EACH ROW EXECUTE FUNCTION public.update_updated_at_column();
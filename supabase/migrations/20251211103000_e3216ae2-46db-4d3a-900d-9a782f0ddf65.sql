@@ -0,0 +1,25 @@
+-- Scheduling configuration for the appointment slot engine
+ALTER TABLE public.clinics
+  ADD COLUMN opening_hours JSONB,
+  ADD COLUMN treatment_durations JSONB,
+  ADD COLUMN chair_count INTEGER NOT NULL DEFAULT 1,
+  ADD COLUMN timezone TEXT NOT NULL DEFAULT 'Europe/Berlin';
+
+-- Appointment length, so overlapping bookings can be detected per chair
+ALTER TABLE public.appointments
+  ADD COLUMN duration_minutes INTEGER NOT NULL DEFAULT 30;
+
+CREATE INDEX idx_appointments_date ON public.appointments (appointment_date);
+
+-- Seed structured hours for the default clinic (Mo–Fr 9:00–18:00)
+UPDATE public.clinics
+SET opening_hours = '{
+  "mon": [{"from": "09:00", "to": "18:00"}],
+  "tue": [{"from": "09:00", "to": "18:00"}],
+  "wed": [{"from": "09:00", "to": "18:00"}],
+  "thu": [{"from": "09:00", "to": "18:00"}],
+  "fri": [{"from": "09:00", "to": "18:00"}],
+  "sat": [],
+  "sun": []
+}'::jsonb
+WHERE id = 'bc91d95c-a05c-4004-b932-bc393f0391b6';
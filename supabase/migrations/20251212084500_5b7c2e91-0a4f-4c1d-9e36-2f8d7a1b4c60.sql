@@ -0,0 +1,5 @@
+-- Lunch break, holiday region and closure periods (Praxisurlaub) for opening hours
+ALTER TABLE public.clinics
+  ADD COLUMN lunch_break JSONB,
+  ADD COLUMN closures JSONB NOT NULL DEFAULT '[]'::jsonb,
+  ADD COLUMN holiday_region TEXT NOT NULL DEFAULT 'SN';
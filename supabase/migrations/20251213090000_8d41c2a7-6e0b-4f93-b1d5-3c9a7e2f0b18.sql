@@ -0,0 +1,7 @@
+-- After-hours routing: per-clinic emergency service number and the routing decision per lead
+ALTER TABLE public.clinics
+  ADD COLUMN emergency_number TEXT;
+
+-- in_hours | after_hours | emergency_forwarded | emergency_declined | emergency_unreachable
+ALTER TABLE public.leads
+  ADD COLUMN routing TEXT;
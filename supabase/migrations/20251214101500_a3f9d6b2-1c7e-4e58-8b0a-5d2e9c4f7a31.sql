@@ -0,0 +1,8 @@
+-- Live transfer to clinic staff: a phone number or a Twilio queue name
+ALTER TABLE public.clinics
+  ADD COLUMN transfer_number TEXT,
+  ADD COLUMN transfer_queue TEXT;
+
+-- Voicemail recording taken when nobody answered a transfer
+ALTER TABLE public.leads
+  ADD COLUMN recording_url TEXT;
@@ -0,0 +1,42 @@
+-- Call lifecycle records from Twilio status callbacks, including calls that never became a lead
+CREATE TABLE public.calls (
+  id UUID NOT NULL DEFAULT gen_random_uuid() PRIMARY KEY,
+  call_sid TEXT NOT NULL UNIQUE,
+  from_number TEXT,
+  to_number TEXT,
+  direction TEXT,
+  -- Last Twilio CallStatus: initiated, ringing, in-progress, completed, busy, no-answer, failed, canceled
+  status TEXT NOT NULL DEFAULT 'initiated',
+  -- in_progress, lead, transferred, emergency_forwarded, voicemail, abandoned, too_short, missed
+  outcome TEXT NOT NULL DEFAULT 'in_progress',
+  duration_seconds INTEGER,
+  turn_count INTEGER NOT NULL DEFAULT 0,
+  lead_id UUID REFERENCES public.leads(id) ON DELETE SET NULL,
+  started_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+  ended_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+);
+
+CREATE INDEX idx_calls_started_at ON public.calls (started_at DESC);
+CREATE INDEX idx_calls_lead_id ON public.calls (lead_id);
+
+ALTER TABLE public.calls ENABLE ROW LEVEL SECURITY;
+
+-- Caller numbers: staff only, like the other tables since 20251205
+CREATE POLICY "Staff can select calls"
+ON public.calls
+FOR SELECT
+TO authenticated
+USING (public.has_any_role(auth.uid()));
+
+-- Only the backend (service role) writes call records
+CREATE POLICY "Service role can manage calls"
+ON public.calls FOR ALL
+TO service_role
+USING (true)
+WITH CHECK (true);
+
+CREATE TRIGGER update_calls_updated_at
+  BEFORE UPDATE ON public.calls
+  FOR EACH ROW EXECUTE FUNCTION public.update_updated_at_column();
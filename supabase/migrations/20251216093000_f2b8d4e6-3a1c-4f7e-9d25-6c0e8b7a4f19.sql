@@ -0,0 +1,5 @@
+-- Returning callers: link a new lead to the caller's earlier lead (matched by phone number)
+ALTER TABLE public.leads
+  ADD COLUMN previous_lead_id UUID REFERENCES public.leads(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_leads_previous_lead_id ON public.leads (previous_lead_id);
@@ -0,0 +1,95 @@
+-- Patient master records: one row per person, separate from the per-contact leads
+CREATE TABLE public.patients (
+  id UUID NOT NULL DEFAULT gen_random_uuid() PRIMARY KEY,
+  name TEXT NOT NULL,
+  phone TEXT,
+  -- National number without prefixes, "0170 1234567" -> "1701234567" (see getPhoneMatchKey in server.js)
+  phone_normalized TEXT,
+  email TEXT,
+  -- gesetzlich, privat, unbekannt
+  insurance TEXT NOT NULL DEFAULT 'unbekannt',
+  patient_type TEXT NOT NULL DEFAULT 'neu' CHECK (patient_type IN ('neu', 'bestand')),
+  birth_date DATE,
+  -- { "channel": "phone" | "sms" | "email", "best_time": "vormittags" }
+  contact_preferences JSONB NOT NULL DEFAULT '{}'::jsonb,
+  notes TEXT,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+);
+
+-- Not unique: family members often share a landline
+CREATE INDEX idx_patients_phone_normalized ON public.patients (phone_normalized);
+
+ALTER TABLE public.patients ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Staff can select patients"
+ON public.patients FOR SELECT
+TO authenticated
+USING (public.has_any_role(auth.uid()));
+
+CREATE POLICY "Admins can update patients"
+ON public.patients FOR UPDATE
+TO authenticated
+USING (public.has_role(auth.uid(), 'admin'));
+
+CREATE POLICY "Service role can manage patients"
+ON public.patients FOR ALL
+TO service_role
+USING (true)
+WITH CHECK (true);
+
+CREATE TRIGGER update_patients_updated_at
+  BEFORE UPDATE ON public.patients
+  FOR EACH ROW EXECUTE FUNCTION public.update_updated_at_column();
+
+ALTER TABLE public.leads
+  ADD COLUMN patient_id UUID REFERENCES public.patients(id) ON DELETE SET NULL;
+ALTER TABLE public.appointments
+  ADD COLUMN patient_id UUID REFERENCES public.patients(id) ON DELETE SET NULL;
+ALTER TABLE public.calls
+  ADD COLUMN patient_id UUID REFERENCES public.patients(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_leads_patient_id ON public.leads (patient_id);
+CREATE INDEX idx_appointments_patient_id ON public.appointments (patient_id);
+CREATE INDEX idx_calls_patient_id ON public.calls (patient_id);
+
+-- Backfill from existing leads and appointments (same phone number and name = same patient)
+CREATE FUNCTION pg_temp.phone_match_key(phone TEXT) RETURNS TEXT
+LANGUAGE sql IMMUTABLE AS $$
+  SELECT CASE WHEN length(k) >= 6 THEN k END
+  FROM (
+    SELECT regexp_replace(regexp_replace(regexp_replace(
+      regexp_replace(coalesce(phone, ''), '\D', '', 'g'), '^00', ''), '^49', ''), '^0', '') AS k
+  ) s
+$$;
+
+INSERT INTO public.patients (name, phone, phone_normalized, insurance, created_at)
+SELECT DISTINCT ON (key, lower(name)) name, phone, key, insurance, created_at
+FROM (
+  SELECT name, phone, pg_temp.phone_match_key(phone) AS key, coalesce(insurance, 'unbekannt') AS insurance, created_at
+  FROM public.leads
+  UNION ALL
+  SELECT patient_name, phone, pg_temp.phone_match_key(phone), 'unbekannt', created_at
+  FROM public.appointments
+) contacts
+WHERE key IS NOT NULL AND name <> 'Unbekannt'
+ORDER BY key, lower(name), created_at ASC;
+
+UPDATE public.leads l SET patient_id = p.id
+FROM public.patients p
+WHERE p.phone_normalized = pg_temp.phone_match_key(l.phone) AND lower(p.name) = lower(l.name);
+
+UPDATE public.appointments a SET patient_id = p.id
+FROM public.patients p
+WHERE p.phone_normalized = pg_temp.phone_match_key(a.phone) AND lower(p.name) = lower(a.patient_name);
+
+UPDATE public.calls c SET patient_id = l.patient_id
+FROM public.leads l
+WHERE c.lead_id = l.id;
+
+-- Patients who already had an appointment are existing patients
+UPDATE public.patients SET patient_type = 'bestand'
+WHERE id IN (
+  SELECT patient_id FROM public.appointments
+  WHERE patient_id IS NOT NULL AND appointment_date < current_date AND coalesce(status, '') NOT IN ('cancelled', 'abgesagt')
+);
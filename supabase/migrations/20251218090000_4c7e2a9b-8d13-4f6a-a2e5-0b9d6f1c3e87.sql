@@ -0,0 +1,7 @@
+-- Duplicate leads: flagged at insert time, merged by staff (the merged lead is kept for history)
+ALTER TABLE public.leads
+  ADD COLUMN possible_duplicate_of UUID REFERENCES public.leads(id) ON DELETE SET NULL,
+  ADD COLUMN merged_into UUID REFERENCES public.leads(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_leads_possible_duplicate_of ON public.leads (possible_duplicate_of);
+CREATE INDEX idx_leads_merged_into ON public.leads (merged_into);
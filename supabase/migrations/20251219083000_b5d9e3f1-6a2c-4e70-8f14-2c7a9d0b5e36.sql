@@ -0,0 +1,26 @@
+-- Phone numbers are now normalised to E.164 by the server (parseGermanPhone in server.js).
+-- patients.phone_normalized previously held the number without any prefix ("1701234567"),
+-- which dropped foreign country codes, so it is recomputed from patients.phone:
+-- "+49 (0) 341 …" / "0049 341 …" -> +49341…, other country codes are kept ("0043 664 …" -> +43664…),
+-- and only numbers with a single national 0 get +49 ("0170 …" -> +49170…).
+CREATE FUNCTION pg_temp.phone_e164(phone TEXT) RETURNS TEXT
+LANGUAGE sql IMMUTABLE AS $$
+  SELECT CASE
+    WHEN intl IS NULL OR length(intl) < 8 OR intl LIKE '0%' THEN NULL
+    WHEN intl LIKE '49%' THEN '+49' || regexp_replace(substring(intl FROM 3), '^0', '')
+    ELSE '+' || intl
+  END
+  FROM (
+    SELECT CASE
+      WHEN btrim(coalesce(phone, '')) LIKE '+%' THEN digits
+      WHEN digits LIKE '00%' THEN substring(digits FROM 3)
+      WHEN digits ~ '^0[1-9]' THEN '49' || substring(digits FROM 2)
+    END AS intl
+    FROM (SELECT regexp_replace(coalesce(phone, ''), '\D', '', 'g') AS digits) d
+  ) s
+$$;
+
+UPDATE public.patients
+SET phone_normalized = pg_temp.phone_e164(phone);
+
+COMMENT ON COLUMN public.patients.phone_normalized IS 'Phone number in E.164, e.g. +491701234567';
@@ -0,0 +1,10 @@
+-- Insurance and patient type asked for on the phone (see parseInsurance in server.js)
+ALTER TABLE public.leads
+  -- Krankenkasse or private insurer as named by the caller, e.g. 'AOK PLUS', 'Debeka + Beihilfe'
+  ADD COLUMN insurance_provider TEXT,
+  ADD COLUMN patient_type TEXT CHECK (patient_type IN ('neu', 'bestand'));
+
+-- Intake questions per clinic (see getIntakeSchema in server.js):
+-- [{ "key", "label", "question", "type", "required", "options" }] in the order they are asked.
+-- NULL means the default questions, which include insurance and patient type.
+ALTER TABLE public.clinics ADD COLUMN intake_schema JSONB;
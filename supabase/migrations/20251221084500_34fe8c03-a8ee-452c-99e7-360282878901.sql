@@ -0,0 +1,3 @@
+-- Answers to the clinic's own intake fields (clinics.intake_schema):
+-- { "<key>": { "label": "...", "value": "..." } }
+ALTER TABLE public.leads ADD COLUMN intake_answers JSONB NOT NULL DEFAULT '{}'::jsonb;
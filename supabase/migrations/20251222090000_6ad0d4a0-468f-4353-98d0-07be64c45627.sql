@@ -0,0 +1,7 @@
+-- Languages the AI receptionist speaks: de (always), en, tr, ar, uk, sq (see CALLER_LANGUAGES in server.js)
+ALTER TABLE public.clinics ADD COLUMN supported_languages TEXT[] NOT NULL DEFAULT ARRAY['de'];
+
+-- Language the caller spoke; the lead's fields and summary stay German
+ALTER TABLE public.leads ADD COLUMN language TEXT NOT NULL DEFAULT 'de';
+-- The conversation in the caller's language, for calls not held in German
+ALTER TABLE public.leads ADD COLUMN original_transcript TEXT;
@@ -0,0 +1,4 @@
+-- Facts the AI receptionist may tell callers: [{ "category": "parken", "title": "Parkplätze", "content": "..." }]
+-- Categories: leistungen, parken, barrierefreiheit, zahlung, versicherungen, mitbringen, preise, sonstiges
+-- NULL uses knowledge.json from the server (see getKnowledgeBase in server.js)
+ALTER TABLE public.clinics ADD COLUMN knowledge_base JSONB;
@@ -0,0 +1,19 @@
+-- Call transcripts: every caller and receptionist turn is logged with its position in the call
+ALTER TABLE public.messages_log ADD COLUMN turn_index INTEGER;
+
+CREATE INDEX idx_messages_log_call_sid_turn ON public.messages_log (call_sid, turn_index);
+
+-- Replace the logging RPC; the old three-argument version would make calls ambiguous
+DROP FUNCTION IF EXISTS public.log_twilio_message(TEXT, TEXT, TEXT);
+
+CREATE FUNCTION public.log_twilio_message(
+  p_call_sid TEXT,
+  p_role TEXT,
+  p_message TEXT,
+  p_turn_index INTEGER DEFAULT NULL
+) RETURNS void AS $$
+BEGIN
+  INSERT INTO public.messages_log (call_sid, role, message, turn_index)
+  VALUES (p_call_sid, p_role, p_message, p_turn_index);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
@@ -0,0 +1,8 @@
+-- Call summary for the practice team, written after the lead is saved (see summarizeCall in server.js)
+ALTER TABLE public.leads ADD COLUMN call_summary TEXT;
+-- callback, book_appointment, book_cleaning, emergency_slot, answer_question, none
+ALTER TABLE public.leads ADD COLUMN next_action TEXT;
+-- positive, neutral, negative, anxious
+ALTER TABLE public.leads ADD COLUMN sentiment TEXT;
+-- Caller questions the receptionist could not answer
+ALTER TABLE public.leads ADD COLUMN open_questions TEXT[] NOT NULL DEFAULT '{}';
@@ -0,0 +1,5 @@
+-- What the caller wanted (see CALLER_INTENTS in server.js):
+-- appointment, reschedule, running_late, cancel, billing, prescription, referral, question
+ALTER TABLE public.leads ADD COLUMN intent TEXT;
+-- Set on appointments a call booked, cancelled, moved or flagged as running late
+ALTER TABLE public.appointments ADD COLUMN intent TEXT;
@@ -0,0 +1,88 @@
+-- Lead merge in one transaction: a failure half way no longer leaves two half-merged leads
+-- Text fields count as empty when NULL, '' or 'Unbekannt' (the placeholder used by the server)
+CREATE FUNCTION public.merge_lead_text(p_survivor TEXT, p_duplicate TEXT)
+RETURNS TEXT AS $$
+  SELECT CASE
+    WHEN coalesce(p_survivor, '') IN ('', 'Unbekannt') AND coalesce(p_duplicate, '') NOT IN ('', 'Unbekannt')
+      THEN p_duplicate
+    ELSE p_survivor
+  END;
+$$ LANGUAGE sql IMMUTABLE SET search_path = public;
+
+-- Errors: LM404 (lead not found), LM409 (lead already merged)
+CREATE FUNCTION public.merge_leads(p_survivor_id UUID, p_duplicate_id UUID)
+RETURNS public.leads AS $$
+DECLARE
+  survivor public.leads;
+  duplicate public.leads;
+  merged public.leads;
+BEGIN
+  SELECT * INTO survivor FROM public.leads WHERE id = p_survivor_id FOR UPDATE;
+  SELECT * INTO duplicate FROM public.leads WHERE id = p_duplicate_id FOR UPDATE;
+  IF survivor.id IS NULL OR duplicate.id IS NULL THEN
+    RAISE EXCEPTION 'Lead not found' USING ERRCODE = 'LM404';
+  END IF;
+  IF survivor.merged_into IS NOT NULL OR duplicate.merged_into IS NOT NULL THEN
+    RAISE EXCEPTION 'Lead was already merged' USING ERRCODE = 'LM409';
+  END IF;
+
+  -- The survivor keeps its own values and only fills empty fields from the duplicate
+  UPDATE public.leads SET
+    notes = nullif(concat_ws(E'\n\n',
+      nullif(survivor.notes, ''),
+      CASE WHEN nullif(duplicate.notes, '') IS NOT NULL THEN
+        '--- Zusammengeführt aus Lead vom '
+          || to_char(duplicate.created_at AT TIME ZONE 'Europe/Berlin', 'FMDD.FMMM.YYYY, HH24:MI:SS')
+          || E' ---\n' || duplicate.notes
+      END), ''),
+    name = public.merge_lead_text(survivor.name, duplicate.name),
+    phone = public.merge_lead_text(survivor.phone, duplicate.phone),
+    concern = public.merge_lead_text(survivor.concern, duplicate.concern),
+    insurance = public.merge_lead_text(survivor.insurance, duplicate.insurance),
+    insurance_provider = public.merge_lead_text(survivor.insurance_provider, duplicate.insurance_provider),
+    patient_type = public.merge_lead_text(survivor.patient_type, duplicate.patient_type),
+    preferred_slots = coalesce(survivor.preferred_slots, duplicate.preferred_slots),
+    recording_url = public.merge_lead_text(survivor.recording_url, duplicate.recording_url),
+    routing = public.merge_lead_text(survivor.routing, duplicate.routing),
+    patient_id = coalesce(survivor.patient_id, duplicate.patient_id),
+    original_transcript = public.merge_lead_text(survivor.original_transcript, duplicate.original_transcript),
+    call_summary = public.merge_lead_text(survivor.call_summary, duplicate.call_summary),
+    next_action = public.merge_lead_text(survivor.next_action, duplicate.next_action),
+    sentiment = public.merge_lead_text(survivor.sentiment, duplicate.sentiment),
+    intent = public.merge_lead_text(survivor.intent, duplicate.intent),
+    -- The duplicate often links back to the survivor as the returning caller's earlier lead
+    previous_lead_id = CASE
+      WHEN survivor.previous_lead_id IS NULL AND duplicate.previous_lead_id IS DISTINCT FROM p_survivor_id
+        THEN duplicate.previous_lead_id
+      ELSE survivor.previous_lead_id
+    END,
+    urgency = CASE WHEN duplicate.urgency = 'akut' THEN 'akut' ELSE survivor.urgency END,
+    -- Intake answers: the survivor's answers win per question
+    intake_answers = duplicate.intake_answers || survivor.intake_answers,
+    -- Questions from both calls stay open
+    open_questions = ARRAY(
+      SELECT q FROM unnest(survivor.open_questions || duplicate.open_questions) WITH ORDINALITY AS t(q, pos)
+      GROUP BY q ORDER BY min(pos)
+    ),
+    possible_duplicate_of = nullif(survivor.possible_duplicate_of, p_duplicate_id)
+  WHERE id = p_survivor_id
+  RETURNING * INTO merged;
+
+  -- Re-point everything that referenced the duplicate
+  UPDATE public.appointments SET lead_id = p_survivor_id WHERE lead_id = p_duplicate_id;
+  UPDATE public.calls SET lead_id = p_survivor_id WHERE lead_id = p_duplicate_id;
+  UPDATE public.leads SET previous_lead_id = p_survivor_id
+    WHERE previous_lead_id = p_duplicate_id AND id <> p_survivor_id;
+  UPDATE public.leads SET possible_duplicate_of = p_survivor_id
+    WHERE possible_duplicate_of = p_duplicate_id AND id <> p_survivor_id;
+
+  UPDATE public.leads SET status = 'merged', merged_into = p_survivor_id, possible_duplicate_of = NULL
+    WHERE id = p_duplicate_id;
+
+  RETURN merged;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Only the server (service role) merges leads
+REVOKE EXECUTE ON FUNCTION public.merge_leads(UUID, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.merge_leads(UUID, UUID) TO service_role;
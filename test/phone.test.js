@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findPhoneNumberInText, parseGermanPhone } from '../lib/phone.js';
+
+test('parseGermanPhone normalises German numbers to E.164', () => {
+  assert.deepEqual(parseGermanPhone('0341 1234567'), { e164: '+493411234567', national: '03411234567', mobile: false });
+  assert.deepEqual(parseGermanPhone('0170-1234567'), { e164: '+491701234567', national: '01701234567', mobile: true });
+  assert.equal(parseGermanPhone('+49 (0) 341 1234567').e164, '+493411234567');
+  assert.equal(parseGermanPhone('0049 341 1234567').e164, '+493411234567');
+});
+
+test('parseGermanPhone keeps foreign country codes', () => {
+  assert.deepEqual(parseGermanPhone('0043 1 23456789'), { e164: '+43123456789', national: null, mobile: false });
+  assert.equal(parseGermanPhone('+33 1 23 45 67 89').e164, '+33123456789');
+});
+
+test('parseGermanPhone rejects dates, times and numbers without area code', () => {
+  assert.equal(parseGermanPhone('12.03.2025'), null);
+  assert.equal(parseGermanPhone('15:30'), null);
+  assert.equal(parseGermanPhone('1234567'), null);
+  assert.equal(parseGermanPhone('015'), null);
+});
+
+test('findPhoneNumberInText finds the number in caller speech', () => {
+  assert.equal(findPhoneNumberInText('Meine Nummer ist 0170 1234567 15 Uhr passt'), '+491701234567');
+  assert.equal(findPhoneNumberInText('0 1 7 0 1 2 3 4 5 6 7'), '+491701234567');
+  assert.equal(findPhoneNumberInText('plus 49 170 1234567'), '+491701234567');
+  assert.equal(findPhoneNumberInText('am 12.03. um 15:30'), null);
+});
@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePreferredTime } from '../lib/preferred-time.js';
+
+const dates = (text, now) => parsePreferredTime(text, { now: new Date(now) }).windows.map(window => window.date);
+
+test('a day of the month rolls over to the next month that has it', () => {
+  assert.deepEqual(dates('am 15.', '2026-11-20T09:00:00Z'), ['2026-12-15']);
+  assert.deepEqual(dates('am 31.', '2026-11-20T09:00:00Z'), ['2026-12-31']);
+  assert.deepEqual(dates('am 30.', '2027-02-10T09:00:00Z'), ['2027-03-30']);
+});
+
+test('dates without a year are the next occurrence', () => {
+  assert.deepEqual(dates('15.11.', '2026-11-20T09:00:00Z'), ['2027-11-15']);
+  assert.deepEqual(dates('am 3. Dezember', '2026-11-20T09:00:00Z'), ['2026-12-03']);
+});
+
+test('relative dates roll over into the next year', () => {
+  assert.deepEqual(dates('morgen vormittag', '2026-12-31T09:00:00Z'), ['2027-01-01']);
+  assert.deepEqual(dates('am 5.', '2026-12-31T09:00:00Z'), ['2027-01-05']);
+  assert.deepEqual(dates('nächste Woche Montag', '2026-12-31T09:00:00Z'), ['2027-01-04']);
+});
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseYesNo } from '../lib/languages.js';
+
+test('parseYesNo reads plain answers', () => {
+  assert.equal(parseYesNo('Ja'), true);
+  assert.equal(parseYesNo('Gerne'), true);
+  assert.equal(parseYesNo('Nein, danke'), false);
+  assert.equal(parseYesNo('Keine Ahnung'), false);
+  assert.equal(parseYesNo('jein'), null);
+});
+
+test('parseYesNo decides by how the answer starts when it agrees first', () => {
+  assert.equal(parseYesNo('Ja bitte, ich halte es nicht mehr aus'), true);
+  assert.equal(parseYesNo('Ja, keine Änderungen'), true);
+  assert.equal(parseYesNo('Äh, ja, gerne'), true);
+  assert.equal(parseYesNo('Genau, nichts zu ändern'), true);
+});
+
+test('parseYesNo counts a negation that comes before any agreement', () => {
+  assert.equal(parseYesNo('Nee, passt so'), false);
+  assert.equal(parseYesNo('Nein, ja, ich meine nein'), false);
+  assert.equal(parseYesNo('Bitte nicht'), false);
+  assert.equal(parseYesNo('Natürlich nicht'), false);
+  assert.equal(parseYesNo('Nicht nötig, danke'), false);
+});
+
+test('parseYesNo treats a correction as no', () => {
+  assert.equal(parseYesNo('Ja, aber die Nummer ist falsch'), false);
+});
+
+test('parseYesNo understands answers in the caller\'s language', () => {
+  assert.equal(parseYesNo('Yes, no problem', 'en'), true);
+  assert.equal(parseYesNo('No, that\'s not right', 'en'), false);
+});